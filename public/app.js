@@ -6,12 +6,14 @@
  */
 
 // Status color mapping
-const statusColors = {
+// Replaced by the server's status profiles once they are fetched
+let statusColors = {
     available: { r: 0, g: 255, b: 0 },      // Green for available
     ringing: { r: 255, g: 255, b: 0 },      // Yellow for ringing
     onCall: { r: 255, g: 0, b: 0 },         // Red for on a call
     dnd: { r: 128, g: 0, b: 128 },          // Purple for do not disturb
     away: { r: 255, g: 165, b: 0 },         // Orange for away
+    meeting: { r: 255, g: 0, b: 128 },      // Pink for in a meeting
     offline: { r: 0, g: 0, b: 255 },        // Blue for offline
 };
 
@@ -22,6 +24,7 @@ const statusDisplayNames = {
     onCall: 'On Call',
     dnd: 'Do Not Disturb',
     away: 'Away',
+    meeting: 'In a Meeting',
     offline: 'Offline',
 };
 
@@ -31,6 +34,9 @@ let ws = null;
 // Status refresh interval (as fallback if WebSocket fails)
 let statusRefreshInterval = null;
 
+// Ticks the manual override countdown
+let overrideCountdownInterval = null;
+
 // UI elements
 const statusBadge = document.getElementById('status-badge');
 const monitoringBadge = document.getElementById('monitoring-badge');
@@ -38,6 +44,13 @@ const statusColor = document.getElementById('status-color');
 const statusText = document.getElementById('status-text');
 const monitoringToggle = document.getElementById('monitoring-toggle');
 const statusButtons = document.querySelectorAll('.status-btn');
+const overrideReasonInput = document.getElementById('override-reason');
+const overrideDurationSelect = document.getElementById('override-duration');
+const overrideInfo = document.getElementById('override-info');
+const overrideStatusText = document.getElementById('override-status');
+const overrideReasonText = document.getElementById('override-reason-text');
+const overrideCountdown = document.getElementById('override-countdown');
+const clearOverrideButton = document.getElementById('clear-override');
 const brightnessSlider = document.getElementById('brightness-slider');
 const brightnessValue = document.getElementById('brightness-value');
 const transitionSlider = document.getElementById('transition-slider');
@@ -45,6 +58,46 @@ const transitionValue = document.getElementById('transition-value');
 const applySettingsButton = document.getElementById('apply-settings');
 const turnOffWLEDButton = document.getElementById('turn-off-wled');
 
+// WLED display mode and team wall UI elements
+const wledModeSelect = document.getElementById('wled-mode-select');
+const teamWallSettings = document.getElementById('team-wall-settings');
+const teamWallOrder = document.getElementById('team-wall-order');
+const teamWallLayout = document.getElementById('team-wall-layout');
+const teamWallLeds = document.getElementById('team-wall-leds');
+const teamWallGap = document.getElementById('team-wall-gap');
+const teamWallManualOrder = document.getElementById('team-wall-manual-order');
+const saveTeamWallButton = document.getElementById('save-team-wall');
+const queuePressureSettings = document.getElementById('queue-pressure-settings');
+const queueMaxWaiting = document.getElementById('queue-max-waiting');
+const queueWarningSeconds = document.getElementById('queue-warning-seconds');
+const queueCriticalSeconds = document.getElementById('queue-critical-seconds');
+const queueLedCount = document.getElementById('queue-led-count');
+const queuePressureReading = document.getElementById('queue-pressure-reading');
+const saveQueuePressureButton = document.getElementById('save-queue-pressure');
+const statusProfilesContainer = document.getElementById('status-profiles');
+const addStatusProfileForm = document.getElementById('add-status-profile-form');
+
+// Office hours UI elements
+const officeHoursEnabled = document.getElementById('office-hours-enabled');
+const officeHoursHours = document.getElementById('office-hours-hours');
+const officeHoursTimezone = document.getElementById('office-hours-timezone');
+const officeHoursClosedAction = document.getElementById('office-hours-closed-action');
+const officeHoursPause = document.getElementById('office-hours-pause');
+const officeHoursState = document.getElementById('office-hours-state');
+const saveOfficeHoursButton = document.getElementById('save-office-hours');
+
+// Statuses whose profiles can only be reset, not deleted
+let builtInStatuses = [];
+let latestProfiles = null;
+
+// Effects and palettes reported by the WLED device (null until fetched or if unreachable)
+let wledEffects = null;
+let wledPalettes = null;
+
+// WLED device fleet UI elements
+const wledDevicesContainer = document.getElementById('wled-devices');
+const addWLEDDeviceForm = document.getElementById('add-wled-device-form');
+
 // Call statistics UI elements
 const waitingCallsElement = document.getElementById('waiting-calls');
 const activeCallsElement = document.getElementById('active-calls');
@@ -72,6 +125,20 @@ const takeScreenshotButton = document.getElementById('take-screenshot');
 const screenshotContainer = document.getElementById('screenshot-container');
 const screenshotImage = document.getElementById('screenshot-image');
 const screenshotLink = document.getElementById('screenshot-link');
+const scraperRecoveriesList = document.getElementById('scraper-recoveries');
+const mfaPromptForm = document.getElementById('mfa-prompt');
+const mfaCodeInput = document.getElementById('mfa-code');
+const mfaPromptExpiry = document.getElementById('mfa-prompt-expiry');
+const remoteLoginPanel = document.getElementById('remote-login');
+const remoteLoginWatchButton = document.getElementById('remote-login-watch');
+const remoteLoginViewer = document.getElementById('remote-login-viewer');
+const remoteLoginScreen = document.getElementById('remote-login-screen');
+
+// Size of the remote login page in page pixels, from the latest screencast frame
+let remoteLoginPageSize = null;
+
+// Latest scraper recovery events, newest first
+let scraperRecoveries = [];
 
 // WebSocket connection state
 let wsReconnectAttempts = 0;
@@ -152,12 +219,35 @@ function initWebSocket() {
                 
                 if (data.type === 'status') {
                     updateStatusUI(data.status, data.monitoring);
+                } else if (data.type === 'override') {
+                    renderOverride(data.override);
+                    if (data.error) {
+                        alert(`Could not set the override: ${data.error}`);
+                    }
+                } else if (data.type === 'error') {
+                    alert(data.error);
                 } else if (data.type === 'debug') {
                     updateDebugInfo(data.debugInfo);
                 } else if (data.type === 'wled') {
                     updateWLEDStatusUI(data.success, data.error);
+                    if (data.devices) {
+                        renderWLEDDevices(data.devices);
+                    }
                 } else if (data.type === 'callStats') {
                     updateCallStatsUI(data.callStats);
+                } else if (data.type === 'profiles') {
+                    renderStatusProfiles(data.profiles);
+                } else if (data.type === 'wledSettings') {
+                    updateWLEDSettingsUI(data.settings);
+                } else if (data.type === 'scraperRecovery') {
+                    scraperRecoveries = [data.event, ...scraperRecoveries].slice(0, 20);
+                    renderScraperRecoveries();
+                } else if (data.type === 'mfaPrompt') {
+                    renderMfaPrompt(data.prompt);
+                } else if (data.type === 'remoteLogin') {
+                    renderRemoteLogin(data);
+                } else if (data.type === 'remoteLoginFrame') {
+                    showRemoteLoginFrame(data);
                 } else if (data.type === 'teamStatus') {
                     // Handle team status updates if needed
                     console.log('Received team status update');
@@ -175,6 +265,12 @@ function initWebSocket() {
         ws.onclose = (event) => {
             console.log(`WebSocket connection closed: Code: ${event.code}, Reason: ${event.reason}`);
             clearTimeout(connectionTimeout);
+
+            // The server refuses connections that are not signed in
+            if (event.code === 4401) {
+                redirectToLogin();
+                return;
+            }
             
             // Update connection status in UI
             const connectionStatus = document.getElementById('connection-status');
@@ -258,6 +354,7 @@ function fetchStatus() {
         .then(response => response.json())
         .then(data => {
             updateStatusUI(data.status, data.monitoring);
+            renderOverride(data.override);
             
             // Update WLED settings
             if (data.wledConfig) {
@@ -266,6 +363,10 @@ function fetchStatus() {
                 
                 transitionSlider.value = data.wledConfig.transition;
                 transitionValue.textContent = data.wledConfig.transition;
+
+                if (data.wledConfig.mode) {
+                    updateWLEDModeUI(data.wledConfig.mode);
+                }
             }
             
             // Update WLED connection status
@@ -312,6 +413,8 @@ function getBadgeClass(status) {
             return 'purple';
         case 'away':
             return 'orange';
+        case 'meeting':
+            return 'pink';
         case 'offline':
             return 'primary';
         default:
@@ -420,37 +523,68 @@ function updateDebugInfo(debugInfo) {
         
     connectionHtml += `</div>`;
     connectionDetails.innerHTML = connectionHtml;
-        
-    // Update manual override info
+
+    // The override itself is shown by renderOverride()
     if (debugInfo.manualOverride) {
-        const remainingTime = debugInfo.manualOverrideRemaining || 0;
-        const overrideTime = new Date(debugInfo.manualOverrideTime);
-            
-        let overrideHtml = `<div class="alert alert-warning">`;
-        overrideHtml += `<strong>Manual Override Active!</strong><br>`;
-        overrideHtml += `Set at: ${overrideTime.toLocaleTimeString()}<br>`;
-        overrideHtml += `Expires in: ${remainingTime} seconds`;
-        overrideHtml += `</div>`;
-            
-        // Add override info to status display
-        const statusDisplay = document.querySelector('.status-display');
-        if (statusDisplay) {
-            const existingOverrideInfo = statusDisplay.querySelector('.override-info');
-            if (existingOverrideInfo) {
-                existingOverrideInfo.innerHTML = overrideHtml;
-            } else {
-                const overrideInfo = document.createElement('div');
-                overrideInfo.className = 'override-info';
-                overrideInfo.innerHTML = overrideHtml;
-                statusDisplay.appendChild(overrideInfo);
-            }
+        renderOverride(debugInfo.manualOverride);
+    }
+}
+
+// Show the manual override, counting down to its expiry
+function renderOverride(override) {
+    clearInterval(overrideCountdownInterval);
+    overrideCountdownInterval = null;
+
+    if (!override) {
+        overrideInfo.classList.add('d-none');
+        return;
+    }
+
+    overrideStatusText.textContent = statusDisplayNames[override.status] || override.status;
+    overrideReasonText.textContent = override.reason ? `(${override.reason})` : '';
+    overrideInfo.classList.remove('d-none');
+
+    if (override.remainingSeconds === null || override.remainingSeconds === undefined) {
+        overrideCountdown.textContent = 'Until cleared';
+        return;
+    }
+
+    // Count from the server's remaining time so a wrong browser clock does not matter
+    const expiresAt = Date.now() + override.remainingSeconds * 1000;
+    const updateCountdown = () => {
+        const remaining = Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+        const hours = Math.floor(remaining / 3600);
+        const minutes = String(Math.floor((remaining % 3600) / 60)).padStart(hours ? 2 : 1, '0');
+        const seconds = String(remaining % 60).padStart(2, '0');
+        overrideCountdown.textContent = `Expires in ${hours ? `${hours}:` : ''}${minutes}:${seconds}`;
+        if (remaining === 0) {
+            clearInterval(overrideCountdownInterval);
+            overrideCountdownInterval = null;
         }
+    };
+    updateCountdown();
+    overrideCountdownInterval = setInterval(updateCountdown, 1000);
+}
+
+// Read the reason and duration chosen for a manual override
+function getOverrideOptions() {
+    const duration = overrideDurationSelect.value;
+    return {
+        reason: overrideReasonInput.value.trim() || undefined,
+        durationMinutes: duration ? Number(duration) : undefined,
+        untilCleared: !duration,
+    };
+}
+
+// Clear the manual override so the 3CX status is shown again
+function clearOverride() {
+    statusButtons.forEach(btn => btn.classList.remove('active'));
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'clearManualOverride' }));
     } else {
-        // Remove override info if exists
-        const overrideInfo = document.querySelector('.override-info');
-        if (overrideInfo) {
-            overrideInfo.remove();
-        }
+        fetch('/api/override', { method: 'DELETE' })
+            .then(() => fetchStatus())
+            .catch(error => console.error('Error clearing override:', error));
     }
 }
 
@@ -512,7 +646,8 @@ function sendStatusUpdate(status, monitoring) {
         ws.send(JSON.stringify({
             type: 'status',
             status: status,
-            monitoring: monitoring
+            monitoring: monitoring,
+            ...(status ? getOverrideOptions() : {})
         }));
     } else {
         // Fallback to API if WebSocket is not available
@@ -524,13 +659,15 @@ function sendStatusUpdate(status, monitoring) {
             },
             body: JSON.stringify({
                 status: status,
-                monitoring: monitoring
+                monitoring: monitoring,
+                ...(status ? getOverrideOptions() : {})
             })
         })
         .then(response => response.json())
         .then(data => {
             if (data.success) {
                 console.log('Status updated successfully via API');
+                renderOverride(data.override);
             } else {
                 console.error('API returned error:', data);
             }
@@ -560,6 +697,8 @@ function applyWLEDSettings() {
     .then(data => {
         if (data.success) {
             console.log('WLED settings updated successfully');
+        } else {
+            alert('Failed to apply WLED settings: ' + (data.error || 'Unknown error'));
         }
     })
     .catch(error => {
@@ -567,6 +706,16 @@ function applyWLEDSettings() {
     });
 }
 
+// Show brightness and transition changes made from any dashboard
+function updateWLEDSettingsUI(settings) {
+    if (!settings) return;
+
+    brightnessSlider.value = settings.brightness;
+    brightnessValue.textContent = settings.brightness;
+    transitionSlider.value = settings.transition;
+    transitionValue.textContent = settings.transition;
+}
+
 // Turn off WLED
 function turnOffWLED() {
     fetch('/api/wled/off', {
@@ -576,6 +725,8 @@ function turnOffWLED() {
     .then(data => {
         if (data.success) {
             console.log('WLED turned off successfully');
+        } else {
+            alert('Failed to turn off WLED: ' + (data.error || 'Unknown error'));
         }
     })
     .catch(error => {
@@ -583,6 +734,635 @@ function turnOffWLED() {
     });
 }
 
+// Show the current display mode and the team wall settings when relevant
+function updateWLEDModeUI(mode) {
+    if (!wledModeSelect) return;
+
+    wledModeSelect.value = mode;
+    teamWallSettings.classList.toggle('d-none', mode !== 'teamWall');
+    queuePressureSettings.classList.toggle('d-none', mode !== 'queuePressure');
+}
+
+// Switch the main WLED strip's display mode
+function setWLEDMode(mode) {
+    fetch('/api/wled/mode', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ mode: mode })
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            updateWLEDModeUI(data.mode);
+        } else {
+            alert('Failed to change display mode: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error changing WLED display mode:', error);
+    });
+}
+
+// Fetch the team wall settings from the API
+function fetchTeamWallSettings() {
+    fetch('/api/wled/team-wall')
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                teamWallOrder.value = data.settings.order;
+                teamWallLayout.value = data.settings.layout;
+                teamWallLeds.value = data.settings.ledsPerAgent;
+                teamWallGap.value = data.settings.gap;
+                teamWallManualOrder.value = data.settings.manualOrder.join(', ');
+            }
+        })
+        .catch(error => {
+            console.error('Error fetching team wall settings:', error);
+        });
+}
+
+// Save the team wall settings
+function saveTeamWallSettings() {
+    fetch('/api/wled/team-wall', {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            order: teamWallOrder.value,
+            layout: teamWallLayout.value,
+            ledsPerAgent: parseInt(teamWallLeds.value, 10),
+            gap: parseInt(teamWallGap.value, 10),
+            manualOrder: teamWallManualOrder.value
+        })
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (!data.success) {
+            alert('Failed to save team wall settings: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error saving team wall settings:', error);
+    });
+}
+
+// Show the latest queue pressure reading under the settings
+function renderQueuePressure(pressure) {
+    if (!pressure) return;
+
+    queuePressureReading.textContent = 'Current pressure: ' + pressure.level +
+        ' (' + pressure.waitingCalls + ' waiting, longest ' + pressure.longestWaitingSeconds + 's)';
+}
+
+// Fetch the queue pressure settings from the API
+function fetchQueuePressureSettings() {
+    fetch('/api/wled/queue-pressure')
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                queueMaxWaiting.value = data.settings.maxWaitingCalls;
+                queueWarningSeconds.value = data.settings.warningSeconds;
+                queueCriticalSeconds.value = data.settings.criticalSeconds;
+                queueLedCount.value = data.settings.ledCount;
+                renderQueuePressure(data.pressure);
+            }
+        })
+        .catch(error => {
+            console.error('Error fetching queue pressure settings:', error);
+        });
+}
+
+// Save the queue pressure settings
+function saveQueuePressureSettings() {
+    fetch('/api/wled/queue-pressure', {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            maxWaitingCalls: parseInt(queueMaxWaiting.value, 10),
+            warningSeconds: parseInt(queueWarningSeconds.value, 10),
+            criticalSeconds: parseInt(queueCriticalSeconds.value, 10),
+            ledCount: parseInt(queueLedCount.value, 10)
+        })
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            renderQueuePressure(data.pressure);
+        } else {
+            alert('Failed to save queue pressure settings: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error saving queue pressure settings:', error);
+    });
+}
+
+// Show the latest scraper recovery events
+function renderScraperRecoveries() {
+    if (!scraperRecoveriesList) return;
+
+    if (scraperRecoveries.length === 0) {
+        scraperRecoveriesList.innerHTML = '<li class="list-group-item text-muted">No recoveries yet</li>';
+        return;
+    }
+
+    const classes = { detected: 'text-warning', failed: 'text-danger', recovered: 'text-success' };
+    scraperRecoveriesList.innerHTML = scraperRecoveries.map(event => {
+        let detail = '';
+        if (event.event === 'failed') {
+            detail = ` (attempt ${event.attempt}${event.error ? ': ' + escapeHtml(event.error) : ''}; retrying in ${Math.round(event.retryInMs / 1000)}s)`;
+        } else if (event.event === 'recovered') {
+            detail = ` after ${event.attempt} attempt(s)`;
+        }
+        return `<li class="list-group-item">
+            <span class="text-muted">${new Date(event.timestamp).toLocaleString()}</span>
+            <strong class="${classes[event.event] || ''}">${escapeHtml(event.event)}</strong>
+            ${escapeHtml(event.message || event.reason)}${detail}
+        </li>`;
+    }).join('');
+}
+
+// Fetch the latest scraper recovery events from the API
+function fetchScraperRecoveries() {
+    fetch('/api/scraper/recoveries')
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                scraperRecoveries = data.events.slice().reverse().slice(0, 20);
+                renderScraperRecoveries();
+            }
+        })
+        .catch(error => {
+            console.error('Error fetching scraper recoveries:', error);
+        });
+}
+
+// Show or hide the second factor code prompt of the automatic 3CX login
+function renderMfaPrompt(prompt) {
+    if (!mfaPromptForm) return;
+
+    mfaPromptForm.classList.toggle('d-none', !prompt);
+    if (prompt) {
+        mfaPromptExpiry.textContent = `Waiting until ${new Date(prompt.expiresAt).toLocaleTimeString()}`;
+        mfaCodeInput.focus();
+    } else {
+        mfaCodeInput.value = '';
+    }
+}
+
+// Send the second factor code the automatic 3CX login is waiting for
+function submitMfaCode(event) {
+    event.preventDefault();
+
+    fetch('/api/auto-login/mfa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: mfaCodeInput.value })
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (!data.success) {
+            alert('Failed to send the code: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error sending the second factor code:', error);
+    });
+}
+
+// Offer the remote login while the web client waits for one
+function renderRemoteLogin(state) {
+    if (!remoteLoginPanel) return;
+
+    if (state.error) {
+        alert('Remote login: ' + state.error);
+    }
+    remoteLoginPanel.classList.toggle('d-none', !state.waiting);
+    if (!state.waiting) {
+        remoteLoginViewer.classList.add('d-none');
+        remoteLoginWatchButton.classList.remove('d-none');
+        remoteLoginScreen.removeAttribute('src');
+        remoteLoginPageSize = null;
+    }
+}
+
+// Start watching the login page in the server's browser
+function watchRemoteLogin() {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+    ws.send(JSON.stringify({ type: 'remoteLoginWatch', watch: true }));
+    remoteLoginWatchButton.classList.add('d-none');
+    remoteLoginViewer.classList.remove('d-none');
+    remoteLoginScreen.focus();
+}
+
+// Show a screencast frame of the login page
+function showRemoteLoginFrame(frame) {
+    if (!remoteLoginScreen) return;
+
+    remoteLoginScreen.src = `data:image/jpeg;base64,${frame.data}`;
+    remoteLoginPageSize = { width: frame.metadata.deviceWidth, height: frame.metadata.deviceHeight };
+}
+
+// Send a click, scroll or keystroke to the login page
+function sendRemoteLoginInput(input) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'remoteLoginInput', input }));
+    }
+}
+
+// Convert a position on the shown frame to page pixels
+function remoteLoginPosition(event) {
+    return {
+        x: Math.round(event.offsetX * remoteLoginPageSize.width / remoteLoginScreen.clientWidth),
+        y: Math.round(event.offsetY * remoteLoginPageSize.height / remoteLoginScreen.clientHeight)
+    };
+}
+
+// Show whether the office is open under the settings
+function renderOfficeHoursState(state) {
+    if (!state) return;
+
+    const descriptions = {
+        disabled: 'Office hours are off; the strip always shows the status',
+        hours: 'Open',
+        closed: 'Closed (outside office hours)',
+        holiday: 'Closed for ' + state.holiday
+    };
+    officeHoursState.textContent = descriptions[state.reason] || '';
+}
+
+// Fetch the office hours settings from the API
+function fetchOfficeHoursSettings() {
+    fetch('/api/office-hours')
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                officeHoursEnabled.checked = data.settings.enabled;
+                officeHoursHours.value = data.settings.hours;
+                officeHoursTimezone.value = data.settings.timeZone;
+                officeHoursClosedAction.value = data.settings.closedAction;
+                officeHoursPause.checked = data.settings.pauseMonitoring;
+                renderOfficeHoursState(data.state);
+            }
+        })
+        .catch(error => {
+            console.error('Error fetching office hours settings:', error);
+        });
+}
+
+// Save the office hours settings
+function saveOfficeHoursSettings() {
+    fetch('/api/office-hours', {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            enabled: officeHoursEnabled.checked,
+            hours: officeHoursHours.value.trim(),
+            timeZone: officeHoursTimezone.value.trim(),
+            closedAction: officeHoursClosedAction.value,
+            pauseMonitoring: officeHoursPause.checked
+        })
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            renderOfficeHoursState(data.state);
+        } else {
+            alert('Failed to save office hours settings: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error saving office hours settings:', error);
+    });
+}
+
+// Convert an RGB color object to a #rrggbb string for color inputs
+function rgbToHex(color) {
+    return '#' + [color.r, color.g, color.b]
+        .map(value => value.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Convert a #rrggbb string from a color input to an RGB color object
+function hexToRgb(hex) {
+    return {
+        r: parseInt(hex.slice(1, 3), 16),
+        g: parseInt(hex.slice(3, 5), 16),
+        b: parseInt(hex.slice(5, 7), 16)
+    };
+}
+
+// Fetch the status profiles from the API
+function fetchStatusProfiles() {
+    fetch('/api/profiles')
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                builtInStatuses = data.builtIn;
+                renderStatusProfiles(data.profiles);
+            }
+        })
+        .catch(error => {
+            console.error('Error fetching status profiles:', error);
+        });
+}
+
+// Fetch the effects and palettes the WLED device supports for the profile editor
+function fetchWLEDEffects() {
+    fetch('/api/wled/effects')
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                wledEffects = data.effects;
+                wledPalettes = data.palettes;
+                if (latestProfiles) {
+                    renderStatusProfiles(latestProfiles);
+                }
+            }
+        })
+        .catch(error => {
+            console.error('Error fetching WLED effects:', error);
+        });
+}
+
+// Render a picker for an effect or palette, or a number input if the device list is unknown
+function renderNamePicker(className, entries, selectedId) {
+    if (!entries) {
+        return `<input type="number" class="form-control form-control-sm ${className}" min="0" max="255" value="${selectedId}">`;
+    }
+
+    let html = `<select class="form-select form-select-sm ${className}">`;
+    if (!entries.some(entry => entry.id === selectedId)) {
+        html += `<option value="${selectedId}" selected>#${selectedId}</option>`;
+    }
+    entries.forEach(entry => {
+        html += `<option value="${entry.id}"${entry.id === selectedId ? ' selected' : ''}>${escapeHtml(entry.name)}</option>`;
+    });
+    html += '</select>';
+
+    return html;
+}
+
+// Read the effect settings from a profile editor row
+function readProfileEffect(row) {
+    return {
+        effectId: parseInt(row.querySelector('.profile-effect').value, 10),
+        paletteId: parseInt(row.querySelector('.profile-palette').value, 10),
+        speed: parseInt(row.querySelector('.profile-speed').value, 10),
+        intensity: parseInt(row.querySelector('.profile-intensity').value, 10)
+    };
+}
+
+// Preview the effect in a profile editor row on the WLED strip
+function previewStatusEffect(row) {
+    fetch('/api/wled/effect', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(readProfileEffect(row))
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (!data.success) {
+            alert('Failed to preview effect: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error previewing effect:', error);
+    });
+}
+
+// Render the status profile editor
+function renderStatusProfiles(profiles) {
+    if (!statusProfilesContainer) return;
+
+    latestProfiles = profiles;
+    statusColors = {};
+    Object.keys(profiles).forEach(status => {
+        statusColors[status] = profiles[status].color;
+    });
+
+    let html = '<table class="table table-sm align-middle"><thead><tr>';
+    html += '<th>Status</th><th>Color</th><th>Effect</th><th>Palette</th><th>Speed</th><th>Intensity</th><th>Brightness</th><th></th>';
+    html += '</tr></thead><tbody>';
+
+    Object.keys(profiles).forEach(status => {
+        const profile = profiles[status];
+        const builtIn = builtInStatuses.includes(status);
+
+        html += `<tr data-status="${escapeHtml(status)}">`;
+        html += `<td>${escapeHtml(statusDisplayNames[status] || status)}</td>`;
+        html += `<td><input type="color" class="form-control form-control-sm form-control-color profile-color" value="${rgbToHex(profile.color)}"></td>`;
+        html += `<td>${renderNamePicker('profile-effect', wledEffects, profile.effectId)}</td>`;
+        html += `<td>${renderNamePicker('profile-palette', wledPalettes, profile.paletteId)}</td>`;
+        html += `<td><input type="number" class="form-control form-control-sm profile-speed" min="0" max="255" value="${profile.speed}"></td>`;
+        html += `<td><input type="number" class="form-control form-control-sm profile-intensity" min="0" max="255" value="${profile.intensity}"></td>`;
+        html += `<td><input type="number" class="form-control form-control-sm profile-brightness" min="0" max="255" value="${profile.brightness === null ? '' : profile.brightness}" placeholder="Default"></td>`;
+        html += '<td class="text-nowrap">';
+        html += '<button class="btn btn-sm btn-outline-secondary preview-status-effect">Preview</button> ';
+        html += '<button class="btn btn-sm btn-outline-primary save-status-profile">Save</button> ';
+        html += `<button class="btn btn-sm btn-outline-${builtIn ? 'secondary' : 'danger'} delete-status-profile">${builtIn ? 'Reset' : 'Delete'}</button>`;
+        html += '</td></tr>';
+    });
+
+    html += '</tbody></table>';
+    statusProfilesContainer.innerHTML = html;
+
+    statusProfilesContainer.querySelectorAll('.preview-status-effect').forEach(button => {
+        button.addEventListener('click', () => previewStatusEffect(button.closest('tr')));
+    });
+    statusProfilesContainer.querySelectorAll('.save-status-profile').forEach(button => {
+        button.addEventListener('click', () => saveStatusProfile(button.closest('tr')));
+    });
+    statusProfilesContainer.querySelectorAll('.delete-status-profile').forEach(button => {
+        button.addEventListener('click', () => deleteStatusProfile(button.closest('tr').getAttribute('data-status')));
+    });
+}
+
+// Save the profile in an editor row
+function saveStatusProfile(row) {
+    const status = row.getAttribute('data-status');
+    const brightness = row.querySelector('.profile-brightness').value;
+
+    fetch(`/api/profiles/${encodeURIComponent(status)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            ...readProfileEffect(row),
+            color: hexToRgb(row.querySelector('.profile-color').value),
+            brightness: brightness === '' ? null : parseInt(brightness, 10)
+        })
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (!data.success) {
+            alert('Failed to save status profile: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error saving status profile:', error);
+    });
+}
+
+// Add a profile for a new status
+function addStatusProfile(event) {
+    event.preventDefault();
+
+    fetch('/api/profiles', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            status: document.getElementById('status-profile-name').value.trim(),
+            color: hexToRgb(document.getElementById('status-profile-color').value)
+        })
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            addStatusProfileForm.reset();
+        } else {
+            alert('Failed to add status profile: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error adding status profile:', error);
+    });
+}
+
+// Delete a custom status profile, or reset a built-in one
+function deleteStatusProfile(status) {
+    const builtIn = builtInStatuses.includes(status);
+    if (!confirm(builtIn ? `Reset the ${status} profile to its default?` : `Delete the ${status} profile?`)) return;
+
+    fetch(`/api/profiles/${encodeURIComponent(status)}`, {
+        method: 'DELETE'
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (!data.success) {
+            alert('Failed to delete status profile: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error deleting status profile:', error);
+    });
+}
+
+// Fetch registered WLED devices from the API
+function fetchWLEDDevices() {
+    fetch('/api/wled/devices')
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                renderWLEDDevices(data.devices);
+            }
+        })
+        .catch(error => {
+            console.error('Error fetching WLED devices:', error);
+        });
+}
+
+// Render the WLED device fleet with per-device health
+function renderWLEDDevices(devices) {
+    if (!wledDevicesContainer) return;
+
+    if (!devices || devices.length === 0) {
+        wledDevicesContainer.innerHTML = '<div class="alert alert-secondary">No WLED devices registered.</div>';
+        return;
+    }
+
+    let html = '<table class="table table-sm align-middle"><thead><tr>';
+    html += '<th>Name</th><th>IP Address</th><th>Extension</th><th>Showing</th><th>Health</th><th></th>';
+    html += '</tr></thead><tbody>';
+
+    devices.forEach(device => {
+        let healthBadge = '<span class="badge bg-secondary">Unknown</span>';
+        if (device.connected === true) {
+            healthBadge = '<span class="badge bg-success">Connected</span>';
+        } else if (device.connected === false) {
+            healthBadge = `<span class="badge bg-danger" title="${escapeHtml(device.error || '')}">Unreachable</span>`;
+        }
+
+        html += '<tr>';
+        html += `<td>${escapeHtml(device.name)}</td>`;
+        html += `<td>${escapeHtml(device.ipAddress)}</td>`;
+        html += `<td>${escapeHtml(device.extension)}</td>`;
+        html += `<td>${escapeHtml(statusDisplayNames[device.status] || device.status || '-')}</td>`;
+        html += `<td>${healthBadge}</td>`;
+        html += `<td><button class="btn btn-sm btn-outline-danger remove-wled-device" data-id="${escapeHtml(device.id)}">Remove</button></td>`;
+        html += '</tr>';
+    });
+
+    html += '</tbody></table>';
+    wledDevicesContainer.innerHTML = html;
+
+    wledDevicesContainer.querySelectorAll('.remove-wled-device').forEach(button => {
+        button.addEventListener('click', () => removeWLEDDevice(button.getAttribute('data-id')));
+    });
+}
+
+// Register a new WLED device
+function addWLEDDevice(event) {
+    event.preventDefault();
+
+    fetch('/api/wled/devices', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            name: document.getElementById('wled-device-name').value,
+            ipAddress: document.getElementById('wled-device-ip').value,
+            extension: document.getElementById('wled-device-extension').value
+        })
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            addWLEDDeviceForm.reset();
+            fetchWLEDDevices();
+        } else {
+            alert('Failed to add WLED device: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error adding WLED device:', error);
+    });
+}
+
+// Remove a WLED device
+function removeWLEDDevice(id) {
+    if (!confirm('Remove this WLED device?')) return;
+
+    fetch(`/api/wled/devices/${encodeURIComponent(id)}`, {
+        method: 'DELETE'
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            fetchWLEDDevices();
+        } else {
+            alert('Failed to remove WLED device: ' + (data.error || 'Unknown error'));
+        }
+    })
+    .catch(error => {
+        console.error('Error removing WLED device:', error);
+    });
+}
+
 // Test WLED connection
 function testWLEDConnection() {
     testWLEDButton.disabled = true;
@@ -832,6 +1612,8 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
   
+  clearOverrideButton.addEventListener('click', clearOverride);
+
   // Monitoring toggle handler
   monitoringToggle.addEventListener('change', () => {
     sendStatusUpdate(null, monitoringToggle.checked);
@@ -853,6 +1635,62 @@ document.addEventListener('DOMContentLoaded', () => {
   // Turn off WLED button handler
   turnOffWLEDButton.addEventListener('click', turnOffWLED);
   
+  // Display mode and team wall handlers
+  if (wledModeSelect) {
+    wledModeSelect.addEventListener('change', () => setWLEDMode(wledModeSelect.value));
+    saveTeamWallButton.addEventListener('click', saveTeamWallSettings);
+    fetchTeamWallSettings();
+    saveQueuePressureButton.addEventListener('click', saveQueuePressureSettings);
+    addStatusProfileForm.addEventListener('submit', addStatusProfile);
+    fetchStatusProfiles();
+    fetchWLEDEffects();
+    fetchQueuePressureSettings();
+  }
+
+  // Office hours handlers
+  if (saveOfficeHoursButton) {
+    saveOfficeHoursButton.addEventListener('click', saveOfficeHoursSettings);
+    fetchOfficeHoursSettings();
+  }
+
+  // Scraper recovery log
+  if (scraperRecoveriesList) {
+    fetchScraperRecoveries();
+  }
+
+  // Second factor code prompt of the automatic 3CX login
+  if (mfaPromptForm) {
+    mfaPromptForm.addEventListener('submit', submitMfaCode);
+  }
+
+  // Remote login through the screencast of the server's browser
+  if (remoteLoginPanel) {
+    remoteLoginWatchButton.addEventListener('click', watchRemoteLogin);
+    remoteLoginScreen.addEventListener('click', (event) => {
+      remoteLoginScreen.focus();
+      if (remoteLoginPageSize) {
+        sendRemoteLoginInput({ type: 'click', ...remoteLoginPosition(event) });
+      }
+    });
+    remoteLoginScreen.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      if (remoteLoginPageSize) {
+        sendRemoteLoginInput({ type: 'scroll', ...remoteLoginPosition(event), deltaY: event.deltaY });
+      }
+    });
+    remoteLoginScreen.addEventListener('keydown', (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      event.preventDefault();
+      sendRemoteLoginInput({ type: 'key', key: event.key });
+    });
+  }
+  
+  // WLED device fleet handlers
+  if (addWLEDDeviceForm) {
+    addWLEDDeviceForm.addEventListener('submit', addWLEDDevice);
+    fetchWLEDDevices();
+  }
+  
   // Update call stats button handler
   if (updateCallStatsButton) {
     updateCallStatsButton.addEventListener('click', sendCallStatsUpdate);
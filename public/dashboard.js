@@ -22,6 +22,10 @@ const lastUpdated = document.getElementById('last-updated');
 const refreshButton = document.getElementById('refresh-dashboard');
 const autoRefreshToggle = document.getElementById('auto-refresh');
 const showOfflineToggle = document.getElementById('show-offline');
+const scraperRecoveryNotice = document.getElementById('scraper-recovery-notice');
+
+// Hides the notice a while after the 3CX connection recovered
+let scraperRecoveryTimeout = null;
 
 // Status summary elements
 const availableCount = document.getElementById('available-count');
@@ -29,9 +33,27 @@ const onCallCount = document.getElementById('on-call-count');
 const dndCount = document.getElementById('dnd-count');
 const awayCount = document.getElementById('away-count');
 
+// Call trend elements
+const callTrendsResolution = document.getElementById('call-trends-resolution');
+const queueLoadChartCanvas = document.getElementById('queue-load-chart');
+const callTimesChartCanvas = document.getElementById('call-times-chart');
+
+// Time in state elements
+const timeInStateForm = document.getElementById('time-in-state-form');
+const timeInStateFrom = document.getElementById('time-in-state-from');
+const timeInStateTo = document.getElementById('time-in-state-to');
+const timeInStateBody = document.getElementById('time-in-state-body');
+const timeInStateLegend = document.getElementById('time-in-state-legend');
+
 // Auto-refresh interval (in milliseconds)
 let autoRefreshInterval = null;
 const AUTO_REFRESH_INTERVAL = 10000; // 10 seconds
+let callTrendsInterval = null;
+const CALL_TRENDS_REFRESH_INTERVAL = 60000; // 1 minute
+
+// Chart.js charts of the call statistics time series
+let queueLoadChart = null;
+let callTimesChart = null;
 
 // Global variables
 let currentTeamStatus = [];
@@ -85,6 +107,8 @@ function initWebSocket() {
                     updateTeamStatus(data.teamStatus);
                 } else if (data.type === 'callStats') {
                     updateCallStats(data.callStats);
+                } else if (data.type === 'scraperRecovery') {
+                    showScraperRecovery(data.event);
                 } else if (data.type === 'status') {
                     // Update version information if available
                     if (data.version) {
@@ -117,8 +141,13 @@ function initWebSocket() {
             }
         };
         
-        ws.onclose = () => {
+        ws.onclose = (event) => {
             console.log('WebSocket connection closed');
+            // The server refuses connections that are not signed in
+            if (event.code === 4401) {
+                redirectToLogin();
+                return;
+            }
             // Attempt to reconnect after a delay
             setTimeout(initWebSocket, 3000);
         };
@@ -362,38 +391,15 @@ function renderTeamMembers(members, container) {
     
     // Add each team member
     members.forEach(member => {
-        // Determine status color class
-        let statusClass = 'status-gray'; // Default
-        
-        if (member.color) {
-            statusClass = `status-${member.color}`;
-        } else {
-            // Determine color based on status if not provided
-            switch (member.status) {
-                case 'available':
-                    statusClass = 'status-green';
-                    break;
-                case 'onCall':
-                    statusClass = 'status-red';
-                    break;
-                case 'ringing':
-                    statusClass = 'status-yellow';
-                    break;
-                case 'dnd':
-                    statusClass = 'status-purple';
-                    break;
-                case 'away':
-                    statusClass = 'status-orange';
-                    break;
-                default:
-                    statusClass = 'status-gray';
-            }
-        }
+        // Use the status profile's color (a CSS hex color) if provided, else a class based on the status
+        const profileColor = /^#[0-9a-f]{6}$/i.test(member.color || '') ? member.color : null;
+        const statusClass = member.color && !profileColor ? `status-${member.color}` : getStatusClass(member.status);
+        const statusStyle = profileColor ? ` style="background-color: ${profileColor}"` : '';
         
         // Create HTML for the team member card
         let memberHtml = `
             <div class="team-member bg-light" data-id="${member.id || member.extension}">
-                <h4><span class="status-indicator ${statusClass}"></span> ${member.name}</h4>
+                <h4><span class="status-indicator ${statusClass}"${statusStyle}></span> ${member.name}</h4>
                 <p class="mb-1"><strong>Ext:</strong> ${member.extension} - ${getStatusDisplayName(member.status)}</p>
         `;
         
@@ -429,6 +435,26 @@ function updateCallStats(callStats) {
     updateLastUpdated();
 }
 
+// Show a scraper recovery event: a warning while 3CX is being reconnected, and a notice once it is back
+function showScraperRecovery(event) {
+    if (!scraperRecoveryNotice) return;
+
+    clearTimeout(scraperRecoveryTimeout);
+    scraperRecoveryNotice.classList.remove('d-none', 'alert-warning', 'alert-danger', 'alert-success');
+
+    if (event.event === 'recovered') {
+        scraperRecoveryNotice.classList.add('alert-success');
+        scraperRecoveryNotice.textContent = `3CX connection recovered (${event.message || event.reason}).`;
+        scraperRecoveryTimeout = setTimeout(() => scraperRecoveryNotice.classList.add('d-none'), 10000);
+    } else if (event.event === 'failed') {
+        scraperRecoveryNotice.classList.add('alert-danger');
+        scraperRecoveryNotice.textContent = `Reconnecting to 3CX failed (attempt ${event.attempt}); retrying in ${Math.round(event.retryInMs / 1000)}s. Statuses may be out of date.`;
+    } else {
+        scraperRecoveryNotice.classList.add('alert-warning');
+        scraperRecoveryNotice.textContent = `Reconnecting to 3CX: ${event.message || event.reason}. Statuses may be out of date.`;
+    }
+}
+
 // Update the last updated timestamp
 function updateLastUpdated() {
     const now = new Date();
@@ -473,6 +499,8 @@ function getStatusDisplayName(status) {
             return 'Away';
         case 'lunch':
             return 'Lunch';
+        case 'meeting':
+            return 'In a Meeting';
         case 'business-trip':
             return 'Business Trip';
         case 'offline':
@@ -482,14 +510,203 @@ function getStatusDisplayName(status) {
     }
 }
 
+// Fetch the call statistics time series at the selected resolution
+function fetchCallTrends() {
+    const resolution = callTrendsResolution.value;
+
+    fetch(`/api/call-stats/history?resolution=${resolution}`)
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                renderCallTrends(data.series, resolution);
+            } else {
+                console.error('Error loading call trends:', data.error);
+            }
+        })
+        .catch(error => {
+            console.error('Error loading call trends:', error);
+        });
+}
+
+// Format a series timestamp as a chart label for the resolution
+function formatTrendLabel(timestamp, resolution) {
+    const date = new Date(timestamp);
+    if (resolution === 'day') {
+        return date.toLocaleDateString();
+    }
+    if (resolution === 'hour') {
+        return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    }
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Create a line chart, or replace the data of an existing one
+function drawTrendChart(chart, canvas, labels, datasets, yTitle) {
+    if (typeof Chart === 'undefined') {
+        console.warn('Chart.js is not loaded; call trends are unavailable');
+        return chart;
+    }
+
+    if (chart) {
+        chart.data.labels = labels;
+        chart.data.datasets = datasets;
+        chart.update();
+        return chart;
+    }
+
+    return new Chart(canvas, {
+        type: 'line',
+        data: { labels, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: { mode: 'index', intersect: false },
+            elements: { point: { radius: 0 } },
+            scales: {
+                x: { ticks: { maxTicksLimit: 12 } },
+                y: { beginAtZero: true, title: { display: true, text: yTitle } }
+            }
+        }
+    });
+}
+
+// Draw the queue load and call time charts
+function renderCallTrends(series, resolution) {
+    const labels = series.map(point => formatTrendLabel(point.timestamp, resolution));
+
+    // Serviced and abandoned counts are running totals; chart the increase per bucket so spikes stand out
+    const increase = metric => series.map((point, index) => {
+        const previous = index > 0 ? series[index - 1].max[metric] : point.max[metric];
+        // A drop means the 3CX counters were reset; count from zero
+        return point.max[metric] >= previous ? point.max[metric] - previous : point.max[metric];
+    });
+
+    queueLoadChart = drawTrendChart(queueLoadChart, queueLoadChartCanvas, labels, [
+        { label: 'Waiting (avg)', data: series.map(point => point.average.waitingCalls), borderColor: '#ffc107', backgroundColor: '#ffc107' },
+        { label: 'Waiting (peak)', data: series.map(point => point.max.waitingCalls), borderColor: '#fd7e14', backgroundColor: '#fd7e14', borderDash: [4, 4] },
+        { label: 'Serviced', data: increase('servicedCalls'), borderColor: '#28a745', backgroundColor: '#28a745' },
+        { label: 'Abandoned', data: increase('abandonedCalls'), borderColor: '#dc3545', backgroundColor: '#dc3545' }
+    ], 'Calls');
+
+    callTimesChart = drawTrendChart(callTimesChart, callTimesChartCanvas, labels, [
+        { label: 'Average waiting', data: series.map(point => point.average.averageWaitingSeconds), borderColor: '#fd7e14', backgroundColor: '#fd7e14' },
+        { label: 'Average talking', data: series.map(point => point.average.averageTalkingSeconds), borderColor: '#0d6efd', backgroundColor: '#0d6efd' }
+    ], 'Seconds');
+}
+
+// Get the CSS color class for a status
+function getStatusClass(status) {
+    switch (status) {
+        case 'available':
+            return 'status-green';
+        case 'onCall':
+            return 'status-red';
+        case 'ringing':
+            return 'status-yellow';
+        case 'dnd':
+            return 'status-purple';
+        case 'away':
+            return 'status-orange';
+        case 'meeting':
+            return 'status-pink';
+        default:
+            return 'status-gray';
+    }
+}
+
+// Escape text for safe insertion into HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// Format a Date as the YYYY-MM-DD value of a date input
+function toDateInputValue(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Fetch the time each agent spent in each status per day
+function fetchTimeInState() {
+    const params = new URLSearchParams({ type: 'agent' });
+    if (timeInStateFrom.value) {
+        // Date inputs are local days; the API takes full timestamps
+        params.set('from', new Date(`${timeInStateFrom.value}T00:00:00`).toISOString());
+    }
+    if (timeInStateTo.value) {
+        params.set('to', new Date(`${timeInStateTo.value}T23:59:59.999`).toISOString());
+    }
+
+    fetch(`/api/history/summary?${params}`)
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                renderTimeInState(data.summary);
+            } else {
+                console.error('Error loading time in state:', data.error);
+                timeInStateBody.innerHTML = `<tr><td colspan="4" class="text-danger">${escapeHtml(data.error)}</td></tr>`;
+            }
+        })
+        .catch(error => {
+            console.error('Error loading time in state:', error);
+            timeInStateBody.innerHTML = '<tr><td colspan="4" class="text-danger">Error loading time in state.</td></tr>';
+        });
+}
+
+// Render one row per agent and day with a stacked bar of time per status
+function renderTimeInState(summary) {
+    if (!summary || summary.length === 0) {
+        timeInStateBody.innerHTML = '<tr><td colspan="4" class="text-muted text-center">No status history for this period.</td></tr>';
+        timeInStateLegend.innerHTML = '';
+        return;
+    }
+
+    const statuses = new Set();
+
+    timeInStateBody.innerHTML = summary.map(day => {
+        const entries = Object.entries(day.durations).filter(([, seconds]) => seconds > 0);
+        const total = entries.reduce((sum, [, seconds]) => sum + seconds, 0);
+
+        const bars = entries.map(([status, seconds]) => {
+            statuses.add(status);
+            const hours = (seconds / 3600).toFixed(1);
+            return `<div class="progress-bar ${getStatusClass(status)}" style="width: ${(seconds / total) * 100}%" title="${escapeHtml(getStatusDisplayName(status))}: ${hours}h"></div>`;
+        }).join('');
+
+        const hours = entries
+            .map(([status, seconds]) => `${escapeHtml(getStatusDisplayName(status))}: ${(seconds / 3600).toFixed(1)}h`)
+            .join(', ');
+
+        return `
+            <tr>
+                <td>${escapeHtml(day.date)}</td>
+                <td>${escapeHtml(day.name || '')} (${escapeHtml(day.extension)})</td>
+                <td><div class="progress time-in-state-bar">${bars}</div></td>
+                <td class="small">${hours}</td>
+            </tr>
+        `;
+    }).join('');
+
+    timeInStateLegend.innerHTML = [...statuses].map(status => `
+        <span class="me-3"><span class="status-indicator d-inline-block rounded-circle ${getStatusClass(status)}" style="width: 10px; height: 10px;"></span> ${escapeHtml(getStatusDisplayName(status))}</span>
+    `).join('');
+}
+
 // Set up auto-refresh
 function setupAutoRefresh() {
     if (autoRefreshInterval) {
         clearInterval(autoRefreshInterval);
     }
     
+    if (callTrendsInterval) {
+        clearInterval(callTrendsInterval);
+    }
+    
     if (autoRefreshToggle.checked) {
         autoRefreshInterval = setInterval(fetchDashboardData, AUTO_REFRESH_INTERVAL);
+        callTrendsInterval = setInterval(fetchCallTrends, CALL_TRENDS_REFRESH_INTERVAL);
     }
 }
 
@@ -526,6 +743,21 @@ document.addEventListener('DOMContentLoaded', () => {
     // Add event listener to show-offline toggle
     showOfflineToggle.addEventListener('change', toggleOfflineMembers);
     
+    // Load the call trends, and reload them when the resolution changes
+    callTrendsResolution.addEventListener('change', fetchCallTrends);
+    fetchCallTrends();
+    
+    // Default the time in state range to the last 7 days and load it
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 6);
+    timeInStateFrom.value = toDateInputValue(weekAgo);
+    timeInStateTo.value = toDateInputValue(new Date());
+    timeInStateForm.addEventListener('submit', event => {
+        event.preventDefault();
+        fetchTimeInState();
+    });
+    fetchTimeInState();
+    
     // Initialize version display
     updateVersionDisplay();
 });
@@ -0,0 +1,67 @@
+/**
+ * Sign-In Page - JavaScript
+ *
+ * Signs a local user in and returns to the page they came from.
+ */
+
+const loginForm = document.getElementById('login-form');
+const loginError = document.getElementById('login-error');
+
+// Only pages of this server are returned to after signing in
+function getNextPage() {
+    const next = new URLSearchParams(window.location.search).get('next') || '/';
+    return next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+// Show why signing in did not work
+function showLoginError(message) {
+    loginError.textContent = message;
+    loginError.classList.remove('d-none');
+}
+
+// Sign in with the entered user name and password
+function signIn(event) {
+    event.preventDefault();
+    loginError.classList.add('d-none');
+
+    fetch('/api/login', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            username: document.getElementById('login-username').value.trim(),
+            password: document.getElementById('login-password').value
+        })
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            window.location.href = getNextPage();
+        } else {
+            showLoginError(data.error || 'Sign-in failed');
+        }
+    })
+    .catch(error => {
+        console.error('Error signing in:', error);
+        showLoginError('Could not reach the server');
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    fetch('/api/me')
+        .then(response => response.json())
+        .then(data => {
+            if (data.user) {
+                window.location.href = getNextPage();
+            } else if (data.mode !== 'local') {
+                loginForm.classList.add('d-none');
+                showLoginError('Sign in through your organization\'s sign-in page to use this server.');
+            }
+        })
+        .catch(error => {
+            console.error('Error fetching the sign-in mode:', error);
+        });
+
+    loginForm.addEventListener('submit', signIn);
+});
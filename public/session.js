@@ -0,0 +1,55 @@
+/**
+ * Signed-In User - JavaScript
+ *
+ * Shows who is signed in, and a Sign Out button for local users, in the
+ * navbar of every page. Loaded before the page's own script.
+ */
+
+// Go to the sign-in page, coming back to this page afterwards
+function redirectToLogin() {
+    window.location.href = '/login.html?next=' + encodeURIComponent(window.location.pathname);
+}
+
+// End the session and go to the sign-in page
+function signOut() {
+    fetch('/api/logout', { method: 'POST' })
+        .catch(error => {
+            console.error('Error signing out:', error);
+        })
+        .then(redirectToLogin);
+}
+
+// Show the signed-in user in the navbar
+function renderSession(data) {
+    const container = document.getElementById('session-info');
+    if (!container || !data.user || data.mode === 'none') return;
+
+    const label = document.createElement('span');
+    label.className = 'navbar-text me-2';
+    label.textContent = data.user.username + ' (' + data.user.role + ')';
+    container.appendChild(label);
+
+    // Behind a sign-in proxy, signing out is up to the proxy
+    if (data.mode === 'local') {
+        const button = document.createElement('button');
+        button.className = 'btn btn-outline-light btn-sm';
+        button.textContent = 'Sign Out';
+        button.addEventListener('click', signOut);
+        container.appendChild(button);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    fetch('/api/me')
+        .then(response => response.json())
+        .then(data => {
+            if (data.mode !== 'none' && !data.user) {
+                redirectToLogin();
+                return;
+            }
+            renderSession(data);
+        })
+        .catch(error => {
+            console.error('Error fetching the signed-in user:', error);
+        });
+});
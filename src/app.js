@@ -10,20 +10,9 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const packageJson = require('../package.json');
-const pino = require('pino');
 
 // Initialize logger first before using it anywhere else
-const logger = pino({
-  level: process.env.LOG_LEVEL || 'info', // Default to 'info'
-  transport: {
-    target: 'pino-pretty',
-    options: {
-      colorize: true,
-      translateTime: 'SYS:yyyy-mm-dd HH:MM:ss',
-      ignore: 'pid,hostname',
-    },
-  },
-});
+const logger = require('./logger');
 
 // Force clear cache for the module we are debugging to ensure latest code is loaded
 const threeCxClientPath = require.resolve('./threecx-web-client-fixed');
@@ -32,8 +21,35 @@ if (require.cache[threeCxClientPath]) {
   logger.warn('Cleared Node.js cache for threecx-web-client-fixed.js');
 }
 
-const threeCxWebClient = require('./threecx-web-client-fixed'); // Use the fixed version
-const { updateWLED } = require('./wled-controller');
+// Status sources (web client scraper, Call Control API, ...) are loaded by name from STATUS_PROVIDERS
+const statusProviders = require('./providers');
+const {
+  updateWLED,
+  applyWLEDProfile,
+  turnOffWLED,
+  setWLEDEffect,
+  getWLEDEffects,
+  getWLEDPalettes,
+} = require('./wled-controller');
+const wledSettings = require('./wled-settings');
+const wledDevices = require('./wled-devices');
+const teamWall = require('./team-wall');
+const statusProfiles = require('./status-profiles');
+const queuePressure = require('./queue-pressure');
+const statusHistory = require('./status-history');
+const callStatsHistory = require('./call-stats-history');
+const statusOverride = require('./status-override');
+const officeHours = require('./office-hours');
+const auth = require('./auth');
+const auditLog = require('./audit-log');
+const webhooks = require('./webhooks');
+const mqttBridge = require('./mqtt-bridge');
+const metrics = require('./metrics');
+const health = require('./health');
+const scraperSupervisor = require('./scraper-supervisor');
+const autoLogin = require('./auto-login');
+const remoteLogin = require('./remote-login');
+const selectorProfiles = require('./selector-profiles');
 
 // Application version from package.json
 const APP_VERSION = packageJson.version;
@@ -53,19 +69,74 @@ const config = {
   // WLED Configuration
   wled: {
     ipAddress: process.env.WLED_IP_ADDRESS,
-    brightness: parseInt(process.env.WLED_BRIGHTNESS || '128', 10),
-    transition: parseInt(process.env.WLED_TRANSITION || '1000', 10),
-    statusColors: {
-      available: { r: 0, g: 255, b: 0 }, // Green for available
-      ringing: { r: 255, g: 255, b: 0 }, // Yellow for ringing
-      onCall: { r: 255, g: 0, b: 0 }, // Red for on a call
-      dnd: { r: 128, g: 0, b: 128 }, // Purple for do not disturb
-      away: { r: 255, g: 165, b: 0 }, // Orange for away
-      offline: { r: 0, g: 0, b: 255 }, // Blue for offline
-    },
+    // Brightness and transition live in `wled-settings.js`
+    // What the main strip shows: the user's status, the whole team's, or the queue backlog
+    mode: process.env.WLED_MODE || 'status',
   },
 };
 
+// How long an effect preview stays on the main strip
+const EFFECT_PREVIEW_DURATION = 5000;
+
+// Display modes supported by the main WLED strip
+const WLED_MODES = ['status', 'teamWall', 'queuePressure'];
+
+// Audit log actions of the API routes that change something or act on 3CX
+const AUDITED_ROUTES = {
+  'POST /api/login': 'user.login',
+  'POST /api/logout': 'user.logout',
+  'POST /api/users': 'user.add',
+  'PUT /api/users/:username': 'user.update',
+  'DELETE /api/users/:username': 'user.remove',
+  'POST /api/status': 'override.set',
+  'POST /api/override': 'override.set',
+  'DELETE /api/override': 'override.clear',
+  'POST /api/teamStatus/:id': 'teamMember.status',
+  'POST /api/call-stats': 'callStats.update',
+  'POST /api/wled/test': 'wled.test',
+  'POST /api/wled/effect': 'wled.effectPreview',
+  'POST /api/wled/settings': 'wled.settings',
+  'POST /api/wled/off': 'wled.off',
+  'POST /api/wled/mode': 'wled.mode',
+  'PUT /api/wled/team-wall': 'wled.teamWall',
+  'PUT /api/wled/queue-pressure': 'wled.queuePressure',
+  'PUT /api/office-hours': 'officeHours.update',
+  'POST /api/profiles': 'profile.add',
+  'PUT /api/profiles/:status': 'profile.update',
+  'DELETE /api/profiles/:status': 'profile.remove',
+  'POST /api/wled/devices': 'device.add',
+  'DELETE /api/wled/devices/:id': 'device.remove',
+  'POST /api/webhooks': 'webhook.add',
+  'PUT /api/webhooks/:id': 'webhook.update',
+  'DELETE /api/webhooks/:id': 'webhook.remove',
+  'POST /api/webhooks/:id/test': 'webhook.test',
+  'PUT /api/auto-login/credentials': 'threecx.credentials',
+  'DELETE /api/auto-login/credentials': 'threecx.credentialsRemove',
+  'POST /api/auto-login/mfa': 'threecx.mfaCode',
+  'POST /api/reset-auth': 'threecx.resetAuth',
+  'GET /api/take-screenshot': 'threecx.screenshot',
+};
+
+// Audit log actions of the WebSocket message types that change something
+const AUDITED_MESSAGES = {
+  status: 'override.set',
+  clearManualOverride: 'override.clear',
+  wled: 'wled.settings',
+  callStats: 'callStats.update',
+  remoteLoginWatch: 'threecx.remoteLogin',
+};
+
+// Least privileged role that may send each WebSocket message type; the others need 'viewer'
+const WS_MESSAGE_ROLES = {
+  status: 'agent',
+  clearManualOverride: 'agent',
+  wled: 'supervisor',
+  callStats: 'supervisor',
+  requestDebug: 'supervisor',
+  remoteLoginWatch: 'admin',
+  remoteLoginInput: 'admin',
+};
+
 // Create Express app
 const app = express();
 
@@ -73,6 +144,24 @@ const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Pages and screenshots need a signed-in user; the sign-in page, scripts and styles do not
+const PAGE_ROLES = { '/': 'viewer', '/index.html': 'viewer', '/dashboard.html': 'viewer' };
+app.use((req, res, next) => {
+  const role = req.path.startsWith('/screenshots/') ? 'admin' : PAGE_ROLES[req.path];
+  if (!role) {
+    return next();
+  }
+
+  const user = auth.authenticate(req);
+  if (!user) {
+    return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  if (!auth.hasRole(user, role)) {
+    return res.status(403).send(`This needs the ${role} role`);
+  }
+  next();
+});
+
 // Serve static files from the public directory
 const path = require('path');
 app.use(express.static(path.join(__dirname, '..', 'public')));
@@ -106,6 +195,12 @@ const clients = new Set();
 let currentStatus = 'offline';
 let isMonitoring = true;
 
+// Set by "Turn Off WLED"; the main strip stays dark until settings are applied or the mode changes
+let wledPoweredOff = false;
+
+// Set outside office hours; the main strip shows the closed preset or stays dark until the office opens
+let officeClosed = false;
+
 // --- State Variables ---
 // Store latest call stats obtained from 3CX or manual input
 let latestCallStats = {
@@ -131,10 +226,175 @@ let latestAgentStatuses = [];
 // Store latest debug info from 3CX scraper
 let latestDebugInfo = {};
 
-// Variables to track manual status override
-let manualStatusOverride = false;
-let manualStatusTimestamp = 0;
-const MANUAL_OVERRIDE_TIMEOUT = 15 * 60 * 1000; // 15 minutes in milliseconds
+// Latest status from the status providers, shown again when a manual override ends
+let latestProviderStatus = null;
+
+// A manual override wins over the providers; follow its transitions
+statusOverride.onChange(handleOverrideChange);
+
+// Recoveries of the 3CX web client are shown on the control panel and team dashboard
+scraperSupervisor.onRecovery(broadcastScraperRecovery);
+
+// Second factor codes for the automatic 3CX login are asked for on the control panel
+autoLogin.onMfaPrompt(broadcastMfaPrompt);
+
+// A headless login is finished by an admin watching the page on the control panel
+remoteLogin.onRemoteLogin(broadcastRemoteLogin);
+remoteLogin.onFrame(sendRemoteLoginFrame);
+
+// The gauges on /metrics read the current state when Prometheus scrapes
+metrics.setSources({
+  getClientCount: () => clients.size,
+  getCallStats: () => latestCallStats,
+  getAgentStatuses: () => teamStatus,
+  getUserStatus: () => currentStatus,
+});
+
+// Commands from the MQTT bridge (e.g., Home Assistant) do what the matching API routes do
+const mqttCommands = {
+  setStatus: (request) => statusOverride.setOverride({ ...request, source: 'mqtt' }),
+  clearStatus: () => statusOverride.clearOverride(),
+  setLight: switchWLEDFromCommand,
+  setMode: changeWLEDMode,
+  getStatuses: () => Object.keys(statusProfiles.getProfiles()).filter((status) => status !== 'closed'),
+  getModes: () => WLED_MODES,
+};
+
+// Record audited routes once the response is sent, successful or not
+app.use('/api', (req, res, next) => {
+  res.on('finish', () => {
+    const action = req.route && AUDITED_ROUTES[`${req.method} ${req.route.path}`];
+    if (!action) {
+      return;
+    }
+
+    const user = req.user || auth.authenticate(req);
+    // Signing in is done by the user named in the request, not yet by a session
+    const actor = action === 'user.login' ? req.body && req.body.username : user && user.username;
+    auditLog.recordAction({
+      action,
+      actor,
+      role: user ? user.role : null,
+      ip: auth.getClientAddress(req),
+      target: Object.values(req.params || {})[0] || null,
+      payload: req.method === 'GET' ? req.query : req.body,
+      success: res.statusCode < 400,
+      statusCode: res.statusCode,
+    });
+  });
+  next();
+});
+
+// Sign in with a local user and password
+app.post('/api/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ success: false, error: 'User name and password are required' });
+  }
+
+  try {
+    const session = await auth.login(username, password, auth.getRemoteAddress(req));
+    res.setHeader('Set-Cookie', auth.sessionCookie(session.token));
+    res.json({ success: true, user: session.user, expiresAt: session.expiresAt });
+  } catch (error) {
+    res.status(401).json({ success: false, error: error.message });
+  }
+});
+
+// Sign out of the current session
+app.post('/api/logout', (req, res) => {
+  const token = auth.getSessionToken(req);
+  if (token) {
+    auth.logout(token);
+  }
+  res.setHeader('Set-Cookie', auth.sessionCookie(null));
+  res.json({ success: true });
+});
+
+// Who is signed in, if anyone, and how people sign in
+app.get('/api/me', (req, res) => {
+  res.json({ success: true, mode: auth.config.mode, user: auth.authenticate(req), roles: auth.ROLES });
+});
+
+// Every other API route needs at least the viewer role; changes need more, per route
+app.use('/api', auth.requireRole('viewer'));
+
+// List the local users
+app.get('/api/users', auth.requireRole('admin'), (req, res) => {
+  res.json({ success: true, users: auth.listUsers() });
+});
+
+// Add a local user
+app.post('/api/users', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const user = await auth.addUser(req.body);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Change a local user's password, role or extension
+app.put('/api/users/:username', auth.requireRole('admin'), async (req, res) => {
+  let user;
+  try {
+    user = await auth.updateUser(req.params.username, req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (!user) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+  res.json({ success: true, user });
+});
+
+// Remove a local user
+app.delete('/api/users/:username', auth.requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await auth.removeUser(req.params.username))) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Query the audit log, as JSON or (with `format=csv`) as a CSV download
+app.get('/api/audit', auth.requireRole('admin'), async (req, res) => {
+  const { format, ...query } = req.query;
+  let entries;
+  try {
+    entries = await auditLog.queryAudit(query);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+    return res.send(auditLog.toCsv(entries));
+  }
+  res.json({ success: true, entries });
+});
+
+// Liveness and readiness for Docker, systemd and load balancers: 200 when ok, 503 with the failing components otherwise
+app.get('/healthz', async (req, res) => {
+  const report = await health.checkLiveness();
+  res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+app.get('/readyz', async (req, res) => {
+  const report = await health.checkReadiness();
+  res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+// Prometheus metrics (scrape with an API token when sign-in is on)
+app.get('/metrics', auth.requireRole('viewer'), async (req, res) => {
+  res.setHeader('Content-Type', metrics.register.contentType);
+  res.send(await metrics.register.metrics());
+});
 
 // API routes
 app.get('/api/status', async (req, res) => {
@@ -153,7 +413,9 @@ app.get('/api/status', async (req, res) => {
   res.json({
     status: currentStatus,
     monitoring: isMonitoring,
-    wledConfig: config.wled,
+    override: statusOverride.getOverride(),
+    officeHours: officeHours.getState(),
+    wledConfig: { ...config.wled, ...wledSettings.getSettings(), poweredOff: wledPoweredOff },
     wledStatus: wledStatus,
     wledConnected: wledStatus !== null,
     callStats: latestCallStats,
@@ -164,7 +426,7 @@ app.get('/api/status', async (req, res) => {
 });
 
 // Add a debug endpoint to get window monitoring information
-app.get('/api/debug', (req, res) => {
+app.get('/api/debug', auth.requireRole('supervisor'), (req, res) => {
   res.json({
     debugInfo: latestDebugInfo || {},
     status: currentStatus,
@@ -181,7 +443,7 @@ app.get('/api/callStats', (req, res) => {
 });
 
 // Add endpoint to update call stats manually
-app.post('/api/call-stats', (req, res) => {
+app.post('/api/call-stats', auth.requireRole('supervisor'), (req, res) => {
   const newCallStats = req.body;
 
   // Validate call stats data
@@ -198,9 +460,13 @@ app.post('/api/call-stats', (req, res) => {
     lastUpdated: new Date().toISOString(),
     source: 'manual',
   };
+  callStatsHistory.recordCallStats(latestCallStats);
 
   // Broadcast updated call stats to all clients
   broadcastCallStats(latestCallStats);
+  if (config.wled.mode === 'queuePressure') {
+    updateWLEDWithQueuePressure();
+  }
 
   res.json({
     success: true,
@@ -208,6 +474,17 @@ app.post('/api/call-stats', (req, res) => {
   });
 });
 
+// Add endpoint to get the call statistics time series
+app.get('/api/call-stats/history', (req, res) => {
+  try {
+    const resolution = req.query.resolution || 'minute';
+    const series = callStatsHistory.getSeries({ ...req.query, resolution });
+    res.json({ success: true, resolution, series });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Add endpoint to get team status
 app.get('/api/teamStatus', (req, res) => {
   // If we have no team status but have agent statuses, use those instead
@@ -221,58 +498,111 @@ app.get('/api/teamStatus', (req, res) => {
 });
 
 // Add endpoint to update team member status
-app.post('/api/teamStatus/:id', (req, res) => {
+app.post('/api/teamStatus/:id', auth.requireRole('agent'), (req, res) => {
   const { id } = req.params;
   const { status } = req.body;
 
   const teamMember = teamStatus.find((member) => member.id === id);
+  // Agents may only change their own status; supervisors may change anyone's
+  if (
+    teamMember &&
+    !auth.hasRole(req.user, 'supervisor') &&
+    (!req.user.extension || String(teamMember.extension) !== req.user.extension)
+  ) {
+    return res
+      .status(403)
+      .json({ success: false, error: "Only a supervisor can change a colleague's status" });
+  }
   if (teamMember) {
     teamMember.status = status;
     teamMember.color = getColorForStatus(status);
+    statusHistory.recordAgentStatuses([teamMember], 'api');
     broadcastTeamStatus();
+    syncDevicesWithAgents([teamMember]);
+    if (config.wled.mode === 'teamWall') {
+      updateWLEDWithTeamWall();
+    }
     res.json({ success: true, teamMember });
   } else {
     res.status(404).json({ success: false, error: 'Team member not found' });
   }
 });
 
+// Add endpoint to list the status providers and which one's status is in use
+app.get('/api/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: statusProviders.getProviderStates(),
+    available: statusProviders.PROVIDER_NAMES,
+  });
+});
+
+// Add endpoint for other programs (e.g., the Windows clients) to push a status
+app.post('/api/providers/push/status', auth.requireRole('agent'), (req, res) => {
+  const pushProvider = statusProviders.getProvider('push');
+  if (!pushProvider) {
+    return res
+      .status(404)
+      .json({ success: false, error: 'The push provider is not enabled in STATUS_PROVIDERS' });
+  }
+
+  try {
+    pushProvider.report(req.body);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Add endpoint to query the status history
+app.get('/api/history', async (req, res) => {
+  try {
+    const history = await statusHistory.queryHistory(req.query);
+    res.json({ success: true, history });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Add endpoint to get the time spent in each status per day
+app.get('/api/history/summary', async (req, res) => {
+  try {
+    const summary = await statusHistory.summarizeTimeInState(req.query);
+    res.json({ success: true, summary });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 /**
- * Determines the CSS color name based on a given status string.
+ * Determines the CSS color of a status from its status profile, so the team
+ * status shows the same color as the WLED strip, including custom statuses.
  * Used for frontend display purposes (e.g., in team status).
  *
  * @function getColorForStatus
  * @param {string} status - The status string (e.g., 'available', 'onCall').
- * @returns {string} The corresponding CSS color name (e.g., 'green', 'red') or 'gray' for unknown statuses.
+ * @returns {string} The profile's color as a CSS hex color (e.g., '#00ff00'), or 'gray' for statuses without a profile.
  */
 function getColorForStatus(status) {
-  switch (status) {
-    case 'available':
-      return 'green';
-    case 'ringing':
-      return 'yellow';
-    case 'onCall':
-      return 'red';
-    case 'dnd':
-      return 'purple';
-    case 'away':
-      return 'orange';
-    case 'offline':
-      return 'blue';
-    default:
-      return 'gray';
+  if (!statusProfiles.hasProfile(status)) {
+    return 'gray';
   }
+
+  const { r, g, b } = statusProfiles.getProfile(status).color;
+  return `#${[r, g, b].map((value) => value.toString(16).padStart(2, '0')).join('')}`;
 }
 
-app.post('/api/status', async (req, res) => {
-  const { status, monitoring } = req.body;
+app.post('/api/status', auth.requireRole('agent'), async (req, res) => {
+  const { status, monitoring, reason, durationMinutes, untilCleared } = req.body;
 
+  // A manual status is an override, so the next provider update does not replace it
   if (status) {
     logger.info(`Manual status update: ${status}`);
-    currentStatus = status;
-    broadcastStatus();
-
-    // Update WLED based on status
-    updateWLEDWithStatus(status);
+    try {
+      statusOverride.setOverride({ status, reason, durationMinutes, untilCleared, source: 'api' });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
   }
 
   if (monitoring !== undefined) {
@@ -280,7 +610,26 @@ app.post('/api/status', async (req, res) => {
     broadcastStatus();
   }
 
-  res.json({ success: true });
+  res.json({ success: true, override: statusOverride.getOverride() });
+});
+
+// Add endpoints to read, set and clear the manual status override
+app.get('/api/override', (req, res) => {
+  res.json({ success: true, override: statusOverride.getOverride() });
+});
+
+app.post('/api/override', auth.requireRole('agent'), (req, res) => {
+  try {
+    const override = statusOverride.setOverride({ ...req.body, source: 'api' });
+    res.json({ success: true, override });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/override', auth.requireRole('agent'), (req, res) => {
+  const cleared = statusOverride.clearOverride();
+  res.json({ success: true, cleared });
 });
 
 // Add WLED status endpoint
@@ -304,18 +653,15 @@ app.get('/api/wled/status', async (req, res) => {
 });
 
 // Add endpoint to test WLED connection
-app.post('/api/wled/test', async (req, res) => {
+app.post('/api/wled/test', auth.requireRole('supervisor'), async (req, res) => {
   try {
     const { updateWLED } = require('./wled-controller');
     // Flash white briefly to test connection
     const success = await updateWLED({ r: 255, g: 255, b: 255 });
 
-    // Wait 1 second and restore current status color
+    // Wait 1 second and restore what the strip was showing
     setTimeout(async () => {
-      const color =
-        config.wled.statusColors[currentStatus] ||
-        config.wled.statusColors.offline;
-      await updateWLED(color);
+      await applyWLEDMode();
     }, 1000);
 
     res.json({ success: success });
@@ -325,25 +671,422 @@ app.post('/api/wled/test', async (req, res) => {
   }
 });
 
+// List the effects and palettes the main WLED strip supports, for the profile editor
+app.get('/api/wled/effects', async (req, res) => {
+  const [effects, palettes] = await Promise.all([getWLEDEffects(), getWLEDPalettes()]);
+  if (!effects || !palettes) {
+    return res.status(502).json({
+      success: false,
+      error: 'Could not read the effect list from the WLED device',
+    });
+  }
+
+  res.json({ success: true, effects, palettes });
+});
+
+// Preview an effect on the main WLED strip for a few seconds
+app.post('/api/wled/effect', auth.requireRole('supervisor'), async (req, res) => {
+  const effect = {};
+  for (const field of ['effectId', 'paletteId', 'speed', 'intensity']) {
+    const value = (req.body || {})[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 0 || value > 255) {
+      return res
+        .status(400)
+        .json({ success: false, error: `${field} must be a whole number from 0 to 255` });
+    }
+    effect[field] = value;
+  }
+  if (effect.effectId === undefined) {
+    return res.status(400).json({ success: false, error: 'effectId is required' });
+  }
+
+  const success = await setWLEDEffect(effect);
+
+  // Restore what the strip was showing
+  setTimeout(async () => {
+    await applyWLEDMode();
+  }, EFFECT_PREVIEW_DURATION);
+
+  res.json({ success });
+});
+
+// Change the brightness and transition time of the main WLED strip
+app.post('/api/wled/settings', auth.requireRole('supervisor'), async (req, res) => {
+  let result;
+  try {
+    result = await wledSettings.updateSettings(req.body);
+  } catch (error) {
+    logger.warn(`Rejected WLED settings: ${error.message}`);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (!result.applied) {
+    broadcastWLEDStatus(false, 'WLED device did not accept the new settings');
+    return res.status(502).json({
+      success: false,
+      error: 'WLED device did not accept the new settings',
+      settings: result.settings,
+    });
+  }
+
+  // Applying settings turns a switched-off strip back on
+  if (wledPoweredOff) {
+    wledPoweredOff = false;
+    await applyWLEDMode();
+  }
+  broadcastWLEDSettings();
+
+  res.json({ success: true, settings: result.settings });
+});
+
+// Turn off the main WLED strip
+app.post('/api/wled/off', auth.requireRole('supervisor'), async (req, res) => {
+  const success = await turnOffWLED();
+  if (success) {
+    wledPoweredOff = true;
+  }
+
+  broadcastWLEDStatus(success, success ? null : 'Could not turn off the WLED device');
+  broadcastWLEDSettings();
+
+  if (!success) {
+    return res
+      .status(502)
+      .json({ success: false, error: 'Could not turn off the WLED device' });
+  }
+  res.json({ success: true });
+});
+
+// Get the office hours settings and whether the office is open
+app.get('/api/office-hours', (req, res) => {
+  res.json({
+    success: true,
+    settings: officeHours.getSettings(),
+    state: officeHours.getState(),
+    closedActions: officeHours.CLOSED_ACTIONS,
+  });
+});
+
+// Update the office hours settings (the schedule is checked again right away)
+app.put('/api/office-hours', auth.requireRole('supervisor'), async (req, res) => {
+  let settings;
+  try {
+    settings = await officeHours.updateSettings(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  // A changed closed action applies right away if the office is closed
+  if (officeClosed) {
+    await applyWLEDMode();
+  }
+
+  res.json({ success: true, settings, state: officeHours.getState() });
+});
+
+// Get the display mode of the main WLED strip
+app.get('/api/wled/mode', (req, res) => {
+  res.json({ success: true, mode: config.wled.mode, modes: WLED_MODES });
+});
+
+// Switch what the main WLED strip shows (status, team wall or queue pressure)
+app.post('/api/wled/mode', auth.requireRole('supervisor'), async (req, res) => {
+  const { mode } = req.body || {};
+  let success;
+  try {
+    success = await changeWLEDMode(mode);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  res.json({ success: true, mode, applied: success });
+});
+
+// Get the team wall settings and the current agent-to-segment layout
+app.get('/api/wled/team-wall', (req, res) => {
+  res.json({
+    success: true,
+    settings: teamWall.getSettings(),
+    layout: teamWall.getLayout(),
+    orders: teamWall.ORDERS,
+    layouts: teamWall.LAYOUTS,
+  });
+});
+
+// Update the team wall settings (order, manual order, layout, LEDs per agent)
+app.put('/api/wled/team-wall', auth.requireRole('supervisor'), async (req, res) => {
+  let settings;
+  try {
+    settings = await teamWall.updateSettings(req.body);
+  } catch (error) {
+    logger.warn(`Rejected team wall settings: ${error.message}`);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (config.wled.mode === 'teamWall') {
+    await applyWLEDMode();
+  }
+
+  res.json({ success: true, settings, layout: teamWall.getLayout() });
+});
+
+// Get the queue pressure thresholds and the latest pressure reading
+app.get('/api/wled/queue-pressure', (req, res) => {
+  res.json({
+    success: true,
+    settings: queuePressure.getSettings(),
+    pressure: queuePressure.evaluatePressure(latestCallStats),
+  });
+});
+
+// Update the queue pressure thresholds (max waiting calls, warning/critical seconds, LED count)
+app.put('/api/wled/queue-pressure', auth.requireRole('supervisor'), async (req, res) => {
+  let settings;
+  try {
+    settings = await queuePressure.updateSettings(req.body);
+  } catch (error) {
+    logger.warn(`Rejected queue pressure settings: ${error.message}`);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (config.wled.mode === 'queuePressure') {
+    await applyWLEDMode();
+  }
+
+  res.json({
+    success: true,
+    settings,
+    pressure: queuePressure.evaluatePressure(latestCallStats),
+  });
+});
+
+// List all status profiles (color, effect, palette, speed, intensity, brightness)
+app.get('/api/profiles', (req, res) => {
+  res.json({
+    success: true,
+    profiles: statusProfiles.getProfiles(),
+    builtIn: statusProfiles.BUILT_IN_STATUSES,
+  });
+});
+
+// Get the profile for one status
+app.get('/api/profiles/:status', (req, res) => {
+  const profiles = statusProfiles.getProfiles();
+  if (!profiles[req.params.status]) {
+    return res.status(404).json({ success: false, error: 'Status profile not found' });
+  }
+
+  res.json({ success: true, status: req.params.status, profile: profiles[req.params.status] });
+});
+
+// Create a profile for a new status
+app.post('/api/profiles', auth.requireRole('supervisor'), async (req, res) => {
+  const { status, ...profile } = req.body || {};
+  if (statusProfiles.getProfiles()[status]) {
+    return res
+      .status(400)
+      .json({ success: false, error: `A profile for "${status}" already exists` });
+  }
+
+  let saved;
+  try {
+    saved = await statusProfiles.saveProfile(status, profile);
+  } catch (error) {
+    logger.warn(`Rejected status profile: ${error.message}`);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  applyProfileChange();
+  res.status(201).json({ success: true, status, profile: saved });
+});
+
+// Update the profile for a status
+app.put('/api/profiles/:status', auth.requireRole('supervisor'), async (req, res) => {
+  const { status } = req.params;
+  if (!statusProfiles.getProfiles()[status]) {
+    return res.status(404).json({ success: false, error: 'Status profile not found' });
+  }
+
+  let saved;
+  try {
+    saved = await statusProfiles.saveProfile(status, req.body);
+  } catch (error) {
+    logger.warn(`Rejected status profile: ${error.message}`);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  applyProfileChange();
+  res.json({ success: true, status, profile: saved });
+});
+
+// Delete a custom status profile, or reset a built-in one to its default
+app.delete('/api/profiles/:status', auth.requireRole('supervisor'), async (req, res) => {
+  const { status } = req.params;
+  const result = await statusProfiles.deleteProfile(status);
+  if (result === false) {
+    return res.status(404).json({ success: false, error: 'Status profile not found' });
+  }
+
+  applyProfileChange();
+  res.json({ success: true, status, profile: result });
+});
+
+// List registered WLED devices with their latest health
+app.get('/api/wled/devices', (req, res) => {
+  res.json({ success: true, devices: wledDevices.getDeviceHealth() });
+});
+
+// Register a WLED device and bind it to a 3CX extension
+app.post('/api/wled/devices', auth.requireRole('admin'), async (req, res) => {
+  const { ipAddress, extension, name } = req.body || {};
+
+  let device;
+  try {
+    device = await wledDevices.addDevice({ ipAddress, extension, name });
+  } catch (error) {
+    logger.warn(`Rejected WLED device registration: ${error.message}`);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  // Show the bound agent's current status straight away if we know it
+  const agent = findAgentByExtension(device.extension);
+  if (agent) {
+    await updateDeviceWithStatus(device, agent.status);
+  }
+  broadcastWLEDStatus(true);
+
+  res.status(201).json({ success: true, device });
+});
+
+// Remove a WLED device from the registry
+app.delete('/api/wled/devices/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await wledDevices.removeDevice(req.params.id);
+    if (!removed) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'WLED device not found' });
+    }
+
+    broadcastWLEDStatus(true);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing WLED device:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List the webhooks (secrets masked) and the events they can subscribe to
+app.get('/api/webhooks', auth.requireRole('admin'), (req, res) => {
+  res.json({ success: true, webhooks: webhooks.listWebhooks(), events: webhooks.EVENTS });
+});
+
+// Register a webhook; the response is the only one that includes the full secret
+app.post('/api/webhooks', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await webhooks.addWebhook(req.body);
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Change a webhook's name, URL, secret, events or enabled flag
+app.put('/api/webhooks/:id', auth.requireRole('admin'), async (req, res) => {
+  let webhook;
+  try {
+    webhook = await webhooks.updateWebhook(req.params.id, req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (!webhook) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json({ success: true, webhook });
+});
+
+// Remove a webhook
+app.delete('/api/webhooks/:id', auth.requireRole('admin'), async (req, res) => {
+  if (!(await webhooks.removeWebhook(req.params.id))) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json({ success: true });
+});
+
+// Send a test `ping` event to a webhook
+app.post('/api/webhooks/:id/test', auth.requireRole('admin'), (req, res) => {
+  const delivery = webhooks.testWebhook(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json({ success: true, delivery });
+});
+
+// List the latest webhook deliveries, newest first
+app.get('/api/webhooks/deliveries', auth.requireRole('admin'), (req, res) => {
+  res.json({ success: true, deliveries: webhooks.getDeliveries(req.query) });
+});
+
+// Get the scraper supervisor's state and its latest recovery events
+app.get('/api/scraper/recoveries', (req, res) => {
+  res.json({ success: true, ...scraperSupervisor.getSupervisorState() });
+});
+
+// Get the selector profiles of the 3CX web UI, in the order they are tried, and the one in use
+app.get('/api/scraper/selector-profiles', (req, res) => {
+  res.json({ success: true, ...selectorProfiles.getSelectorProfileState() });
+});
+
+// Get the automatic 3CX login settings, stored user name and pending code prompt (never the secrets)
+app.get('/api/auto-login', auth.requireRole('admin'), async (req, res) => {
+  res.json({ success: true, ...(await autoLogin.getAutoLoginState()) });
+});
+
+// Store the 3CX credentials used by the automatic login in the secrets vault
+app.put('/api/auto-login/credentials', auth.requireRole('admin'), async (req, res) => {
+  try {
+    await autoLogin.saveCredentials(req.body);
+    res.json({ success: true, ...(await autoLogin.getAutoLoginState()) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Remove the stored 3CX credentials
+app.delete('/api/auto-login/credentials', auth.requireRole('admin'), async (req, res) => {
+  try {
+    await autoLogin.removeCredentials();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Enter the second factor code the automatic 3CX login is waiting for
+app.post('/api/auto-login/mfa', auth.requireRole('supervisor'), (req, res) => {
+  try {
+    autoLogin.submitMfaCode(req.body && req.body.code);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Add endpoint to reset 3CX authentication
-app.post('/api/reset-auth', async (req, res) => {
+app.post('/api/reset-auth', auth.requireRole('admin'), async (req, res) => {
   try {
     logger.info('API request received: Reset 3CX authentication');
 
-    // Stop monitoring before resetting
-    logger.info('Stopping 3CX monitoring...');
-    threeCxWebClient.stopMonitoring();
-
-    // Reset authentication
+    // Each provider stops monitoring, resets and restarts monitoring
     logger.info('Calling resetAuthentication()...');
-    const resetResult = await threeCxWebClient.resetAuthentication();
+    const resetResult = await statusProviders.resetAuthentication();
     logger.info('Reset authentication result:', resetResult);
 
     if (resetResult) {
-      // Restart monitoring
-      logger.info('Restarting 3CX monitoring...');
-      threeCxWebClient.startMonitoring(handleStatusChange);
-
       logger.info('Authentication reset successful');
       res.json({
         success: true,
@@ -361,12 +1104,12 @@ app.post('/api/reset-auth', async (req, res) => {
 });
 
 // Add endpoint to take a screenshot of the 3CX web interface
-app.get('/api/take-screenshot', async (req, res) => {
+app.get('/api/take-screenshot', auth.requireRole('admin'), async (req, res) => {
   try {
     logger.info('Taking screenshot of 3CX web interface...');
 
     // Take screenshot
-    const screenshotPath = await threeCxWebClient.takeScreenshot();
+    const screenshotPath = await statusProviders.takeScreenshot();
 
     if (screenshotPath) {
       res.json({ success: true, screenshotPath });
@@ -382,7 +1125,16 @@ app.get('/api/take-screenshot', async (req, res) => {
 // WebSocket connection handling
 wss.on('connection', (ws, req) => {
   const ip = req.socket.remoteAddress;
-  logger.info(`WebSocket connection established from ${ip}`);
+
+  // The upgrade request carries the session cookie, proxy header or API token
+  const user = auth.authenticate(req);
+  if (!user) {
+    logger.warn(`Refused WebSocket connection from ${ip}: not signed in`);
+    ws.close(4401, 'Sign in required');
+    return;
+  }
+  ws.user = user;
+  logger.info(`WebSocket connection established from ${ip} (${user.username}, ${user.role})`);
 
   // Add client to the list with timestamp and ID
   const clientId =
@@ -427,7 +1179,9 @@ wss.on('connection', (ws, req) => {
 
   // Send initial debug info
   try {
-    sendDebugInfo(ws);
+    if (auth.hasRole(user, 'supervisor')) {
+      sendDebugInfo(ws);
+    }
   } catch (error) {
     logger.error(
       `Error sending initial debug info to client ${clientId}:`,
@@ -435,6 +1189,16 @@ wss.on('connection', (ws, req) => {
     );
   }
 
+  // So the control panel offers the remote login while the web client waits for one
+  if (remoteLogin.getRemoteLoginState().waiting) {
+    ws.send(JSON.stringify({ type: 'remoteLogin', event: 'waiting', ...remoteLogin.getRemoteLoginState() }));
+  }
+
+  // A code prompt of the automatic 3CX login stays open until it is answered or expires
+  if (autoLogin.getMfaPrompt()) {
+    ws.send(JSON.stringify({ type: 'mfaPrompt', event: 'requested', prompt: autoLogin.getMfaPrompt() }));
+  }
+
   // Send initial call stats if available
   if (lastCallStats) {
     try {
@@ -464,6 +1228,32 @@ wss.on('connection', (ws, req) => {
         return;
       }
 
+      // Checked again for every message, so signing out or a role change applies at once
+      const requiredRole = WS_MESSAGE_ROLES[data.type] || 'viewer';
+      const sender = auth.authenticate(req);
+      const allowed = auth.hasRole(sender, requiredRole);
+      if (AUDITED_MESSAGES[data.type]) {
+        const { type, ...payload } = data;
+        auditLog.recordAction({
+          action: AUDITED_MESSAGES[type],
+          actor: sender ? sender.username : null,
+          role: sender ? sender.role : null,
+          ip: auth.getClientAddress(req),
+          channel: 'websocket',
+          payload,
+          success: allowed,
+        });
+      }
+      if (!allowed) {
+        ws.send(
+          JSON.stringify({
+            type: 'error',
+            error: sender ? `"${data.type}" needs the ${requiredRole} role` : 'Sign in required',
+          })
+        );
+        return;
+      }
+
       // Handle call stats update
       if (data.type === 'callStats' && data.callStats) {
         logger.info('Received call stats update:', data.callStats);
@@ -475,18 +1265,17 @@ wss.on('connection', (ws, req) => {
           lastUpdated: new Date().toISOString(),
           source: 'manual',
         };
+        callStatsHistory.recordCallStats(latestCallStats);
 
         // Broadcast call stats to all clients
         broadcastCallStats(latestCallStats);
+        if (config.wled.mode === 'queuePressure') {
+          updateWLEDWithQueuePressure();
+        }
       } else if (data.type === 'status') {
         // Handle status update
         logger.info('Received status update:', data.status);
 
-        // Update current status
-        if (data.status) {
-          currentStatus = data.status;
-        }
-
         // Update monitoring status
         if (data.monitoring !== undefined) {
           isMonitoring = data.monitoring;
@@ -495,9 +1284,25 @@ wss.on('connection', (ws, req) => {
         // Broadcast status to all clients
         broadcastStatus();
 
-        // Update WLED based on status
+        // A status chosen on the dashboard becomes a manual override
         if (data.status) {
-          updateWLEDWithStatus(data.status);
+          try {
+            statusOverride.setOverride({
+              status: data.status,
+              reason: data.reason,
+              durationMinutes: data.durationMinutes,
+              untilCleared: data.untilCleared,
+              source: 'dashboard',
+            });
+          } catch (error) {
+            ws.send(
+              JSON.stringify({
+                type: 'override',
+                override: statusOverride.getOverride(),
+                error: error.message,
+              })
+            );
+          }
         }
       } else if (data.type === 'wled') {
         // Handle WLED settings update
@@ -533,27 +1338,34 @@ wss.on('connection', (ws, req) => {
             })
           );
         }
-      } else if (data.type === 'clearManualOverride') {
-        // Clear manual status override
-        manualStatusOverride = false;
-        logger.info('Manual status override cleared');
-
-        // If monitoring is enabled, trigger a status check
-        if (isMonitoring) {
-          // windowMonitor
-          //   .determinePhoneStatus()
-          //   .then((result) => handleStatusChange(null, result))
-          //   .catch((err) => logger.error('Error checking status:', err));
+      } else if (data.type === 'remoteLoginWatch') {
+        // Screencast frames of the login page go only to the admins watching
+        ws.watchingRemoteLogin = Boolean(data.watch);
+        if (ws.watchingRemoteLogin) {
+          remoteLogin
+            .addViewer(clientId)
+            .then((frame) => {
+              if (frame) {
+                ws.send(JSON.stringify({ type: 'remoteLoginFrame', ...frame }));
+              }
+            })
+            .catch((error) => {
+              ws.watchingRemoteLogin = false;
+              ws.send(JSON.stringify({ type: 'remoteLogin', event: 'error', error: error.message, ...remoteLogin.getRemoteLoginState() }));
+            });
+        } else {
+          remoteLogin.removeViewer(clientId);
+        }
+      } else if (data.type === 'remoteLoginInput') {
+        // Clicks and keystrokes are not audited: they include the password being typed
+        remoteLogin.dispatchInput(data.input).catch((error) => {
+          ws.send(JSON.stringify({ type: 'remoteLogin', event: 'error', error: error.message, ...remoteLogin.getRemoteLoginState() }));
+        });
+      } else if (data.type === 'clearManualOverride') {
+        // Clearing shows the providers' latest status again and notifies every client
+        if (!statusOverride.clearOverride()) {
+          ws.send(JSON.stringify({ type: 'override', override: null }));
         }
-
-        // Send confirmation
-        ws.send(
-          JSON.stringify({
-            type: 'status',
-            success: true,
-            message: 'Manual override cleared',
-          })
-        );
       }
     } catch (error) {
       logger.error(`Error processing message from ${clientId}:`, error);
@@ -579,6 +1391,7 @@ wss.on('connection', (ws, req) => {
 
     // Remove client from the list
     clients.delete(ws);
+    remoteLogin.removeViewer(ws.id);
     logger.info(
       `Client disconnected: ${ws.id}, remaining clients: ${clients.size}`
     );
@@ -608,6 +1421,7 @@ function sendStatusToClient(ws) {
         monitoring: isMonitoring,
       })
     );
+    ws.send(JSON.stringify({ type: 'override', override: statusOverride.getOverride() }));
 
     // Send call stats if available
     if (latestCallStats) {
@@ -642,10 +1456,12 @@ function sendStatusToClient(ws) {
  */
 function broadcastStatus() {
   logger.debug('Broadcasting status to all clients');
+  mqttBridge.publishMode(config.wled.mode);
   const message = JSON.stringify({
     type: 'statusUpdate',
     status: currentStatus,
     monitoring: isMonitoring,
+    officeHours: officeHours.getState(),
     callStats: latestCallStats,
     agentStatuses: latestAgentStatuses, // Include agent statuses
     teamStatus: teamStatus.map((member) => ({
@@ -653,6 +1469,7 @@ function broadcastStatus() {
       color: getColorForStatus(member.status),
     })),
     wledIp: config.wled.ipAddress,
+    wledMode: config.wled.mode,
   });
   clients.forEach((client) => {
     if (client.readyState === WebSocket.OPEN) {
@@ -675,25 +1492,12 @@ function sendDebugInfo(ws) {
     callStats: latestCallStats,
     source: '3CX Web UI',
     serverTime: new Date().toISOString(),
-    manualOverride: manualStatusOverride,
-    manualOverrideTime: manualStatusOverride
-      ? new Date(manualStatusTimestamp).toISOString()
-      : null,
-    manualOverrideRemaining: manualStatusOverride
-      ? Math.max(
-          0,
-          Math.round(
-            (MANUAL_OVERRIDE_TIMEOUT - (Date.now() - manualStatusTimestamp)) /
-              1000
-          )
-        )
-      : 0,
+    manualOverride: statusOverride.getOverride(),
     connectedClients: clients.size,
     wledStatus: {
       connected: true,
       ipAddress: config.wled.ipAddress,
-      brightness: config.wled.brightness,
-      transition: config.wled.transition,
+      ...wledSettings.getSettings(),
     },
     threecxAuth: {
       authenticated: true,
@@ -702,8 +1506,8 @@ function sendDebugInfo(ws) {
     },
   };
 
-  // Get 3CX web client status
-  threeCxWebClient
+  // Get the status from the highest-priority status provider
+  statusProviders
     .getStatus()
     .then((status) => {
       // Update status in debug info
@@ -749,6 +1553,24 @@ function broadcastDebugInfo(debugInfo) {
     debugInfo: latestDebugInfo,
   });
 
+  clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN && auth.hasRole(client.user, 'supervisor')) {
+      client.send(message);
+    }
+  });
+}
+
+/**
+ * Broadcasts the manual status override (or that there is none) to all connected WebSocket clients.
+ *
+ * @function broadcastOverride
+ */
+function broadcastOverride() {
+  const message = JSON.stringify({
+    type: 'override',
+    override: statusOverride.getOverride(),
+  });
+
   clients.forEach((client) => {
     if (client.readyState === WebSocket.OPEN) {
       client.send(message);
@@ -768,6 +1590,8 @@ function broadcastCallStats(callStats = latestCallStats) {
   if (callStats) {
     latestCallStats = callStats; // Update global state if new stats provided
   }
+  webhooks.notifyCallStats(callStats);
+  mqttBridge.publishCallStats(callStats);
 
   const message = JSON.stringify({
     type: 'callStats',
@@ -785,7 +1609,8 @@ function broadcastCallStats(callStats = latestCallStats) {
 
 /**
  * Broadcasts the success or failure status of the last WLED update command
- * to all connected WebSocket clients.
+ * to all connected WebSocket clients, along with the health of every
+ * registered device in the fleet.
  *
  * @function broadcastWLEDStatus
  * @param {boolean} success - Whether the WLED update was successful.
@@ -796,6 +1621,7 @@ function broadcastWLEDStatus(success, errorMessage = null) {
     type: 'wled',
     success: success,
     error: errorMessage,
+    devices: wledDevices.getDeviceHealth(),
   });
 
   clients.forEach((client) => {
@@ -806,22 +1632,36 @@ function broadcastWLEDStatus(success, errorMessage = null) {
 }
 
 /**
- * Updates the WLED device's color based on the provided status string.
- * Uses the `statusColors` mapping defined in the configuration.
+ * Updates the WLED device based on the provided status string.
+ * Uses the status's profile from the status profile store.
  * Logs the action and broadcasts the WLED update status.
+ * Does nothing unless the main strip is in `status` mode.
  *
  * @async
  * @function updateWLEDWithStatus
  * @param {string} status - The status string (e.g., 'available', 'onCall').
  */
 async function updateWLEDWithStatus(status) {
-  const color = config.wled.statusColors[status];
-  if (color) {
+  if (wledPoweredOff) {
+    logger.debug(`WLED is turned off, not showing status ${status}`);
+    return;
+  }
+  if (officeClosed) {
+    logger.debug(`Outside office hours, not showing status ${status}`);
+    return;
+  }
+  if (config.wled.mode !== 'status') {
+    logger.debug(`WLED is in ${config.wled.mode} mode, not showing status ${status}`);
+    return;
+  }
+
+  if (statusProfiles.hasProfile(status)) {
+    const profile = statusProfiles.getProfile(status);
     logger.info(
-      `Setting WLED color to RGB(${color.r},${color.g},${color.b})`
+      `Setting WLED to the ${status} profile, RGB(${profile.color.r},${profile.color.g},${profile.color.b})`
     );
 
-    return updateWLED(color)
+    return applyWLEDProfile(profile)
       .then((success) => {
         logger.info(`WLED update ${success ? 'successful' : 'failed'}`);
         broadcastWLEDStatus(success);
@@ -835,12 +1675,420 @@ async function updateWLEDWithStatus(status) {
   }
 }
 
+/**
+ * Renders the current team status onto the main WLED strip.
+ *
+ * @async
+ * @function updateWLEDWithTeamWall
+ * @returns {Promise<boolean>} True if the strip accepted the update.
+ */
+async function updateWLEDWithTeamWall() {
+  if (wledPoweredOff || officeClosed) {
+    return false;
+  }
+
+  const agents = teamStatus && teamStatus.length > 0 ? teamStatus : latestAgentStatuses;
+  const success = await teamWall.updateTeamWall(agents, statusProfiles.getStatusColors());
+  broadcastWLEDStatus(success, success ? null : 'Team wall update failed');
+
+  return success;
+}
+
+/**
+ * Shows the queue backlog from the latest call statistics on the main WLED strip.
+ *
+ * @async
+ * @function updateWLEDWithQueuePressure
+ * @param {boolean} [force=false] - Redraw even if the bar has not changed.
+ * @returns {Promise<boolean>} True if the strip accepted the update.
+ */
+async function updateWLEDWithQueuePressure(force = false) {
+  if (wledPoweredOff || officeClosed) {
+    return false;
+  }
+
+  const success = await queuePressure.updateQueuePressure(latestCallStats, { force });
+  broadcastWLEDStatus(success, success ? null : 'Queue pressure update failed');
+
+  return success;
+}
+
+/**
+ * Re-applies whatever the main WLED strip should show in its current mode,
+ * turns it off again if it was switched off from the control panel, or
+ * shows the closed state outside office hours.
+ *
+ * @async
+ * @function applyWLEDMode
+ * @returns {Promise<boolean>} True if the strip accepted the update.
+ */
+async function applyWLEDMode() {
+  if (wledPoweredOff) {
+    return turnOffWLED();
+  }
+  if (officeClosed) {
+    return showOfficeClosed();
+  }
+  if (config.wled.mode === 'teamWall') {
+    return updateWLEDWithTeamWall();
+  }
+  if (config.wled.mode === 'queuePressure') {
+    return updateWLEDWithQueuePressure(true);
+  }
+
+  return updateWLEDWithStatus(currentStatus);
+}
+
+/**
+ * Switches what the main WLED strip shows and applies the new mode.
+ *
+ * @async
+ * @function changeWLEDMode
+ * @param {string} mode - 'status', 'teamWall' or 'queuePressure'.
+ * @returns {Promise<boolean>} True if the strip accepted the update.
+ * @throws {Error} If the mode is unknown.
+ */
+async function changeWLEDMode(mode) {
+  if (!WLED_MODES.includes(mode)) {
+    throw new Error(`Mode must be one of: ${WLED_MODES.join(', ')}`);
+  }
+
+  const previousMode = config.wled.mode;
+  config.wled.mode = mode;
+  wledPoweredOff = false;
+  logger.info(`WLED display mode changed from ${previousMode} to ${mode}`);
+
+  if (previousMode !== mode) {
+    await resetWLEDMode(previousMode);
+  }
+  const success = await applyWLEDMode();
+  broadcastStatus();
+  broadcastWLEDSettings();
+
+  return success;
+}
+
+/**
+ * Switches the main WLED strip on or off, or changes its brightness, like
+ * "Turn Off WLED" and the WLED settings on the control panel.
+ *
+ * @async
+ * @function switchWLEDFromCommand
+ * @param {object} command - The command.
+ * @param {string} [command.state] - 'ON' or 'OFF'.
+ * @param {number} [command.brightness] - The brightness (0-255); switches the strip on.
+ * @returns {Promise<boolean>} True if the strip accepted the command.
+ * @throws {Error} If the brightness is invalid.
+ */
+async function switchWLEDFromCommand({ state, brightness }) {
+  if (state === 'OFF') {
+    const success = await turnOffWLED();
+    if (success) {
+      wledPoweredOff = true;
+    }
+    broadcastWLEDStatus(success, success ? null : 'Could not turn off the WLED device');
+    broadcastWLEDSettings();
+    return success;
+  }
+
+  let success = true;
+  if (brightness !== undefined) {
+    ({ applied: success } = await wledSettings.updateSettings({ brightness }));
+    if (!success) {
+      broadcastWLEDStatus(false, 'WLED device did not accept the new settings');
+    }
+  }
+  if (success && wledPoweredOff) {
+    wledPoweredOff = false;
+    success = await applyWLEDMode();
+  }
+  broadcastWLEDSettings();
+
+  return success;
+}
+
+/**
+ * Shows the closed state on the main WLED strip: switched off, or the
+ * `closed` status profile (with its own, usually dim, brightness).
+ *
+ * @async
+ * @function showOfficeClosed
+ * @returns {Promise<boolean>} True if the strip accepted the update.
+ */
+async function showOfficeClosed() {
+  if (officeHours.getSettings().closedAction === 'off') {
+    return turnOffWLED();
+  }
+
+  // The preset covers the whole strip, so undo any team wall or queue bar split first
+  await resetWLEDMode(config.wled.mode);
+  const success = await applyWLEDProfile(statusProfiles.getProfile('closed'));
+  broadcastWLEDStatus(success, success ? null : 'Could not show the closed preset');
+
+  return success;
+}
+
+/**
+ * Callback for office hours changes. Outside office hours the main strip
+ * shows the closed state and, if configured, the 3CX status providers are
+ * paused; when the office opens they resume and the strip shows its mode again.
+ *
+ * @async
+ * @function handleOfficeHoursChange
+ * @param {object} state - The new state from `officeHours.getState()`.
+ * @param {object|null} previous - The previous state, or null at startup.
+ */
+async function handleOfficeHoursChange(state, previous) {
+  officeClosed = !state.open;
+
+  if (officeClosed) {
+    if (officeHours.getSettings().pauseMonitoring) {
+      await statusProviders.pauseProviders();
+    }
+    await applyWLEDMode();
+  } else {
+    await statusProviders.resumeProviders();
+    // At startup the strip is already showing the right thing
+    if (previous) {
+      await applyWLEDMode();
+    }
+  }
+
+  broadcastStatus();
+}
+
+/**
+ * Undoes any segment split a mode left on the main WLED strip.
+ *
+ * @async
+ * @function resetWLEDMode
+ * @param {string} mode - The mode being left.
+ * @returns {Promise<boolean>} True if the strip was reset (or did not need resetting).
+ */
+async function resetWLEDMode(mode) {
+  if (mode === 'teamWall') {
+    return teamWall.resetTeamWall();
+  }
+  if (mode === 'queuePressure') {
+    return queuePressure.resetQueuePressure();
+  }
+
+  return true;
+}
+
+/**
+ * Finds an agent in the latest team status by extension.
+ *
+ * @function findAgentByExtension
+ * @param {string} extension - The 3CX extension number.
+ * @returns {object|undefined} The agent, if known.
+ */
+function findAgentByExtension(extension) {
+  const agents = teamStatus && teamStatus.length > 0 ? teamStatus : latestAgentStatuses;
+  return agents.find((agent) => String(agent.extension) === String(extension));
+}
+
+/**
+ * Sets a registered WLED device to the profile for a status and records the
+ * device's health.
+ *
+ * @async
+ * @function updateDeviceWithStatus
+ * @param {object} device - The registered device (from `wled-devices.js`).
+ * @param {string} status - The status string (e.g., 'available', 'onCall').
+ * @returns {Promise<boolean>} True if the device accepted the update.
+ */
+async function updateDeviceWithStatus(device, status) {
+  const profile = statusProfiles.getProfile(status);
+  const success = await applyWLEDProfile(profile, { ipAddress: device.ipAddress });
+
+  wledDevices.setDeviceHealth(device.id, {
+    connected: success,
+    status: success ? status : undefined,
+    error: success ? null : `Could not reach WLED device at ${device.ipAddress}`,
+  });
+
+  return success;
+}
+
+/**
+ * Updates every registered WLED device whose bound agent's status differs
+ * from what the device is currently showing, then broadcasts fleet health.
+ *
+ * @async
+ * @function syncDevicesWithAgents
+ * @param {Array<object>} agents - Agent statuses (e.g., from `fetchAllAgentStatuses()`).
+ * @param {boolean} [force=false] - Update every bound device, e.g. after a profile changed.
+ */
+async function syncDevicesWithAgents(agents, force = false) {
+  if (!agents || agents.length === 0) {
+    return;
+  }
+
+  const health = wledDevices.getDeviceHealth();
+  const updates = health
+    .map((device) => {
+      const agent = agents.find(
+        (candidate) => String(candidate.extension) === device.extension
+      );
+      // Retry devices that failed last time even if the status is unchanged
+      if (!agent || (!force && agent.status === device.status && device.connected)) {
+        return null;
+      }
+      logger.info(
+        `Agent ${device.extension} is ${agent.status}, updating WLED device ${device.name}`
+      );
+      return updateDeviceWithStatus(device, agent.status);
+    })
+    .filter(Boolean);
+
+  if (updates.length === 0) {
+    return;
+  }
+
+  const results = await Promise.all(updates);
+  broadcastWLEDStatus(results.every(Boolean));
+}
+
+/**
+ * Shows an edited status profile everywhere it is in use: the main strip,
+ * every registered device, and the dashboards.
+ *
+ * @function applyProfileChange
+ */
+function applyProfileChange() {
+  applyWLEDMode();
+  syncDevicesWithAgents(
+    teamStatus && teamStatus.length > 0 ? teamStatus : latestAgentStatuses,
+    true
+  );
+  broadcastProfiles();
+}
+
+/**
+ * Broadcasts the main WLED strip's brightness, transition time and power
+ * state to all connected WebSocket clients.
+ *
+ * @function broadcastWLEDSettings
+ */
+function broadcastWLEDSettings() {
+  const settings = wledSettings.getSettings();
+  mqttBridge.publishLight({ on: !wledPoweredOff, brightness: settings.brightness });
+
+  const message = JSON.stringify({
+    type: 'wledSettings',
+    settings,
+    poweredOff: wledPoweredOff,
+  });
+
+  clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+/**
+ * Broadcasts a scraper supervisor event (a problem detected, a failed
+ * recovery attempt or a recovery) to all connected WebSocket clients.
+ *
+ * @function broadcastScraperRecovery
+ * @param {object} event - The event from `scraperSupervisor.onRecovery()`.
+ */
+function broadcastScraperRecovery(event) {
+  const message = JSON.stringify({ type: 'scraperRecovery', event });
+
+  clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+/**
+ * Broadcasts a change of the automatic 3CX login's code prompt to all
+ * connected WebSocket clients.
+ *
+ * @function broadcastMfaPrompt
+ * @param {object} event - The event from `autoLogin.onMfaPrompt()` (`{ event, prompt }`).
+ */
+function broadcastMfaPrompt(event) {
+  const message = JSON.stringify({ type: 'mfaPrompt', ...event });
+
+  clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+/**
+ * Broadcasts the start or end of a remote 3CX login to all connected
+ * WebSocket clients. Once it ends, nobody watches any more.
+ *
+ * @function broadcastRemoteLogin
+ * @param {object} event - The event from `remoteLogin.onRemoteLogin()`.
+ */
+function broadcastRemoteLogin(event) {
+  const message = JSON.stringify({ type: 'remoteLogin', ...event });
+
+  clients.forEach((client) => {
+    if (event.event !== 'waiting') {
+      client.watchingRemoteLogin = false;
+    }
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+/**
+ * Sends a screencast frame of the 3CX login page to the clients watching it.
+ *
+ * @function sendRemoteLoginFrame
+ * @param {object} frame - The frame from `remoteLogin.onFrame()` (`{ data, metadata }`).
+ */
+function sendRemoteLoginFrame(frame) {
+  const message = JSON.stringify({ type: 'remoteLoginFrame', ...frame });
+
+  clients.forEach((client) => {
+    if (client.watchingRemoteLogin && client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+/**
+ * Broadcasts all status profiles to all connected WebSocket clients.
+ *
+ * @function broadcastProfiles
+ */
+function broadcastProfiles() {
+  // The manual status options in Home Assistant follow the profiles
+  mqttBridge.publishDiscovery();
+
+  const message = JSON.stringify({
+    type: 'profiles',
+    profiles: statusProfiles.getProfiles(),
+  });
+
+  clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
 /**
  * Broadcasts the current team status array to all connected WebSocket clients.
  * 
  * @function broadcastTeamStatus
  */
 function broadcastTeamStatus() {
+  // Webhooks and MQTT hear about agent status changes whether or not a dashboard is open
+  webhooks.notifyAgentStatuses(teamStatus);
+  mqttBridge.publishAgentStatuses(teamStatus);
+
   if (clients.size === 0) {
     return; // No clients connected
   }
@@ -873,6 +2121,8 @@ function broadcastTeamStatus() {
  *
  * @async
  * @function main
+ * @returns {Promise<object>} `{ providersStarted }`, resolved once the server listens; `providersStarted`
+ *   resolves with the number of started providers once they are all initialized.
  */
 async function main() {
   logger.info('Starting WLED-3CX Integration...');
@@ -883,42 +2133,84 @@ async function main() {
   logger.info(`Server port: ${config.server.port}`);
   logger.info(`WLED IP: ${config.wled.ipAddress || 'Not configured'}`);
 
-  // Initialize 3CX web client monitoring
-  logger.info('Initializing 3CX Web Client...');
-  const initSuccess = await threeCxWebClient.initialize(handleStatusChange);
+  // Load the WLED settings, status profiles, device fleet, users, webhooks, display mode settings and history
+  wledSettings.loadSettings();
+  statusProfiles.loadProfiles();
+  wledDevices.loadDevices();
+  await auth.loadUsers();
+  webhooks.loadWebhooks();
+  teamWall.loadSettings();
+  queuePressure.loadSettings();
+  officeHours.loadSettings();
+  await statusHistory.loadHistory();
+  callStatsHistory.loadHistory();
+  if (!WLED_MODES.includes(config.wled.mode)) {
+    logger.warn(`Unknown WLED_MODE "${config.wled.mode}", using status mode`);
+    config.wled.mode = 'status';
+  }
 
-  if (!initSuccess) {
-    logger.error(
-      'Failed to initialize 3CX Web Client. Application might not function correctly.'
-    );
-    // Potentially exit or retry initialization
-    // process.exit(1);
-  } else {
-    logger.info('3CX Web Client initialized successfully.');
-    // Start monitoring explicitly if initialize doesn't automatically start it
-    // await threeCxWebClient.startMonitoring(handleStatusChange);
+  // Known before anything is shown, so the strip does not flash a status at startup outside office hours
+  officeClosed = !officeHours.getState().open;
+
+  // An override saved before a restart is shown until it expires or is cleared
+  const restoredOverride = statusOverride.loadOverride();
+  if (restoredOverride) {
+    currentStatus = restoredOverride.status;
+    updateWLEDWithStatus(currentStatus);
   }
 
-  // Start the server
-  server.listen(config.server.port, () => {
-    logger.info(`Server listening on port ${config.server.port}`);
-    logger.info(
-      `Dashboard available at http://localhost:${config.server.port}`
-    );
+  // Start the server before the providers: the web client may wait at startup for a
+  // login finished from the control panel (a dashboard MFA code or a remote login)
+  await new Promise((resolve) => {
+    server.listen(config.server.port, () => {
+      logger.info(`Server listening on port ${config.server.port}`);
+      logger.info(
+        `Dashboard available at http://localhost:${config.server.port}`
+      );
+      resolve();
+    });
+  });
+
+  // Publish to MQTT and Home Assistant, and take commands from there
+  if (mqttBridge.startBridge(mqttCommands)) {
+    mqttBridge.publishUserStatus(currentStatus, { override: statusOverride.getOverride() });
+    mqttBridge.publishMode(config.wled.mode);
+    mqttBridge.publishLight({ on: !wledPoweredOff, brightness: wledSettings.getSettings().brightness });
+  }
+
+  // Initialize the status providers in the background; they all feed handleStatusChange
+  logger.info('Initializing status providers...');
+  statusProviders.loadProviders();
+  const providersStarted = statusProviders.startProviders(handleStatusChange).then((startedProviders) => {
+    if (startedProviders === 0) {
+      logger.error(
+        'No status provider started. Application might not function correctly.'
+      );
+    } else {
+      logger.info(`${startedProviders} status provider(s) started successfully.`);
+    }
+
+    // Switch the strip off (and optionally pause the providers) outside office hours
+    officeHours.startSchedule(handleOfficeHoursChange);
+    return startedProviders;
   });
 
   // Graceful shutdown
   process.on('SIGINT', async () => {
     logger.info('SIGINT received. Shutting down gracefully...');
 
-    // Stop monitoring
-    await threeCxWebClient.stopMonitoring();
-    await threeCxWebClient.close();
+    // Stop the office hours schedule, the status providers and the MQTT bridge
+    officeHours.stopSchedule();
+    await statusProviders.stopProviders();
+    await mqttBridge.stopBridge();
+
+    // Keep the call statistics sampled since the last save, and mark where the status history stops
+    await callStatsHistory.saveHistory();
+    await statusHistory.stopHistory();
 
     // Turn off WLED (optional)
     try {
       logger.info('Turning off WLED...');
-      const { turnOffWLED } = require('./wled-controller'); // Import here if needed
       await turnOffWLED();
       logger.info('WLED turned off.');
     } catch (wledError) {
@@ -951,6 +2243,8 @@ async function main() {
     logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
     // Consider a graceful shutdown here as well
   });
+
+  return { providersStarted };
 }
 
 // Run the application
@@ -997,7 +2291,12 @@ function handleStatusChange(error, result) {
   // Update Call Stats
   if (callStatsResult) {
     latestCallStats = { ...callStatsResult };
+    callStatsHistory.recordCallStats(latestCallStats);
     broadcastCallStats(latestCallStats); // Broadcast updated stats
+
+    if (config.wled.mode === 'queuePressure') {
+      updateWLEDWithQueuePressure();
+    }
   }
 
   // Handle Agent Statuses
@@ -1007,28 +2306,80 @@ function handleStatusChange(error, result) {
     teamStatus = agentStatusesResult;
     lastTeamStatusUpdate = new Date();
     logger.info(`Received ${teamStatus.length} agent statuses.`);
+    statusHistory.recordAgentStatuses(agentStatusesResult, 'scraper');
     broadcastTeamStatus();
+
+    // Let each registered WLED device follow its agent's presence
+    syncDevicesWithAgents(agentStatusesResult);
+
+    if (config.wled.mode === 'teamWall') {
+      updateWLEDWithTeamWall();
+    }
   } else if (agentStatusesResult === null) {
     // This means the scraper tried but couldn't find the container or agents
     logger.warn('Agent status scraping returned null (container/elements not found).');
   } else {
-    // This means the scraper didn't even run or returned undefined (e.g., browser closed)
-    logger.warn('Agent status scraping did not return data.');
+    // Not every provider reports agents (e.g., a pushed status), or a higher-priority provider does
+    logger.debug('Status update did not include agent statuses.');
   }
 
-  // Update WLED only if the *user's* status changed and monitoring is enabled
-  if (isMonitoring && statusResult && statusResult.status !== currentStatus) {
+  // Kept so the providers' status can be shown again when a manual override ends
+  if (statusResult) {
+    latestProviderStatus = statusResult;
+  }
+
+  // A manual override wins over every provider, a calendar meeting included, until it is cleared or expires
+  const overrideActive = statusOverride.isActive();
+  if (overrideActive && statusResult && statusResult.status !== currentStatus) {
+    logger.debug(`Ignoring ${statusResult.status} from ${statusResult.provider} during manual override`);
+  }
+
+  // Update WLED only if the *user's* status changed, monitoring is enabled and no override is active
+  if (isMonitoring && !overrideActive && statusResult && statusResult.status !== currentStatus) {
     logger.info(
-      `Status changed from ${currentStatus} to ${statusResult.status} (source: ${statusResult.source})`
+      `Status changed from ${currentStatus} to ${statusResult.status} (provider: ${statusResult.provider}, source: ${statusResult.source})`
     );
+    setUserStatus(statusResult.status, statusResult.provider || 'scraper');
+  }
+}
 
-    // Update current status
-    currentStatus = statusResult.status;
-
-    // Broadcast status to all clients
-    broadcastStatus();
+/**
+ * Makes a status the user's current status: records it in the status
+ * history, broadcasts it to all clients and shows it on the main WLED strip.
+ *
+ * @function setUserStatus
+ * @param {string} status - The status.
+ * @param {string} source - Where the status came from (e.g., a provider name, 'dashboard', 'api').
+ */
+function setUserStatus(status, source) {
+  const previousStatus = currentStatus;
+  currentStatus = status;
+  statusHistory.recordStatus({ type: 'user', status, source });
+  webhooks.notifyUserStatus(status, previousStatus, source);
+  mqttBridge.publishUserStatus(status, { source, override: statusOverride.getOverride() });
+
+  // Broadcast status to all clients
+  broadcastStatus();
+
+  // Update WLED based on status
+  updateWLEDWithStatus(status);
+}
 
-    // Update WLED based on status
-    updateWLEDWithStatus(statusResult.status);
+/**
+ * Callback for manual override transitions. Shows the override's status
+ * when one is set, and the providers' latest status again when it is
+ * cleared or expires (if monitoring is enabled).
+ *
+ * @function handleOverrideChange
+ * @param {object} change - The transition (`{ event, override, previous }`) from `statusOverride.onChange()`.
+ */
+function handleOverrideChange({ event, override }) {
+  if (override) {
+    setUserStatus(override.status, override.source);
+  } else if (isMonitoring && latestProviderStatus) {
+    logger.info(`Manual override ${event}; showing ${latestProviderStatus.status} from the status providers`);
+    setUserStatus(latestProviderStatus.status, latestProviderStatus.provider || 'scraper');
   }
+
+  broadcastOverride();
 }
@@ -0,0 +1,218 @@
+/**
+ * Audit Log Module
+ *
+ * Keeps an append-only JSONL record of manual changes and administrative
+ * actions: status overrides, team member edits, WLED commands, settings,
+ * users, screenshots and 3CX authentication resets. Each line records when
+ * it happened, the action, who did it (user name, role and address), what it
+ * was done to, the request payload with secrets removed, and the outcome.
+ * The log can be queried by action, actor and time range, and exported as CSV.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const readline = require('readline');
+const logger = require('./logger');
+const { resolveDataPath } = require('./json-file-store');
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['timestamp', 'action', 'actor', 'role', 'ip', 'channel', 'target', 'outcome', 'statusCode', 'payload'];
+
+// Payload fields that are never written to the log (`code` is a second factor code)
+const SECRET_FIELD_PATTERN = /password|token|secret|^code$/i;
+
+// Configuration from environment variables
+const config = {
+  auditFile: process.env.AUDIT_LOG_FILE || 'audit-log.jsonl',
+  // Most entries a single query returns
+  maxQueryLimit: 10000,
+};
+
+// Appends are chained so concurrent actions keep their order in the file
+let writeQueue = Promise.resolve();
+
+/**
+ * Copies a payload with the values of secret fields replaced, at any depth.
+ *
+ * @function redact
+ * @param {*} payload - The payload.
+ * @returns {*} The copy.
+ */
+function redact(payload) {
+  if (Array.isArray(payload)) {
+    return payload.map(redact);
+  }
+  if (!payload || typeof payload !== 'object') {
+    return payload;
+  }
+
+  return Object.fromEntries(
+    Object.entries(payload).map(([key, value]) => [
+      key,
+      SECRET_FIELD_PATTERN.test(key) ? '[redacted]' : redact(value),
+    ])
+  );
+}
+
+/**
+ * Appends an action to the audit log. Errors are logged, never thrown, so
+ * callers can fire and forget.
+ *
+ * @async
+ * @function recordAction
+ * @param {object} action - The action.
+ * @param {string} action.action - What was done (e.g., 'override.set', 'wled.off').
+ * @param {string|null} action.actor - Who did it (the user name), or null if not signed in.
+ * @param {string|null} [action.role] - The actor's role.
+ * @param {string} [action.ip] - The actor's address.
+ * @param {string} [action.channel] - 'http', 'websocket' or 'mqtt'.
+ * @param {string|null} [action.target] - What it was done to (e.g., a team member or profile).
+ * @param {*} [action.payload] - The request payload; secret fields are redacted.
+ * @param {boolean} [action.success=true] - Whether the action succeeded.
+ * @param {number|null} [action.statusCode] - The HTTP status code of the response.
+ * @returns {Promise<object|null>} The recorded entry, or null if it could not be saved.
+ */
+async function recordAction({
+  action,
+  actor,
+  role = null,
+  ip = null,
+  channel = 'http',
+  target = null,
+  payload = null,
+  success = true,
+  statusCode = null,
+}) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    action,
+    actor: actor || null,
+    role,
+    ip,
+    channel,
+    target: target === null || target === undefined ? null : String(target),
+    payload: redact(payload),
+    outcome: success ? 'success' : 'failure',
+    statusCode,
+  };
+
+  const filePath = resolveDataPath(config.auditFile);
+  writeQueue = writeQueue.then(() =>
+    fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`)
+  );
+
+  try {
+    await writeQueue;
+    return entry;
+  } catch (error) {
+    logger.error(`Error writing audit log: ${error.message}`);
+    writeQueue = Promise.resolve();
+    return null;
+  }
+}
+
+/**
+ * Finds the audit entries that match a query.
+ *
+ * @async
+ * @function queryAudit
+ * @param {object} [query] - Query parameters.
+ * @param {string} [query.action] - Only this action, or actions starting with it followed by a dot
+ *   (e.g., 'wled' matches 'wled.off').
+ * @param {string} [query.actor] - Only actions by this user.
+ * @param {string} [query.from] - Start of the time range (defaults to the beginning of the log).
+ * @param {string} [query.to] - End of the time range (defaults to now).
+ * @param {number|string} [query.limit] - Return only the most recent entries (default and maximum 10000).
+ * @returns {Promise<Array<object>>} The matching entries, oldest first.
+ * @throws {Error} If a parameter is invalid.
+ */
+async function queryAudit(query = {}) {
+  const from = query.from ? new Date(query.from) : new Date(0);
+  const to = query.to ? new Date(query.to) : new Date();
+  if (Number.isNaN(from.getTime())) {
+    throw new Error('"from" must be a valid date');
+  }
+  if (Number.isNaN(to.getTime())) {
+    throw new Error('"to" must be a valid date');
+  }
+  const limit = query.limit ? parseInt(query.limit, 10) : config.maxQueryLimit;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('Limit must be a positive whole number');
+  }
+
+  const filePath = resolveDataPath(config.auditFile);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const entries = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      const time = new Date(entry.timestamp);
+      if (
+        time >= from &&
+        time <= to &&
+        (!query.action || entry.action === query.action || entry.action.startsWith(`${query.action}.`)) &&
+        (!query.actor || entry.actor === query.actor)
+      ) {
+        entries.push(entry);
+      }
+    } catch (error) {
+      logger.debug(`Skipping unreadable audit log line: ${error.message}`);
+    }
+  }
+
+  return entries.slice(-Math.min(limit, config.maxQueryLimit));
+}
+
+/**
+ * Formats one CSV field, quoting it when needed. Fields that a spreadsheet
+ * would run as a formula are prefixed with an apostrophe.
+ *
+ * @function csvField
+ * @param {*} value - The value.
+ * @returns {string} The field.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats audit entries as CSV, with a header row and the payload as JSON.
+ *
+ * @function toCsv
+ * @param {Array<object>} entries - Entries from `queryAudit()`.
+ * @returns {string} The CSV text.
+ */
+function toCsv(entries) {
+  const rows = entries.map((entry) => CSV_COLUMNS.map((column) => csvField(entry[column])).join(','));
+
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  redact,
+  recordAction,
+  queryAudit,
+  toCsv,
+  config,
+};
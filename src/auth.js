@@ -0,0 +1,597 @@
+/**
+ * Authentication Module
+ *
+ * Identifies who is using the dashboard, the API and the WebSocket, and what
+ * they may do. `AUTH_MODE` selects how people sign in:
+ *
+ * - `none`: No sign-in; everyone is an admin (the behavior before roles existed).
+ * - `local`: Users from `users.json` sign in with a password (stored as a
+ *   scrypt hash) and get a session cookie.
+ * - `proxy`: A reverse proxy that has already signed the user in passes the
+ *   user name in a header; it is trusted only from `AUTH_TRUSTED_PROXIES`.
+ *
+ * Programs such as the Windows clients can use an API token from
+ * `AUTH_API_TOKENS` in any mode. Every user has one of the roles in `ROLES`,
+ * each of which may do everything the roles before it may.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { promisify } = require('util');
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./json-file-store');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// Roles from least to most privileged
+const ROLES = ['viewer', 'agent', 'supervisor', 'admin'];
+
+const AUTH_MODES = ['none', 'local', 'proxy'];
+
+// User names are used in logs and the audit trail, so keep them plain
+const USERNAME_PATTERN = /^[a-zA-Z0-9._@-]{1,64}$/;
+
+/**
+ * Parses `AUTH_API_TOKENS`: comma-separated `name:role:token` entries.
+ *
+ * @function parseApiTokens
+ * @param {string} value - The environment variable's value.
+ * @returns {Array<{name: string, role: string, token: string}>} The valid tokens.
+ */
+function parseApiTokens(value) {
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, role, ...token] = entry.split(':');
+      return { name, role, token: token.join(':') };
+    })
+    .filter(({ name, role, token }) => {
+      const valid = name && ROLES.includes(role) && token.length >= 16;
+      if (!valid) {
+        logger.error(`Ignoring API token "${name}": use name:role:token with a token of 16 or more characters`);
+      }
+      return valid;
+    });
+}
+
+// Configuration from environment variables
+const config = {
+  mode: process.env.AUTH_MODE || 'none',
+  usersFile: process.env.AUTH_USERS_FILE || 'users.json',
+  // First admin, created when the users file is empty
+  initialAdmin: {
+    username: process.env.AUTH_ADMIN_USERNAME || 'admin',
+    password: process.env.AUTH_ADMIN_PASSWORD,
+  },
+  sessionHours: parseInt(process.env.AUTH_SESSION_HOURS || '12', 10),
+  cookieName: 'wled3cx_session',
+  // Only send the session cookie over HTTPS (set when served behind TLS)
+  secureCookie: process.env.AUTH_COOKIE_SECURE === 'true',
+  proxyUserHeader: (process.env.AUTH_PROXY_USER_HEADER || 'x-forwarded-user').toLowerCase(),
+  // Optional header with the user's role; otherwise the users file or the default role decides
+  proxyRoleHeader: (process.env.AUTH_PROXY_ROLE_HEADER || '').toLowerCase(),
+  proxyDefaultRole: process.env.AUTH_PROXY_DEFAULT_ROLE || 'viewer',
+  trustedProxies: (process.env.AUTH_TRUSTED_PROXIES || '127.0.0.1,::1')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean),
+  apiTokens: parseApiTokens(process.env.AUTH_API_TOKENS || ''),
+  minPasswordLength: 8,
+  // Failed sign-ins per user name and address before further attempts are refused
+  maxFailedLogins: 5,
+  lockoutMinutes: 15,
+};
+
+// Local users by user name: `{ username, role, extension, passwordHash, createdAt }`
+const users = new Map();
+
+// Signed-in sessions by token: `{ username, expiresAt }`
+const sessions = new Map();
+
+// Recent failed sign-ins by `username|address`: `{ count, firstAt }`
+const failedLogins = new Map();
+
+/**
+ * Checks whether a user has a role or a more privileged one.
+ *
+ * @function hasRole
+ * @param {object|null} user - The user from `authenticate()`.
+ * @param {string} role - The least privileged role allowed.
+ * @returns {boolean} True if the user may act with the role.
+ */
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ *
+ * @async
+ * @function hashPassword
+ * @param {string} password - The password.
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>`, both base64.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Checks a password against a hash from `hashPassword()`.
+ *
+ * @async
+ * @function verifyPassword
+ * @param {string} password - The password to check.
+ * @param {string} passwordHash - The stored hash.
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(String(password), Buffer.from(salt, 'base64'), expected.length);
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Compares two strings in constant time.
+ *
+ * @function safeEqual
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} True if they are equal.
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Returns a user without the password hash.
+ *
+ * @function publicUser
+ * @param {object} user - The stored user.
+ * @returns {object} `{ username, role, extension, createdAt }`.
+ */
+function publicUser({ username, role, extension, createdAt }) {
+  return { username, role, extension: extension || null, createdAt };
+}
+
+/**
+ * Writes the local users to disk.
+ *
+ * @async
+ * @function saveUsers
+ * @returns {Promise<void>}
+ */
+async function saveUsers() {
+  await writeJsonFile(config.usersFile, Array.from(users.values()));
+}
+
+/**
+ * Loads the local users. In `local` mode with no users, creates the first
+ * admin from `AUTH_ADMIN_USERNAME` and `AUTH_ADMIN_PASSWORD`.
+ *
+ * @async
+ * @function loadUsers
+ * @returns {Promise<Array<object>>} The users, without password hashes.
+ */
+async function loadUsers() {
+  if (!AUTH_MODES.includes(config.mode)) {
+    logger.error(`Unknown AUTH_MODE "${config.mode}". Use one of: ${AUTH_MODES.join(', ')}`);
+  }
+  users.clear();
+
+  try {
+    const stored = readJsonFile(config.usersFile, []);
+    if (!Array.isArray(stored)) {
+      throw new Error('Users file does not contain an array');
+    }
+    stored.forEach((user) => {
+      if (user && user.username && ROLES.includes(user.role)) {
+        users.set(user.username, user);
+      }
+    });
+    logger.info(`Loaded ${users.size} users from ${config.usersFile}`);
+  } catch (error) {
+    logger.error(`Error loading users: ${error.message}`);
+  }
+
+  if (config.mode === 'local' && users.size === 0) {
+    if (config.initialAdmin.password) {
+      await addUser({ ...config.initialAdmin, role: 'admin' });
+      logger.info(`Created the first admin, "${config.initialAdmin.username}"`);
+    } else {
+      logger.error('No users can sign in: set AUTH_ADMIN_PASSWORD to create the first admin');
+    }
+  }
+  if (config.mode === 'none') {
+    logger.warn('AUTH_MODE is "none": anyone who can reach the server has full control');
+  }
+
+  return listUsers();
+}
+
+/**
+ * Returns every local user.
+ *
+ * @function listUsers
+ * @returns {Array<object>} The users, without password hashes.
+ */
+function listUsers() {
+  return Array.from(users.values()).map(publicUser);
+}
+
+/**
+ * Validates a role, an extension and, if given, a password.
+ *
+ * @function validateUserFields
+ * @param {object} fields - The fields to check.
+ * @throws {Error} If a field is invalid.
+ */
+function validateUserFields({ role, extension, password }) {
+  if (role !== undefined && !ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (extension !== undefined && extension !== null && extension !== '' && !/^\d+$/.test(String(extension))) {
+    throw new Error('Extension must be a numeric 3CX extension');
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < config.minPasswordLength)) {
+    throw new Error(`Password must be at least ${config.minPasswordLength} characters`);
+  }
+}
+
+/**
+ * Checks that a change leaves at least one admin.
+ *
+ * @function assertAdminRemains
+ * @param {string} username - The user being demoted or removed.
+ * @throws {Error} If the user is the last admin.
+ */
+function assertAdminRemains(username) {
+  const admins = Array.from(users.values()).filter((user) => user.role === 'admin');
+  if (admins.length === 1 && admins[0].username === username) {
+    throw new Error('The last admin cannot be removed or demoted');
+  }
+}
+
+/**
+ * Adds a local user.
+ *
+ * @async
+ * @function addUser
+ * @param {object} user - The user.
+ * @param {string} user.username - The user name.
+ * @param {string} user.password - The password.
+ * @param {string} user.role - One of `ROLES`.
+ * @param {string} [user.extension] - The user's own 3CX extension, whose team status an agent may change.
+ * @returns {Promise<object>} The new user, without the password hash.
+ * @throws {Error} If a field is invalid or the user name is taken.
+ */
+async function addUser({ username, password, role, extension } = {}) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw new Error('User name must be 1-64 letters, digits or ._@- characters');
+  }
+  if (users.has(username)) {
+    throw new Error(`User "${username}" already exists`);
+  }
+  if (password === undefined || role === undefined) {
+    throw new Error('Password and role are required');
+  }
+  validateUserFields({ role, extension, password });
+
+  const user = {
+    username,
+    role,
+    extension: extension ? String(extension) : null,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString(),
+  };
+  users.set(username, user);
+  await saveUsers();
+  logger.info(`Added user "${username}" (${role})`);
+
+  return publicUser(user);
+}
+
+/**
+ * Changes a local user's password, role or extension. A new password or role
+ * signs the user out everywhere.
+ *
+ * @async
+ * @function updateUser
+ * @param {string} username - The user name.
+ * @param {object} changes - Any of `password`, `role` and `extension`.
+ * @returns {Promise<object|null>} The updated user without the password hash, or null if there is no such user.
+ * @throws {Error} If a field is invalid, or the last admin would be demoted.
+ */
+async function updateUser(username, { password, role, extension } = {}) {
+  const user = users.get(username);
+  if (!user) {
+    return null;
+  }
+  validateUserFields({ role, extension, password });
+  if (role !== undefined && role !== 'admin' && user.role === 'admin') {
+    assertAdminRemains(username);
+  }
+
+  const updated = { ...user };
+  if (role !== undefined) {
+    updated.role = role;
+  }
+  if (extension !== undefined) {
+    updated.extension = extension ? String(extension) : null;
+  }
+  if (password !== undefined) {
+    updated.passwordHash = await hashPassword(password);
+  }
+  users.set(username, updated);
+  await saveUsers();
+
+  if (password !== undefined || updated.role !== user.role) {
+    endSessions(username);
+  }
+  logger.info(`Updated user "${username}"`);
+
+  return publicUser(updated);
+}
+
+/**
+ * Removes a local user and ends their sessions.
+ *
+ * @async
+ * @function removeUser
+ * @param {string} username - The user name.
+ * @returns {Promise<boolean>} True if the user was removed, false if there is no such user.
+ * @throws {Error} If the user is the last admin.
+ */
+async function removeUser(username) {
+  const user = users.get(username);
+  if (!user) {
+    return false;
+  }
+  if (user.role === 'admin') {
+    assertAdminRemains(username);
+  }
+
+  users.delete(username);
+  endSessions(username);
+  await saveUsers();
+  logger.info(`Removed user "${username}"`);
+
+  return true;
+}
+
+/**
+ * Ends every session of a user.
+ *
+ * @function endSessions
+ * @param {string} username - The user name.
+ */
+function endSessions(username) {
+  sessions.forEach((session, token) => {
+    if (session.username === username) {
+      sessions.delete(token);
+    }
+  });
+}
+
+/**
+ * Signs a local user in.
+ *
+ * @async
+ * @function login
+ * @param {string} username - The user name.
+ * @param {string} password - The password.
+ * @param {string} [address] - The client's address, for throttling failed attempts.
+ * @returns {Promise<{token: string, user: object, expiresAt: string}>} The new session.
+ * @throws {Error} If local sign-in is off, the credentials are wrong, or there were too many failed attempts.
+ */
+async function login(username, password, address = '') {
+  if (config.mode !== 'local') {
+    throw new Error('Sign-in with a password is not enabled');
+  }
+
+  const attemptKey = `${username}|${address}`;
+  const attempts = failedLogins.get(attemptKey);
+  const lockout = config.lockoutMinutes * 60 * 1000;
+  if (attempts && Date.now() - attempts.firstAt > lockout) {
+    failedLogins.delete(attemptKey);
+  } else if (attempts && attempts.count >= config.maxFailedLogins) {
+    throw new Error(`Too many failed sign-ins; try again in ${config.lockoutMinutes} minutes`);
+  }
+
+  const user = users.get(username);
+  // Hash the password even for unknown users, so timing does not reveal which names exist
+  const valid = await verifyPassword(password, user ? user.passwordHash : `scrypt$${'A'.repeat(24)}$${'A'.repeat(88)}`);
+  if (!user || !valid) {
+    const failed = failedLogins.get(attemptKey) || { count: 0, firstAt: Date.now() };
+    failedLogins.set(attemptKey, { ...failed, count: failed.count + 1 });
+    logger.warn(`Failed sign-in for "${username}" from ${address || 'unknown address'}`);
+    throw new Error('Wrong user name or password');
+  }
+
+  failedLogins.delete(attemptKey);
+  sessions.forEach((session, key) => {
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(key);
+    }
+  });
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + config.sessionHours * 60 * 60 * 1000;
+  sessions.set(token, { username, expiresAt });
+  logger.info(`User "${username}" signed in`);
+
+  return { token, user: publicUser(user), expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Ends a session.
+ *
+ * @function logout
+ * @param {string} token - The session token.
+ * @returns {boolean} True if a session was ended.
+ */
+function logout(token) {
+  return sessions.delete(token);
+}
+
+/**
+ * Reads the session token from a request's cookies.
+ *
+ * @function getSessionToken
+ * @param {object} req - An Express request or the WebSocket upgrade request.
+ * @returns {string|null} The token, or null if there is none.
+ */
+function getSessionToken(req) {
+  const cookies = String(req.headers.cookie || '').split(';');
+  const prefix = `${config.cookieName}=`;
+  const cookie = cookies.map((c) => c.trim()).find((c) => c.startsWith(prefix));
+
+  return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+}
+
+/**
+ * Builds the `Set-Cookie` header value for a session.
+ *
+ * @function sessionCookie
+ * @param {string|null} token - The session token, or null to delete the cookie.
+ * @returns {string} The header value.
+ */
+function sessionCookie(token) {
+  const maxAge = token ? config.sessionHours * 60 * 60 : 0;
+  const secure = config.secureCookie ? '; Secure' : '';
+
+  return `${config.cookieName}=${token ? encodeURIComponent(token) : ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`;
+}
+
+/**
+ * Returns the address a request came from, without the IPv4-mapped IPv6 prefix.
+ *
+ * @function getRemoteAddress
+ * @param {object} req - An Express request or the WebSocket upgrade request.
+ * @returns {string} The address.
+ */
+function getRemoteAddress(req) {
+  return String((req.socket && req.socket.remoteAddress) || '').replace(/^::ffff:/, '');
+}
+
+/**
+ * Returns the address of the client behind a request. Behind a trusted proxy
+ * this is the first address in `X-Forwarded-For`.
+ *
+ * @function getClientAddress
+ * @param {object} req - An Express request or the WebSocket upgrade request.
+ * @returns {string} The address.
+ */
+function getClientAddress(req) {
+  const remote = getRemoteAddress(req);
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+
+  return forwarded && config.trustedProxies.includes(remote) ? forwarded : remote;
+}
+
+/**
+ * Identifies the user behind a request.
+ *
+ * @function authenticate
+ * @param {object} req - An Express request or the WebSocket upgrade request.
+ * @returns {object|null} `{ username, role, extension, via }`, where `via` is 'none', 'session',
+ *   'proxy' or 'token'; null if the request is not signed in.
+ */
+function authenticate(req) {
+  if (config.mode === 'none') {
+    return { username: 'anonymous', role: 'admin', extension: null, via: 'none' };
+  }
+
+  const authorization = String(req.headers.authorization || '');
+  if (authorization.startsWith('Bearer ')) {
+    const presented = authorization.slice('Bearer '.length).trim();
+    const apiToken = config.apiTokens.find(({ token }) => safeEqual(token, presented));
+    return apiToken
+      ? { username: `token:${apiToken.name}`, role: apiToken.role, extension: null, via: 'token' }
+      : null;
+  }
+
+  if (config.mode === 'local') {
+    const token = getSessionToken(req);
+    const session = token && sessions.get(token);
+    if (!session || session.expiresAt <= Date.now()) {
+      if (session) {
+        sessions.delete(token);
+      }
+      return null;
+    }
+    const user = users.get(session.username);
+    return user ? { ...publicUser(user), via: 'session' } : null;
+  }
+
+  if (config.mode === 'proxy') {
+    const username = req.headers[config.proxyUserHeader];
+    if (!username || !config.trustedProxies.includes(getRemoteAddress(req))) {
+      return null;
+    }
+    const user = users.get(username);
+    const headerRole = config.proxyRoleHeader && req.headers[config.proxyRoleHeader];
+    const role = user ? user.role : ROLES.includes(headerRole) ? headerRole : config.proxyDefaultRole;
+    return { username, role, extension: user ? user.extension : null, via: 'proxy' };
+  }
+
+  return null;
+}
+
+/**
+ * Creates Express middleware that only lets users with a role (or a more
+ * privileged one) through. It answers 401 when the request is not signed in
+ * and 403 when the role is too low, and sets `req.user` otherwise.
+ *
+ * @function requireRole
+ * @param {string} role - The least privileged role allowed.
+ * @returns {Function} The middleware.
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const user = req.user || authenticate(req);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Sign in required' });
+    }
+    if (!hasRole(user, role)) {
+      return res.status(403).json({ success: false, error: `This needs the ${role} role` });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  AUTH_MODES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  loadUsers,
+  listUsers,
+  addUser,
+  updateUser,
+  removeUser,
+  login,
+  logout,
+  getSessionToken,
+  sessionCookie,
+  getRemoteAddress,
+  getClientAddress,
+  authenticate,
+  requireRole,
+  config,
+};
@@ -0,0 +1,451 @@
+/**
+ * Auto Login Module
+ *
+ * Signs the web client in to 3CX when its cookies have expired, so a
+ * headless browser no longer needs someone to log in by hand. The user name
+ * and password come from the secrets vault. When 3CX asks for a second
+ * factor, the code comes from an MFA provider: `totp` computes it from a
+ * stored TOTP secret, `dashboard` asks for it on the control panel and waits
+ * for someone to enter it. Other providers can be added with
+ * `registerMfaProvider()`. Whether the login worked is decided by the web
+ * client's own login check.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const logger = require('./logger');
+const secretsVault = require('./secrets-vault');
+
+// Name of the 3CX credentials in the secrets vault
+const CREDENTIALS_SECRET = secretsVault.SECRET_NAMES.credentials;
+
+// Fields and buttons of the 3CX login form, including two-step and second-factor pages
+const SELECTORS = {
+  username: 'input[name="username"], input[type="email"], input[name="loginfmt"], #username',
+  password: 'input[name="password"], input[type="password"], #password',
+  mfaCode:
+    'input[autocomplete="one-time-code"], input[name="code"], input[name="otp"], input[name="otc"], #otp, #mfaCode',
+  submit: 'button[type="submit"], input[type="submit"], #idSIButton9',
+};
+
+// Configuration from environment variables
+const config = {
+  enabled: process.env.THREECX_AUTO_LOGIN === 'true',
+  // Second factor provider: totp, dashboard, or empty for totp when a TOTP secret is stored and dashboard otherwise
+  mfaMethod: process.env.THREECX_MFA || '',
+  // How long a code requested on the dashboard may take to be entered (in milliseconds)
+  mfaTimeout: parseInt(process.env.THREECX_MFA_TIMEOUT || '300000', 10),
+  // How long each step of the login form may take to appear (in milliseconds)
+  stepTimeout: 15000,
+  // How long to look for a second factor field after the password (in milliseconds)
+  mfaFieldTimeout: 5000,
+};
+
+// Second factor providers by name
+const mfaProviders = {};
+
+// The code requested on the dashboard, if any: `{ id, requestedAt, expiresAt, resolve, reject, timer }`
+let mfaPrompt = null;
+const listeners = [];
+
+// Result of the latest login attempt
+let lastAttempt = null;
+
+/**
+ * Decodes a base32 (RFC 4648) string, as TOTP secrets are usually given.
+ *
+ * @function decodeBase32
+ * @param {string} value - The base32 string; spaces, dashes and padding are ignored.
+ * @returns {Buffer} The decoded bytes.
+ * @throws {Error} If the string contains characters outside the base32 alphabet.
+ */
+function decodeBase32(value) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const characters = value.replace(/[\s-]|=+$/g, '').toUpperCase();
+  let bits = '';
+
+  for (const character of characters) {
+    const index = alphabet.indexOf(character);
+    if (index === -1) {
+      throw new Error('TOTP secret must be base32 (letters A-Z and digits 2-7)');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = bits.match(/.{8}/g) || [];
+  return Buffer.from(bytes.map((byte) => parseInt(byte, 2)));
+}
+
+/**
+ * Computes a TOTP code (RFC 6238: HMAC-SHA1, 30-second steps, 6 digits).
+ *
+ * @function generateTotp
+ * @param {string} secret - The base32 TOTP secret.
+ * @param {number} [time=Date.now()] - The time to compute the code for, in milliseconds.
+ * @returns {string} The code.
+ */
+function generateTotp(secret, time = Date.now()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 30000)));
+
+  const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+
+  return String(code).padStart(6, '0');
+}
+
+/**
+ * Passes a dashboard prompt event to the listeners.
+ *
+ * @function notify
+ * @param {string} event - 'requested', 'answered' or 'expired'.
+ */
+function notify(event) {
+  const entry = { event, prompt: getMfaPrompt() };
+
+  listeners.forEach((listener) => {
+    try {
+      listener(entry);
+    } catch (error) {
+      logger.error(`Error in MFA prompt listener: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Registers a second factor provider, replacing any provider of the same name.
+ *
+ * @function registerMfaProvider
+ * @param {string} name - The name to select it with in `THREECX_MFA`.
+ * @param {function(object): Promise<string>} provider - Called with `{ credentials }`, resolves to the code.
+ */
+function registerMfaProvider(name, provider) {
+  mfaProviders[name] = provider;
+}
+
+/**
+ * Asks for a code on the dashboard and waits until it is entered with
+ * `submitMfaCode()` or `THREECX_MFA_TIMEOUT` runs out.
+ *
+ * @async
+ * @function requestDashboardCode
+ * @returns {Promise<string>} The code entered.
+ * @throws {Error} If no code is entered in time, or another prompt replaces this one.
+ */
+function requestDashboardCode() {
+  if (mfaPrompt) {
+    clearTimeout(mfaPrompt.timer);
+    mfaPrompt.reject(new Error('A newer code was requested'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const requestedAt = Date.now();
+    mfaPrompt = {
+      id: crypto.randomUUID(),
+      requestedAt,
+      expiresAt: requestedAt + config.mfaTimeout,
+      resolve,
+      reject,
+      timer: setTimeout(() => {
+        mfaPrompt = null;
+        notify('expired');
+        reject(new Error(`No code was entered on the dashboard within ${Math.round(config.mfaTimeout / 1000)}s`));
+      }, config.mfaTimeout),
+    };
+
+    logger.warn('3CX asks for a second factor: waiting for the code to be entered on the dashboard');
+    notify('requested');
+  });
+}
+
+/**
+ * Enters the code the pending dashboard prompt is waiting for.
+ *
+ * @function submitMfaCode
+ * @param {string} code - The code from the authenticator app, SMS or e-mail.
+ * @throws {Error} If no code is being waited for, or the code is empty.
+ */
+function submitMfaCode(code) {
+  if (!mfaPrompt) {
+    throw new Error('No 3CX login is waiting for a code');
+  }
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new Error('Code is required');
+  }
+
+  const { resolve, timer } = mfaPrompt;
+  clearTimeout(timer);
+  mfaPrompt = null;
+  notify('answered');
+  resolve(code.trim());
+}
+
+/**
+ * Describes the pending dashboard prompt.
+ *
+ * @function getMfaPrompt
+ * @returns {object|null} `{ id, requestedAt, expiresAt }`, or null if no code is being waited for.
+ */
+function getMfaPrompt() {
+  return (
+    mfaPrompt && {
+      id: mfaPrompt.id,
+      requestedAt: new Date(mfaPrompt.requestedAt).toISOString(),
+      expiresAt: new Date(mfaPrompt.expiresAt).toISOString(),
+    }
+  );
+}
+
+/**
+ * Registers a listener for dashboard prompt events.
+ *
+ * @function onMfaPrompt
+ * @param {function(object): void} listener - Called with `{ event, prompt }`, where `event` is
+ *   'requested', 'answered' or 'expired' and `prompt` the prompt (null once answered or expired).
+ */
+function onMfaPrompt(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Saves the 3CX credentials in the secrets vault.
+ *
+ * @async
+ * @function saveCredentials
+ * @param {object} credentials - The credentials.
+ * @param {string} credentials.username - The 3CX user name or e-mail address.
+ * @param {string} credentials.password - The password.
+ * @param {string} [credentials.totpSecret] - The base32 TOTP secret, for the `totp` MFA provider.
+ * @returns {Promise<void>}
+ * @throws {Error} If a field is invalid or the vault cannot be written.
+ */
+async function saveCredentials({ username, password, totpSecret } = {}) {
+  if (typeof username !== 'string' || !username.trim()) {
+    throw new Error('User name is required');
+  }
+  if (typeof password !== 'string' || !password) {
+    throw new Error('Password is required');
+  }
+  if (totpSecret !== undefined && totpSecret !== null && totpSecret !== '') {
+    if (typeof totpSecret !== 'string' || decodeBase32(totpSecret).length === 0) {
+      throw new Error('TOTP secret must be base32 (letters A-Z and digits 2-7)');
+    }
+  }
+
+  await secretsVault.setSecret(CREDENTIALS_SECRET, {
+    username: username.trim(),
+    password,
+    totpSecret: totpSecret ? totpSecret.replace(/[\s-]/g, '').toUpperCase() : null,
+  });
+}
+
+/**
+ * Removes the 3CX credentials from the secrets vault.
+ *
+ * @async
+ * @function removeCredentials
+ * @returns {Promise<void>}
+ * @throws {Error} If the vault cannot be written.
+ */
+async function removeCredentials() {
+  await secretsVault.setSecret(CREDENTIALS_SECRET, null);
+}
+
+/**
+ * Describes the auto login for the API, without any secret.
+ *
+ * @async
+ * @function getAutoLoginState
+ * @returns {Promise<object>} `{ enabled, credentials, mfa, prompt, lastAttempt }`, where
+ *   `credentials` is `{ username, totp }` or null, and `error` is set if the vault cannot be read.
+ */
+async function getAutoLoginState() {
+  const state = {
+    enabled: config.enabled,
+    credentials: null,
+    mfa: config.mfaMethod || 'auto',
+    prompt: getMfaPrompt(),
+    lastAttempt,
+  };
+
+  try {
+    const credentials = await secretsVault.getSecret(CREDENTIALS_SECRET);
+    state.credentials = credentials && {
+      username: credentials.username,
+      totp: Boolean(credentials.totpSecret),
+    };
+  } catch (error) {
+    state.error = error.message;
+  }
+
+  return state;
+}
+
+/**
+ * Tells whether the web client should try to log in by itself.
+ *
+ * @function isEnabled
+ * @returns {boolean} True if `THREECX_AUTO_LOGIN=true`.
+ */
+function isEnabled() {
+  return config.enabled;
+}
+
+/**
+ * Waits for a visible field of the login form.
+ *
+ * @async
+ * @function findField
+ * @param {object} page - The Puppeteer page.
+ * @param {string} selector - The field's selector.
+ * @param {number} timeout - How long to wait, in milliseconds.
+ * @returns {Promise<object|null>} The field, or null if it did not appear.
+ */
+async function findField(page, selector, timeout) {
+  return page.waitForSelector(selector, { visible: true, timeout }).catch(() => null);
+}
+
+/**
+ * Replaces a field's value by typing, so the page's own input handlers run.
+ *
+ * @async
+ * @function fillField
+ * @param {object} field - The field's element handle.
+ * @param {string} value - The value to type.
+ */
+async function fillField(field, value) {
+  await field.click({ clickCount: 3 });
+  await field.type(value);
+}
+
+/**
+ * Submits the current step of the login form and waits for the page to settle.
+ *
+ * @async
+ * @function submitStep
+ * @param {object} page - The Puppeteer page.
+ * @param {object} field - The field last filled in, to press Enter in if there is no submit button.
+ */
+async function submitStep(page, field) {
+  const button = await page.$(SELECTORS.submit);
+  if (button) {
+    await button.click();
+  } else {
+    await field.press('Enter');
+  }
+
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: config.stepTimeout }).catch(() => {});
+}
+
+/**
+ * Gets the second factor code from the configured MFA provider.
+ *
+ * @async
+ * @function getMfaCode
+ * @param {object} credentials - The stored credentials.
+ * @returns {Promise<string>} The code.
+ * @throws {Error} If the provider is unknown or cannot give a code.
+ */
+async function getMfaCode(credentials) {
+  const method = config.mfaMethod || (credentials.totpSecret ? 'totp' : 'dashboard');
+  const provider = mfaProviders[method];
+  if (!provider) {
+    throw new Error(`Unknown MFA provider "${method}"`);
+  }
+
+  logger.info(`Getting the 3CX second factor code from the "${method}" provider`);
+  return provider({ credentials });
+}
+
+/**
+ * Fills in the 3CX login form with the stored credentials, enters a second
+ * factor code if one is asked for, and checks that the page is signed in.
+ *
+ * @async
+ * @function login
+ * @param {object} page - The Puppeteer page showing the login form.
+ * @param {function(): Promise<boolean>} checkIfLoginRequired - The web client's login check.
+ * @returns {Promise<boolean>} True if the page is signed in afterwards.
+ */
+async function login(page, checkIfLoginRequired) {
+  const startedAt = Date.now();
+  let error = null;
+  let success = false;
+
+  try {
+    const credentials = await secretsVault.getSecret(CREDENTIALS_SECRET);
+    if (!credentials) {
+      throw new Error('No 3CX credentials are stored');
+    }
+
+    logger.info(`Logging in to 3CX as ${credentials.username}`);
+    const usernameField = await findField(page, SELECTORS.username, config.stepTimeout);
+    if (!usernameField) {
+      throw new Error('The login form has no user name field');
+    }
+    await fillField(usernameField, credentials.username);
+
+    // Some login pages ask for the password on a second page
+    let passwordField = await page.$(SELECTORS.password);
+    if (!passwordField) {
+      await submitStep(page, usernameField);
+      passwordField = await findField(page, SELECTORS.password, config.stepTimeout);
+    }
+    if (!passwordField) {
+      throw new Error('The login form has no password field');
+    }
+    await fillField(passwordField, credentials.password);
+    await submitStep(page, passwordField);
+
+    const mfaField = await findField(page, SELECTORS.mfaCode, config.mfaFieldTimeout);
+    if (mfaField) {
+      const code = await getMfaCode(credentials);
+      await fillField(mfaField, code);
+      await submitStep(page, mfaField);
+    }
+
+    success = !(await checkIfLoginRequired());
+    if (!success) {
+      error = 'Still on the login page after submitting the credentials';
+    }
+  } catch (loginError) {
+    error = loginError.message;
+  }
+
+  lastAttempt = {
+    timestamp: new Date().toISOString(),
+    success,
+    error,
+    durationMs: Date.now() - startedAt,
+  };
+  if (success) {
+    logger.info('Logged in to 3CX automatically');
+  } else {
+    logger.error(`Automatic 3CX login failed: ${error}`);
+  }
+
+  return success;
+}
+
+registerMfaProvider('totp', async ({ credentials }) => {
+  if (!credentials.totpSecret) {
+    throw new Error('No TOTP secret is stored with the 3CX credentials');
+  }
+  return generateTotp(credentials.totpSecret);
+});
+registerMfaProvider('dashboard', requestDashboardCode);
+
+module.exports = {
+  isEnabled,
+  login,
+  registerMfaProvider,
+  generateTotp,
+  submitMfaCode,
+  getMfaPrompt,
+  onMfaPrompt,
+  saveCredentials,
+  removeCredentials,
+  getAutoLoginState,
+  config,
+};
@@ -9,6 +9,8 @@ require('dotenv').config();
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const axios = require('axios');
+const statusProfiles = require('./status-profiles');
+const secretsVault = require('./secrets-vault');
 
 // Add stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
@@ -25,14 +27,6 @@ const config = {
     ipAddress: process.env.WLED_IP_ADDRESS,
     brightness: parseInt(process.env.WLED_BRIGHTNESS || '128', 10),
     transition: parseInt(process.env.WLED_TRANSITION || '1000', 10),
-    statusColors: {
-      available: { r: 0, g: 255, b: 0 },      // Green for available
-      ringing: { r: 255, g: 255, b: 0 },      // Yellow for ringing
-      onCall: { r: 255, g: 0, b: 0 },         // Red for on a call
-      dnd: { r: 128, g: 0, b: 128 },          // Purple for do not disturb
-      away: { r: 255, g: 165, b: 0 },         // Orange for away
-      offline: { r: 0, g: 0, b: 255 },        // Blue for offline
-    },
   },
 };
 
@@ -87,20 +81,21 @@ async function initBrowser() {
     console.log('Waiting for Microsoft 365 login page...');
     
     // Try to load cookies first
-    const cookiesPath = path.join(process.cwd(), 'cookies.json');
+    const cookies = await secretsVault.getCookies().catch((error) => {
+      console.error('Error loading cookies:', error.message);
+      return [];
+    });
     
-    if (fs.existsSync(cookiesPath)) {
+    if (cookies.length > 0) {
       try {
         console.log('Found saved cookies, attempting to use them...');
-        const cookiesString = fs.readFileSync(cookiesPath, 'utf8');
-        const cookies = JSON.parse(cookiesString);
         
         // Set cookies
         for (const cookie of cookies) {
           await page.setCookie(cookie);
         }
         
-        console.log(`Loaded ${cookies.length} cookies from ${cookiesPath}`);
+        console.log(`Loaded ${cookies.length} cookies from ${secretsVault.config.file}`);
         
         // Refresh the page to apply cookies
         await page.reload({ waitUntil: 'networkidle2' });
@@ -297,63 +292,51 @@ async function handleStatusChange(status) {
   if (status === lastStatus) return;
   lastStatus = status;
   
-  // Map 3CX status to WLED colors
-  let color;
+  // Map 3CX status to a status profile
+  let profileStatus;
   switch (status) {
     case 'available':
-      color = config.wled.statusColors.available;
+      profileStatus = 'available';
       break;
     case 'ringing':
-      color = config.wled.statusColors.ringing;
+      profileStatus = 'ringing';
       break;
     case 'onCall':
-      color = config.wled.statusColors.onCall;
+      profileStatus = 'onCall';
       break;
     case 'dnd':
-      color = config.wled.statusColors.dnd;
+      profileStatus = 'dnd';
       break;
     case 'away':
-      color = config.wled.statusColors.away;
+      profileStatus = 'away';
       break;
     case 'offline':
     default:
-      color = config.wled.statusColors.offline;
+      profileStatus = 'offline';
       break;
   }
   
-  // Update WLED
-  await updateWLED(color);
+  // Update WLED, re-reading the profiles so dashboard edits apply without a restart
+  statusProfiles.loadProfiles();
+  await updateWLED(statusProfiles.getProfile(profileStatus));
 }
 
 /**
- * Update WLED with new color
- * @param {Object} color - RGB color object {r, g, b}
+ * Update WLED with a status profile
+ * @param {Object} profile - Status profile (color, effect, palette, speed, intensity, brightness)
  */
-async function updateWLED(color) {
+async function updateWLED(profile) {
   try {
     // Validate required configuration
     if (!config.wled.ipAddress) {
       throw new Error('WLED IP address is not configured');
     }
     
-    console.log(`Setting WLED color to RGB(${color.r},${color.g},${color.b})`);
+    const { color } = profile;
+    console.log(`Setting WLED color to RGB(${color.r},${color.g},${color.b}), effect ${profile.effectId}`);
     
     const url = `http://${config.wled.ipAddress}/json`;
-    const payload = {
-      on: true,
-      bri: config.wled.brightness,
-      transition: config.wled.transition / 1000, // WLED uses seconds
-      seg: [
-        {
-          col: [
-            [color.r, color.g, color.b]
-          ],
-          fx: 0, // Solid color effect
-          sx: 128, // Effect speed (not needed for solid)
-          ix: 128, // Effect intensity (not needed for solid)
-        }
-      ]
-    };
+    const payload = statusProfiles.buildWLEDState(profile, config.wled);
     
     await axios.post(url, payload);
     console.log('WLED updated successfully');
@@ -417,6 +400,17 @@ async function startMonitoring() {
   }, config.threecx.refreshInterval);
 }
 
+/**
+ * Close the browser
+ */
+async function closeBrowser() {
+  if (browser) {
+    await browser.close();
+    browser = null;
+    page = null;
+  }
+}
+
 /**
  * Main application function
  */
@@ -446,7 +440,7 @@ async function main() {
       console.log('Shutting down...');
       
       // Turn off WLED or set to default color on exit
-      await updateWLED({r: 0, g: 0, b: 0});
+      await updateWLED(statusProfiles.solidProfile({ r: 0, g: 0, b: 0 }));
       
       // Close browser
       if (browser) {
@@ -485,6 +479,8 @@ if (require.main === module) {
 module.exports = {
   initBrowser,
   checkCallStatus,
+  closeBrowser,
   handleStatusChange,
-  updateWLED
+  updateWLED,
+  config
 };
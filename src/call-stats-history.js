@@ -0,0 +1,211 @@
+/**
+ * Call Statistics History Module
+ *
+ * Samples the 3CX queue statistics into a rolling time series kept at three
+ * resolutions: per minute, per hour and per day. Every sample is added to the
+ * current bucket of each resolution, so coarser buckets are downsampled from
+ * the same data rather than from the finer ones. Each resolution keeps its own
+ * retention window, and the series is saved to disk every few minutes.
+ */
+
+require('dotenv').config();
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./json-file-store');
+const { parseDuration } = require('./queue-pressure');
+
+// Values sampled from each call statistics update
+const METRICS = {
+  waitingCalls: (callStats) => parseInt(callStats.waitingCalls, 10) || 0,
+  servicedCalls: (callStats) => parseInt(callStats.servicedCalls, 10) || 0,
+  abandonedCalls: (callStats) => parseInt(callStats.abandonedCalls, 10) || 0,
+  averageWaitingSeconds: (callStats) => parseDuration(callStats.averageWaiting),
+  averageTalkingSeconds: (callStats) => parseDuration(callStats.averageTalking),
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Configuration from environment variables
+const config = {
+  historyFile: process.env.CALL_STATS_HISTORY_FILE || 'call-stats-history.json',
+  retention: {
+    minute: parseInt(process.env.CALL_STATS_MINUTE_RETENTION_HOURS || '24', 10) * HOUR,
+    hour: parseInt(process.env.CALL_STATS_HOUR_RETENTION_DAYS || '30', 10) * DAY,
+    day: parseInt(process.env.CALL_STATS_DAY_RETENTION_DAYS || '365', 10) * DAY,
+  },
+  // Minimum time between saves to disk
+  saveInterval: 5 * 60 * 1000,
+};
+
+const RESOLUTIONS = Object.keys(config.retention);
+
+let series = { minute: [], hour: [], day: [] };
+let lastSaved = 0;
+
+/**
+ * Returns the start of the bucket a time falls into. Hours and days start on
+ * local time boundaries.
+ *
+ * @function bucketStart
+ * @param {number} time - The time in milliseconds since the epoch.
+ * @param {string} resolution - 'minute', 'hour' or 'day'.
+ * @returns {number} The bucket start in milliseconds since the epoch.
+ */
+function bucketStart(time, resolution) {
+  const date = new Date(time);
+  if (resolution === 'day') {
+    date.setHours(0, 0, 0, 0);
+  } else if (resolution === 'hour') {
+    date.setMinutes(0, 0, 0);
+  } else {
+    date.setSeconds(0, 0);
+  }
+
+  return date.getTime();
+}
+
+/**
+ * Drops buckets that are older than each resolution's retention window.
+ *
+ * @function pruneSeries
+ * @param {number} [now] - The current time in milliseconds.
+ */
+function pruneSeries(now = Date.now()) {
+  RESOLUTIONS.forEach((resolution) => {
+    const cutoff = now - config.retention[resolution];
+    series[resolution] = series[resolution].filter((bucket) => bucket.start >= cutoff);
+  });
+}
+
+/**
+ * Loads the saved time series from disk.
+ *
+ * @function loadHistory
+ * @returns {number} The number of minute buckets loaded.
+ */
+function loadHistory() {
+  try {
+    const stored = readJsonFile(config.historyFile, {});
+    series = Object.fromEntries(
+      RESOLUTIONS.map((resolution) => [
+        resolution,
+        Array.isArray(stored[resolution]) ? stored[resolution] : [],
+      ])
+    );
+    pruneSeries();
+  } catch (error) {
+    logger.error(`Error loading call statistics history: ${error.message}`);
+    series = { minute: [], hour: [], day: [] };
+  }
+
+  return series.minute.length;
+}
+
+/**
+ * Saves the time series to disk.
+ *
+ * @async
+ * @function saveHistory
+ * @returns {Promise<boolean>} True if the series was saved.
+ */
+async function saveHistory() {
+  try {
+    pruneSeries();
+    lastSaved = Date.now();
+    await writeJsonFile(config.historyFile, series);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving call statistics history: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Adds a call statistics sample to the current bucket of every resolution.
+ * The series is saved once a minute bucket closes and the save interval has passed.
+ *
+ * @function recordCallStats
+ * @param {object} callStats - The call statistics (`waitingCalls`, `servicedCalls`,
+ *   `abandonedCalls`, `averageWaiting`, `averageTalking`).
+ * @param {number} [time] - When the sample was taken, in milliseconds (defaults to now).
+ */
+function recordCallStats(callStats, time = Date.now()) {
+  if (!callStats) {
+    return;
+  }
+
+  const values = Object.fromEntries(
+    Object.entries(METRICS).map(([metric, read]) => [metric, read(callStats)])
+  );
+  let minuteClosed = false;
+
+  RESOLUTIONS.forEach((resolution) => {
+    const start = bucketStart(time, resolution);
+    const buckets = series[resolution];
+    let bucket = buckets[buckets.length - 1];
+
+    if (!bucket || bucket.start !== start) {
+      minuteClosed = minuteClosed || (resolution === 'minute' && Boolean(bucket));
+      bucket = { start, samples: 0, sum: {}, max: {} };
+      buckets.push(bucket);
+    }
+
+    bucket.samples += 1;
+    Object.entries(values).forEach(([metric, value]) => {
+      bucket.sum[metric] = (bucket.sum[metric] || 0) + value;
+      bucket.max[metric] = Math.max(bucket.max[metric] || 0, value);
+    });
+  });
+
+  if (minuteClosed && time - lastSaved >= config.saveInterval) {
+    saveHistory();
+  }
+}
+
+/**
+ * Returns the time series at one resolution.
+ *
+ * @function getSeries
+ * @param {object} [query] - Query parameters.
+ * @param {string} [query.resolution='minute'] - 'minute', 'hour' or 'day'.
+ * @param {string} [query.from] - Start of the time range (defaults to the start of the retention window).
+ * @param {string} [query.to] - End of the time range (defaults to now).
+ * @returns {Array<object>} One point per bucket, oldest first:
+ *   `{ timestamp, samples, average: { metric: value }, max: { metric: value } }`.
+ * @throws {Error} If a parameter is invalid.
+ */
+function getSeries(query = {}) {
+  const resolution = query.resolution || 'minute';
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Resolution must be one of: ${RESOLUTIONS.join(', ')}`);
+  }
+  const from = query.from ? new Date(query.from).getTime() : 0;
+  const to = query.to ? new Date(query.to).getTime() : Date.now();
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    throw new Error('"from" and "to" must be valid dates');
+  }
+
+  return series[resolution]
+    .filter((bucket) => bucket.start >= bucketStart(from, resolution) && bucket.start <= to)
+    .map((bucket) => ({
+      timestamp: new Date(bucket.start).toISOString(),
+      samples: bucket.samples,
+      average: Object.fromEntries(
+        Object.keys(METRICS).map((metric) => [
+          metric,
+          Math.round(((bucket.sum[metric] || 0) / bucket.samples) * 10) / 10,
+        ])
+      ),
+      max: { ...bucket.max },
+    }));
+}
+
+module.exports = {
+  METRICS: Object.keys(METRICS),
+  RESOLUTIONS,
+  loadHistory,
+  saveHistory,
+  recordCallStats,
+  getSeries,
+  config,
+};
@@ -3,20 +3,19 @@
  * 
  * This script helps export cookies from a browser session where you're already logged in to 3CX.
  * Run this script once to save your authenticated cookies, which can then be used by the monitor.
+ * The cookies are saved encrypted in the secrets vault (`SECRETS_FILE`).
  */
 
 require('dotenv').config();
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-const fs = require('fs');
-const path = require('path');
+const secretsVault = require('./secrets-vault');
 
 // Add stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
 
 // Get 3CX URL from environment
 const threecxUrl = process.env.THREECX_WEB_URL || 'https://primonz.my3cx.nz';
-const cookiesPath = path.join(process.cwd(), 'cookies.json');
 
 async function exportCookies() {
   console.log('Cookie Exporter for 3CX Browser Monitor');
@@ -51,10 +50,10 @@ async function exportCookies() {
     // Get all cookies
     const cookies = await page.cookies();
     
-    // Save cookies to file
-    fs.writeFileSync(cookiesPath, JSON.stringify(cookies, null, 2));
+    // Save cookies to the secrets vault
+    await secretsVault.saveCookies(cookies);
     
-    console.log(`\nSuccess! ${cookies.length} cookies saved to ${cookiesPath}`);
+    console.log(`\nSuccess! ${cookies.length} cookies saved to ${secretsVault.config.file}`);
     console.log('You can now run the monitor with these cookies.');
     
   } catch (error) {
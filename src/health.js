@@ -0,0 +1,143 @@
+/**
+ * Health Module
+ *
+ * Checks the parts the app depends on and reports a result per component,
+ * for Docker, systemd or a load balancer to act on. Liveness covers what a
+ * restart can fix: the status providers running, the 3CX browser and page
+ * being alive, and status collections not stalling. Readiness adds what
+ * needs someone's attention instead: the 3CX session still being signed in
+ * and the main WLED strip being reachable.
+ */
+
+require('dotenv').config();
+const logger = require('./logger');
+const statusProviders = require('./providers');
+const wledController = require('./wled-controller');
+
+// Configuration from environment variables
+const config = {
+  // Seconds without a successful 3CX status collection before liveness fails
+  maxScrapeAge: parseInt(process.env.HEALTH_MAX_SCRAPE_AGE || '120', 10),
+  // Milliseconds a single check may take before it counts as failed
+  checkTimeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT || '15000', 10),
+};
+
+/**
+ * Runs a check, failing it if it throws or takes longer than `HEALTH_CHECK_TIMEOUT`.
+ *
+ * @async
+ * @function runCheck
+ * @param {string} name - The check name, for the log.
+ * @param {Function} check - Resolves to the check's results.
+ * @param {Function} onFailure - Builds the components to report from the error message if the check fails.
+ * @returns {Promise<object>} The check's results.
+ */
+async function runCheck(name, check, onFailure) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${config.checkTimeout}ms`)), config.checkTimeout);
+  });
+
+  try {
+    return await Promise.race([check(), timeout]);
+  } catch (error) {
+    logger.warn(`Health check "${name}" failed: ${error.message}`);
+    return onFailure(error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Checks that the main WLED strip answers.
+ *
+ * @async
+ * @function checkWLED
+ * @returns {Promise<object>} The `wled` component.
+ */
+async function checkWLED() {
+  if (!wledController.config.wled.ipAddress) {
+    return { wled: { status: 'fail', error: 'WLED_IP_ADDRESS is not set' } };
+  }
+
+  const startedAt = Date.now();
+  const state = await wledController.getWLEDStatus();
+  if (!state) {
+    return { wled: { status: 'fail', error: 'WLED device did not answer' } };
+  }
+
+  return {
+    wled: {
+      status: 'ok',
+      latencyMs: Date.now() - startedAt,
+      version: state.info ? state.info.ver : undefined,
+    },
+  };
+}
+
+/**
+ * Combines component results into a report: failed if any component failed.
+ *
+ * @function buildReport
+ * @param {object} components - Results keyed by component.
+ * @returns {{status: string, timestamp: string, components: object}} The report.
+ */
+function buildReport(components) {
+  const failed = Object.values(components).some((component) => component.status === 'fail');
+
+  return {
+    status: failed ? 'fail' : 'ok',
+    timestamp: new Date().toISOString(),
+    components,
+  };
+}
+
+/**
+ * Checks whether the app is alive: every status provider running, the 3CX
+ * browser and page open, and a status collected recently.
+ *
+ * @async
+ * @function checkLiveness
+ * @returns {Promise<object>} The report (`{ status: 'ok'|'fail', timestamp, components }`).
+ */
+async function checkLiveness() {
+  const components = await runCheck(
+    'providers',
+    () => statusProviders.getProviderHealth({ maxScrapeAge: config.maxScrapeAge * 1000 }),
+    (error) => ({ providers: { status: 'fail', error } })
+  );
+
+  return buildReport(components);
+}
+
+/**
+ * Checks whether the app is ready to show statuses: everything liveness
+ * checks, plus the 3CX session being signed in and the main WLED strip
+ * answering.
+ *
+ * @async
+ * @function checkReadiness
+ * @returns {Promise<object>} The report (`{ status: 'ok'|'fail', timestamp, components }`).
+ */
+async function checkReadiness() {
+  const [providers, wled] = await Promise.all([
+    runCheck(
+      'providers',
+      () =>
+        statusProviders.getProviderHealth({
+          maxScrapeAge: config.maxScrapeAge * 1000,
+          checkSession: true,
+        }),
+      (error) => ({ providers: { status: 'fail', error } })
+    ),
+    runCheck('wled', checkWLED, (error) => ({ wled: { status: 'fail', error } })),
+  ]);
+
+  return buildReport({ ...providers, ...wled });
+}
+
+module.exports = {
+  checkLiveness,
+  checkReadiness,
+  config,
+};
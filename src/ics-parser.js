@@ -0,0 +1,700 @@
+/**
+ * ICS Parser
+ *
+ * Reads the events of an iCalendar (RFC 5545) file, such as a published
+ * Outlook/Teams calendar, and expands them into concrete occurrences. Times
+ * with a `TZID` are converted with the runtime's time zone database, so the
+ * IANA names used by most feeds work; unknown zone names (e.g., Windows names)
+ * and floating times fall back to the server's local time. Recurrence rules
+ * support `FREQ` (daily, weekly, monthly, yearly), `INTERVAL`, `COUNT`,
+ * `UNTIL`, `BYDAY` (with ordinals such as `2TU` in monthly and yearly rules),
+ * `BYMONTHDAY`, `BYMONTH`, `BYSETPOS` and `WKST`, together with `EXDATE` and
+ * moved occurrences (`RECURRENCE-ID`). Events whose rule uses anything else
+ * keep only their first occurrence and carry the rule in `unsupportedRule`.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Weekday codes in `Date.getUTCDay()` order
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Most occurrences generated for one recurring event, as a guard against runaway rules
+const MAX_OCCURRENCES = 10000;
+
+// Cached `Intl.DateTimeFormat` per time zone, or null for unknown zones
+const zoneFormatters = new Map();
+
+/**
+ * Joins folded content lines (continuations start with a space or tab).
+ *
+ * @function unfoldLines
+ * @param {string} text - The ICS file contents.
+ * @returns {Array<string>} The unfolded lines.
+ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter((line) => line.trim());
+}
+
+/**
+ * Splits a content line into its name, parameters and value.
+ *
+ * @function parseLine
+ * @param {string} line - The content line (e.g., `DTSTART;TZID=Pacific/Auckland:20240101T090000`).
+ * @returns {{name: string, params: object, value: string}|null} The parts, or null if the line has no value.
+ */
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let quoted = false;
+  let separator = -1;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      separator = i;
+      break;
+    }
+  }
+  if (separator < 1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, separator).split(';');
+  const params = {};
+  paramParts.forEach((part) => {
+    const equals = part.indexOf('=');
+    if (equals > 0) {
+      params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, '');
+    }
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+/**
+ * Unescapes an ICS text value.
+ *
+ * @function unescapeText
+ * @param {string} value - The escaped text.
+ * @returns {string} The text.
+ */
+function unescapeText(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+/**
+ * Parses a DATE or DATE-TIME value into wall-clock fields.
+ *
+ * @function parseDateValue
+ * @param {string} value - The value (e.g., `20240101`, `20240101T090000`, `20240101T090000Z`).
+ * @param {object} [params] - The property parameters (`TZID`, `VALUE`).
+ * @returns {object|null} `{ year, month, day, hour, minute, second, dateOnly, timeZone }`, where
+ *   `timeZone` is 'UTC', a zone name, or null for floating times; null if the value is invalid.
+ */
+function parseDateValue(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const dateOnly = !match[4];
+  let timeZone = null;
+  if (match[7]) {
+    timeZone = 'UTC';
+  } else if (!dateOnly && params.TZID) {
+    timeZone = params.TZID;
+  }
+
+  return {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hour: dateOnly ? 0 : Number(match[4]),
+    minute: dateOnly ? 0 : Number(match[5]),
+    second: dateOnly ? 0 : Number(match[6]),
+    dateOnly,
+    timeZone,
+  };
+}
+
+/**
+ * Parses an ICS duration (e.g., `PT1H30M`, `P1D`, `-PT15M`).
+ *
+ * @function parseDuration
+ * @param {string} value - The duration.
+ * @returns {number|null} The duration in milliseconds, or null if it is invalid.
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+    String(value).trim()
+  );
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total =
+    (Number(weeks || 0) * 7 + Number(days || 0)) * DAY +
+    ((Number(hours || 0) * 60 + Number(minutes || 0)) * 60 + Number(seconds || 0)) * 1000;
+
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Returns a formatter that reads wall-clock fields in a time zone.
+ *
+ * @function getZoneFormatter
+ * @param {string} timeZone - The IANA time zone name.
+ * @returns {Intl.DateTimeFormat|null} The formatter, or null if the zone is unknown.
+ */
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      });
+    } catch (_error) {
+      // Unknown zone name; times in it are treated as local
+    }
+    zoneFormatters.set(timeZone, formatter);
+  }
+
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * Returns how far a time zone is ahead of UTC at a moment.
+ *
+ * @function getZoneOffset
+ * @param {Intl.DateTimeFormat} formatter - The zone's formatter.
+ * @param {number} time - The moment in milliseconds since the epoch.
+ * @returns {number} The offset in milliseconds.
+ */
+function getZoneOffset(formatter, time) {
+  const parts = Object.fromEntries(
+    formatter.formatToParts(new Date(time)).map((part) => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Converts wall-clock fields to a moment in time.
+ *
+ * @function toTime
+ * @param {object} fields - Fields from `parseDateValue()`.
+ * @returns {number} Milliseconds since the epoch.
+ */
+function toTime(fields) {
+  const { year, month, day, hour, minute, second, timeZone } = fields;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (timeZone === 'UTC') {
+    return wallClock;
+  }
+
+  const formatter = timeZone ? getZoneFormatter(timeZone) : null;
+  if (!formatter) {
+    return new Date(year, month - 1, day, hour, minute, second).getTime();
+  }
+
+  // Correct the guess once more in case it landed on the other side of a DST change
+  const guess = wallClock - getZoneOffset(formatter, wallClock);
+  return wallClock - getZoneOffset(formatter, guess);
+}
+
+/**
+ * Parses a comma-separated list of integers, such as a BYMONTHDAY value.
+ *
+ * @function parseIntegerList
+ * @param {string} value - The list.
+ * @param {number} limit - Largest absolute value allowed.
+ * @param {boolean} [negative=true] - Whether negative values (counted from the end) are allowed.
+ * @returns {Array<number>|null} The integers, or null if one is invalid.
+ */
+function parseIntegerList(value, limit, negative = true) {
+  const numbers = value.split(',').map((part) => (/^[+-]?\d+$/.test(part.trim()) ? Number(part) : NaN));
+  const valid = numbers.every(
+    (number) => Number.isInteger(number) && number !== 0 && Math.abs(number) <= limit && (negative || number > 0)
+  );
+
+  return valid ? numbers : null;
+}
+
+/**
+ * Parses an RRULE value. Rules with parts the expansion does not support
+ * (`BYWEEKNO`, `BYYEARDAY`, `BYHOUR`, `BYMINUTE`, `BYSECOND`, or a frequency
+ * below a day) are rejected rather than expanded on the wrong days.
+ *
+ * @function parseRule
+ * @param {string} value - The rule (e.g., `FREQ=MONTHLY;BYDAY=2TU;UNTIL=20241231T000000Z`).
+ * @returns {object|null} `{ freq, interval, count, until, byDay, byMonthDay, byMonth, bySetPos, weekStart }`,
+ *   where `byDay` lists `{ ordinal, weekday }` (ordinal 0 for every such weekday), or null if the rule is
+ *   unsupported or invalid.
+ */
+function parseRule(value) {
+  const parts = Object.fromEntries(
+    value.split(';').map((part) => {
+      const [key, ...rest] = part.split('=');
+      return [key.trim().toUpperCase(), rest.join('=').trim().toUpperCase()];
+    })
+  );
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+    return null;
+  }
+  if (['BYWEEKNO', 'BYYEARDAY', 'BYHOUR', 'BYMINUTE', 'BYSECOND'].some((part) => part in parts)) {
+    return null;
+  }
+
+  let byDay = null;
+  if (parts.BYDAY) {
+    byDay = parts.BYDAY.split(',').map((day) => {
+      const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day.trim());
+      return match ? { ordinal: Number(match[1] || 0), weekday: WEEKDAYS.indexOf(match[2]) } : null;
+    });
+    // Ordinals (e.g., 2TU, -1FR) only mean something within a month or year
+    const ordinalsAllowed = parts.FREQ === 'MONTHLY' || parts.FREQ === 'YEARLY';
+    if (byDay.some((day) => !day || Math.abs(day.ordinal) > 53 || (day.ordinal && !ordinalsAllowed))) {
+      return null;
+    }
+  }
+  const byMonthDay = parts.BYMONTHDAY ? parseIntegerList(parts.BYMONTHDAY, 31) : null;
+  const byMonth = parts.BYMONTH ? parseIntegerList(parts.BYMONTH, 12, false) : null;
+  const bySetPos = parts.BYSETPOS ? parseIntegerList(parts.BYSETPOS, 366) : null;
+  const weekStart = WEEKDAYS.indexOf(parts.WKST || 'MO');
+  if (
+    (parts.BYMONTHDAY && (!byMonthDay || parts.FREQ === 'WEEKLY')) ||
+    (parts.BYMONTH && !byMonth) ||
+    (parts.BYSETPOS && !bySetPos) ||
+    weekStart < 0
+  ) {
+    return null;
+  }
+  const until = parts.UNTIL ? parseDateValue(parts.UNTIL) : null;
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL || '1', 10) || 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: until ? toTime(until) : null,
+    byDay,
+    byMonthDay,
+    byMonth,
+    bySetPos,
+    weekStart,
+  };
+}
+
+/**
+ * Parses the events of an ICS file.
+ *
+ * @function parseIcs
+ * @param {string} text - The ICS file contents.
+ * @returns {Array<object>} The events: `{ uid, summary, start, end, duration, allDay, transparent,
+ *   cancelled, busyStatus, rule, exdates, recurrenceId, unsupportedRule }`, where `start` and `end` are
+ *   fields from `parseDateValue()`, `exdates` and `recurrenceId` are milliseconds since the epoch, and
+ *   `unsupportedRule` is an RRULE that could not be expanded.
+ */
+function parseIcs(text) {
+  const events = [];
+  let event = null;
+  let depth = 0;
+
+  unfoldLines(text).forEach((line) => {
+    const property = parseLine(line);
+    if (!property) {
+      return;
+    }
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT' && !event) {
+        event = { summary: '', exdates: [], transparent: false, cancelled: false };
+        depth = 0;
+      } else if (event) {
+        // Nested components such as VALARM
+        depth += 1;
+      }
+      return;
+    }
+    if (name === 'END' && event) {
+      if (depth > 0) {
+        depth -= 1;
+      } else if (value.toUpperCase() === 'VEVENT') {
+        if (event.start) {
+          events.push(finishEvent(event));
+        }
+        event = null;
+      }
+      return;
+    }
+    if (!event || depth > 0) {
+      return;
+    }
+
+    switch (name) {
+      case 'UID':
+        event.uid = value;
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(value);
+        break;
+      case 'DTSTART':
+        event.start = parseDateValue(value, params);
+        break;
+      case 'DTEND':
+        event.end = parseDateValue(value, params);
+        break;
+      case 'DURATION':
+        event.duration = parseDuration(value);
+        break;
+      case 'TRANSP':
+        event.transparent = value.toUpperCase() === 'TRANSPARENT';
+        break;
+      case 'STATUS':
+        event.cancelled = value.toUpperCase() === 'CANCELLED';
+        break;
+      case 'X-MICROSOFT-CDO-BUSYSTATUS':
+        event.busyStatus = value.toUpperCase();
+        break;
+      case 'RRULE':
+        event.rule = parseRule(value);
+        if (!event.rule) event.unsupportedRule = value;
+        break;
+      case 'EXDATE':
+        value.split(',').forEach((date) => {
+          const fields = parseDateValue(date, params);
+          if (fields) event.exdates.push(toTime(fields));
+        });
+        break;
+      case 'RECURRENCE-ID': {
+        const fields = parseDateValue(value, params);
+        event.recurrenceId = fields ? toTime(fields) : null;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Fills in an event's derived fields once all its properties are read.
+ *
+ * @function finishEvent
+ * @param {object} event - The event being parsed.
+ * @returns {object} The event.
+ */
+function finishEvent(event) {
+  const allDay = event.start.dateOnly;
+  let duration = event.duration;
+  if (duration === undefined || duration === null) {
+    // Without an end, an all-day event lasts one day and a timed event is a moment
+    duration = event.end ? toTime(event.end) - toTime(event.start) : allDay ? DAY : 0;
+  }
+
+  return {
+    uid: event.uid || null,
+    summary: event.summary,
+    start: event.start,
+    end: event.end || null,
+    duration: Math.max(0, duration),
+    allDay,
+    transparent: event.transparent,
+    cancelled: event.cancelled,
+    busyStatus: event.busyStatus || null,
+    rule: event.rule || null,
+    exdates: event.exdates,
+    recurrenceId: event.recurrenceId || null,
+    unsupportedRule: event.unsupportedRule || null,
+  };
+}
+
+/**
+ * Builds the fields of a calendar day at the time of day of DTSTART.
+ *
+ * @function dayFields
+ * @param {object} start - DTSTART fields from `parseDateValue()`.
+ * @param {number} year - The year.
+ * @param {number} month - The month (1-12; out-of-range months roll over into other years).
+ * @param {number} day - The day of the month.
+ * @returns {object} The fields.
+ */
+function dayFields(start, year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return { ...start, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Returns the weekday of wall-clock fields.
+ *
+ * @function weekdayOf
+ * @param {object} fields - Fields from `parseDateValue()`.
+ * @returns {number} The weekday, 0 for Sunday.
+ */
+function weekdayOf(fields) {
+  return new Date(Date.UTC(fields.year, fields.month - 1, fields.day)).getUTCDay();
+}
+
+/**
+ * Lists every day of a month.
+ *
+ * @function monthDays
+ * @param {object} start - DTSTART fields.
+ * @param {number} year - The year.
+ * @param {number} month - The month (1-12).
+ * @returns {Array<object>} The days' fields, in order.
+ */
+function monthDays(start, year, month) {
+  const length = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  return Array.from({ length }, (_, index) => dayFields(start, year, month, index + 1));
+}
+
+/**
+ * Keeps the days matching BYMONTHDAY, where negative days count from the end of the month.
+ *
+ * @function matchMonthDays
+ * @param {Array<object>} days - Candidate days.
+ * @param {Array<number>} byMonthDay - The days of the month.
+ * @returns {Array<object>} The matching days.
+ */
+function matchMonthDays(days, byMonthDay) {
+  return days.filter((fields) => {
+    const length = new Date(Date.UTC(fields.year, fields.month, 0)).getUTCDate();
+    return byMonthDay.some((day) => (day > 0 ? day : length + day + 1) === fields.day);
+  });
+}
+
+/**
+ * Keeps the days matching BYDAY. A weekday with an ordinal (e.g., 2TU, -1FR)
+ * picks that one of the weekday's days in `days`, which cover a month or a year.
+ *
+ * @function matchWeekdays
+ * @param {Array<object>} days - Candidate days, in order.
+ * @param {Array<object>} byDay - `{ ordinal, weekday }` per BYDAY entry.
+ * @returns {Array<object>} The matching days, in order.
+ */
+function matchWeekdays(days, byDay) {
+  const matched = new Set();
+  byDay.forEach(({ ordinal, weekday }) => {
+    const candidates = days.filter((fields) => weekdayOf(fields) === weekday);
+    if (!ordinal) {
+      candidates.forEach((fields) => matched.add(fields));
+      return;
+    }
+    const pick = candidates[ordinal > 0 ? ordinal - 1 : candidates.length + ordinal];
+    if (pick) matched.add(pick);
+  });
+
+  return days.filter((fields) => matched.has(fields));
+}
+
+/**
+ * Lists the days a rule selects in one period (the day, week, month or year
+ * `step` frequency units after DTSTART's), before BYSETPOS.
+ *
+ * @function listPeriodDays
+ * @param {object} start - DTSTART fields.
+ * @param {object} rule - The rule from `parseRule()`.
+ * @param {number} step - Frequency units after DTSTART's period.
+ * @returns {{periodStart: object, days: Array<object>}} The period's first day and the selected days, in order.
+ */
+function listPeriodDays(start, rule, step) {
+  const { freq, byDay, byMonthDay, byMonth } = rule;
+  const onWeekdays = (days) => days.filter((fields) => byDay.some(({ weekday }) => weekday === weekdayOf(fields)));
+  let periodStart;
+  let days;
+
+  if (freq === 'DAILY') {
+    periodStart = dayFields(start, start.year, start.month, start.day + step);
+    days = [periodStart];
+    if (byDay) days = onWeekdays(days);
+    if (byMonthDay) days = matchMonthDays(days, byMonthDay);
+  } else if (freq === 'WEEKLY') {
+    const offset = (weekdayOf(start) - rule.weekStart + 7) % 7;
+    periodStart = dayFields(start, start.year, start.month, start.day + step * 7 - offset);
+    const week = Array.from({ length: 7 }, (_, index) =>
+      dayFields(start, periodStart.year, periodStart.month, periodStart.day + index)
+    );
+    days = byDay ? onWeekdays(week) : week.filter((fields) => weekdayOf(fields) === weekdayOf(start));
+  } else if (freq === 'MONTHLY') {
+    periodStart = dayFields(start, start.year, start.month + step, 1);
+    days = monthDays(start, periodStart.year, periodStart.month);
+    if (byMonthDay) days = matchMonthDays(days, byMonthDay);
+    if (byDay) days = matchWeekdays(days, byDay);
+    if (!byMonthDay && !byDay) days = days.filter((fields) => fields.day === start.day);
+  } else {
+    const year = start.year + step;
+    periodStart = dayFields(start, year, 1, 1);
+    if (byDay && !byMonth && !byMonthDay) {
+      // Ordinals count within the whole year (e.g., 20MO)
+      const yearDays = [];
+      for (let month = 1; month <= 12; month += 1) yearDays.push(...monthDays(start, year, month));
+      days = matchWeekdays(yearDays, byDay);
+    } else {
+      const months = byMonth || (byMonthDay || byDay ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [start.month]);
+      days = [...months]
+        .sort((a, b) => a - b)
+        .flatMap((month) => {
+          let inMonth = monthDays(start, year, month);
+          if (byMonthDay) inMonth = matchMonthDays(inMonth, byMonthDay);
+          if (byDay) inMonth = matchWeekdays(inMonth, byDay);
+          if (!byMonthDay && !byDay) inMonth = inMonth.filter((fields) => fields.day === start.day);
+          return inMonth;
+        });
+    }
+  }
+
+  if (byMonth && freq !== 'YEARLY') {
+    days = days.filter((fields) => byMonth.includes(fields.month));
+  }
+  return { periodStart, days };
+}
+
+/**
+ * Keeps the days at the BYSETPOS positions of a period, where negative positions count from the end.
+ *
+ * @function applySetPositions
+ * @param {Array<object>} days - The period's days, in order.
+ * @param {Array<number>|null} bySetPos - The positions, or null to keep every day.
+ * @returns {Array<object>} The kept days, in order.
+ */
+function applySetPositions(days, bySetPos) {
+  if (!bySetPos) {
+    return days;
+  }
+
+  const kept = new Set(bySetPos.map((position) => days[position > 0 ? position - 1 : days.length + position]));
+  return days.filter((fields) => kept.has(fields));
+}
+
+/**
+ * Lists the start fields of a recurring event's occurrences, in order, until
+ * one starts at or after `to` or the rule ends. Days the rule selects before
+ * DTSTART are skipped.
+ *
+ * @function listRecurrences
+ * @param {object} event - A recurring event.
+ * @param {number} to - Stop before occurrences starting at or after this time.
+ * @returns {Array<object>} Start fields per occurrence.
+ */
+function listRecurrences(event, to) {
+  const { start, rule } = event;
+  const starts = [];
+  const dtstart = toTime(start);
+  const within = (time) => (rule.until === null || time <= rule.until) && time < to;
+  const full = () => (rule.count !== null && starts.length >= rule.count) || starts.length >= MAX_OCCURRENCES;
+
+  for (let step = 0; !full(); step += rule.interval) {
+    const { periodStart, days } = listPeriodDays(start, rule, step);
+    // A period starting after the range or the rule's end can hold no more occurrences
+    if (!within(toTime(periodStart))) break;
+
+    for (const fields of applySetPositions(days, rule.bySetPos)) {
+      const time = toTime(fields);
+      if (time < dtstart) continue;
+      if (!within(time) || full()) return starts;
+      starts.push(fields);
+    }
+  }
+
+  return starts;
+}
+
+/**
+ * Expands events into the occurrences that overlap a time range. Recurring
+ * events are expanded, excluded dates skipped, and moved occurrences replaced
+ * by their own event.
+ *
+ * @function expandEvents
+ * @param {Array<object>} events - Events from `parseIcs()`.
+ * @param {number|Date} from - Start of the range.
+ * @param {number|Date} to - End of the range.
+ * @returns {Array<object>} `{ uid, summary, start, end, allDay, busy }` per occurrence, with `start`
+ *   and `end` as Dates and `busy` false for free, transparent or cancelled events, sorted by start.
+ */
+function expandEvents(events, from, to) {
+  const rangeStart = new Date(from).getTime();
+  const rangeEnd = new Date(to).getTime();
+
+  // Occurrences moved or changed by a RECURRENCE-ID event, by UID
+  const overridden = new Map();
+  events
+    .filter((event) => event.recurrenceId)
+    .forEach((event) => {
+      if (!overridden.has(event.uid)) overridden.set(event.uid, new Set());
+      overridden.get(event.uid).add(event.recurrenceId);
+    });
+
+  const occurrences = [];
+  events.forEach((event) => {
+    const busy = !event.transparent && !event.cancelled && event.busyStatus !== 'FREE';
+    const starts = event.rule && !event.recurrenceId ? listRecurrences(event, rangeEnd) : [event.start];
+    const skipped = overridden.get(event.uid);
+
+    starts.forEach((fields) => {
+      const start = toTime(fields);
+      if (event.rule && !event.recurrenceId) {
+        if (event.exdates.includes(start) || (skipped && skipped.has(start))) return;
+      }
+      const end = start + event.duration;
+      // Zero-length events count at their start
+      if (start < rangeEnd && (end > rangeStart || (end === start && start >= rangeStart))) {
+        occurrences.push({
+          uid: event.uid,
+          summary: event.summary,
+          start: new Date(start),
+          end: new Date(end),
+          allDay: event.allDay,
+          busy,
+        });
+      }
+    });
+  });
+
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Returns the busy occurrences in progress at a moment.
+ *
+ * @function findBusyEvents
+ * @param {Array<object>} events - Events from `parseIcs()`.
+ * @param {number|Date} [time] - The moment (defaults to now).
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.includeAllDay=false] - Also count all-day events.
+ * @returns {Array<object>} The occurrences from `expandEvents()` that are busy at `time`.
+ */
+function findBusyEvents(events, time = Date.now(), options = {}) {
+  const moment = new Date(time).getTime();
+
+  return expandEvents(events, moment, moment + 1).filter(
+    (occurrence) =>
+      occurrence.busy &&
+      occurrence.end.getTime() > moment &&
+      (options.includeAllDay || !occurrence.allDay)
+  );
+}
+
+module.exports = {
+  parseIcs,
+  parseDateValue,
+  parseDuration,
+  toTime,
+  expandEvents,
+  findBusyEvents,
+};
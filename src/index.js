@@ -8,6 +8,8 @@
 // Load environment variables
 require('dotenv').config();
 const axios = require('axios');
+const statusProfiles = require('./status-profiles');
+const secretsVault = require('./secrets-vault');
 const WebSocket = require('ws');
 
 // Configuration from environment variables
@@ -15,8 +17,7 @@ const config = {
   // 3CX Configuration
   threecx: {
     websocketUrl: process.env.THREECX_WEBSOCKET_URL,
-    username: process.env.THREECX_USERNAME,
-    password: process.env.THREECX_PASSWORD,
+    // The user name and password are kept in the secrets vault (see loadCredentials)
     extension: process.env.THREECX_EXTENSION,
   },
   // WLED Configuration
@@ -24,14 +25,6 @@ const config = {
     ipAddress: process.env.WLED_IP_ADDRESS,
     brightness: parseInt(process.env.WLED_BRIGHTNESS || '128', 10),
     transition: parseInt(process.env.WLED_TRANSITION || '1000', 10),
-    statusColors: {
-      available: { r: 0, g: 255, b: 0 },      // Green for available
-      ringing: { r: 255, g: 255, b: 0 },      // Yellow for ringing
-      onCall: { r: 255, g: 0, b: 0 },         // Red for on a call
-      dnd: { r: 128, g: 0, b: 128 },          // Purple for do not disturb
-      away: { r: 255, g: 165, b: 0 },         // Orange for away
-      offline: { r: 0, g: 0, b: 255 },        // Blue for offline
-    },
   },
   // Polling interval (ms) if WebSocket is not available
   pollingInterval: parseInt(process.env.POLLING_INTERVAL || '5000', 10),
@@ -40,28 +33,65 @@ const config = {
 // Last known status to prevent unnecessary updates
 let lastStatus = null;
 let pollingIntervalId = null;
+let activeSocket = null;
+let reconnectTimer = null;
+let disconnected = false;
+let credentials = null;
+
+/**
+ * Load the 3CX user name and password from the secrets vault. A
+ * THREECX_PASSWORD still set in the environment is moved into the vault
+ * the first time.
+ * @returns {Promise<{username: string, password: string}>} The credentials
+ */
+async function loadCredentials() {
+  if (credentials) {
+    return credentials;
+  }
+
+  let stored = await secretsVault.getSecret(secretsVault.SECRET_NAMES.credentials);
+  if (!stored && process.env.THREECX_PASSWORD) {
+    stored = {
+      username: process.env.THREECX_USERNAME,
+      password: process.env.THREECX_PASSWORD,
+    };
+    await secretsVault.setSecret(secretsVault.SECRET_NAMES.credentials, stored);
+    console.warn(`THREECX_PASSWORD was moved into ${secretsVault.config.file}; remove it from .env`);
+  }
+  if (!stored) {
+    throw new Error('No 3CX credentials are stored in the secrets vault');
+  }
+
+  credentials = stored;
+  return credentials;
+}
 
 /**
  * Connect to 3CX WebSocket API
+ * @param {Function} [onStatus=handleStatusChange] - Called with each status reported by 3CX
  * @returns {WebSocket} The WebSocket connection
  */
-async function connect3CXWebSocket() {
+async function connect3CXWebSocket(onStatus = handleStatusChange) {
   console.log('Connecting to 3CX WebSocket...');
+  disconnected = false;
   
   // Validate required configuration
   if (!config.threecx.websocketUrl) {
     throw new Error('3CX WebSocket URL is not configured');
   }
+  const { username, password } = await loadCredentials();
   
   const ws = new WebSocket(config.threecx.websocketUrl);
+  activeSocket = ws;
   
   ws.on('open', () => {
     console.log('Connected to 3CX WebSocket');
+    stopPolling();
     // Authenticate with 3CX
     ws.send(JSON.stringify({
       type: 'login',
-      username: config.threecx.username,
-      password: config.threecx.password,
+      username,
+      password,
     }));
     
     // Subscribe to extension status changes
@@ -75,33 +105,84 @@ async function connect3CXWebSocket() {
     try {
       const message = JSON.parse(data);
       if (message.type === 'status') {
-        handleStatusChange(message.status);
+        onStatus(message.status);
       }
     } catch (error) {
       console.error('Error parsing WebSocket message:', error);
     }
   });
   
+  // A 'close' event always follows, which handles the fallback
   ws.on('error', (error) => {
     console.error('WebSocket error:', error);
-    console.log('Falling back to polling method...');
-    // Fallback to polling if WebSocket fails
-    startPolling();
   });
   
   ws.on('close', () => {
     console.log('WebSocket connection closed');
-    // Try to reconnect after a delay
-    setTimeout(() => connect3CXWebSocket(), 5000);
+    // Poll until the WebSocket reconnects, unless disconnected on purpose
+    if (!disconnected) {
+      console.log('Falling back to polling method until the WebSocket reconnects...');
+      if (!pollingIntervalId) {
+        startPolling(onStatus);
+      }
+      scheduleReconnect(onStatus);
+    }
   });
   
   return ws;
 }
 
+/**
+ * Reconnect to the 3CX WebSocket after a delay, retrying while it fails
+ * @param {Function} onStatus - Called with each status reported by 3CX
+ */
+function scheduleReconnect(onStatus) {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    if (disconnected) {
+      return;
+    }
+    connect3CXWebSocket(onStatus).catch((error) => {
+      console.error('Error reconnecting to 3CX WebSocket:', error.message);
+      scheduleReconnect(onStatus);
+    });
+  }, 5000);
+}
+
+/**
+ * Stop polling, once the WebSocket is connected again
+ */
+function stopPolling() {
+  if (pollingIntervalId) {
+    console.log('Stopping polling for 3CX status');
+    clearInterval(pollingIntervalId);
+    pollingIntervalId = null;
+  }
+}
+
+/**
+ * Close the 3CX WebSocket and stop polling, without reconnecting
+ */
+function disconnect3CXWebSocket() {
+  disconnected = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (activeSocket) {
+    activeSocket.close();
+    activeSocket = null;
+  }
+  if (pollingIntervalId) {
+    clearInterval(pollingIntervalId);
+    pollingIntervalId = null;
+  }
+}
+
 /**
  * Poll 3CX API for status updates (fallback method)
+ * @param {Function} [onStatus=handleStatusChange] - Called with each status reported by 3CX
  */
-function startPolling() {
+function startPolling(onStatus = handleStatusChange) {
   // Clear any existing polling interval
   if (pollingIntervalId) {
     clearInterval(pollingIntervalId);
@@ -112,19 +193,21 @@ function startPolling() {
   // Set up interval to check status
   pollingIntervalId = setInterval(async () => {
     try {
+      const { username, password } = await loadCredentials();
+
       // Make API request to 3CX (this is simplified - you'll need the actual API endpoints)
       const response = await axios.get(
         `http://${new URL(config.threecx.websocketUrl).hostname}/api/extensions/${config.threecx.extension}/status`, 
         {
           auth: {
-            username: config.threecx.username,
-            password: config.threecx.password,
+            username,
+            password,
           }
         }
       );
       
       if (response.data && response.data.status) {
-        handleStatusChange(response.data.status);
+        onStatus(response.data.status);
       }
     } catch (error) {
       console.error('Error polling 3CX status:', error);
@@ -145,65 +228,53 @@ async function handleStatusChange(status) {
   if (status === lastStatus) return;
   lastStatus = status;
   
-  // Map 3CX status to WLED colors
-  let color;
+  // Map 3CX status to a status profile
+  let profileStatus;
   switch (status) {
     case 'available':
-      color = config.wled.statusColors.available;
+      profileStatus = 'available';
       break;
     case 'ringing':
-      color = config.wled.statusColors.ringing;
+      profileStatus = 'ringing';
       break;
     case 'busy':
     case 'on-call':
-      color = config.wled.statusColors.onCall;
+      profileStatus = 'onCall';
       break;
     case 'dnd':
-      color = config.wled.statusColors.dnd;
+      profileStatus = 'dnd';
       break;
     case 'away':
-      color = config.wled.statusColors.away;
+      profileStatus = 'away';
       break;
     case 'offline':
-      color = config.wled.statusColors.offline;
+      profileStatus = 'offline';
       break;
     default:
-      color = config.wled.statusColors.available;
+      profileStatus = 'available';
   }
   
-  // Update WLED
-  await updateWLED(color);
+  // Update WLED, re-reading the profiles so dashboard edits apply without a restart
+  statusProfiles.loadProfiles();
+  await updateWLED(statusProfiles.getProfile(profileStatus));
 }
 
 /**
- * Update WLED with new color
- * @param {Object} color - RGB color object {r, g, b}
+ * Update WLED with a status profile
+ * @param {Object} profile - Status profile (color, effect, palette, speed, intensity, brightness)
  */
-async function updateWLED(color) {
+async function updateWLED(profile) {
   try {
     // Validate required configuration
     if (!config.wled.ipAddress) {
       throw new Error('WLED IP address is not configured');
     }
     
-    console.log(`Setting WLED color to RGB(${color.r},${color.g},${color.b})`);
+    const { color } = profile;
+    console.log(`Setting WLED color to RGB(${color.r},${color.g},${color.b}), effect ${profile.effectId}`);
     
     const url = `http://${config.wled.ipAddress}/json`;
-    const payload = {
-      on: true,
-      bri: config.wled.brightness,
-      transition: config.wled.transition / 1000, // WLED uses seconds
-      seg: [
-        {
-          col: [
-            [color.r, color.g, color.b]
-          ],
-          fx: 0, // Solid color effect
-          sx: 128, // Effect speed (not needed for solid)
-          ix: 128, // Effect intensity (not needed for solid)
-        }
-      ]
-    };
+    const payload = statusProfiles.buildWLEDState(profile, config.wled);
     
     await axios.post(url, payload);
     console.log('WLED updated successfully');
@@ -240,7 +311,7 @@ async function main() {
       }
       
       // Turn off WLED or set to default color on exit
-      await updateWLED({r: 0, g: 0, b: 0});
+      await updateWLED(statusProfiles.solidProfile({ r: 0, g: 0, b: 0 }));
       process.exit(0);
     });
   } catch (error) {
@@ -260,7 +331,9 @@ if (require.main === module) {
 // Export functions for testing or external use
 module.exports = {
   connect3CXWebSocket,
+  disconnect3CXWebSocket,
   startPolling,
   handleStatusChange,
-  updateWLED
+  updateWLED,
+  config
 };
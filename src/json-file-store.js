@@ -0,0 +1,86 @@
+/**
+ * JSON File Store Helpers
+ *
+ * Small helpers for reading and writing the JSON files the application uses
+ * to persist runtime state (device registry, settings, etc.) next to
+ * `cookies.json` in the project root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const writeFileAsync = promisify(fs.writeFile);
+const chmodAsync = promisify(fs.chmod);
+const renameAsync = promisify(fs.rename);
+const mkdirAsync = promisify(fs.mkdir);
+
+// Numbers the temporary files, so concurrent writes of a file do not share one
+let writeCount = 0;
+
+/**
+ * Resolves a data file path. Relative paths are resolved against the project root.
+ *
+ * @function resolveDataPath
+ * @param {string} filePath - Absolute path or path relative to the project root.
+ * @returns {string} The absolute file path.
+ */
+function resolveDataPath(filePath) {
+  return path.isAbsolute(filePath)
+    ? filePath
+    : path.join(__dirname, '..', filePath);
+}
+
+/**
+ * Reads and parses a JSON file synchronously.
+ * Used at module load time, before the event loop is doing any real work.
+ *
+ * @function readJsonFile
+ * @param {string} filePath - The file to read.
+ * @param {*} fallback - The value to return if the file does not exist.
+ * @returns {*} The parsed JSON content, or `fallback` if the file does not exist.
+ * @throws {Error} If the file exists but cannot be read or parsed.
+ */
+function readJsonFile(filePath, fallback) {
+  const fullPath = resolveDataPath(filePath);
+  if (!fs.existsSync(fullPath)) {
+    return fallback;
+  }
+
+  const content = fs.readFileSync(fullPath, 'utf8');
+  return JSON.parse(content);
+}
+
+/**
+ * Serialises data as pretty-printed JSON and writes it atomically
+ * (write to a temporary file, then rename over the target).
+ *
+ * @async
+ * @function writeJsonFile
+ * @param {string} filePath - The file to write.
+ * @param {*} data - The data to serialise.
+ * @param {object} [options] - Options.
+ * @param {number} [options.mode] - File permissions (e.g., 0o600 for secrets), set before the file is renamed into place.
+ * @returns {Promise<void>} A promise that resolves when the file has been written.
+ */
+async function writeJsonFile(filePath, data, options = {}) {
+  const fullPath = resolveDataPath(filePath);
+  await mkdirAsync(path.dirname(fullPath), { recursive: true });
+
+  writeCount += 1;
+  const tempPath = `${fullPath}.${process.pid}.${writeCount}.tmp`;
+  await writeFileAsync(tempPath, JSON.stringify(data, null, 2), {
+    mode: options.mode,
+  });
+  if (options.mode !== undefined) {
+    // A temporary file left over from a crash keeps its old permissions
+    await chmodAsync(tempPath, options.mode);
+  }
+  await renameAsync(tempPath, fullPath);
+}
+
+module.exports = {
+  resolveDataPath,
+  readJsonFile,
+  writeJsonFile,
+};
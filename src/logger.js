@@ -0,0 +1,24 @@
+/**
+ * Logger Module
+ *
+ * The one pino logger the modules share, so the application runs a single
+ * pino-pretty transport (a worker thread) instead of one per module. The
+ * level comes from `LOG_LEVEL`.
+ */
+
+require('dotenv').config();
+const pino = require('pino');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info', // Default to 'info'
+  transport: {
+    target: 'pino-pretty',
+    options: {
+      colorize: true,
+      translateTime: 'SYS:yyyy-mm-dd HH:MM:ss',
+      ignore: 'pid,hostname',
+    },
+  },
+});
+
+module.exports = logger;
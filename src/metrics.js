@@ -0,0 +1,203 @@
+/**
+ * Metrics Module
+ *
+ * Exposes Prometheus metrics so the 3CX monitoring and the WLED devices can
+ * be alerted on: how long each 3CX status collection takes and how often it
+ * fails, when it last succeeded, the latency and errors of every WLED
+ * request, the connected dashboard clients, the queue and each agent's
+ * status. Metric and label names are part of the API and must not change;
+ * add new metrics instead.
+ */
+
+const client = require('prom-client');
+
+// Prefix of every metric name
+const PREFIX = 'wled3cx_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// Values read when metrics are scraped, set by setSources()
+let sources = {
+  getClientCount: () => 0,
+  getCallStats: () => null,
+  getAgentStatuses: () => [],
+  getUserStatus: () => null,
+};
+
+const scrapeDuration = new client.Histogram({
+  name: `${PREFIX}scrape_duration_seconds`,
+  help: 'Time taken to collect the status, call statistics and agent statuses from 3CX',
+  labelNames: ['client'],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60],
+  registers: [register],
+});
+
+const scrapeFailures = new client.Counter({
+  name: `${PREFIX}scrape_failures_total`,
+  help: 'Status collections from 3CX that failed',
+  labelNames: ['client'],
+  registers: [register],
+});
+
+const lastScrapeSuccess = new client.Gauge({
+  name: `${PREFIX}scrape_last_success_timestamp_seconds`,
+  help: 'Unix time of the last successful status collection from 3CX',
+  labelNames: ['client'],
+  registers: [register],
+});
+
+const wledRequestDuration = new client.Histogram({
+  name: `${PREFIX}wled_request_duration_seconds`,
+  help: 'Latency of requests to WLED devices, failed ones included',
+  labelNames: ['device', 'endpoint'],
+  buckets: [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const wledRequestErrors = new client.Counter({
+  name: `${PREFIX}wled_request_errors_total`,
+  help: 'Requests to WLED devices that failed or timed out',
+  labelNames: ['device', 'endpoint'],
+  registers: [register],
+});
+
+new client.Gauge({
+  name: `${PREFIX}websocket_clients`,
+  help: 'Connected WebSocket clients (control panels and dashboards)',
+  registers: [register],
+  collect() {
+    this.set(sources.getClientCount());
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}waiting_calls`,
+  help: 'Calls waiting in the queue',
+  registers: [register],
+  collect() {
+    const callStats = sources.getCallStats();
+    this.set(Number(callStats && callStats.waitingCalls) || 0);
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}abandoned_calls`,
+  help: 'Abandoned calls, as reported by 3CX',
+  registers: [register],
+  collect() {
+    const callStats = sources.getCallStats();
+    this.set(Number(callStats && callStats.abandonedCalls) || 0);
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}agent_status`,
+  help: "Each agent's current status: 1 for the status the agent is in",
+  labelNames: ['extension', 'name', 'status'],
+  registers: [register],
+  collect() {
+    this.reset();
+    (sources.getAgentStatuses() || []).forEach(({ extension, name, status }) => {
+      if (extension && status) {
+        this.set({ extension: String(extension), name: name || '', status }, 1);
+      }
+    });
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}user_status`,
+  help: 'Your current status: 1 for the status you are in',
+  labelNames: ['status'],
+  registers: [register],
+  collect() {
+    this.reset();
+    const status = sources.getUserStatus();
+    if (status) {
+      this.set({ status }, 1);
+    }
+  },
+});
+
+/**
+ * Sets where the gauges read their values from when metrics are scraped.
+ *
+ * @function setSources
+ * @param {object} getters - Any of the getters to replace.
+ * @param {Function} [getters.getClientCount] - Returns the number of connected WebSocket clients.
+ * @param {Function} [getters.getCallStats] - Returns the latest call statistics.
+ * @param {Function} [getters.getAgentStatuses] - Returns the agents (`{ extension, name, status }`).
+ * @param {Function} [getters.getUserStatus] - Returns your current status.
+ */
+function setSources(getters) {
+  sources = { ...sources, ...getters };
+}
+
+/**
+ * Starts timing a status collection from 3CX. Only the first call of the
+ * returned function counts.
+ *
+ * @function startScrape
+ * @param {string} clientName - The 3CX client ('web-client' or 'call-control').
+ * @returns {Function} Call with `true` when the collection succeeded or `false` when it failed.
+ */
+function startScrape(clientName) {
+  const endTimer = scrapeDuration.startTimer({ client: clientName });
+  let ended = false;
+
+  return (success) => {
+    if (ended) {
+      return;
+    }
+    ended = true;
+    endTimer();
+    if (success) {
+      lastScrapeSuccess.set({ client: clientName }, Date.now() / 1000);
+    } else {
+      scrapeFailures.inc({ client: clientName });
+    }
+  };
+}
+
+/**
+ * Times every request an axios instance sends to WLED devices and counts
+ * the ones that fail, labelled by device address and JSON API endpoint.
+ *
+ * @function observeWLEDRequests
+ * @param {object} http - The axios instance.
+ * @returns {object} The same instance.
+ */
+function observeWLEDRequests(http) {
+  const labelsOf = (request) => {
+    const { host, pathname } = new URL(request.url);
+    return { device: host, endpoint: pathname };
+  };
+
+  http.interceptors.request.use((request) => {
+    request.metricsTimer = wledRequestDuration.startTimer(labelsOf(request));
+    return request;
+  });
+  http.interceptors.response.use(
+    (response) => {
+      response.config.metricsTimer();
+      return response;
+    },
+    (error) => {
+      if (error.config && error.config.metricsTimer) {
+        error.config.metricsTimer();
+        wledRequestErrors.inc(labelsOf(error.config));
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  return http;
+}
+
+module.exports = {
+  register,
+  setSources,
+  startScrape,
+  observeWLEDRequests,
+};
@@ -0,0 +1,503 @@
+/**
+ * MQTT Bridge Module
+ *
+ * Publishes the user's status, each agent's status, the call statistics and
+ * the main WLED strip's state to an MQTT broker as retained topics, with
+ * Home Assistant MQTT discovery payloads so they show up as entities of one
+ * device. Subscribes to command topics to set or clear the manual status,
+ * switch the strip on or off, change its brightness and change its display
+ * mode. The bridge is off unless `MQTT_URL` is set.
+ *
+ * Topics, under `MQTT_BASE_TOPIC` (`wled-3cx` by default):
+ *   availability                  online/offline (the broker publishes offline if the bridge drops)
+ *   status, status/attributes     the user's status, and its source and override as JSON
+ *   agents/<extension>/status     each agent's status
+ *   agents/<extension>/attributes each agent's name and extension as JSON
+ *   call_stats                    the call statistics as JSON
+ *   light/state, mode             the main strip's on/off state and brightness (JSON), and display mode
+ *   status/set                    command: a status, JSON `{ status, reason, durationMinutes, untilCleared }` or `clear`
+ *   light/set                     command: JSON `{ state: 'ON'|'OFF', brightness }`, or `ON`/`OFF`
+ *   mode/set                      command: a display mode
+ */
+
+require('dotenv').config();
+const mqtt = require('mqtt');
+const logger = require('./logger');
+const auditLog = require('./audit-log');
+const { version } = require('../package.json');
+
+// Call statistics published as Home Assistant sensors
+const CALL_STATS_SENSORS = {
+  waitingCalls: { name: 'Waiting calls', icon: 'mdi:phone-in-talk' },
+  activeCalls: { name: 'Active calls', icon: 'mdi:phone' },
+  servicedCalls: { name: 'Serviced calls', icon: 'mdi:phone-check' },
+  abandonedCalls: { name: 'Abandoned calls', icon: 'mdi:phone-cancel' },
+};
+
+// Configuration from environment variables
+const config = {
+  // e.g., mqtt://localhost:1883; the bridge is off when empty
+  url: process.env.MQTT_URL || '',
+  username: process.env.MQTT_USERNAME || undefined,
+  password: process.env.MQTT_PASSWORD || undefined,
+  clientId: process.env.MQTT_CLIENT_ID || `wled-3cx-${process.pid}`,
+  baseTopic: (process.env.MQTT_BASE_TOPIC || 'wled-3cx').replace(/\/+$/, ''),
+  discovery: process.env.MQTT_DISCOVERY !== 'false',
+  discoveryPrefix: (process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant').replace(/\/+$/, ''),
+  // Prefix of the Home Assistant unique IDs; change it to run more than one instance
+  nodeId: process.env.MQTT_NODE_ID || 'wled_3cx',
+  reconnectPeriod: 5000,
+};
+
+let client = null;
+
+// Command handlers from startBridge()
+let commands = {};
+
+// Latest payload per state topic, published again after a reconnect
+const states = new Map();
+
+// Agent extensions with a published discovery payload
+const discoveredAgents = new Set();
+
+/**
+ * Builds a topic under the base topic.
+ *
+ * @function topic
+ * @param {...string} parts - Topic levels.
+ * @returns {string} The topic.
+ */
+function topic(...parts) {
+  return [config.baseTopic, ...parts].join('/');
+}
+
+/**
+ * Makes a value safe to use as a topic level or in a Home Assistant ID.
+ *
+ * @function topicId
+ * @param {string|number} value - The value (e.g., an extension).
+ * @returns {string} The value with anything but letters, digits, '_' and '-' replaced by '_'.
+ */
+function topicId(value) {
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Checks whether the bridge is configured.
+ *
+ * @function isEnabled
+ * @returns {boolean} True if `MQTT_URL` is set.
+ */
+function isEnabled() {
+  return Boolean(config.url);
+}
+
+/**
+ * Checks whether the bridge is connected to the broker.
+ *
+ * @function isConnected
+ * @returns {boolean} True if connected.
+ */
+function isConnected() {
+  return Boolean(client && client.connected);
+}
+
+/**
+ * Publishes a retained message. Errors are logged, never thrown.
+ *
+ * @function publish
+ * @param {string} name - The topic.
+ * @param {string|object} payload - The payload; objects are sent as JSON.
+ */
+function publish(name, payload) {
+  if (!isConnected()) {
+    return;
+  }
+
+  const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  client.publish(name, message, { retain: true, qos: 1 }, (error) => {
+    if (error) {
+      logger.error(`Error publishing MQTT topic ${name}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Remembers a state and publishes it if it changed.
+ *
+ * @function publishState
+ * @param {string} name - The topic.
+ * @param {string|object} payload - The payload.
+ */
+function publishState(name, payload) {
+  const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  if (states.get(name) === message) {
+    return;
+  }
+
+  states.set(name, message);
+  publish(name, message);
+}
+
+/**
+ * Returns the Home Assistant device every entity belongs to.
+ *
+ * @function haDevice
+ * @returns {object} The device.
+ */
+function haDevice() {
+  return {
+    identifiers: [config.nodeId],
+    name: 'WLED 3CX Status Light',
+    manufacturer: 'WLED-3CX Integration',
+    model: 'WLED-3CX',
+    sw_version: version,
+  };
+}
+
+/**
+ * Publishes a Home Assistant discovery payload.
+ *
+ * @function publishDiscoveryConfig
+ * @param {string} component - The Home Assistant component (e.g., 'sensor', 'light').
+ * @param {string} objectId - The entity's ID within the device.
+ * @param {object} entity - The entity's configuration.
+ */
+function publishDiscoveryConfig(component, objectId, entity) {
+  publish(`${config.discoveryPrefix}/${component}/${config.nodeId}/${objectId}/config`, {
+    unique_id: `${config.nodeId}_${objectId}`,
+    object_id: `${config.nodeId}_${objectId}`,
+    availability_topic: topic('availability'),
+    device: haDevice(),
+    ...entity,
+  });
+}
+
+/**
+ * Publishes the discovery payload of an agent's sensor.
+ *
+ * @function publishAgentDiscovery
+ * @param {string} id - The agent's topic ID.
+ * @param {string} label - The agent's name or extension.
+ */
+function publishAgentDiscovery(id, label) {
+  publishDiscoveryConfig('sensor', `agent_${id}`, {
+    name: `Agent ${label}`,
+    state_topic: topic('agents', id, 'status'),
+    json_attributes_topic: topic('agents', id, 'attributes'),
+    icon: 'mdi:account-tie',
+  });
+}
+
+/**
+ * Publishes the Home Assistant discovery payloads of every entity: the
+ * status sensor, the manual status select and clear button, the light, the
+ * display mode select, the call statistics sensors and the agent sensors.
+ *
+ * @function publishDiscovery
+ */
+function publishDiscovery() {
+  if (!config.discovery || !isConnected()) {
+    return;
+  }
+
+  publishDiscoveryConfig('sensor', 'status', {
+    name: 'Status',
+    state_topic: topic('status'),
+    json_attributes_topic: topic('status', 'attributes'),
+    icon: 'mdi:phone-classic',
+  });
+  publishDiscoveryConfig('select', 'manual_status', {
+    name: 'Manual status',
+    state_topic: topic('status'),
+    command_topic: topic('status', 'set'),
+    options: commands.getStatuses ? commands.getStatuses() : [],
+    icon: 'mdi:account-edit',
+  });
+  publishDiscoveryConfig('button', 'clear_override', {
+    name: 'Clear manual status',
+    command_topic: topic('status', 'set'),
+    payload_press: 'clear',
+    icon: 'mdi:account-sync',
+  });
+  publishDiscoveryConfig('light', 'light', {
+    name: 'Light',
+    schema: 'json',
+    state_topic: topic('light', 'state'),
+    command_topic: topic('light', 'set'),
+    brightness: true,
+    brightness_scale: 255,
+  });
+  publishDiscoveryConfig('select', 'display_mode', {
+    name: 'Display mode',
+    state_topic: topic('mode'),
+    command_topic: topic('mode', 'set'),
+    options: commands.getModes ? commands.getModes() : [],
+    icon: 'mdi:led-strip-variant',
+  });
+  Object.entries(CALL_STATS_SENSORS).forEach(([field, sensor]) => {
+    publishDiscoveryConfig('sensor', field.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`), {
+      ...sensor,
+      state_topic: topic('call_stats'),
+      value_template: `{{ value_json.${field} | default(0) }}`,
+      state_class: 'measurement',
+    });
+  });
+
+  discoveredAgents.forEach((id) => {
+    const attributes = states.get(topic('agents', id, 'attributes'));
+    const { name } = attributes ? JSON.parse(attributes) : {};
+    publishAgentDiscovery(id, name || id);
+  });
+}
+
+/**
+ * Parses the payload of a `status/set` command.
+ *
+ * @function parseStatusCommand
+ * @param {string} payload - The payload.
+ * @returns {object|null} The override request, or null to clear the override.
+ * @throws {Error} If the payload is empty.
+ */
+function parseStatusCommand(payload) {
+  if (!payload) {
+    throw new Error('Status command is empty');
+  }
+  if (payload === 'clear') {
+    return null;
+  }
+
+  return payload.startsWith('{') ? JSON.parse(payload) : { status: payload };
+}
+
+/**
+ * Parses the payload of a `light/set` command.
+ *
+ * @function parseLightCommand
+ * @param {string} payload - The payload.
+ * @returns {{state: string|undefined, brightness: number|undefined}} The command.
+ * @throws {Error} If the payload is invalid.
+ */
+function parseLightCommand(payload) {
+  const command = payload.startsWith('{') ? JSON.parse(payload) : { state: payload };
+  const state = command.state === undefined ? undefined : String(command.state).toUpperCase();
+  if (state !== undefined && state !== 'ON' && state !== 'OFF') {
+    throw new Error('Light state must be ON or OFF');
+  }
+  if (state === undefined && command.brightness === undefined) {
+    throw new Error('Light command needs a state or a brightness');
+  }
+
+  return { state, brightness: command.brightness };
+}
+
+/**
+ * Runs a command received on a command topic and records it in the audit log.
+ *
+ * @async
+ * @function handleCommand
+ * @param {string} name - The topic the command arrived on.
+ * @param {Buffer} message - The payload.
+ */
+async function handleCommand(name, message) {
+  const payload = message.toString().trim();
+  let action = null;
+
+  try {
+    if (name === topic('status', 'set')) {
+      const request = parseStatusCommand(payload);
+      action = request ? 'override.set' : 'override.clear';
+      if (request) {
+        await commands.setStatus(request);
+      } else {
+        await commands.clearStatus();
+      }
+    } else if (name === topic('light', 'set')) {
+      const command = parseLightCommand(payload);
+      action = command.state === 'OFF' ? 'wled.off' : 'wled.settings';
+      await commands.setLight(command);
+    } else if (name === topic('mode', 'set')) {
+      action = 'wled.mode';
+      await commands.setMode(payload);
+    } else {
+      return;
+    }
+
+    logger.info(`MQTT command on ${name}: ${payload}`);
+    auditLog.recordAction({ action, actor: null, channel: 'mqtt', payload: { topic: name, payload } });
+  } catch (error) {
+    logger.warn(`Rejected MQTT command on ${name}: ${error.message}`);
+    auditLog.recordAction({
+      action: action || 'mqtt.command',
+      actor: null,
+      channel: 'mqtt',
+      payload: { topic: name, payload },
+      success: false,
+    });
+  }
+}
+
+/**
+ * Connects to the broker, publishes the discovery payloads and the latest
+ * states, and subscribes to the command topics. Everything is published
+ * again after a reconnect.
+ *
+ * @function startBridge
+ * @param {object} handlers - Command handlers; each may be async and throws if the command is invalid.
+ * @param {Function} handlers.setStatus - Sets a manual status from `{ status, reason, durationMinutes, untilCleared }`.
+ * @param {Function} handlers.clearStatus - Clears the manual status.
+ * @param {Function} handlers.setLight - Switches the strip from `{ state, brightness }`.
+ * @param {Function} handlers.setMode - Changes the display mode.
+ * @param {Function} handlers.getStatuses - Returns the statuses a manual status can be set to.
+ * @param {Function} handlers.getModes - Returns the display modes.
+ * @returns {boolean} True if the bridge is enabled and connecting.
+ */
+function startBridge(handlers) {
+  if (!isEnabled()) {
+    logger.info('MQTT bridge disabled (MQTT_URL not set)');
+    return false;
+  }
+
+  commands = handlers;
+  client = mqtt.connect(config.url, {
+    clientId: config.clientId,
+    username: config.username,
+    password: config.password,
+    reconnectPeriod: config.reconnectPeriod,
+    will: { topic: topic('availability'), payload: 'offline', retain: true, qos: 1 },
+  });
+
+  client.on('connect', () => {
+    logger.info(`MQTT bridge connected to ${config.url}`);
+    publish(topic('availability'), 'online');
+    publishDiscovery();
+    states.forEach((message, name) => publish(name, message));
+
+    client.subscribe([topic('status', 'set'), topic('light', 'set'), topic('mode', 'set')], { qos: 1 }, (error) => {
+      if (error) {
+        logger.error(`Error subscribing to MQTT command topics: ${error.message}`);
+      }
+    });
+  });
+  client.on('message', handleCommand);
+  client.on('error', (error) => {
+    logger.error(`MQTT error: ${error.message}`);
+  });
+  client.on('offline', () => {
+    logger.warn('MQTT bridge offline; reconnecting');
+  });
+
+  return true;
+}
+
+/**
+ * Publishes the bridge as offline and disconnects from the broker.
+ *
+ * @async
+ * @function stopBridge
+ * @returns {Promise<void>}
+ */
+async function stopBridge() {
+  if (!client) {
+    return;
+  }
+
+  const stopping = client;
+  client = null;
+  try {
+    if (stopping.connected) {
+      await stopping.publishAsync(topic('availability'), 'offline', { retain: true, qos: 1 });
+    }
+    await stopping.endAsync();
+    logger.info('MQTT bridge disconnected');
+  } catch (error) {
+    logger.error(`Error disconnecting the MQTT bridge: ${error.message}`);
+  }
+}
+
+/**
+ * Publishes the user's status.
+ *
+ * @function publishUserStatus
+ * @param {string} status - The status.
+ * @param {object} [details] - Published as the status attributes.
+ * @param {string} [details.source] - Where the status came from.
+ * @param {object|null} [details.override] - The active manual override.
+ */
+function publishUserStatus(status, { source = null, override = null } = {}) {
+  publishState(topic('status'), status);
+  publishState(topic('status', 'attributes'), { source, override });
+}
+
+/**
+ * Publishes each agent's status, and a discovery payload for agents not seen before.
+ *
+ * @function publishAgentStatuses
+ * @param {Array<object>} agents - Agent statuses (`{ extension, name, status }`).
+ */
+function publishAgentStatuses(agents) {
+  (agents || []).forEach(({ extension, name, status }) => {
+    if (!extension || !status) {
+      return;
+    }
+    const id = topicId(extension);
+
+    publishState(topic('agents', id, 'status'), status);
+    publishState(topic('agents', id, 'attributes'), { extension: String(extension), name: name || null });
+
+    if (!discoveredAgents.has(id)) {
+      discoveredAgents.add(id);
+      if (config.discovery) {
+        publishAgentDiscovery(id, name || id);
+      }
+    }
+  });
+}
+
+/**
+ * Publishes the call statistics.
+ *
+ * @function publishCallStats
+ * @param {object} callStats - The call statistics.
+ */
+function publishCallStats(callStats) {
+  if (callStats) {
+    publishState(topic('call_stats'), callStats);
+  }
+}
+
+/**
+ * Publishes the main strip's state.
+ *
+ * @function publishLight
+ * @param {object} light - The state.
+ * @param {boolean} light.on - False if the strip was switched off.
+ * @param {number} light.brightness - The brightness (0-255).
+ */
+function publishLight({ on, brightness }) {
+  publishState(topic('light', 'state'), { state: on ? 'ON' : 'OFF', brightness });
+}
+
+/**
+ * Publishes the main strip's display mode.
+ *
+ * @function publishMode
+ * @param {string} mode - The display mode.
+ */
+function publishMode(mode) {
+  publishState(topic('mode'), mode);
+}
+
+module.exports = {
+  isEnabled,
+  isConnected,
+  startBridge,
+  stopBridge,
+  publishDiscovery,
+  publishUserStatus,
+  publishAgentStatuses,
+  publishCallStats,
+  publishLight,
+  publishMode,
+  config,
+};
@@ -0,0 +1,410 @@
+/**
+ * Office Hours Module
+ *
+ * Decides whether the office is open from weekday/time windows (e.g.,
+ * `mon-fri 08:00-17:00; sat 09:00-12:00`) in a configurable time zone, with
+ * public holidays read from a local ICS file. Outside office hours the main
+ * WLED strip is switched off or shows the `closed` status profile, and the
+ * 3CX status providers can be paused until the office opens again. The
+ * schedule is checked every minute and listeners are told when it flips.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile, resolveDataPath } = require('./json-file-store');
+const { parseIcs, expandEvents } = require('./ics-parser');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// What the main strip does outside office hours: switch off, or show the `closed` status profile
+const CLOSED_ACTIONS = ['off', 'preset'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Configuration from environment variables
+const config = {
+  settingsFile: process.env.OFFICE_HOURS_FILE || 'office-hours.json',
+  // Public holidays as all-day (or timed) events
+  holidaysFile: process.env.OFFICE_HOURS_HOLIDAYS_FILE,
+  checkInterval: 60 * 1000,
+  defaults: {
+    enabled: process.env.OFFICE_HOURS_ENABLED === 'true',
+    hours: process.env.OFFICE_HOURS || 'mon-fri 08:00-17:00',
+    timeZone: process.env.OFFICE_HOURS_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    closedAction: process.env.OFFICE_HOURS_CLOSED_ACTION || 'off',
+    pauseMonitoring: process.env.OFFICE_HOURS_PAUSE_MONITORING === 'true',
+  },
+};
+
+let settings = { ...config.defaults };
+let windows = [];
+
+// Holiday events, and the modification time of the file they were read from
+let holidays = [];
+let holidaysModified = null;
+
+let checkIntervalId = null;
+let lastState = null;
+
+// Called as `onChange(state, previousState)` when the office opens or closes
+let changeListener = null;
+
+/**
+ * Parses a time of day such as "08:30" (up to "24:00").
+ *
+ * @function parseTimeOfDay
+ * @param {string} value - The time.
+ * @returns {number} Minutes since midnight.
+ * @throws {Error} If the time is invalid.
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`"${value}" is not a valid time (HH:MM)`);
+  }
+
+  return minutes;
+}
+
+/**
+ * Parses a list of days such as "mon-fri", "sat" or "mon,wed,fri".
+ *
+ * @function parseDays
+ * @param {string} value - The days.
+ * @returns {Array<number>} Day numbers (0 = Sunday).
+ * @throws {Error} If a day is unknown.
+ */
+function parseDays(value) {
+  const days = new Set();
+
+  value
+    .toLowerCase()
+    .split(',')
+    .forEach((part) => {
+      const [from, to = from] = part.trim().split('-');
+      const start = DAY_NAMES.indexOf(from.slice(0, 3));
+      const end = DAY_NAMES.indexOf(to.slice(0, 3));
+      if (start === -1 || end === -1) {
+        throw new Error(`"${part.trim()}" is not a day or range of days (e.g., mon-fri)`);
+      }
+      // Ranges may wrap around the week (e.g., sat-sun)
+      for (let day = start; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === end) break;
+      }
+    });
+
+  return [...days];
+}
+
+/**
+ * Parses office hours such as `mon-fri 08:00-17:00; sat 09:00-12:00`. A window
+ * that ends at or before its start runs past midnight into the next day.
+ *
+ * @function parseHours
+ * @param {string} spec - The office hours.
+ * @returns {Array<{days: Array<number>, start: number, end: number}>} The windows, in minutes since midnight.
+ * @throws {Error} If a window is malformed.
+ */
+function parseHours(spec) {
+  const parsed = String(spec)
+    .split(';')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = /^(\S+)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(entry);
+      if (!match) {
+        throw new Error(`Office hours "${entry}" must look like "mon-fri 08:00-17:00"`);
+      }
+      return { days: parseDays(match[1]), start: parseTimeOfDay(match[2]), end: parseTimeOfDay(match[3]) };
+    });
+
+  if (parsed.length === 0) {
+    throw new Error('At least one office hours window is required');
+  }
+  return parsed;
+}
+
+/**
+ * Validates office hours settings, merging them over the current settings.
+ *
+ * @function validateSettings
+ * @param {object} changes - The settings to change.
+ * @returns {object} The complete, validated settings.
+ * @throws {Error} If any setting is invalid.
+ */
+function validateSettings(changes) {
+  const next = { ...settings, ...changes };
+
+  next.enabled = next.enabled === true || next.enabled === 'true';
+  next.pauseMonitoring = next.pauseMonitoring === true || next.pauseMonitoring === 'true';
+  next.hours = String(next.hours || '').trim();
+  parseHours(next.hours);
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: next.timeZone });
+  } catch (_error) {
+    throw new Error(`Unknown time zone "${next.timeZone}" (use a name such as Pacific/Auckland)`);
+  }
+  if (!CLOSED_ACTIONS.includes(next.closedAction)) {
+    throw new Error(`Closed action must be one of: ${CLOSED_ACTIONS.join(', ')}`);
+  }
+
+  return next;
+}
+
+/**
+ * Loads the office hours settings from disk, falling back to the environment defaults.
+ *
+ * @function loadSettings
+ * @returns {object} The loaded settings.
+ */
+function loadSettings() {
+  try {
+    settings = validateSettings(readJsonFile(config.settingsFile, {}));
+  } catch (error) {
+    logger.error(`Error loading office hours settings: ${error.message}`);
+    settings = { ...config.defaults };
+  }
+
+  try {
+    windows = parseHours(settings.hours);
+  } catch (error) {
+    logger.error(`Invalid OFFICE_HOURS, office hours are disabled: ${error.message}`);
+    windows = [];
+    settings.enabled = false;
+  }
+  loadHolidays();
+
+  return getSettings();
+}
+
+/**
+ * Returns the current office hours settings.
+ *
+ * @function getSettings
+ * @returns {object} A copy of the current settings.
+ */
+function getSettings() {
+  return { ...settings };
+}
+
+/**
+ * Validates and persists new office hours settings, then checks the schedule again.
+ *
+ * @async
+ * @function updateSettings
+ * @param {object} changes - The settings to change (enabled, hours, timeZone, closedAction, pauseMonitoring).
+ * @returns {Promise<object>} The updated settings.
+ * @throws {Error} If any setting is invalid.
+ */
+async function updateSettings(changes) {
+  settings = validateSettings(changes || {});
+  windows = parseHours(settings.hours);
+  await writeJsonFile(config.settingsFile, settings);
+  logger.info(`Office hours settings updated: ${JSON.stringify(settings)}`);
+
+  checkSchedule();
+  return getSettings();
+}
+
+/**
+ * Reads the public holidays file if it changed since it was last read.
+ *
+ * @function loadHolidays
+ * @returns {number} The number of holiday events.
+ */
+function loadHolidays() {
+  if (!config.holidaysFile) {
+    return 0;
+  }
+
+  try {
+    const filePath = resolveDataPath(config.holidaysFile);
+    const modified = fs.statSync(filePath).mtimeMs;
+    if (modified !== holidaysModified) {
+      holidays = parseIcs(fs.readFileSync(filePath, 'utf8'));
+      holidaysModified = modified;
+      logger.info(`Loaded ${holidays.length} public holidays from ${config.holidaysFile}`);
+    }
+  } catch (error) {
+    logger.error(`Error reading public holidays: ${error.message}`);
+  }
+
+  return holidays.length;
+}
+
+/**
+ * Returns the weekday, time of day and date of a moment in the office time zone.
+ *
+ * @function getZonedTime
+ * @param {number} time - The moment in milliseconds since the epoch.
+ * @returns {{day: number, minutes: number, date: string}} Day number (0 = Sunday),
+ *   minutes since midnight and the YYYY-MM-DD date.
+ */
+function getZonedTime(time) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: settings.timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+      .formatToParts(new Date(time))
+      .map((part) => [part.type, part.value])
+  );
+
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * Formats a Date as a local YYYY-MM-DD date. All-day ICS dates are read as
+ * local midnight, so this gives back the date the file gave.
+ *
+ * @function toLocalDate
+ * @param {Date} date - The date.
+ * @returns {string} The date.
+ */
+function toLocalDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Finds the public holiday in effect at a moment. All-day holidays cover
+ * their whole dates in the office time zone.
+ *
+ * @function findHoliday
+ * @param {number} time - The moment in milliseconds since the epoch.
+ * @returns {object|undefined} The holiday occurrence from `expandEvents()`.
+ */
+function findHoliday(time) {
+  const { date } = getZonedTime(time);
+
+  // Time zones differ by at most a day, so two days either side catch every candidate
+  return expandEvents(holidays, time - 2 * DAY, time + 2 * DAY).find((holiday) => {
+    if (!holiday.allDay) {
+      return holiday.start.getTime() <= time && time < holiday.end.getTime();
+    }
+    for (let day = new Date(holiday.start); day < holiday.end; day.setDate(day.getDate() + 1)) {
+      if (toLocalDate(day) === date) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Checks whether a moment falls inside an office hours window.
+ *
+ * @function inWindow
+ * @param {{day: number, minutes: number}} zoned - The moment in the office time zone.
+ * @returns {boolean} True if a window covers it.
+ */
+function inWindow({ day, minutes }) {
+  const previousDay = (day + 6) % 7;
+
+  return windows.some(({ days, start, end }) => {
+    if (end > start) {
+      return days.includes(day) && minutes >= start && minutes < end;
+    }
+    // Past midnight: the evening part belongs to the window's day, the morning part to the day after
+    return (days.includes(day) && minutes >= start) || (days.includes(previousDay) && minutes < end);
+  });
+}
+
+/**
+ * Works out whether the office is open.
+ *
+ * @function getState
+ * @param {number} [time] - The moment in milliseconds (defaults to now).
+ * @returns {{open: boolean, reason: string, holiday: string|null}} `reason` is 'disabled'
+ *   (office hours are off), 'hours', 'closed' (outside the windows) or 'holiday'.
+ */
+function getState(time = Date.now()) {
+  if (!settings.enabled) {
+    return { open: true, reason: 'disabled', holiday: null };
+  }
+
+  const holiday = findHoliday(time);
+  if (holiday) {
+    return { open: false, reason: 'holiday', holiday: holiday.summary };
+  }
+  const open = inWindow(getZonedTime(time));
+
+  return { open, reason: open ? 'hours' : 'closed', holiday: null };
+}
+
+/**
+ * Checks the schedule and tells the listener if the office opened or closed.
+ *
+ * @function checkSchedule
+ * @returns {object} The current state.
+ */
+function checkSchedule() {
+  loadHolidays();
+  const state = getState();
+
+  const previous = lastState;
+  lastState = state;
+
+  if (!previous || state.open !== previous.open) {
+    logger.info(
+      state.open
+        ? 'Office hours: open'
+        : `Office hours: closed${state.holiday ? ` (${state.holiday})` : ''}`
+    );
+    if (changeListener) {
+      changeListener(state, previous);
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Starts checking the schedule every minute.
+ *
+ * @function startSchedule
+ * @param {function(object, object|null): void} onChange - Called with the new and previous state
+ *   when the office opens or closes, and once with the initial state (previous null).
+ * @returns {object} The current state.
+ */
+function startSchedule(onChange) {
+  changeListener = onChange;
+  lastState = null;
+  clearInterval(checkIntervalId);
+  checkIntervalId = setInterval(checkSchedule, config.checkInterval);
+
+  return checkSchedule();
+}
+
+/**
+ * Stops checking the schedule.
+ *
+ * @function stopSchedule
+ */
+function stopSchedule() {
+  clearInterval(checkIntervalId);
+  checkIntervalId = null;
+}
+
+module.exports = {
+  CLOSED_ACTIONS,
+  parseHours,
+  loadSettings,
+  getSettings,
+  updateSettings,
+  getState,
+  startSchedule,
+  stopSchedule,
+  config,
+};
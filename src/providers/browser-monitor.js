@@ -0,0 +1,68 @@
+/**
+ * Browser Monitor Status Provider
+ *
+ * Reports the status detected by the stealth Puppeteer browser in
+ * `src/browser-monitor.js`, checking every `STATUS_CHECK_INTERVAL`.
+ */
+
+const { defineProvider } = require('./provider');
+
+/**
+ * Creates the browser monitor provider.
+ *
+ * @function createBrowserMonitorProvider
+ * @returns {object} The provider.
+ */
+function createBrowserMonitorProvider() {
+  // Loaded here so Puppeteer is only required when this provider is configured
+  const browserMonitor = require('../browser-monitor');
+  let intervalId = null;
+
+  return defineProvider('browser-monitor', (emit) => {
+    const check = async () => {
+      try {
+        const status = await browserMonitor.checkCallStatus();
+        if (status) {
+          emit(null, { status: { status, source: 'browser-monitor' } });
+        }
+      } catch (error) {
+        emit(error, null);
+      }
+    };
+
+    const start = () => {
+      clearInterval(intervalId);
+      intervalId = setInterval(check, browserMonitor.config.threecx.refreshInterval);
+      check();
+    };
+
+    return {
+      initialize: () => browserMonitor.initBrowser(),
+
+      start,
+
+      stop: async () => {
+        clearInterval(intervalId);
+        intervalId = null;
+        await browserMonitor.closeBrowser();
+      },
+
+      // The browser stays open while paused
+      pause: () => {
+        clearInterval(intervalId);
+        intervalId = null;
+      },
+
+      resume: start,
+
+      getStatus: async () => ({
+        status: await browserMonitor.checkCallStatus(),
+        source: 'browser-monitor',
+      }),
+    };
+  });
+}
+
+module.exports = {
+  createBrowserMonitorProvider,
+};
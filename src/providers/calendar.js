@@ -0,0 +1,142 @@
+/**
+ * Calendar Status Provider
+ *
+ * Reports a "meeting" status while a busy event of an ICS calendar is in
+ * progress, such as a published Outlook/Teams calendar (`CALENDAR_ICS_URL`)
+ * or a local .ics file (`CALENDAR_ICS_FILE`). The calendar is reloaded every
+ * `CALENDAR_REFRESH_INTERVAL` and checked every half minute. Outside meetings
+ * the provider reports no status, so the other providers decide.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const logger = require('../logger');
+const { defineProvider } = require('./provider');
+const { parseIcs, findBusyEvents } = require('../ics-parser');
+
+// Configuration from environment variables
+const config = {
+  icsUrl: process.env.CALENDAR_ICS_URL,
+  icsFile: process.env.CALENDAR_ICS_FILE,
+  // Status reported during a meeting; needs a status profile of the same name
+  status: process.env.CALENDAR_STATUS || 'meeting',
+  includeAllDay: process.env.CALENDAR_INCLUDE_ALL_DAY === 'true',
+  refreshInterval: parseInt(process.env.CALENDAR_REFRESH_INTERVAL || '300000', 10),
+  checkInterval: 30000,
+  requestTimeout: 10000,
+};
+
+/**
+ * Reads the calendar from the configured URL or file.
+ *
+ * @async
+ * @function loadCalendar
+ * @returns {Promise<Array<object>>} The events from `parseIcs()`.
+ * @throws {Error} If no calendar is configured or it cannot be read.
+ */
+async function loadCalendar() {
+  if (config.icsUrl) {
+    // Outlook shares calendars as webcal:// links, which are plain HTTPS
+    const response = await axios.get(config.icsUrl.replace(/^webcal:\/\//i, 'https://'), {
+      responseType: 'text',
+      timeout: config.requestTimeout,
+    });
+    return parseIcs(response.data);
+  }
+  if (config.icsFile) {
+    return parseIcs(await fs.promises.readFile(config.icsFile, 'utf8'));
+  }
+
+  throw new Error('CALENDAR_ICS_URL or CALENDAR_ICS_FILE must be set');
+}
+
+/**
+ * Warns about events whose recurrence rule cannot be expanded, once per event
+ * and rule, since only their first occurrence is checked.
+ *
+ * @function warnUnsupportedRules
+ * @param {Array<object>} events - The events from `parseIcs()`.
+ * @param {Set<string>} warned - Events already warned about; updated.
+ */
+function warnUnsupportedRules(events, warned) {
+  events
+    .filter((event) => event.unsupportedRule)
+    .forEach((event) => {
+      const key = `${event.uid}|${event.unsupportedRule}`;
+      if (!warned.has(key)) {
+        warned.add(key);
+        logger.warn(
+          `Calendar event "${event.summary}" has an unsupported recurrence rule (${event.unsupportedRule}); only its first occurrence is used`
+        );
+      }
+    });
+}
+
+/**
+ * Creates the calendar provider.
+ *
+ * @function createCalendarProvider
+ * @returns {object} The provider.
+ */
+function createCalendarProvider() {
+  let events = [];
+  const warned = new Set();
+  let refreshId = null;
+  let checkId = null;
+
+  return defineProvider('calendar', (emit) => {
+    const check = () => {
+      const [meeting] = findBusyEvents(events, Date.now(), { includeAllDay: config.includeAllDay });
+
+      // No meeting: report no status so the other providers decide
+      emit(null, {
+        status: meeting ? { status: config.status, source: `calendar:${meeting.summary}` } : null,
+      });
+    };
+
+    const refresh = async () => {
+      try {
+        events = await loadCalendar();
+        warnUnsupportedRules(events, warned);
+        check();
+      } catch (error) {
+        // Keep checking against the last calendar that loaded
+        emit(error, null);
+      }
+    };
+
+    return {
+      initialize: async () => {
+        try {
+          events = await loadCalendar();
+          warnUnsupportedRules(events, warned);
+          return true;
+        } catch (error) {
+          emit(error, null);
+          return false;
+        }
+      },
+
+      start: () => {
+        clearInterval(refreshId);
+        clearInterval(checkId);
+        refreshId = setInterval(refresh, config.refreshInterval);
+        checkId = setInterval(check, config.checkInterval);
+        check();
+      },
+
+      stop: async () => {
+        clearInterval(refreshId);
+        clearInterval(checkId);
+        refreshId = null;
+        checkId = null;
+      },
+    };
+  });
+}
+
+module.exports = {
+  createCalendarProvider,
+  loadCalendar,
+  config,
+};
@@ -0,0 +1,448 @@
+/**
+ * Status Providers
+ *
+ * Loads the status providers named in `STATUS_PROVIDERS` and feeds their
+ * reports into one pipeline. Several providers can run at once; the order of
+ * `STATUS_PROVIDERS` is their priority, first highest. When they disagree,
+ * each part of a report (user status, call statistics, agent statuses) comes
+ * from the highest-priority provider that currently has one. With
+ * `STATUS_PRECEDENCE` set, the user's status is instead the current status
+ * that comes first in that list (e.g., a Slack huddle's `onCall` or a
+ * calendar `meeting` over a 3CX `available`), with provider priority breaking
+ * ties. A provider's status
+ * stops counting when it reports an error status, its last report stops
+ * counting when it fails, and pushed reports stop counting once they go
+ * stale.
+ */
+
+require('dotenv').config();
+const logger = require('../logger');
+const { createThreeCxClientProvider } = require('./threecx-client');
+const { createBrowserMonitorProvider } = require('./browser-monitor');
+const { createWebSocketProvider } = require('./websocket');
+const { createPushProvider } = require('./push');
+const { createSlackProvider } = require('./slack');
+const { createCalendarProvider } = require('./calendar');
+
+// Provider factories by name; client modules are required only when used
+const PROVIDERS = {
+  'web-client': () =>
+    createThreeCxClientProvider('web-client', require('../threecx-web-client-fixed')),
+  'call-control': () =>
+    createThreeCxClientProvider('call-control', require('../threecx-call-control-client')),
+  'browser-monitor': createBrowserMonitorProvider,
+  websocket: createWebSocketProvider,
+  push: createPushProvider,
+  slack: createSlackProvider,
+  calendar: createCalendarProvider,
+};
+
+// Parts of a report that are merged by priority
+const REPORT_PARTS = ['status', 'callStats', 'agentStatuses'];
+
+// Configuration from environment variables
+const config = {
+  // THREECX_STATUS_SOURCE is kept for setups from before STATUS_PROVIDERS existed
+  providers: (
+    process.env.STATUS_PROVIDERS ||
+    (process.env.THREECX_STATUS_SOURCE === 'api' ? 'call-control' : 'web-client')
+  )
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean),
+  // Statuses in order of precedence, first highest; empty to use provider priority alone
+  statusPrecedence: (process.env.STATUS_PRECEDENCE || '')
+    .split(',')
+    .map((status) => status.trim())
+    .filter(Boolean),
+};
+
+// Loaded providers in priority order, each with its latest report parts
+let entries = [];
+
+/**
+ * Creates the configured providers. Unknown and duplicate names are skipped.
+ *
+ * @function loadProviders
+ * @param {Array<string>} [names] - Provider names in priority order (defaults to `STATUS_PROVIDERS`).
+ * @returns {Array<string>} The names of the loaded providers.
+ */
+function loadProviders(names = config.providers) {
+  entries = [];
+
+  names.forEach((name) => {
+    if (!PROVIDERS[name]) {
+      logger.error(
+        `Unknown status provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`
+      );
+      return;
+    }
+    if (entries.some((entry) => entry.provider.name === name)) {
+      return;
+    }
+
+    try {
+      entries.push({
+        provider: PROVIDERS[name](),
+        running: false,
+        paused: false,
+        error: null,
+        parts: {},
+      });
+    } catch (error) {
+      logger.error(`Error loading status provider "${name}": ${error.message}`);
+    }
+  });
+
+  logger.info(`Status providers (highest priority first): ${entries.map((e) => e.provider.name).join(', ') || 'none'}`);
+  return entries.map((entry) => entry.provider.name);
+}
+
+/**
+ * Checks whether a provider's report part still counts.
+ *
+ * @function isCurrent
+ * @param {object} entry - The provider entry.
+ * @param {string} part - 'status', 'callStats' or 'agentStatuses'.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {boolean} True if the part is present and neither failed nor stale.
+ */
+function isCurrent(entry, part, now) {
+  const stored = entry.parts[part];
+  if (!stored || stored.value === null || stored.value === undefined) {
+    return false;
+  }
+  if (part === 'status' && (!stored.value.status || stored.value.source === 'error')) {
+    return false;
+  }
+  const { expiresAfter } = entry.provider;
+
+  return !expiresAfter || now - stored.at <= expiresAfter;
+}
+
+/**
+ * Finds the provider whose status is in use: the current status that comes
+ * first in `STATUS_PRECEDENCE`, or the highest-priority provider's if there
+ * is no precedence or it does not list the statuses.
+ *
+ * @function findStatusWinner
+ * @param {number} now - The current time in milliseconds.
+ * @returns {object|undefined} The winning provider entry.
+ */
+function findStatusWinner(now) {
+  const rank = (entry) => {
+    const index = config.statusPrecedence.indexOf(entry.parts.status.value.status);
+    return index === -1 ? config.statusPrecedence.length : index;
+  };
+
+  // Entries are in priority order, so keeping the first of equal rank breaks ties by priority
+  return entries
+    .filter((entry) => isCurrent(entry, 'status', now))
+    .reduce((best, entry) => (!best || rank(entry) < rank(best) ? entry : best), undefined);
+}
+
+/**
+ * Stores a provider's report and passes the merged result on. When a
+ * provider fails, its last report is dropped, the error is passed on, and so
+ * is the status of the provider that takes over, if any.
+ *
+ * @function handleReport
+ * @param {object} entry - The reporting provider's entry.
+ * @param {Error|null} error - The provider's error, if any.
+ * @param {object|null} report - The provider's report.
+ * @param {Function} onStatus - The pipeline, called as `onStatus(error, report)`.
+ */
+function handleReport(entry, error, report, onStatus) {
+  if (error) {
+    entry.error = error.message;
+    entry.parts = {};
+    onStatus(new Error(`${entry.provider.name}: ${error.message}`), null);
+
+    const winner = findStatusWinner(Date.now());
+    if (winner) {
+      onStatus(null, { status: { ...winner.parts.status.value, provider: winner.provider.name } });
+    }
+    return;
+  }
+
+  const now = Date.now();
+  entry.error = null;
+  REPORT_PARTS.forEach((part) => {
+    if (report && part in report) {
+      entry.parts[part] = { value: report[part], at: now };
+    }
+  });
+
+  const index = entries.indexOf(entry);
+  const merged = { debugInfo: report && report.debugInfo };
+
+  REPORT_PARTS.forEach((part) => {
+    const higherHasPart = entries.slice(0, index).some((e) => isCurrent(e, part, now));
+
+    if (part === 'status') {
+      // The user's status is always the winning provider's, whichever provider reported
+      const winner = findStatusWinner(now);
+      merged.status = winner
+        ? { ...winner.parts.status.value, provider: winner.provider.name }
+        : undefined;
+    } else if (!higherHasPart && report && part in report) {
+      merged[part] = report[part];
+    }
+  });
+
+  onStatus(null, merged);
+}
+
+/**
+ * Initializes and starts every loaded provider, feeding their reports into the pipeline.
+ *
+ * @async
+ * @function startProviders
+ * @param {Function} onStatus - The pipeline, called as `onStatus(error, { status, callStats, agentStatuses, debugInfo })`.
+ * @returns {Promise<number>} The number of providers that started.
+ */
+async function startProviders(onStatus) {
+  await Promise.all(
+    entries.map(async (entry) => {
+      const { provider } = entry;
+      provider.onStatus((error, report) => handleReport(entry, error, report, onStatus));
+
+      try {
+        if (!(await provider.initialize())) {
+          entry.error = 'Initialization failed';
+          logger.error(`Status provider "${provider.name}" failed to initialize`);
+          return;
+        }
+        await provider.start();
+        entry.running = true;
+        logger.info(`Status provider "${provider.name}" started`);
+      } catch (error) {
+        entry.error = error.message;
+        logger.error(`Error starting status provider "${provider.name}": ${error.message}`);
+      }
+    })
+  );
+
+  return entries.filter((entry) => entry.running).length;
+}
+
+/**
+ * Stops every running provider.
+ *
+ * @async
+ * @function stopProviders
+ * @returns {Promise<void>}
+ */
+async function stopProviders() {
+  await Promise.all(
+    entries.map(async (entry) => {
+      try {
+        await entry.provider.stop();
+      } catch (error) {
+        logger.error(`Error stopping status provider "${entry.provider.name}": ${error.message}`);
+      }
+      entry.running = false;
+      entry.paused = false;
+    })
+  );
+}
+
+/**
+ * Pauses every running provider that can pause (those that poll 3CX). Their
+ * last reports still count.
+ *
+ * @async
+ * @function pauseProviders
+ * @returns {Promise<Array<string>>} The names of the paused providers.
+ */
+async function pauseProviders() {
+  const pausable = entries.filter(
+    (entry) => entry.running && !entry.paused && typeof entry.provider.pause === 'function'
+  );
+
+  await Promise.all(
+    pausable.map(async (entry) => {
+      try {
+        await entry.provider.pause();
+        entry.paused = true;
+        logger.info(`Status provider "${entry.provider.name}" paused`);
+      } catch (error) {
+        logger.error(`Error pausing status provider "${entry.provider.name}": ${error.message}`);
+      }
+    })
+  );
+
+  return pausable.filter((entry) => entry.paused).map((entry) => entry.provider.name);
+}
+
+/**
+ * Resumes every paused provider.
+ *
+ * @async
+ * @function resumeProviders
+ * @returns {Promise<Array<string>>} The names of the resumed providers.
+ */
+async function resumeProviders() {
+  const paused = entries.filter((entry) => entry.paused);
+
+  await Promise.all(
+    paused.map(async (entry) => {
+      try {
+        await entry.provider.resume();
+        entry.paused = false;
+        logger.info(`Status provider "${entry.provider.name}" resumed`);
+      } catch (error) {
+        logger.error(`Error resuming status provider "${entry.provider.name}": ${error.message}`);
+      }
+    })
+  );
+
+  return paused.filter((entry) => !entry.paused).map((entry) => entry.provider.name);
+}
+
+/**
+ * Returns a loaded provider by name.
+ *
+ * @function getProvider
+ * @param {string} name - The provider name.
+ * @returns {object|null} The provider, or null if it is not loaded.
+ */
+function getProvider(name) {
+  const entry = entries.find((e) => e.provider.name === name);
+  return entry ? entry.provider : null;
+}
+
+/**
+ * Describes every loaded provider for the API and dashboard.
+ *
+ * @function getProviderStates
+ * @returns {Array<object>} `{ name, priority, running, paused, error, status, reportedAt, active }` per provider,
+ *   where `active` is true for the provider whose status is in use.
+ */
+function getProviderStates() {
+  const now = Date.now();
+  const winner = findStatusWinner(now);
+
+  return entries.map((entry, index) => ({
+    name: entry.provider.name,
+    priority: index + 1,
+    running: entry.running,
+    paused: entry.paused,
+    error: entry.error,
+    status: entry.parts.status && entry.parts.status.value ? entry.parts.status.value.status : null,
+    reportedAt: entry.parts.status ? new Date(entry.parts.status.at).toISOString() : null,
+    active: entry === winner,
+  }));
+}
+
+/**
+ * Checks every loaded provider: whether it is running, and the provider's
+ * own checks if it has any.
+ *
+ * @async
+ * @function getProviderHealth
+ * @param {object} [options] - Passed to each provider's `getHealth()`. With `checkSession`,
+ *   providers that are still starting fail.
+ * @returns {Promise<object>} Results keyed by component: `<provider>` for whether it runs,
+ *   and `<provider>.<check>` for each of its own checks.
+ */
+async function getProviderHealth(options) {
+  const results = await Promise.all(
+    entries.map(async (entry) => {
+      const { name } = entry.provider;
+      const components = {};
+      if (entry.running) {
+        components[name] = { status: 'ok', paused: entry.paused, error: entry.error };
+      } else if (!entry.error) {
+        // Still starting (e.g., waiting for a manual 3CX login): alive, but not ready
+        components[name] = { status: options && options.checkSession ? 'fail' : 'ok', starting: true };
+      } else {
+        components[name] = { status: 'fail', error: entry.error };
+      }
+      if (!entry.running || typeof entry.provider.getHealth !== 'function') {
+        return components;
+      }
+
+      try {
+        const checks = await entry.provider.getHealth(options);
+        Object.entries(checks).forEach(([check, result]) => {
+          components[`${name}.${check}`] = result;
+        });
+      } catch (error) {
+        components[`${name}.health`] = { status: 'fail', error: error.message };
+      }
+      return components;
+    })
+  );
+
+  return Object.assign({}, ...results);
+}
+
+/**
+ * Returns the first provider, in priority order, that implements a hook.
+ *
+ * @function findProviderWith
+ * @param {string} hook - The hook name (e.g., 'takeScreenshot').
+ * @returns {object|null} The provider, or null if none implements it.
+ */
+function findProviderWith(hook) {
+  const entry = entries.find((e) => typeof e.provider[hook] === 'function');
+  return entry ? entry.provider : null;
+}
+
+/**
+ * Reads the user's status directly from the highest-priority provider that can.
+ *
+ * @async
+ * @function getStatus
+ * @returns {Promise<object|null>} The status (`{ status, source }`), or null if no provider can be asked.
+ */
+async function getStatus() {
+  const provider = findProviderWith('getStatus');
+  return provider ? provider.getStatus() : null;
+}
+
+/**
+ * Resets the authentication of every provider that logs in to 3CX.
+ *
+ * @async
+ * @function resetAuthentication
+ * @returns {Promise<boolean>} True if at least one provider re-authenticated.
+ */
+async function resetAuthentication() {
+  const results = await Promise.all(
+    entries
+      .filter((e) => typeof e.provider.resetAuthentication === 'function')
+      .map((e) => e.provider.resetAuthentication())
+  );
+
+  return results.some(Boolean);
+}
+
+/**
+ * Takes a screenshot with the highest-priority provider that can.
+ *
+ * @async
+ * @function takeScreenshot
+ * @returns {Promise<string|null>} The screenshot path, or null if none was taken.
+ */
+async function takeScreenshot() {
+  const provider = findProviderWith('takeScreenshot');
+  return provider ? provider.takeScreenshot() : null;
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  loadProviders,
+  startProviders,
+  stopProviders,
+  pauseProviders,
+  resumeProviders,
+  getProvider,
+  getProviderStates,
+  getProviderHealth,
+  getStatus,
+  resetAuthentication,
+  takeScreenshot,
+  config,
+};
@@ -0,0 +1,75 @@
+/**
+ * Status Provider Definition
+ *
+ * A status provider is one source of 3CX status (the web client scraper, the
+ * Call Control API, a pushed status, ...). Every provider has the same shape:
+ *
+ * - `name`: The name it is configured by in `STATUS_PROVIDERS`.
+ * - `initialize()`: Connects or logs in. Resolves to false if the source cannot be used.
+ * - `start()`: Starts reporting.
+ * - `stop()`: Stops reporting and releases resources.
+ * - `onStatus(listener)`: Registers a listener called as `listener(error, report)`, where
+ *   `report` has the shape `{ status, callStats, agentStatuses, debugInfo }` and any part may be missing.
+ *
+ * Providers may also implement `getStatus()`, `getHealth(options)` (results
+ * per check, `{ status: 'ok'|'warn'|'fail', ... }`), `resetAuthentication()`,
+ * `takeScreenshot()`, and `pause()`/`resume()` to stop polling 3CX for a while
+ * without logging out, and set `expiresAfter` (ms) if their reports go stale
+ * when they stop arriving.
+ */
+
+// Spellings of statuses used by the different sources, mapped to the status profile names
+const STATUS_SYNONYMS = {
+  busy: 'onCall',
+  oncall: 'onCall',
+  'on-call': 'onCall',
+  off: 'offline',
+};
+
+/**
+ * Normalizes a status name reported by a source.
+ *
+ * @function normalizeStatus
+ * @param {string} status - The reported status (e.g., 'on-call', 'busy', 'available').
+ * @returns {string} The status profile name (e.g., 'onCall').
+ */
+function normalizeStatus(status) {
+  return STATUS_SYNONYMS[String(status).toLowerCase()] || status;
+}
+
+/**
+ * Defines a status provider, adding the `onStatus` listener plumbing.
+ *
+ * @function defineProvider
+ * @param {string} name - The provider name.
+ * @param {function(Function): object} build - Builds the provider's hooks (`initialize`, `start`,
+ *   `stop` and any optional ones). Receives `emit(error, report)` to report with.
+ * @returns {object} The provider.
+ */
+function defineProvider(name, build) {
+  const listeners = [];
+
+  const emit = (error, report) => {
+    const normalized =
+      report && report.status && report.status.status
+        ? { ...report, status: { ...report.status, status: normalizeStatus(report.status.status) } }
+        : report;
+    listeners.forEach((listener) => listener(error, normalized));
+  };
+
+  return {
+    name,
+    initialize: async () => true,
+    start: () => {},
+    stop: async () => {},
+    ...build(emit),
+    onStatus(listener) {
+      listeners.push(listener);
+    },
+  };
+}
+
+module.exports = {
+  defineProvider,
+  normalizeStatus,
+};
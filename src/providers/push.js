@@ -0,0 +1,91 @@
+/**
+ * Push Status Provider
+ *
+ * Reports statuses that other programs send to the server, such as the
+ * Windows desktop clients, through `POST /api/providers/push/status`. A pushed
+ * report goes stale if it is not repeated within `STATUS_PUSH_TIMEOUT`, so a
+ * client that stops running no longer decides the status.
+ */
+
+const { defineProvider } = require('./provider');
+
+// Configuration from environment variables
+const config = {
+  timeout: parseInt(process.env.STATUS_PUSH_TIMEOUT || '60000', 10),
+};
+
+/**
+ * Checks that a pushed agent status can be shown: an object with an extension
+ * and a non-empty status string.
+ *
+ * @function isValidAgentStatus
+ * @param {*} agent - The pushed agent status.
+ * @returns {boolean} True if it is usable.
+ */
+function isValidAgentStatus(agent) {
+  return (
+    Boolean(agent) &&
+    typeof agent === 'object' &&
+    (typeof agent.extension === 'string' || typeof agent.extension === 'number') &&
+    String(agent.extension) !== '' &&
+    typeof agent.status === 'string' &&
+    agent.status !== ''
+  );
+}
+
+/**
+ * Creates the push provider.
+ *
+ * @function createPushProvider
+ * @returns {object} The provider.
+ */
+function createPushProvider() {
+  return defineProvider('push', (emit) => ({
+    expiresAfter: config.timeout,
+
+    /**
+     * Reports a pushed status.
+     *
+     * @function report
+     * @param {object} body - The pushed report.
+     * @param {string} [body.status] - The user's status.
+     * @param {string} [body.source] - Which client pushed it (e.g., 'windows-client').
+     * @param {object} [body.callStats] - Call statistics.
+     * @param {Array<object>} [body.agentStatuses] - Agent statuses.
+     * @throws {Error} If the report contains nothing usable or a malformed agent status.
+     */
+    report: (body) => {
+      const { status, source, callStats, agentStatuses } = body || {};
+      if (status !== undefined && (typeof status !== 'string' || !status)) {
+        throw new Error('Status must be a non-empty string');
+      }
+      if (agentStatuses !== undefined && !Array.isArray(agentStatuses)) {
+        throw new Error('Agent statuses must be an array');
+      }
+      if (agentStatuses && !agentStatuses.every(isValidAgentStatus)) {
+        throw new Error('Each agent status needs an extension and a status string');
+      }
+      if (!status && !callStats && !agentStatuses) {
+        throw new Error('Report a status, call statistics or agent statuses');
+      }
+
+      // Only the parts that were pushed replace what this provider reported before
+      const report = {};
+      if (status) {
+        report.status = { status, source: source || 'push' };
+      }
+      if (callStats) {
+        report.callStats = { ...callStats, lastUpdated: new Date().toISOString(), source: source || 'push' };
+      }
+      if (agentStatuses) {
+        report.agentStatuses = agentStatuses;
+      }
+      emit(null, report);
+    },
+  }));
+}
+
+module.exports = {
+  createPushProvider,
+  config,
+};
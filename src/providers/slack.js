@@ -0,0 +1,144 @@
+/**
+ * Slack Status Provider
+ *
+ * Turns the Slack user's state into a status with ordered rules from
+ * `SLACK_STATUS_RULES`, such as `huddle=onCall,dnd=dnd,away=away`. The first
+ * matching rule decides; when none match the provider reports no status, so
+ * the other providers decide. The state is polled every `SLACK_POLL_INTERVAL`
+ * and re-read whenever Socket Mode reports a profile, DND or huddle change.
+ */
+
+const { defineProvider } = require('./provider');
+const slackClient = require('../slack-client');
+
+// Configuration from environment variables
+const config = {
+  rules: process.env.SLACK_STATUS_RULES || 'huddle=onCall,dnd=dnd,away=away',
+  pollInterval: parseInt(process.env.SLACK_POLL_INTERVAL || '30000', 10),
+  // Delay that batches bursts of Socket Mode events into one refresh
+  eventDebounce: 500,
+};
+
+// Socket Mode events that can change the user's status
+const STATUS_EVENTS = ['user_change', 'user_status_changed', 'user_huddle_changed', 'dnd_updated_user'];
+
+/**
+ * Parses status rules of the form `condition=status`, separated by commas.
+ * Conditions are `huddle`, `dnd`, `away`, `active`, `emoji:<emoji>` (e.g.,
+ * `emoji::palm_tree:`) and `text:<words>` (case-insensitive substring).
+ *
+ * @function parseRules
+ * @param {string} spec - The rules.
+ * @returns {Array<{condition: string, status: string}>} The rules in order.
+ * @throws {Error} If a rule is malformed or has an unknown condition.
+ */
+function parseRules(spec) {
+  return spec
+    .split(',')
+    .map((rule) => rule.trim())
+    .filter(Boolean)
+    .map((rule) => {
+      const separator = rule.lastIndexOf('=');
+      const condition = rule.slice(0, separator).trim();
+      const status = rule.slice(separator + 1).trim();
+      if (separator < 1 || !status) {
+        throw new Error(`Slack status rule "${rule}" must look like condition=status`);
+      }
+      if (
+        !['huddle', 'dnd', 'away', 'active'].includes(condition) &&
+        !/^(emoji|text):.+/.test(condition)
+      ) {
+        throw new Error(`Slack status rule "${rule}" has an unknown condition`);
+      }
+      return { condition, status };
+    });
+}
+
+/**
+ * Checks whether a rule's condition holds for a Slack user state.
+ *
+ * @function matchesRule
+ * @param {object} rule - The rule.
+ * @param {object} state - The result of `slackClient.getUserState()`.
+ * @returns {boolean} True if the condition holds.
+ */
+function matchesRule(rule, state) {
+  const { condition } = rule;
+  if (condition === 'huddle') return state.inHuddle;
+  if (condition === 'dnd') return state.dnd;
+  if (condition === 'away') return state.presence === 'away';
+  if (condition === 'active') return state.presence === 'active';
+  if (condition.startsWith('emoji:')) return state.statusEmoji === condition.slice('emoji:'.length);
+
+  return state.statusText.toLowerCase().includes(condition.slice('text:'.length).toLowerCase());
+}
+
+/**
+ * Creates the Slack provider.
+ *
+ * @function createSlackProvider
+ * @returns {object} The provider.
+ * @throws {Error} If `SLACK_STATUS_RULES` is invalid.
+ */
+function createSlackProvider() {
+  const rules = parseRules(config.rules);
+  let intervalId = null;
+  let debounceTimer = null;
+
+  return defineProvider('slack', (emit) => {
+    const refresh = async () => {
+      try {
+        const state = await slackClient.getUserState();
+        const rule = rules.find((candidate) => matchesRule(candidate, state));
+
+        // No matching rule: report no status so lower-priority providers decide
+        emit(null, {
+          status: rule ? { status: rule.status, source: `slack:${rule.condition}` } : null,
+        });
+      } catch (error) {
+        emit(error, null);
+      }
+    };
+
+    const onEvent = (event) => {
+      const user = typeof event.user === 'string' ? event.user : event.user && event.user.id;
+      if (!STATUS_EVENTS.includes(event.type) || (user && user !== slackClient.config.userId)) {
+        return;
+      }
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(refresh, config.eventDebounce);
+    };
+
+    return {
+      initialize: async () => {
+        try {
+          await slackClient.getUserState();
+          return true;
+        } catch (error) {
+          emit(error, null);
+          return false;
+        }
+      },
+
+      start: async () => {
+        clearInterval(intervalId);
+        intervalId = setInterval(refresh, config.pollInterval);
+        await refresh();
+        await slackClient.startSocketMode(onEvent);
+      },
+
+      stop: async () => {
+        clearInterval(intervalId);
+        intervalId = null;
+        clearTimeout(debounceTimer);
+        slackClient.stopSocketMode();
+      },
+    };
+  });
+}
+
+module.exports = {
+  createSlackProvider,
+  parseRules,
+  config,
+};
@@ -0,0 +1,92 @@
+/**
+ * 3CX Client Status Provider
+ *
+ * Wraps a 3CX client module — the Puppeteer web client scraper
+ * (`threecx-web-client-fixed.js`) or the Call Control API client
+ * (`threecx-call-control-client.js`) — as a status provider. Both modules
+ * report user status, call statistics and agent statuses. A client that can
+ * be supervised (the web client) is watched by the scraper supervisor, which
+ * relaunches it when it breaks, including when it fails to start.
+ */
+
+const { defineProvider } = require('./provider');
+const scraperSupervisor = require('../scraper-supervisor');
+
+/**
+ * Creates a provider for a 3CX client module.
+ *
+ * @function createThreeCxClientProvider
+ * @param {string} name - The provider name.
+ * @param {object} client - The client module (`initialize`, `startMonitoring`, `stopMonitoring`,
+ *   `close`, `getStatus`, `getHealth`, `resetAuthentication`, `takeScreenshot`, and optionally
+ *   `getSupervisionState` and `recover`).
+ * @returns {object} The provider.
+ */
+function createThreeCxClientProvider(name, client) {
+  const supervisable = typeof client.getSupervisionState === 'function';
+
+  return defineProvider(name, (emit) => ({
+    // The client starts monitoring as part of initializing
+    initialize: async () => {
+      const initialized = await client.initialize(emit);
+      if (!supervisable || !scraperSupervisor.startSupervisor(client)) {
+        return initialized;
+      }
+
+      // The supervisor keeps retrying a client that failed to start
+      if (!initialized) {
+        scraperSupervisor.recover('initializeFailed');
+      }
+      return true;
+    },
+
+    stop: async () => {
+      if (supervisable) {
+        scraperSupervisor.stopSupervisor();
+      }
+      await client.stopMonitoring();
+      await client.close();
+    },
+
+    getStatus: () => client.getStatus(),
+
+    getHealth: (options) => client.getHealth(options),
+
+    resetAuthentication: async () => {
+      // Closing the browser on purpose is not something to recover from
+      if (supervisable) {
+        scraperSupervisor.stopSupervisor();
+      }
+      client.stopMonitoring();
+      const success = await client.resetAuthentication();
+      if (success) {
+        client.startMonitoring(emit);
+      }
+      if (supervisable) {
+        scraperSupervisor.startSupervisor(client);
+      }
+      return success;
+    },
+
+    takeScreenshot: () => client.takeScreenshot(),
+
+    // The browser session or API token is kept, so resuming needs no new login
+    pause: () => {
+      if (supervisable) {
+        scraperSupervisor.stopSupervisor();
+      }
+      return client.stopMonitoring();
+    },
+
+    resume: () => {
+      client.startMonitoring(emit);
+      if (supervisable) {
+        scraperSupervisor.startSupervisor(client);
+      }
+    },
+  }));
+}
+
+module.exports = {
+  createThreeCxClientProvider,
+};
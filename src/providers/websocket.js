@@ -0,0 +1,41 @@
+/**
+ * 3CX WebSocket Status Provider
+ *
+ * Reports the extension status pushed by the 3CX WebSocket used by
+ * `src/index.js` (`THREECX_WEBSOCKET_URL`, `THREECX_EXTENSION`), falling back
+ * to polling when the WebSocket fails.
+ */
+
+const { defineProvider } = require('./provider');
+
+/**
+ * Creates the 3CX WebSocket provider.
+ *
+ * @function createWebSocketProvider
+ * @returns {object} The provider.
+ */
+function createWebSocketProvider() {
+  const websocketClient = require('../index');
+
+  return defineProvider('websocket', (emit) => ({
+    initialize: async () => Boolean(websocketClient.config.threecx.websocketUrl),
+
+    start: async () => {
+      const onStatus = (status) => emit(null, { status: { status, source: 'websocket' } });
+      try {
+        await websocketClient.connect3CXWebSocket(onStatus);
+      } catch (error) {
+        emit(error, null);
+        websocketClient.startPolling(onStatus);
+      }
+    },
+
+    stop: async () => {
+      websocketClient.disconnect3CXWebSocket();
+    },
+  }));
+}
+
+module.exports = {
+  createWebSocketProvider,
+};
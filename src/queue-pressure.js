@@ -0,0 +1,321 @@
+/**
+ * Queue Pressure Module
+ *
+ * Shows the 3CX queue backlog on a WLED strip. The strip fills as a bar in
+ * proportion to `waitingCalls` (full at `maxWaitingCalls`), and escalates to a
+ * pulsing orange bar and then a pulsing red bar once `longestWaiting` passes
+ * the warning and critical thresholds. An empty queue shows the whole strip green.
+ */
+
+require('dotenv').config();
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./json-file-store');
+const {
+  updateWLEDSegments,
+  resetWLEDSegments,
+  getWLEDStatus,
+} = require('./wled-controller');
+
+// How each pressure level is drawn on the strip
+const LEVELS = {
+  clear: { col: [0, 255, 0], fx: 0, sx: 128 }, // Green, solid
+  waiting: { col: [255, 255, 0], fx: 0, sx: 128 }, // Yellow, solid
+  warning: { col: [255, 100, 0], fx: 2, sx: 128 }, // Orange, breathe
+  critical: { col: [255, 0, 0], fx: 2, sx: 240 }, // Red, fast breathe
+};
+
+// Configuration from environment variables
+const config = {
+  settingsFile: process.env.WLED_QUEUE_PRESSURE_FILE || 'queue-pressure.json',
+  defaults: {
+    maxWaitingCalls: parseInt(process.env.WLED_QUEUE_MAX_WAITING || '10', 10),
+    warningSeconds: parseInt(process.env.WLED_QUEUE_WARNING_SECONDS || '60', 10),
+    criticalSeconds: parseInt(process.env.WLED_QUEUE_CRITICAL_SECONDS || '180', 10),
+    // 0 reads the LED count from the device
+    ledCount: parseInt(process.env.WLED_QUEUE_LED_COUNT || '0', 10),
+  },
+};
+
+let settings = { ...config.defaults };
+
+// LED count read from the device when `ledCount` is 0
+let deviceLedCount = null;
+
+// What was last drawn, so unchanged stats do not resend the same state
+let lastRenderKey = null;
+let lastPressure = null;
+
+/**
+ * Validates queue pressure settings, merging them over the current settings.
+ *
+ * @function validateSettings
+ * @param {object} changes - The settings to change.
+ * @returns {object} The complete, validated settings.
+ * @throws {Error} If any setting is invalid.
+ */
+function validateSettings(changes) {
+  const next = { ...settings, ...changes };
+
+  next.maxWaitingCalls = parseInt(next.maxWaitingCalls, 10);
+  if (!Number.isInteger(next.maxWaitingCalls) || next.maxWaitingCalls < 1) {
+    throw new Error('Max waiting calls must be a positive whole number');
+  }
+  next.warningSeconds = parseInt(next.warningSeconds, 10);
+  if (!Number.isInteger(next.warningSeconds) || next.warningSeconds < 1) {
+    throw new Error('Warning threshold must be a positive number of seconds');
+  }
+  next.criticalSeconds = parseInt(next.criticalSeconds, 10);
+  if (
+    !Number.isInteger(next.criticalSeconds) ||
+    next.criticalSeconds <= next.warningSeconds
+  ) {
+    throw new Error('Critical threshold must be longer than the warning threshold');
+  }
+  next.ledCount = parseInt(next.ledCount, 10);
+  if (!Number.isInteger(next.ledCount) || next.ledCount < 0) {
+    throw new Error('LED count must be zero (auto) or a positive whole number');
+  }
+
+  return next;
+}
+
+/**
+ * Loads the queue pressure settings from disk, falling back to the environment defaults.
+ *
+ * @function loadSettings
+ * @returns {object} The loaded settings.
+ */
+function loadSettings() {
+  try {
+    settings = validateSettings(readJsonFile(config.settingsFile, {}));
+  } catch (error) {
+    logger.error(`Error loading queue pressure settings: ${error.message}`);
+    settings = { ...config.defaults };
+  }
+
+  return getSettings();
+}
+
+/**
+ * Returns the current queue pressure settings.
+ *
+ * @function getSettings
+ * @returns {object} A copy of the current settings.
+ */
+function getSettings() {
+  return { ...settings };
+}
+
+/**
+ * Validates and persists new queue pressure settings.
+ *
+ * @async
+ * @function updateSettings
+ * @param {object} changes - The settings to change (maxWaitingCalls, warningSeconds, criticalSeconds, ledCount).
+ * @returns {Promise<object>} The updated settings.
+ * @throws {Error} If any setting is invalid.
+ */
+async function updateSettings(changes) {
+  settings = validateSettings(changes || {});
+  await writeJsonFile(config.settingsFile, settings);
+  logger.info(`Queue pressure settings updated: ${JSON.stringify(settings)}`);
+
+  // Force a redraw with the new settings
+  lastRenderKey = null;
+
+  return getSettings();
+}
+
+/**
+ * Parses a 3CX duration such as "00:02:15" or "02:15" into seconds.
+ *
+ * @function parseDuration
+ * @param {string|number} value - The duration as scraped from the `queue-stat` component.
+ * @returns {number} The duration in seconds, or 0 if it cannot be parsed.
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Math.max(0, value);
+  }
+  if (typeof value !== 'string' || !/^\d+(:\d+){0,2}$/.test(value.trim())) {
+    return 0;
+  }
+
+  return value
+    .trim()
+    .split(':')
+    .reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Works out the queue pressure for a set of call statistics.
+ *
+ * @function evaluatePressure
+ * @param {object} callStats - The call statistics (`waitingCalls`, `longestWaiting`).
+ * @param {object} [options=settings] - The queue pressure settings to apply.
+ * @returns {{level: string, waitingCalls: number, longestWaitingSeconds: number, fill: number}}
+ *   The pressure level (`clear`, `waiting`, `warning` or `critical`) and the bar fill (0-1).
+ */
+function evaluatePressure(callStats, options = settings) {
+  const waitingCalls = Math.max(0, parseInt((callStats || {}).waitingCalls, 10) || 0);
+  const longestWaitingSeconds = parseDuration((callStats || {}).longestWaiting);
+
+  let level = 'clear';
+  if (waitingCalls > 0) {
+    if (longestWaitingSeconds >= options.criticalSeconds) {
+      level = 'critical';
+    } else if (longestWaitingSeconds >= options.warningSeconds) {
+      level = 'warning';
+    } else {
+      level = 'waiting';
+    }
+  }
+
+  return {
+    level,
+    waitingCalls,
+    longestWaitingSeconds,
+    fill: Math.min(1, waitingCalls / options.maxWaitingCalls),
+  };
+}
+
+/**
+ * Builds the WLED segments for a pressure reading: segment 0 is the lit bar,
+ * segment 1 the unlit remainder of the strip.
+ *
+ * @function buildSegments
+ * @param {object} pressure - The result of `evaluatePressure`.
+ * @param {number} ledCount - The number of LEDs on the strip.
+ * @returns {Array<object>} The WLED segments.
+ */
+function buildSegments(pressure, ledCount) {
+  const style = LEVELS[pressure.level];
+
+  // An empty queue lights the whole strip; otherwise at least one LED per bar
+  const lit =
+    pressure.level === 'clear'
+      ? ledCount
+      : Math.max(1, Math.ceil(pressure.fill * ledCount));
+
+  const segments = [
+    {
+      id: 0,
+      start: 0,
+      stop: lit,
+      on: true,
+      col: [style.col],
+      fx: style.fx,
+      sx: style.sx,
+    },
+  ];
+
+  // A stop of 0 deletes the remainder segment when the bar is full
+  segments.push(
+    lit < ledCount
+      ? { id: 1, start: lit, stop: ledCount, on: true, col: [[0, 0, 0]], fx: 0 }
+      : { id: 1, stop: 0 }
+  );
+
+  return segments;
+}
+
+/**
+ * Returns the LED count to draw on, reading it from the device if not configured.
+ *
+ * @async
+ * @function getLedCount
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to query instead of the configured one.
+ * @returns {Promise<number|null>} The LED count, or null if the device could not be read.
+ */
+async function getLedCount(options = {}) {
+  if (settings.ledCount > 0) {
+    return settings.ledCount;
+  }
+
+  if (!deviceLedCount) {
+    const wledStatus = await getWLEDStatus(options);
+    if (wledStatus && wledStatus.info && wledStatus.info.leds) {
+      deviceLedCount = wledStatus.info.leds.count;
+    }
+  }
+
+  return deviceLedCount;
+}
+
+/**
+ * Draws the queue pressure for the given call statistics onto the WLED strip.
+ * Nothing is sent if the bar would look the same as last time.
+ *
+ * @async
+ * @function updateQueuePressure
+ * @param {object} callStats - The latest call statistics.
+ * @param {object} [options] - Optional target device and behaviour.
+ * @param {string} [options.ipAddress] - The device to update instead of the configured one.
+ * @param {boolean} [options.force] - Redraw even if nothing changed.
+ * @returns {Promise<boolean>} True if the strip shows the current pressure.
+ */
+async function updateQueuePressure(callStats, options = {}) {
+  const pressure = evaluatePressure(callStats);
+  lastPressure = pressure;
+
+  const ledCount = await getLedCount(options);
+  if (!ledCount) {
+    logger.error('Cannot show queue pressure: LED count is unknown');
+    return false;
+  }
+
+  const segments = buildSegments(pressure, ledCount);
+  const renderKey = `${pressure.level}:${segments[0].stop}/${ledCount}`;
+  if (!options.force && renderKey === lastRenderKey) {
+    return true;
+  }
+
+  logger.info(
+    `Queue pressure ${pressure.level}: ${pressure.waitingCalls} waiting, longest ${pressure.longestWaitingSeconds}s`
+  );
+
+  const success = await updateWLEDSegments(segments, options);
+  lastRenderKey = success ? renderKey : null;
+
+  return success;
+}
+
+/**
+ * Restores a single full-length segment after the queue pressure bar.
+ *
+ * @async
+ * @function resetQueuePressure
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to reset instead of the configured one.
+ * @returns {Promise<boolean>} True if the strip was reset.
+ */
+async function resetQueuePressure(options = {}) {
+  lastRenderKey = null;
+  deviceLedCount = null;
+
+  return resetWLEDSegments(options);
+}
+
+/**
+ * Returns the pressure reading from the last update.
+ *
+ * @function getPressure
+ * @returns {object|null} The last result of `evaluatePressure`, or null if none yet.
+ */
+function getPressure() {
+  return lastPressure;
+}
+
+module.exports = {
+  loadSettings,
+  getSettings,
+  updateSettings,
+  parseDuration,
+  evaluatePressure,
+  buildSegments,
+  updateQueuePressure,
+  resetQueuePressure,
+  getPressure,
+  config,
+};
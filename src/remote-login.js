@@ -0,0 +1,306 @@
+/**
+ * Remote Login Module
+ *
+ * Lets an admin finish a 3CX login from the control panel when the web
+ * client runs headless on a server nobody can see. While the web client
+ * waits for a login, the page is streamed with the Chrome DevTools Protocol
+ * screencast (`Page.startScreencast`) to the admins watching, and their
+ * clicks and keystrokes are replayed on the page. The screencast only runs
+ * while someone watches. The web client decides when the login is done.
+ */
+
+require('dotenv').config();
+const logger = require('./logger');
+
+// Keys other than single characters that may be forwarded to the page
+const NAMED_KEYS = [
+  'Enter',
+  'Tab',
+  'Backspace',
+  'Delete',
+  'Escape',
+  'ArrowLeft',
+  'ArrowRight',
+  'ArrowUp',
+  'ArrowDown',
+  'Home',
+  'End',
+];
+
+// Configuration from environment variables
+const config = {
+  enabled: process.env.THREECX_REMOTE_LOGIN === 'true',
+  // How long the web client waits for a remote login (in milliseconds)
+  timeout: parseInt(process.env.THREECX_REMOTE_LOGIN_TIMEOUT || '1800000', 10),
+  // Screencast frames: JPEG quality and largest size
+  screencast: {
+    format: 'jpeg',
+    quality: 60,
+    maxWidth: 1280,
+    maxHeight: 800,
+  },
+};
+
+// The page waiting for a login, and since when
+let loginPage = null;
+let waitingSince = null;
+
+// The running screencast (a promise of its CDP session), and the latest frame for viewers who join later
+let screencast = null;
+let lastFrame = null;
+
+// IDs of the clients watching
+const viewers = new Set();
+
+const stateListeners = [];
+const frameListeners = [];
+
+/**
+ * Passes an event to the listeners, isolating their errors.
+ *
+ * @function notify
+ * @param {Array<Function>} listeners - The listeners.
+ * @param {object} event - The event.
+ */
+function notify(listeners, event) {
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.error(`Error in remote login listener: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Starts streaming the login page, if it is not streamed already.
+ *
+ * @async
+ * @function startScreencast
+ * @returns {Promise<object|null>} The screencast's CDP session, or null if no login is waiting.
+ */
+async function startScreencast() {
+  if (screencast || !loginPage) {
+    return screencast;
+  }
+
+  screencast = (async () => {
+    const session = await loginPage.createCDPSession();
+    session.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+      session.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+      lastFrame = { data, metadata };
+      notify(frameListeners, lastFrame);
+    });
+
+    await session.send('Page.startScreencast', config.screencast);
+    logger.info('Streaming the 3CX login page to the control panel');
+    return session;
+  })();
+
+  try {
+    return await screencast;
+  } catch (error) {
+    screencast = null;
+    throw error;
+  }
+}
+
+/**
+ * Stops streaming the login page.
+ *
+ * @async
+ * @function stopScreencast
+ */
+async function stopScreencast() {
+  const starting = screencast;
+  screencast = null;
+  lastFrame = null;
+  if (!starting) {
+    return;
+  }
+
+  try {
+    const session = await starting;
+    await session.send('Page.stopScreencast');
+    await session.detach();
+  } catch (error) {
+    // The page or browser may already be closed
+    logger.debug(`Error stopping the screencast: ${error.message}`);
+  }
+}
+
+/**
+ * Describes the remote login for the API and the control panel.
+ *
+ * @function getRemoteLoginState
+ * @returns {object} `{ enabled, waiting, waitingSince, viewers }`.
+ */
+function getRemoteLoginState() {
+  return {
+    enabled: config.enabled,
+    waiting: Boolean(loginPage),
+    waitingSince: waitingSince && new Date(waitingSince).toISOString(),
+    viewers: viewers.size,
+  };
+}
+
+/**
+ * Tells whether the web client should wait for a remote login instead of
+ * opening a visible browser.
+ *
+ * @function isEnabled
+ * @returns {boolean} True if `THREECX_REMOTE_LOGIN=true`.
+ */
+function isEnabled() {
+  return config.enabled;
+}
+
+/**
+ * Offers a page for remote login, starting the screencast if anyone watches already.
+ *
+ * @async
+ * @function beginLogin
+ * @param {object} page - The Puppeteer page showing the 3CX login.
+ */
+async function beginLogin(page) {
+  loginPage = page;
+  waitingSince = Date.now();
+  logger.warn('3CX login required: waiting for an admin to log in from the control panel');
+  notify(stateListeners, { event: 'waiting', ...getRemoteLoginState() });
+
+  if (viewers.size > 0) {
+    await startScreencast().catch((error) => logger.error(`Error starting the screencast: ${error.message}`));
+  }
+}
+
+/**
+ * Ends the remote login and its screencast, unless another page was offered since.
+ *
+ * @async
+ * @function endLogin
+ * @param {object} page - The page offered with `beginLogin()`.
+ * @param {boolean} success - Whether the page is logged in.
+ */
+async function endLogin(page, success) {
+  if (page !== loginPage) {
+    return;
+  }
+
+  await stopScreencast();
+  viewers.clear();
+  loginPage = null;
+  waitingSince = null;
+  notify(stateListeners, { event: success ? 'completed' : 'expired', ...getRemoteLoginState() });
+}
+
+/**
+ * Adds a client to the viewers, starting the screencast for the first one.
+ *
+ * @async
+ * @function addViewer
+ * @param {string} id - The client ID.
+ * @returns {Promise<object|null>} The latest frame (`{ data, metadata }`), to show until the next one.
+ * @throws {Error} If no login is waiting.
+ */
+async function addViewer(id) {
+  if (!loginPage) {
+    throw new Error('No 3CX login is waiting');
+  }
+
+  viewers.add(id);
+  await startScreencast();
+  return lastFrame;
+}
+
+/**
+ * Removes a client from the viewers, stopping the screencast after the last one.
+ *
+ * @async
+ * @function removeViewer
+ * @param {string} id - The client ID.
+ */
+async function removeViewer(id) {
+  if (viewers.delete(id) && viewers.size === 0) {
+    await stopScreencast();
+  }
+}
+
+/**
+ * Replays a click, scroll or keystroke from the control panel on the login page.
+ *
+ * @async
+ * @function dispatchInput
+ * @param {object} input - The input: `{ type: 'click', x, y }` in page pixels,
+ *   `{ type: 'scroll', x, y, deltaY }`, `{ type: 'key', key }` with a `KeyboardEvent.key`
+ *   value, or `{ type: 'text', text }`.
+ * @throws {Error} If no login is waiting or the input is invalid.
+ */
+async function dispatchInput(input) {
+  if (!loginPage) {
+    throw new Error('No 3CX login is waiting');
+  }
+
+  const { type, x, y } = input || {};
+  if (type === 'click' || type === 'scroll') {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new Error('x and y must be numbers');
+    }
+    if (type === 'click') {
+      await loginPage.mouse.click(x, y);
+    } else {
+      await loginPage.mouse.move(x, y);
+      await loginPage.mouse.wheel({ deltaY: Number(input.deltaY) || 0 });
+    }
+  } else if (type === 'key') {
+    if (typeof input.key !== 'string') {
+      throw new Error('key must be a string');
+    }
+    if ([...input.key].length === 1) {
+      await loginPage.keyboard.sendCharacter(input.key);
+    } else if (NAMED_KEYS.includes(input.key)) {
+      await loginPage.keyboard.press(input.key);
+    }
+  } else if (type === 'text') {
+    if (typeof input.text !== 'string') {
+      throw new Error('text must be a string');
+    }
+    await loginPage.keyboard.type(input.text);
+  } else {
+    throw new Error(`Unknown input type "${type}"`);
+  }
+}
+
+/**
+ * Registers a listener for the start and end of remote logins.
+ *
+ * @function onRemoteLogin
+ * @param {function(object): void} listener - Called with `{ event, enabled, waiting, waitingSince, viewers }`,
+ *   where `event` is 'waiting', 'completed' or 'expired'.
+ */
+function onRemoteLogin(listener) {
+  stateListeners.push(listener);
+}
+
+/**
+ * Registers a listener for screencast frames.
+ *
+ * @function onFrame
+ * @param {function(object): void} listener - Called with `{ data, metadata }`: the base64 JPEG
+ *   and the CDP frame metadata (`deviceWidth` and `deviceHeight` in page pixels, among others).
+ */
+function onFrame(listener) {
+  frameListeners.push(listener);
+}
+
+module.exports = {
+  isEnabled,
+  beginLogin,
+  endLogin,
+  addViewer,
+  removeViewer,
+  dispatchInput,
+  getRemoteLoginState,
+  onRemoteLogin,
+  onFrame,
+  config,
+};
@@ -0,0 +1,270 @@
+/**
+ * Scraper Supervisor Module
+ *
+ * Watches the Puppeteer web client scraper and brings it back when it breaks:
+ * the browser died, the 3CX page was closed or stopped answering, 3CX sent it
+ * to the login page, or several status collections in a row came back empty.
+ * Recovery closes the browser and initializes the client again, which
+ * restores the saved cookies and navigates back to the switchboard. Failed
+ * attempts are retried with exponential backoff until one succeeds. Every
+ * detection, failed attempt and recovery is passed to the listeners (the
+ * dashboard) and kept in a short in-memory log.
+ */
+
+require('dotenv').config();
+const logger = require('./logger');
+
+// What can make the supervisor recover the scraper
+const REASONS = {
+  initializeFailed: 'The web client failed to start',
+  browserDisconnected: 'The browser is not running',
+  pageClosed: 'The 3CX page was closed',
+  pageUnresponsive: 'The 3CX page stopped responding',
+  loginRequired: '3CX redirected to the login page',
+  emptyScrapes: 'Status collections keep coming back empty',
+};
+
+// Configuration from environment variables
+const config = {
+  enabled: process.env.SCRAPER_SUPERVISOR !== 'false',
+  // How often the browser, page and session are checked (in milliseconds)
+  checkInterval: parseInt(process.env.SCRAPER_CHECK_INTERVAL || '30000', 10),
+  // Empty status collections in a row before recovering
+  maxEmptyScrapes: parseInt(process.env.SCRAPER_MAX_EMPTY_SCRAPES || '5', 10),
+  // Delay before the first retry of a failed recovery; each further retry waits twice as long
+  retryDelay: parseInt(process.env.SCRAPER_RECOVERY_DELAY || '5000', 10),
+  maxRetryDelay: parseInt(process.env.SCRAPER_RECOVERY_MAX_DELAY || '300000', 10),
+  // Events kept in the recovery log
+  logSize: 50,
+};
+
+// The supervised client (`getSupervisionState`, `recover`), and the check timer
+let client = null;
+let checkTimer = null;
+
+// The recovery in progress, if any, and the timer of its next attempt
+let recovery = null;
+let retryTimer = null;
+
+// Latest events, newest last
+const events = [];
+const listeners = [];
+
+/**
+ * Records an event and passes it to the listeners.
+ *
+ * @function notify
+ * @param {object} event - The event (`{ event, reason, attempt, ... }`).
+ */
+function notify(event) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    ...event,
+    message: REASONS[event.reason],
+  };
+  events.push(entry);
+  events.splice(0, events.length - config.logSize);
+
+  listeners.forEach((listener) => {
+    try {
+      listener(entry);
+    } catch (error) {
+      logger.error(`Error in scraper supervisor listener: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Finds what is wrong with the scraper, if anything.
+ *
+ * @async
+ * @function diagnose
+ * @returns {Promise<string|null>} A key of `REASONS`, or null if the scraper is fine.
+ */
+async function diagnose() {
+  const state = await client.getSupervisionState();
+
+  if (!state.browserConnected) {
+    return 'browserDisconnected';
+  }
+  if (!state.pageOpen) {
+    return 'pageClosed';
+  }
+  if (!state.pageResponsive) {
+    return 'pageUnresponsive';
+  }
+  if (state.onLoginPage) {
+    return 'loginRequired';
+  }
+  if (state.emptyScrapes >= config.maxEmptyScrapes) {
+    return 'emptyScrapes';
+  }
+
+  return null;
+}
+
+/**
+ * Makes one recovery attempt, and schedules the next one if it fails.
+ *
+ * @async
+ * @function attemptRecovery
+ */
+async function attemptRecovery() {
+  const current = recovery;
+  current.attempt += 1;
+  const startedAt = Date.now();
+  logger.warn(`Recovering the 3CX web client (${current.reason}), attempt ${current.attempt}`);
+
+  let recovered = false;
+  let error = null;
+  try {
+    recovered = await client.recover();
+  } catch (recoverError) {
+    error = recoverError.message;
+  }
+
+  // Stopped while the attempt was running
+  if (recovery !== current) {
+    return;
+  }
+
+  if (recovered) {
+    logger.info(`3CX web client recovered after ${current.attempt} attempt(s)`);
+    notify({
+      event: 'recovered',
+      reason: current.reason,
+      attempt: current.attempt,
+      durationMs: Date.now() - current.startedAt,
+    });
+    recovery = null;
+    return;
+  }
+
+  const retryInMs = Math.min(config.retryDelay * 2 ** (current.attempt - 1), config.maxRetryDelay);
+  logger.error(
+    `Recovering the 3CX web client failed${error ? `: ${error}` : ''}; retrying in ${Math.round(retryInMs / 1000)}s`
+  );
+  notify({
+    event: 'failed',
+    reason: current.reason,
+    attempt: current.attempt,
+    error,
+    attemptMs: Date.now() - startedAt,
+    retryInMs,
+  });
+  retryTimer = setTimeout(attemptRecovery, retryInMs);
+}
+
+/**
+ * Starts recovering the scraper, unless a recovery is already running.
+ *
+ * @function recover
+ * @param {string} reason - A key of `REASONS`.
+ * @returns {boolean} True if a recovery started.
+ */
+function recover(reason) {
+  if (!client || recovery) {
+    return false;
+  }
+
+  logger.warn(`3CX web client needs recovering: ${REASONS[reason] || reason}`);
+  recovery = { reason, attempt: 0, startedAt: Date.now() };
+  notify({ event: 'detected', reason });
+  attemptRecovery();
+
+  return true;
+}
+
+/**
+ * Checks the scraper and starts a recovery if something is wrong.
+ *
+ * @async
+ * @function check
+ */
+async function check() {
+  if (!client || recovery) {
+    return;
+  }
+
+  try {
+    const reason = await diagnose();
+    if (reason && client) {
+      recover(reason);
+    }
+  } catch (error) {
+    logger.error(`Error checking the 3CX web client: ${error.message}`);
+  }
+}
+
+/**
+ * Starts supervising a scraper client. Does nothing if `SCRAPER_SUPERVISOR=false`.
+ *
+ * @function startSupervisor
+ * @param {object} supervised - The client: `getSupervisionState()` resolves to
+ *   `{ browserConnected, pageOpen, pageResponsive, onLoginPage, emptyScrapes }`, and
+ *   `recover()` closes and initializes it again, resolving to true on success.
+ * @returns {boolean} True if the client is supervised.
+ */
+function startSupervisor(supervised) {
+  if (!config.enabled) {
+    return false;
+  }
+
+  stopSupervisor();
+  client = supervised;
+  checkTimer = setInterval(check, config.checkInterval);
+  logger.info(`Supervising the 3CX web client (checks every ${config.checkInterval}ms)`);
+
+  return true;
+}
+
+/**
+ * Stops supervising, abandoning any recovery in progress.
+ *
+ * @function stopSupervisor
+ */
+function stopSupervisor() {
+  clearInterval(checkTimer);
+  clearTimeout(retryTimer);
+  checkTimer = null;
+  retryTimer = null;
+  client = null;
+  recovery = null;
+}
+
+/**
+ * Describes the supervisor for the API.
+ *
+ * @function getSupervisorState
+ * @returns {object} `{ enabled, supervising, recovery, events }`, where `recovery` is the recovery in
+ *   progress (`{ reason, attempt, startedAt }`) or null, and `events` the latest events, newest last.
+ */
+function getSupervisorState() {
+  return {
+    enabled: config.enabled,
+    supervising: Boolean(client),
+    recovery: recovery && { ...recovery, startedAt: new Date(recovery.startedAt).toISOString() },
+    events: [...events],
+  };
+}
+
+/**
+ * Registers a listener for supervisor events.
+ *
+ * @function onRecovery
+ * @param {function(object): void} listener - Called with `{ timestamp, event, reason, message, attempt, ... }`,
+ *   where `event` is 'detected', 'failed' (with `error` and `retryInMs`) or 'recovered' (with `durationMs`).
+ */
+function onRecovery(listener) {
+  listeners.push(listener);
+}
+
+module.exports = {
+  REASONS,
+  startSupervisor,
+  stopSupervisor,
+  recover,
+  getSupervisorState,
+  onRecovery,
+  config,
+};
@@ -0,0 +1,309 @@
+/**
+ * Secrets Vault Module
+ *
+ * Keeps the secrets the application needs to act on its own in one file
+ * encrypted with AES-256-GCM: the 3CX session cookies, the 3CX sign-in
+ * credentials and any API tokens. The key is derived with scrypt, and a
+ * random salt stored with the file, from `SECRETS_KEY` or, without it, from
+ * the key file (`SECRETS_KEY_FILE`), which is generated on first use. GCM
+ * authenticates the file, so a wrong key and a modified file are both
+ * refused rather than read or overwritten. The plain-text `cookies.json` of
+ * older versions is moved into the vault and deleted.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const logger = require('./logger');
+const { resolveDataPath, writeJsonFile } = require('./json-file-store');
+
+const readFileAsync = promisify(fs.readFile);
+const unlinkAsync = promisify(fs.unlink);
+const scryptAsync = promisify(crypto.scrypt);
+
+// Format of the encrypted file; also authenticated with the contents
+const FORMAT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+// Names of the secrets the application keeps; API tokens go under `token.<name>`
+const SECRET_NAMES = {
+  credentials: 'threecx',
+  cookies: 'threecx.cookies',
+};
+
+// Where older versions saved the 3CX cookies in plain text
+const LEGACY_COOKIES_FILE = 'cookies.json';
+
+// Configuration from environment variables
+const config = {
+  file: process.env.SECRETS_FILE || 'secrets.enc.json',
+  key: process.env.SECRETS_KEY || '',
+  keyFile: process.env.SECRETS_KEY_FILE || 'secrets.key',
+};
+
+// Updates are chained so concurrent ones neither share the temporary file nor lose each other's changes
+let writeQueue = Promise.resolve();
+
+/**
+ * Reads the passphrase the encryption key is derived from: `SECRETS_KEY`, or
+ * the contents of the key file.
+ *
+ * @function loadPassphrase
+ * @param {boolean} create - Generate a random key file if there is none.
+ * @returns {string} The passphrase.
+ * @throws {Error} If there is no key and none may be created, or the key file is empty.
+ */
+function loadPassphrase(create) {
+  if (config.key) {
+    return config.key;
+  }
+
+  const keyPath = resolveDataPath(config.keyFile);
+  if (!fs.existsSync(keyPath)) {
+    if (!create) {
+      throw new Error(`No key to decrypt ${config.file}: set SECRETS_KEY or restore ${config.keyFile}`);
+    }
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    fs.writeFileSync(keyPath, `${crypto.randomBytes(32).toString('base64')}\n`, { mode: 0o600, flag: 'wx' });
+    logger.warn(`Generated a new secrets key in ${config.keyFile}; back it up and keep it apart from ${config.file}`);
+  }
+
+  const passphrase = fs.readFileSync(keyPath, 'utf8').trim();
+  if (!passphrase) {
+    throw new Error(`${config.keyFile} is empty`);
+  }
+  return passphrase;
+}
+
+/**
+ * Derives the encryption key.
+ *
+ * @async
+ * @function deriveKey
+ * @param {Buffer} salt - The salt stored with the file.
+ * @param {boolean} [create=false] - Generate a key file if there is neither `SECRETS_KEY` nor a key file.
+ * @returns {Promise<Buffer>} The 256-bit key.
+ * @throws {Error} If there is no key.
+ */
+async function deriveKey(salt, create = false) {
+  return scryptAsync(loadPassphrase(create), salt, 32);
+}
+
+/**
+ * Reads and decrypts all secrets.
+ *
+ * @async
+ * @function readSecrets
+ * @returns {Promise<object>} The secrets keyed by name; empty if nothing was saved yet.
+ * @throws {Error} If there is no key, or the file cannot be decrypted with it.
+ */
+async function readSecrets() {
+  const fullPath = resolveDataPath(config.file);
+  if (!fs.existsSync(fullPath)) {
+    return {};
+  }
+
+  let file;
+  try {
+    file = JSON.parse(await readFileAsync(fullPath, 'utf8'));
+  } catch (_error) {
+    throw new Error(`${config.file} is not valid JSON: the file was modified or truncated`);
+  }
+  if (file.version !== FORMAT_VERSION) {
+    throw new Error(`${config.file} has an unsupported format version: ${file.version}`);
+  }
+
+  const key = await deriveKey(Buffer.from(String(file.salt), 'base64'));
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(file.iv, 'base64'));
+    decipher.setAAD(Buffer.from(`v${FORMAT_VERSION}`));
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(file.data, 'base64')),
+      decipher.final(),
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (_error) {
+    throw new Error(`${config.file} cannot be decrypted: wrong key or the file was modified`);
+  }
+}
+
+/**
+ * Encrypts all secrets and saves them, with a fresh salt and IV, readable
+ * only by the owner like the key file.
+ *
+ * @async
+ * @function writeSecrets
+ * @param {object} secrets - The secrets keyed by name.
+ * @returns {Promise<void>}
+ */
+async function writeSecrets(secrets) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await deriveKey(salt, true);
+
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(`v${FORMAT_VERSION}`));
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  const file = {
+    version: FORMAT_VERSION,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+  await writeJsonFile(config.file, file, { mode: 0o600 });
+}
+
+/**
+ * Reads one secret.
+ *
+ * @async
+ * @function getSecret
+ * @param {string} name - The secret's name (see `SECRET_NAMES`).
+ * @returns {Promise<*>} The secret, or null if it is not saved.
+ * @throws {Error} If there is no key, or the file cannot be decrypted with it.
+ */
+async function getSecret(name) {
+  const secrets = await readSecrets();
+  return secrets[name] === undefined ? null : secrets[name];
+}
+
+/**
+ * Saves or removes one secret. Updates run one at a time, each reading the
+ * secrets the previous one saved.
+ *
+ * @async
+ * @function setSecret
+ * @param {string} name - The secret's name (see `SECRET_NAMES`).
+ * @param {*} value - The value to save, or null to remove the secret.
+ * @returns {Promise<void>}
+ * @throws {Error} If the file cannot be decrypted, so it is never overwritten.
+ */
+async function setSecret(name, value) {
+  writeQueue = writeQueue.then(async () => {
+    const secrets = await readSecrets();
+    if (value === null || value === undefined) {
+      delete secrets[name];
+    } else {
+      secrets[name] = value;
+    }
+    await writeSecrets(secrets);
+  });
+
+  try {
+    await writeQueue;
+  } catch (error) {
+    writeQueue = Promise.resolve();
+    throw error;
+  }
+  logger.debug(`Secret "${name}" ${value === null || value === undefined ? 'removed' : 'saved'}`);
+}
+
+/**
+ * Computes a digest of cookies that changes whenever any cookie's value or
+ * expiry changes, whatever order the browser lists them in.
+ *
+ * @function digestCookies
+ * @param {Array<object>} cookies - Puppeteer cookies.
+ * @returns {string} The hex SHA-256 digest.
+ */
+function digestCookies(cookies) {
+  const entries = cookies
+    .map(({ name, domain, path: cookiePath, value, expires }) => [domain, cookiePath, name, value, expires])
+    .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+
+  return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+}
+
+/**
+ * Saves the 3CX session cookies, replacing the saved ones only if they changed.
+ *
+ * @async
+ * @function saveCookies
+ * @param {Array<object>} cookies - Puppeteer cookies.
+ * @returns {Promise<boolean>} True if the cookies changed and were saved.
+ * @throws {Error} If the vault cannot be decrypted.
+ */
+async function saveCookies(cookies) {
+  const digest = digestCookies(cookies);
+  const saved = await getSecret(SECRET_NAMES.cookies);
+  if (saved && saved.digest === digest) {
+    return false;
+  }
+
+  await setSecret(SECRET_NAMES.cookies, { cookies, digest, rotatedAt: new Date().toISOString() });
+  return true;
+}
+
+/**
+ * Moves the plain-text cookies of older versions into the vault and deletes
+ * the file. Cookies already in the vault are kept.
+ *
+ * @async
+ * @function migrateLegacyCookies
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyCookies() {
+  const legacyPath = resolveDataPath(LEGACY_COOKIES_FILE);
+  if (!fs.existsSync(legacyPath)) {
+    return;
+  }
+
+  try {
+    const cookies = JSON.parse(await readFileAsync(legacyPath, 'utf8'));
+    if (Array.isArray(cookies) && cookies.length > 0 && !(await getSecret(SECRET_NAMES.cookies))) {
+      await saveCookies(cookies);
+      logger.warn(`Moved the plain-text cookies from ${LEGACY_COOKIES_FILE} into ${config.file}`);
+    }
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) {
+      throw error;
+    }
+    logger.warn(`${LEGACY_COOKIES_FILE} is not valid JSON; its cookies are lost`);
+  }
+
+  await unlinkAsync(legacyPath);
+  logger.info(`Deleted ${LEGACY_COOKIES_FILE}`);
+}
+
+/**
+ * Reads the saved 3CX session cookies, moving `cookies.json` into the vault first if it exists.
+ *
+ * @async
+ * @function getCookies
+ * @returns {Promise<Array<object>>} The cookies; empty if none are saved.
+ * @throws {Error} If the vault cannot be decrypted.
+ */
+async function getCookies() {
+  await migrateLegacyCookies();
+
+  const saved = await getSecret(SECRET_NAMES.cookies);
+  return saved ? saved.cookies : [];
+}
+
+/**
+ * Removes the saved 3CX session cookies, so the next start has to log in.
+ *
+ * @async
+ * @function clearCookies
+ * @returns {Promise<void>}
+ * @throws {Error} If the vault cannot be decrypted.
+ */
+async function clearCookies() {
+  await migrateLegacyCookies();
+  await setSecret(SECRET_NAMES.cookies, null);
+}
+
+module.exports = {
+  SECRET_NAMES,
+  getSecret,
+  setSecret,
+  getCookies,
+  saveCookies,
+  clearCookies,
+  config,
+};
@@ -0,0 +1,268 @@
+/**
+ * Selector Profiles Module
+ *
+ * The web client scraper finds the user's status, the queue statistics and
+ * the agents in the 3CX web UI with CSS selectors that change between 3CX
+ * releases. They are kept in named, versioned profiles, one JSON file per
+ * 3CX UI in `selector-profiles/`, so a 3CX upgrade only needs a new profile
+ * file. The profile is detected from the page; when a scrape finds nothing
+ * with it, the other profiles are tried in order (newest version first) and
+ * the first one that works becomes the active profile.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { resolveDataPath, readJsonFile } = require('./json-file-store');
+
+// Selectors every profile must define, by section
+const REQUIRED_SELECTORS = {
+  queueStats: ['container', 'headerRow', 'dataRow', 'cell'],
+  agents: ['container', 'item', 'number', 'name', 'queues', 'statusIndicator'],
+};
+
+// Configuration from environment variables
+const config = {
+  directory: process.env.THREECX_SELECTOR_PROFILES_DIR || 'selector-profiles',
+  // ID (file name without `.json`) of a profile to try first, skipping detection
+  pinned: process.env.THREECX_SELECTOR_PROFILE || '',
+};
+
+// Loaded profiles, in fallback order, and the ID of the one in use
+let profiles = [];
+let activeId = null;
+
+/**
+ * Checks that a value is a non-empty string.
+ *
+ * @function isSelector
+ * @param {*} value - The value.
+ * @returns {boolean} True if the value can be a selector.
+ */
+function isSelector(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Checks a profile read from a file.
+ *
+ * @function validateProfile
+ * @param {object} profile - The parsed profile.
+ * @throws {Error} If a field is missing or has the wrong type.
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error('must be an object');
+  }
+  if (!isSelector(profile.name) || !isSelector(profile.version)) {
+    throw new Error('name and version must be strings');
+  }
+  if (!/^\d+(\.\d+)*$/.test(profile.version)) {
+    throw new Error(`version "${profile.version}" must be numbers separated by dots, e.g. "20.0.3"`);
+  }
+  if (!Array.isArray(profile.detect) || profile.detect.length === 0 || !profile.detect.every(isSelector)) {
+    throw new Error('detect must be a non-empty list of selectors');
+  }
+  if (!isSelector(profile.switchboard)) {
+    throw new Error('switchboard must be a selector');
+  }
+  Object.entries(REQUIRED_SELECTORS).forEach(([section, keys]) => {
+    keys.forEach((key) => {
+      if (!profile[section] || !isSelector(profile[section][key])) {
+        throw new Error(`${section}.${key} must be a selector`);
+      }
+    });
+  });
+  if (!Array.isArray(profile.status) || profile.status.length === 0 || !profile.status.every(isSelector)) {
+    throw new Error('status must be a non-empty list of selectors');
+  }
+}
+
+/**
+ * Compares two dotted version numbers, newest first.
+ *
+ * @function compareVersionsDescending
+ * @param {string} a - A version (e.g., '20.0.3').
+ * @param {string} b - Another version.
+ * @returns {number} Negative if `a` is newer, positive if `b` is newer, 0 if equal.
+ */
+function compareVersionsDescending(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsB[i] || 0) - (partsA[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Reads the profile files again, so a profile added or edited is used from
+ * the next detection on. Invalid files are logged and skipped.
+ *
+ * @function loadProfiles
+ * @returns {Array<object>} The profiles, newest version first, each with its `id`.
+ */
+function loadProfiles() {
+  const directory = resolveDataPath(config.directory);
+  let files = [];
+  try {
+    files = fs.readdirSync(directory).filter((file) => file.endsWith('.json'));
+  } catch (error) {
+    logger.error(`Cannot read the selector profiles in ${config.directory}: ${error.message}`);
+  }
+
+  const loaded = [];
+  files.forEach((file) => {
+    try {
+      const profile = readJsonFile(path.join(directory, file), null);
+      validateProfile(profile);
+      loaded.push({ ...profile, id: path.basename(file, '.json') });
+    } catch (error) {
+      logger.error(`Skipping selector profile ${file}: ${error.message}`);
+    }
+  });
+
+  if (loaded.length === 0) {
+    logger.error(`No valid selector profiles in ${config.directory}; the 3CX web UI cannot be scraped`);
+  }
+  if (config.pinned && !loaded.some((profile) => profile.id === config.pinned)) {
+    logger.warn(`Selector profile "${config.pinned}" (THREECX_SELECTOR_PROFILE) not found`);
+  }
+
+  profiles = loaded.sort((a, b) => compareVersionsDescending(a.version, b.version));
+  if (!profiles.some((profile) => profile.id === activeId)) {
+    activeId = null;
+  }
+  return profiles;
+}
+
+/**
+ * Lists the profiles in the order they are tried: the active one, the pinned
+ * one, then the others, newest version first.
+ *
+ * @function getProfiles
+ * @returns {Array<object>} The profiles.
+ */
+function getProfiles() {
+  const rank = (profile) => {
+    if (profile.id === activeId) return 0;
+    if (profile.id === config.pinned) return 1;
+    return 2;
+  };
+  // Array.prototype.sort is stable, so the version order is kept within each rank
+  return [...profiles].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Makes a profile the active one, logging the change.
+ *
+ * @function activate
+ * @param {object} profile - The profile.
+ * @param {string} how - How it was chosen, for the log.
+ */
+function activate(profile, how) {
+  if (profile.id === activeId) {
+    return;
+  }
+  activeId = profile.id;
+  logger.info(`Using selector profile "${profile.name}" (${profile.id}, ${how})`);
+}
+
+/**
+ * Detects which profile matches the 3CX page: the first, in order, whose
+ * `detect` selectors are all on the page. The profiles are read again first.
+ *
+ * @async
+ * @function detectProfile
+ * @param {object} page - The Puppeteer page showing the 3CX web UI.
+ * @returns {Promise<object|null>} The detected profile, or null if none matches.
+ */
+async function detectProfile(page) {
+  loadProfiles();
+
+  const pinned = profiles.find((profile) => profile.id === config.pinned);
+  if (pinned) {
+    activate(pinned, 'pinned');
+    return pinned;
+  }
+
+  for (const profile of getProfiles()) {
+    const matches = await page.evaluate(
+      (selectors) => selectors.every((selector) => document.querySelector(selector)),
+      profile.detect
+    );
+    if (matches) {
+      activate(profile, 'detected');
+      return profile;
+    }
+  }
+
+  logger.warn('No selector profile matches the 3CX page; trying them all in order');
+  return null;
+}
+
+/**
+ * Runs a scrape with each profile in order until one finds something, and
+ * makes that profile the active one.
+ *
+ * @async
+ * @function withProfiles
+ * @param {function(object): Promise<*>} scrape - Scrapes with a profile; resolves to null or
+ *   undefined if it found nothing.
+ * @returns {Promise<*>} The first result found, or null if no profile found anything.
+ */
+async function withProfiles(scrape) {
+  for (const profile of getProfiles()) {
+    const result = await scrape(profile);
+    if (result !== null && result !== undefined) {
+      activate(profile, 'fallback');
+      return result;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds one selector matching the switchboard of any profile, for the
+ * checks made before the profile is known.
+ *
+ * @function getSwitchboardSelector
+ * @returns {string} The selectors, separated by commas.
+ */
+function getSwitchboardSelector() {
+  const selectors = new Set(
+    profiles.flatMap((profile) => profile.switchboard.split(',').map((selector) => selector.trim()))
+  );
+  return [...selectors].join(', ') || 'queue-stat';
+}
+
+/**
+ * Describes the profiles for the API.
+ *
+ * @function getSelectorProfileState
+ * @returns {object} `{ directory, pinned, active, profiles }`, where `profiles` lists
+ *   `{ id, name, version }` in the order they are tried.
+ */
+function getSelectorProfileState() {
+  return {
+    directory: config.directory,
+    pinned: config.pinned || null,
+    active: activeId,
+    profiles: getProfiles().map(({ id, name, version }) => ({ id, name, version })),
+  };
+}
+
+loadProfiles();
+
+module.exports = {
+  loadProfiles,
+  detectProfile,
+  withProfiles,
+  getSwitchboardSelector,
+  getSelectorProfileState,
+  config,
+};
@@ -0,0 +1,205 @@
+/**
+ * Slack Client
+ *
+ * Reads a Slack user's presence, Do Not Disturb state, status emoji/text and
+ * huddle state through the Slack Web API, and listens for profile and DND
+ * changes over Socket Mode. The API base URL is configurable so the client
+ * can be pointed at a local fake Slack endpoint.
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const WebSocket = require('ws');
+const logger = require('./logger');
+
+// Configuration from environment variables
+const config = {
+  apiUrl: (process.env.SLACK_API_URL || 'https://slack.com/api').replace(/\/+$/, ''),
+  // Bot or user token with users:read, users.profile:read and dnd:read
+  token: process.env.SLACK_TOKEN,
+  // App-level token with connections:write, for Socket Mode
+  appToken: process.env.SLACK_APP_TOKEN,
+  userId: process.env.SLACK_USER_ID,
+  requestTimeout: 10000,
+  // Delay before reopening a dropped Socket Mode connection
+  reconnectDelay: 5000,
+};
+
+// Socket Mode connection state
+let socket = null;
+let reconnectTimer = null;
+let listening = false;
+
+/**
+ * Calls a Slack Web API method.
+ *
+ * @async
+ * @function callSlackApi
+ * @param {string} method - The API method (e.g., 'users.getPresence').
+ * @param {object} [params] - Query parameters.
+ * @param {object} [options] - Request options.
+ * @param {string} [options.token] - Token to use instead of `SLACK_TOKEN`.
+ * @param {string} [options.httpMethod='get'] - 'get' or 'post'.
+ * @returns {Promise<object>} The response body.
+ * @throws {Error} If the request fails or Slack answers with `ok: false`.
+ */
+async function callSlackApi(method, params = {}, options = {}) {
+  const response = await axios({
+    method: options.httpMethod || 'get',
+    url: `${config.apiUrl}/${method}`,
+    params,
+    headers: { Authorization: `Bearer ${options.token || config.token}` },
+    timeout: config.requestTimeout,
+  });
+
+  if (!response.data || !response.data.ok) {
+    throw new Error(`Slack ${method} failed: ${(response.data && response.data.error) || 'no response'}`);
+  }
+
+  return response.data;
+}
+
+/**
+ * Reads the configured user's presence, DND state and profile status.
+ *
+ * @async
+ * @function getUserState
+ * @returns {Promise<object>} `{ presence, dnd, statusText, statusEmoji, inHuddle }`.
+ * @throws {Error} If Slack is not configured or a request fails.
+ */
+async function getUserState() {
+  if (!config.token || !config.userId) {
+    throw new Error('SLACK_TOKEN and SLACK_USER_ID must be set');
+  }
+
+  const [presence, dnd, profile] = await Promise.all([
+    callSlackApi('users.getPresence', { user: config.userId }),
+    callSlackApi('dnd.info', { user: config.userId }),
+    callSlackApi('users.profile.get', { user: config.userId }),
+  ]);
+
+  const now = Date.now() / 1000;
+  const inDndWindow =
+    dnd.dnd_enabled && dnd.next_dnd_start_ts <= now && now < dnd.next_dnd_end_ts;
+  const statusExpired =
+    profile.profile.status_expiration && profile.profile.status_expiration <= now;
+
+  return {
+    presence: presence.presence,
+    dnd: Boolean(dnd.snooze_enabled || inDndWindow),
+    statusText: statusExpired ? '' : profile.profile.status_text || '',
+    statusEmoji: statusExpired ? '' : profile.profile.status_emoji || '',
+    inHuddle: profile.profile.huddle_state === 'in_a_huddle',
+  };
+}
+
+/**
+ * Opens a Socket Mode connection and calls `onEvent` for every event. Each
+ * envelope is acknowledged, and the connection is reopened when Slack asks
+ * for it or it drops, until `stopSocketMode()` is called.
+ *
+ * @async
+ * @function startSocketMode
+ * @param {function(object): void} onEvent - Called with each event payload.
+ * @returns {Promise<boolean>} True if the connection was opened.
+ */
+async function startSocketMode(onEvent) {
+  if (!config.appToken) {
+    return false;
+  }
+  listening = true;
+
+  try {
+    const { url } = await callSlackApi('apps.connections.open', {}, {
+      token: config.appToken,
+      httpMethod: 'post',
+    });
+
+    const connection = new WebSocket(url);
+    socket = connection;
+
+    connection.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        logger.warn(`Ignoring unreadable Slack Socket Mode message: ${error.message}`);
+        return;
+      }
+
+      if (message.envelope_id) {
+        connection.send(JSON.stringify({ envelope_id: message.envelope_id }));
+      }
+      if (message.type === 'hello') {
+        logger.info('Connected to Slack Socket Mode');
+      } else if (message.type === 'disconnect') {
+        // Slack rotates connections; close and open a new one
+        connection.close();
+      } else if (message.payload && message.payload.event) {
+        onEvent(message.payload.event);
+      }
+    });
+
+    connection.on('error', (error) => {
+      logger.warn(`Slack Socket Mode error: ${error.message}`);
+    });
+
+    connection.on('close', () => {
+      // A connection closed by stopSocketMode() may close after a new one opened
+      if (socket !== connection) {
+        return;
+      }
+      socket = null;
+      scheduleReconnect(onEvent);
+    });
+
+    return true;
+  } catch (error) {
+    logger.error(`Error opening Slack Socket Mode connection: ${error.message}`);
+    scheduleReconnect(onEvent);
+    return false;
+  }
+}
+
+/**
+ * Reopens the Socket Mode connection after a delay, while listening.
+ *
+ * @function scheduleReconnect
+ * @param {function(object): void} onEvent - The event callback.
+ */
+function scheduleReconnect(onEvent) {
+  if (!listening || reconnectTimer) {
+    return;
+  }
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    if (listening) {
+      startSocketMode(onEvent);
+    }
+  }, config.reconnectDelay);
+}
+
+/**
+ * Closes the Socket Mode connection without reconnecting.
+ *
+ * @function stopSocketMode
+ */
+function stopSocketMode() {
+  listening = false;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  if (socket) {
+    socket.close();
+    socket = null;
+  }
+}
+
+module.exports = {
+  callSlackApi,
+  getUserState,
+  startSocketMode,
+  stopSocketMode,
+  config,
+};
@@ -0,0 +1,549 @@
+/**
+ * Status History Module
+ *
+ * Keeps every status transition of the user and of each 3CX agent in an
+ * append-only JSONL file. Each line records the timestamp, who changed
+ * (`type` and, for agents, `extension` and `name`), the new and previous
+ * status, and the source of the change. The file can be queried by extension
+ * and time range, and summarized into time spent in each status per day.
+ * Service markers (`type: 'service'`) record when the application started,
+ * was still running and stopped, so time it was down is not counted as any
+ * status. Entries older than the retention period are pruned.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const readline = require('readline');
+const logger = require('./logger');
+const { resolveDataPath } = require('./json-file-store');
+
+const TYPES = ['user', 'agent'];
+
+// Configuration from environment variables
+const config = {
+  historyFile: process.env.STATUS_HISTORY_FILE || 'status-history.jsonl',
+  // Days of history kept; 0 keeps everything
+  retentionDays: parseInt(process.env.STATUS_HISTORY_RETENTION_DAYS || '90', 10),
+  // How often a `running` service marker is written (in milliseconds)
+  heartbeatInterval: 5 * 60 * 1000,
+  // How often old entries are pruned (in milliseconds)
+  pruneInterval: 24 * 60 * 60 * 1000,
+  // Most entries a single query returns
+  maxQueryLimit: 10000,
+  // Days summarized when no range is given
+  defaultSummaryDays: 7,
+};
+
+// Last recorded status per subject ('user' or the agent's extension)
+const lastStatuses = new Map();
+
+// Subjects whose status has not been recorded since the start; their first status is recorded even if unchanged
+const unconfirmed = new Set();
+
+// When this process wrote its `started` marker, and the heartbeat and prune timers
+let runStartedAt = null;
+let heartbeatTimer = null;
+let pruneTimer = null;
+
+// Appends are chained so concurrent transitions keep their order in the file
+let writeQueue = Promise.resolve();
+
+/**
+ * Returns the key a subject's last status is tracked under.
+ *
+ * @function subjectKey
+ * @param {string} type - 'user' or 'agent'.
+ * @param {string} [extension] - The agent's extension.
+ * @returns {string} The key.
+ */
+function subjectKey(type, extension) {
+  return type === 'agent' ? `agent:${extension}` : type;
+}
+
+/**
+ * Streams the history file line by line, skipping lines that are not valid
+ * JSON, so the file is never held in memory.
+ *
+ * @async
+ * @function forEachEntry
+ * @param {function(object, string): void} callback - Called with each entry and its line, oldest first.
+ * @returns {Promise<void>}
+ */
+async function forEachEntry(callback) {
+  const filePath = resolveDataPath(config.historyFile);
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      callback(JSON.parse(line), line);
+    } catch (error) {
+      logger.debug(`Skipping unreadable status history line: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Appends an entry to the history file, after the appends before it.
+ *
+ * @async
+ * @function appendEntry
+ * @param {object} entry - The entry.
+ * @returns {Promise<void>}
+ * @throws {Error} If the file cannot be written.
+ */
+async function appendEntry(entry) {
+  const filePath = resolveDataPath(config.historyFile);
+  writeQueue = writeQueue.then(() =>
+    fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`)
+  );
+
+  try {
+    await writeQueue;
+  } catch (error) {
+    writeQueue = Promise.resolve();
+    throw error;
+  }
+}
+
+/**
+ * Writes a service marker. Errors are logged, never thrown.
+ *
+ * @async
+ * @function recordService
+ * @param {string} status - 'started', 'running' or 'stopped'.
+ * @param {string} [timestamp] - The marker's time (ISO 8601); defaults to now.
+ * @returns {Promise<void>}
+ */
+async function recordService(status, timestamp = new Date().toISOString()) {
+  try {
+    await appendEntry({ timestamp, type: 'service', status });
+  } catch (error) {
+    logger.error(`Error writing status history: ${error.message}`);
+  }
+}
+
+/**
+ * Removes the entries older than the retention period. The last older entry
+ * of each subject is kept, so its status at the start of the period is still
+ * known. The file is rewritten after the pending appends, and appends wait
+ * for it.
+ *
+ * @async
+ * @function pruneHistory
+ * @returns {Promise<number>} The number of entries removed.
+ */
+async function pruneHistory() {
+  if (!config.retentionDays) {
+    return 0;
+  }
+
+  const cutoff = new Date(Date.now() - config.retentionDays * 24 * 60 * 60 * 1000);
+  const filePath = resolveDataPath(config.historyFile);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  let removed = 0;
+
+  const prune = async () => {
+    const lastOlder = new Map();
+    const kept = [];
+    await forEachEntry((entry, line) => {
+      if (new Date(entry.timestamp) >= cutoff) {
+        kept.push(line);
+        return;
+      }
+      const key = subjectKey(entry.type, entry.extension);
+      if (lastOlder.has(key)) {
+        removed += 1;
+        // Re-inserted, so the kept entries stay in time order
+        lastOlder.delete(key);
+      }
+      lastOlder.set(key, line);
+    });
+    if (removed === 0) {
+      return;
+    }
+
+    // Entries are in time order, so the kept older ones go first
+    await fs.promises.writeFile(tempPath, [...lastOlder.values(), ...kept].map((line) => `${line}\n`).join(''));
+    await fs.promises.rename(tempPath, filePath);
+  };
+
+  writeQueue = writeQueue.then(prune);
+  try {
+    await writeQueue;
+    if (removed > 0) {
+      logger.info(`Pruned ${removed} status history entries older than ${config.retentionDays} days`);
+    }
+  } catch (error) {
+    writeQueue = Promise.resolve();
+    logger.error(`Error pruning status history: ${error.message}`);
+  }
+  return removed;
+}
+
+/**
+ * Restores the last known status of every subject from the history file, so
+ * each change records the right previous status, prunes old entries, and
+ * starts writing service markers.
+ *
+ * @async
+ * @function loadHistory
+ * @returns {Promise<number>} The number of subjects with a known status.
+ */
+async function loadHistory() {
+  try {
+    let count = 0;
+    await forEachEntry((entry) => {
+      if (TYPES.includes(entry.type)) {
+        const key = subjectKey(entry.type, entry.extension);
+        lastStatuses.set(key, entry.status);
+        unconfirmed.add(key);
+        count += 1;
+      }
+    });
+    logger.info(`Loaded status history (${count} transitions)`);
+  } catch (error) {
+    logger.error(`Error loading status history: ${error.message}`);
+  }
+
+  await pruneHistory();
+
+  stopHeartbeat();
+  // The summary recognizes this run by its `started` marker's timestamp
+  runStartedAt = new Date().toISOString();
+  await recordService('started', runStartedAt);
+  heartbeatTimer = setInterval(() => recordService('running'), config.heartbeatInterval);
+  heartbeatTimer.unref();
+  pruneTimer = setInterval(pruneHistory, config.pruneInterval);
+  pruneTimer.unref();
+
+  return lastStatuses.size;
+}
+
+/**
+ * Stops the service markers and the pruning.
+ *
+ * @function stopHeartbeat
+ */
+function stopHeartbeat() {
+  clearInterval(heartbeatTimer);
+  clearInterval(pruneTimer);
+  heartbeatTimer = null;
+  pruneTimer = null;
+}
+
+/**
+ * Records that the application stops, so the time until it starts again is
+ * not counted as any status.
+ *
+ * @async
+ * @function stopHistory
+ * @returns {Promise<void>}
+ */
+async function stopHistory() {
+  if (!heartbeatTimer) {
+    return;
+  }
+  stopHeartbeat();
+  await recordService('stopped');
+}
+
+/**
+ * Records a status if it differs from the subject's last recorded status, or
+ * is the subject's first since the start. Errors are logged, never thrown, so callers can fire and forget.
+ *
+ * @async
+ * @function recordStatus
+ * @param {object} change - The status change.
+ * @param {string} change.type - 'user' for your own status, 'agent' for a 3CX agent.
+ * @param {string} [change.extension] - The agent's extension.
+ * @param {string} [change.name] - The agent's name.
+ * @param {string} change.status - The new status.
+ * @param {string} change.source - Where the change came from (e.g., 'scraper', 'dashboard', 'api').
+ * @returns {Promise<object|null>} The recorded entry, or null if nothing changed or it could not be saved.
+ */
+async function recordStatus({ type, extension, name, status, source }) {
+  if (!TYPES.includes(type) || !status || (type === 'agent' && !extension)) {
+    return null;
+  }
+
+  const key = subjectKey(type, extension);
+  const previousStatus = lastStatuses.has(key) ? lastStatuses.get(key) : null;
+  if (previousStatus === status && !unconfirmed.has(key)) {
+    return null;
+  }
+  lastStatuses.set(key, status);
+  unconfirmed.delete(key);
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    type,
+    extension: type === 'agent' ? String(extension) : null,
+    name: name || null,
+    status,
+    previousStatus,
+    source,
+  };
+
+  try {
+    await appendEntry(entry);
+    return entry;
+  } catch (error) {
+    logger.error(`Error writing status history: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Records the status of every agent in a scraped agent list that changed
+ * since it was last recorded.
+ *
+ * @async
+ * @function recordAgentStatuses
+ * @param {Array<object>} agents - Agent statuses (e.g., from `fetchAllAgentStatuses()`).
+ * @param {string} source - Where the statuses came from.
+ * @returns {Promise<Array<object>>} The recorded entries.
+ */
+async function recordAgentStatuses(agents, source) {
+  const results = await Promise.all(
+    (agents || []).map((agent) =>
+      recordStatus({
+        type: 'agent',
+        extension: agent.extension,
+        name: agent.name,
+        status: agent.status,
+        source,
+      })
+    )
+  );
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Parses a time range from query parameters.
+ *
+ * @function parseRange
+ * @param {object} query - Query parameters with optional `from` and `to` (ISO 8601 or date strings).
+ * @param {Date} defaultFrom - Start used when `from` is not given.
+ * @returns {{from: Date, to: Date}} The range.
+ * @throws {Error} If a date is invalid or `from` is after `to`.
+ */
+function parseRange(query, defaultFrom) {
+  const from = query.from ? new Date(query.from) : defaultFrom;
+  const to = query.to ? new Date(query.to) : new Date();
+
+  if (Number.isNaN(from.getTime())) {
+    throw new Error('"from" must be a valid date');
+  }
+  if (Number.isNaN(to.getTime())) {
+    throw new Error('"to" must be a valid date');
+  }
+  if (from > to) {
+    throw new Error('"from" must be before "to"');
+  }
+
+  return { from, to };
+}
+
+/**
+ * Finds the recorded transitions that match a query.
+ *
+ * @async
+ * @function queryHistory
+ * @param {object} [query] - Query parameters.
+ * @param {string} [query.extension] - Only this agent's transitions.
+ * @param {string} [query.type] - Only 'user' or only 'agent' transitions.
+ * @param {string} [query.from] - Start of the time range (defaults to the beginning of the history).
+ * @param {string} [query.to] - End of the time range (defaults to now).
+ * @param {number|string} [query.limit] - Return only the most recent entries (default and maximum 10000).
+ * @returns {Promise<Array<object>>} The matching transitions, oldest first.
+ * @throws {Error} If a parameter is invalid.
+ */
+async function queryHistory(query = {}) {
+  const { from, to } = parseRange(query, new Date(0));
+  if (query.type && !TYPES.includes(query.type)) {
+    throw new Error(`Type must be one of: ${TYPES.join(', ')}`);
+  }
+  const limit = query.limit ? parseInt(query.limit, 10) : config.maxQueryLimit;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('Limit must be a positive whole number');
+  }
+
+  // Only the most recent matches are kept while streaming
+  const maxEntries = Math.min(limit, config.maxQueryLimit);
+  const entries = [];
+  await forEachEntry((entry) => {
+    const time = new Date(entry.timestamp);
+    if (
+      TYPES.includes(entry.type) &&
+      time >= from &&
+      time <= to &&
+      (!query.type || entry.type === query.type) &&
+      (!query.extension || entry.extension === String(query.extension))
+    ) {
+      entries.push(entry);
+      if (entries.length >= 2 * maxEntries) {
+        entries.splice(0, entries.length - maxEntries);
+      }
+    }
+  });
+
+  return entries.slice(-maxEntries);
+}
+
+/**
+ * Formats a date as a local YYYY-MM-DD day key.
+ *
+ * @function toDayKey
+ * @param {Date} date - The date.
+ * @returns {string} The day key.
+ */
+function toDayKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Returns local midnight at the start of the day after a date.
+ *
+ * @function nextMidnight
+ * @param {Date} date - The date.
+ * @returns {Date} The next midnight.
+ */
+function nextMidnight(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+}
+
+/**
+ * Summarizes how long each subject spent in each status per day.
+ *
+ * @async
+ * @function summarizeTimeInState
+ * @param {object} [query] - Query parameters.
+ * @param {string} [query.extension] - Only this agent.
+ * @param {string} [query.type] - Only 'user' or only 'agent'.
+ * @param {string} [query.from] - Start of the range (defaults to midnight 6 days ago).
+ * @param {string} [query.to] - End of the range (defaults to now).
+ * @returns {Promise<Array<object>>} One entry per subject and day:
+ *   `{ type, extension, name, date, durations: { status: seconds } }`, sorted by date then extension.
+ * @throws {Error} If a parameter is invalid.
+ */
+async function summarizeTimeInState(query = {}) {
+  const today = new Date();
+  const defaultFrom = new Date(
+    today.getFullYear(),
+    today.getMonth(),
+    today.getDate() - (config.defaultSummaryDays - 1)
+  );
+  const { from, to } = parseRange(query, defaultFrom);
+  if (query.type && !TYPES.includes(query.type)) {
+    throw new Error(`Type must be one of: ${TYPES.join(', ')}`);
+  }
+
+  // Of the transitions before `from`, only each subject's last is needed, to know its status at `from`.
+  // The service markers give the times the application stopped being seen running (`cuts`).
+  const subjects = new Map();
+  const cuts = [];
+  let lastStarted = null;
+  let lastSeen = null;
+  await forEachEntry((entry) => {
+    const time = new Date(entry.timestamp);
+    if (entry.type === 'service') {
+      if (entry.status === 'started') {
+        cuts.push(lastSeen || time);
+        lastStarted = entry.timestamp;
+      }
+      lastSeen = time;
+      return;
+    }
+    if (
+      !TYPES.includes(entry.type) ||
+      time > to ||
+      (query.type && entry.type !== query.type) ||
+      (query.extension && entry.extension !== String(query.extension))
+    ) {
+      return;
+    }
+
+    const key = subjectKey(entry.type, entry.extension);
+    if (!subjects.has(key)) {
+      subjects.set(key, []);
+    }
+    const transitions = subjects.get(key);
+    if (time < from && transitions.length === 1) {
+      transitions.pop();
+    }
+    transitions.push(entry);
+  });
+
+  // A run that is not this process's ended at its last marker
+  if (lastSeen && lastStarted !== runStartedAt) {
+    cuts.push(lastSeen);
+  }
+
+  const end = to < today ? to : today;
+  const days = new Map();
+
+  subjects.forEach((transitions) => {
+    transitions.forEach((entry, index) => {
+      const next = transitions[index + 1];
+      let start = new Date(entry.timestamp);
+      // A status lasts until the next change, or until the application stopped running
+      const cut = cuts.find((time) => time >= start);
+      let stop = next ? new Date(next.timestamp) : end;
+      if (cut && cut < stop) stop = cut;
+      if (start < from) start = from;
+
+      // Split the interval at each midnight
+      while (start < stop && start < end) {
+        const dayEnd = nextMidnight(start);
+        const sliceEnd = [dayEnd, stop, end].reduce((a, b) => (a < b ? a : b));
+        const dayKey = `${toDayKey(start)}|${subjectKey(entry.type, entry.extension)}`;
+
+        if (!days.has(dayKey)) {
+          days.set(dayKey, {
+            type: entry.type,
+            extension: entry.extension,
+            name: entry.name,
+            date: toDayKey(start),
+            durations: {},
+          });
+        }
+        const day = days.get(dayKey);
+        day.name = entry.name || day.name;
+        day.durations[entry.status] =
+          (day.durations[entry.status] || 0) + Math.round((sliceEnd - start) / 1000);
+
+        start = sliceEnd;
+      }
+    });
+  });
+
+  return [...days.values()].sort(
+    (a, b) =>
+      a.date.localeCompare(b.date) ||
+      (parseInt(a.extension, 10) || 0) - (parseInt(b.extension, 10) || 0)
+  );
+}
+
+module.exports = {
+  TYPES,
+  loadHistory,
+  recordStatus,
+  recordAgentStatuses,
+  stopHistory,
+  pruneHistory,
+  queryHistory,
+  summarizeTimeInState,
+  config,
+};
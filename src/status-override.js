@@ -0,0 +1,263 @@
+/**
+ * Status Override Module
+ *
+ * A manual status that wins over every status provider. The override is a
+ * small state machine: it is either inactive, or active with a status, a
+ * reason and an expiry time (or none, to keep it until cleared). Setting an
+ * override replaces the active one; clearing it, or reaching its expiry,
+ * makes it inactive again. Listeners are told about every transition, and
+ * the active override is saved so it survives a restart.
+ */
+
+require('dotenv').config();
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./json-file-store');
+const statusProfiles = require('./status-profiles');
+
+// Configuration from environment variables
+const config = {
+  overrideFile: process.env.STATUS_OVERRIDE_FILE || 'status-override.json',
+  // Minutes an override lasts when neither a duration nor "until cleared" is given
+  defaultDuration: parseInt(process.env.STATUS_OVERRIDE_DEFAULT_MINUTES || '15', 10),
+  // Longest override with an expiry, in minutes (one week)
+  maxDuration: 7 * 24 * 60,
+  maxReasonLength: 200,
+};
+
+// The active override, or null
+let override = null;
+let expiryTimer = null;
+const listeners = [];
+
+/**
+ * Tells every listener about a transition.
+ *
+ * @function notify
+ * @param {string} event - 'set', 'cleared' or 'expired'.
+ * @param {object|null} previous - The override before the transition.
+ */
+function notify(event, previous) {
+  listeners.forEach((listener) => {
+    try {
+      listener({ event, override: getOverride(), previous });
+    } catch (error) {
+      logger.error(`Error in status override listener: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Saves the active override, or that there is none.
+ *
+ * @async
+ * @function saveOverride
+ * @returns {Promise<void>}
+ */
+async function saveOverride() {
+  try {
+    await writeJsonFile(config.overrideFile, override || {});
+  } catch (error) {
+    logger.error(`Error saving status override: ${error.message}`);
+  }
+}
+
+/**
+ * Schedules the active override's expiry, replacing any earlier schedule.
+ *
+ * @function scheduleExpiry
+ */
+function scheduleExpiry() {
+  clearTimeout(expiryTimer);
+  expiryTimer = null;
+  if (!override || !override.expiresAt) {
+    return;
+  }
+
+  // setTimeout cannot wait longer than about 24.8 days; maxDuration keeps expiries well within that
+  const delay = Math.max(0, new Date(override.expiresAt).getTime() - Date.now());
+  expiryTimer = setTimeout(() => {
+    expiryTimer = null;
+    clearOverride('expired');
+  }, delay);
+}
+
+/**
+ * Returns the active override.
+ *
+ * @function getOverride
+ * @returns {object|null} `{ status, reason, source, setAt, expiresAt, remainingSeconds }`, where
+ *   `expiresAt` and `remainingSeconds` are null for an override kept until cleared; null if none is active.
+ */
+function getOverride() {
+  if (!override) {
+    return null;
+  }
+
+  return {
+    ...override,
+    remainingSeconds: override.expiresAt
+      ? Math.max(0, Math.round((new Date(override.expiresAt).getTime() - Date.now()) / 1000))
+      : null,
+  };
+}
+
+/**
+ * Checks whether an override is active.
+ *
+ * @function isActive
+ * @returns {boolean} True if an override is active.
+ */
+function isActive() {
+  return override !== null;
+}
+
+/**
+ * Validates an override request. The status needs a status profile, so the
+ * strip has something to show for it.
+ *
+ * @function validateOverride
+ * @param {object} request - The request.
+ * @returns {{status: string, reason: string, durationMinutes: number|null}} The validated values,
+ *   with `durationMinutes` null for an override kept until cleared.
+ * @throws {Error} If a value is invalid.
+ */
+function validateOverride({ status, reason, durationMinutes, untilCleared }) {
+  if (typeof status !== 'string' || !status.trim()) {
+    throw new Error('Status is required');
+  }
+  if (!statusProfiles.hasProfile(status.trim())) {
+    throw new Error(`Unknown status "${status.trim()}"; add a status profile for it first`);
+  }
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    throw new Error('Reason must be text');
+  }
+  if (reason && reason.length > config.maxReasonLength) {
+    throw new Error(`Reason must be at most ${config.maxReasonLength} characters`);
+  }
+  if (untilCleared) {
+    return { status: status.trim(), reason: (reason || '').trim(), durationMinutes: null };
+  }
+
+  const duration =
+    durationMinutes === undefined || durationMinutes === null || durationMinutes === ''
+      ? config.defaultDuration
+      : Number(durationMinutes);
+  if (!Number.isFinite(duration) || duration < 1 || duration > config.maxDuration) {
+    throw new Error(`Duration must be a number of minutes from 1 to ${config.maxDuration}`);
+  }
+
+  return { status: status.trim(), reason: (reason || '').trim(), durationMinutes: duration };
+}
+
+/**
+ * Activates an override, replacing the active one.
+ *
+ * @function setOverride
+ * @param {object} request - The override.
+ * @param {string} request.status - The status to show.
+ * @param {string} [request.reason] - Why it was set (e.g., 'Focus time').
+ * @param {number} [request.durationMinutes] - How long it lasts (defaults to `STATUS_OVERRIDE_DEFAULT_MINUTES`).
+ * @param {boolean} [request.untilCleared] - Keep it until it is cleared, ignoring `durationMinutes`.
+ * @param {string} [request.source] - Who set it (e.g., 'dashboard', 'api').
+ * @returns {object} The active override, as returned by `getOverride()`.
+ * @throws {Error} If the request is invalid.
+ */
+function setOverride(request) {
+  const { status, reason, durationMinutes } = validateOverride(request);
+  const previous = getOverride();
+  const now = Date.now();
+
+  override = {
+    status,
+    reason,
+    source: request.source || 'api',
+    setAt: new Date(now).toISOString(),
+    expiresAt: durationMinutes ? new Date(now + durationMinutes * 60 * 1000).toISOString() : null,
+  };
+  logger.info(
+    `Status override set to ${status} ${override.expiresAt ? `until ${override.expiresAt}` : 'until cleared'}${reason ? ` (${reason})` : ''}`
+  );
+
+  scheduleExpiry();
+  saveOverride();
+  notify('set', previous);
+
+  return getOverride();
+}
+
+/**
+ * Deactivates the active override.
+ *
+ * @function clearOverride
+ * @param {string} [event='cleared'] - 'cleared', or 'expired' when its time ran out.
+ * @returns {object|null} The override that was cleared, or null if none was active.
+ */
+function clearOverride(event = 'cleared') {
+  if (!override) {
+    return null;
+  }
+
+  const previous = getOverride();
+  override = null;
+  clearTimeout(expiryTimer);
+  expiryTimer = null;
+  logger.info(`Status override ${event} (was ${previous.status})`);
+
+  saveOverride();
+  notify(event, previous);
+
+  return previous;
+}
+
+/**
+ * Registers a listener for override transitions.
+ *
+ * @function onChange
+ * @param {function(object): void} listener - Called with `{ event, override, previous }`, where
+ *   `event` is 'set', 'cleared' or 'expired' and `override` is the override now active, if any.
+ */
+function onChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Restores the saved override. An override that expired while the server was
+ * down is dropped without notifying listeners.
+ *
+ * @function loadOverride
+ * @returns {object|null} The restored override, as returned by `getOverride()`.
+ */
+function loadOverride() {
+  try {
+    const stored = readJsonFile(config.overrideFile, {});
+    const expired = stored.expiresAt && new Date(stored.expiresAt).getTime() <= Date.now();
+
+    if (stored.status && !expired) {
+      override = {
+        status: stored.status,
+        reason: stored.reason || '',
+        source: stored.source || 'api',
+        setAt: stored.setAt,
+        expiresAt: stored.expiresAt || null,
+      };
+      scheduleExpiry();
+      logger.info(`Restored status override ${override.status}`);
+    } else if (stored.status) {
+      saveOverride();
+    }
+  } catch (error) {
+    logger.error(`Error loading status override: ${error.message}`);
+  }
+
+  return getOverride();
+}
+
+module.exports = {
+  getOverride,
+  isActive,
+  setOverride,
+  clearOverride,
+  onChange,
+  loadOverride,
+  config,
+};
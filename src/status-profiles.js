@@ -0,0 +1,338 @@
+/**
+ * Status Profiles Module
+ *
+ * Single persisted store of how each status looks on a WLED strip: color,
+ * effect, palette, effect speed and intensity, and an optional brightness.
+ * The server, the standalone monitors and (through `/api/profiles`) the
+ * Windows clients all read their colors from here.
+ */
+
+require('dotenv').config();
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./json-file-store');
+
+/**
+ * Parses an "r,g,b" color from an environment variable.
+ *
+ * @function parseColorEnv
+ * @param {string} name - The environment variable name (e.g., 'COLOR_AVAILABLE').
+ * @param {object} fallback - The color to use if the variable is unset or invalid.
+ * @returns {object} An RGB color object.
+ */
+function parseColorEnv(name, fallback) {
+  const parts = (process.env[name] || '').split(',').map((part) => parseInt(part, 10));
+  if (parts.length !== 3 || parts.some((part) => !Number.isInteger(part))) {
+    return fallback;
+  }
+
+  const [r, g, b] = parts.map((part) => Math.min(255, Math.max(0, part)));
+  return { r, g, b };
+}
+
+/**
+ * Builds a profile with a solid effect for a color.
+ *
+ * @function solidProfile
+ * @param {object} color - An RGB color object.
+ * @returns {object} The profile.
+ */
+function solidProfile(color) {
+  return {
+    color,
+    effectId: 0, // Solid color effect
+    paletteId: 0,
+    speed: 128,
+    intensity: 128,
+    brightness: null, // Use the configured WLED brightness
+  };
+}
+
+/**
+ * Builds a profile with an animated WLED effect for a color.
+ *
+ * @function effectProfile
+ * @param {object} color - An RGB color object.
+ * @param {number} effectId - The WLED effect ID.
+ * @param {number} speed - The effect speed (0-255).
+ * @returns {object} The profile.
+ */
+function effectProfile(color, effectId, speed) {
+  return { ...solidProfile(color), effectId, speed };
+}
+
+// Statuses the monitors report; these cannot be deleted, only reset
+const BUILT_IN_PROFILES = {
+  available: solidProfile(parseColorEnv('COLOR_AVAILABLE', { r: 0, g: 255, b: 0 })), // Green
+  ringing: effectProfile(parseColorEnv('COLOR_RINGING', { r: 255, g: 255, b: 0 }), 1, 200), // Yellow, fast blink
+  onCall: solidProfile(parseColorEnv('COLOR_ON_CALL', { r: 255, g: 0, b: 0 })), // Red
+  dnd: effectProfile(parseColorEnv('COLOR_DND', { r: 128, g: 0, b: 128 }), 2, 64), // Purple, slow breathe
+  away: solidProfile(parseColorEnv('COLOR_AWAY', { r: 255, g: 165, b: 0 })), // Orange
+  meeting: solidProfile(parseColorEnv('COLOR_MEETING', { r: 255, g: 0, b: 128 })), // Pink
+  offline: solidProfile(parseColorEnv('COLOR_OFFLINE', { r: 0, g: 0, b: 255 })), // Blue
+  // Shown outside office hours when the closed action is 'preset'
+  closed: { ...solidProfile(parseColorEnv('COLOR_CLOSED', { r: 255, g: 255, b: 255 })), brightness: 16 }, // Dim white
+};
+
+// 3CX statuses shown with another status's profile unless they have their own
+const STATUS_ALIASES = {
+  lunch: 'away',
+  'business-trip': 'away',
+};
+
+// Configuration from environment variables
+const config = {
+  profilesFile: process.env.STATUS_PROFILES_FILE || 'status-profiles.json',
+};
+
+let profiles = cloneProfiles(BUILT_IN_PROFILES);
+
+/**
+ * Deep-copies a set of profiles so callers cannot mutate the store.
+ *
+ * @function cloneProfiles
+ * @param {object} source - Status-to-profile mapping.
+ * @returns {object} The copy.
+ */
+function cloneProfiles(source) {
+  return JSON.parse(JSON.stringify(source));
+}
+
+/**
+ * Validates a byte-sized (0-255) profile field.
+ *
+ * @function validateByte
+ * @param {*} value - The value to validate.
+ * @param {string} label - The field name used in the error message.
+ * @returns {number} The value as an integer.
+ * @throws {Error} If the value is not a whole number from 0 to 255.
+ */
+function validateByte(value, label) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || number > 255) {
+    throw new Error(`${label} must be a whole number from 0 to 255`);
+  }
+
+  return number;
+}
+
+/**
+ * Validates a profile, merging it over an existing one.
+ *
+ * @function validateProfile
+ * @param {object} changes - The fields to change.
+ * @param {object} [base] - The profile being changed; defaults to a solid black profile.
+ * @returns {object} The complete, validated profile.
+ * @throws {Error} If any field is invalid.
+ */
+function validateProfile(changes, base = solidProfile({ r: 0, g: 0, b: 0 })) {
+  const next = { ...base, ...changes };
+
+  if (!next.color || typeof next.color !== 'object') {
+    throw new Error('Color must be an object with r, g and b values');
+  }
+  next.color = {
+    r: validateByte(next.color.r, 'Red'),
+    g: validateByte(next.color.g, 'Green'),
+    b: validateByte(next.color.b, 'Blue'),
+  };
+  next.effectId = validateByte(next.effectId, 'Effect');
+  next.paletteId = validateByte(next.paletteId, 'Palette');
+  next.speed = validateByte(next.speed, 'Speed');
+  next.intensity = validateByte(next.intensity, 'Intensity');
+  next.brightness =
+    next.brightness === null || next.brightness === ''
+      ? null
+      : validateByte(next.brightness, 'Brightness');
+
+  return {
+    color: next.color,
+    effectId: next.effectId,
+    paletteId: next.paletteId,
+    speed: next.speed,
+    intensity: next.intensity,
+    brightness: next.brightness,
+  };
+}
+
+/**
+ * Validates a status name.
+ *
+ * @function validateStatus
+ * @param {string} status - The status name (e.g., 'ringing', 'lunch').
+ * @throws {Error} If the name is not a short identifier.
+ */
+function validateStatus(status) {
+  if (typeof status !== 'string' || !/^[a-zA-Z][a-zA-Z0-9-]{0,31}$/.test(status)) {
+    throw new Error('Status must start with a letter and contain only letters, digits and dashes');
+  }
+}
+
+/**
+ * Loads the profiles from disk over the built-in defaults. Invalid entries
+ * are skipped. Standalone monitors call this before each update so that
+ * edits made on the dashboard apply without a restart.
+ *
+ * @function loadProfiles
+ * @returns {object} The loaded profiles.
+ */
+function loadProfiles() {
+  const next = cloneProfiles(BUILT_IN_PROFILES);
+
+  try {
+    const stored = readJsonFile(config.profilesFile, {});
+    Object.entries(stored).forEach(([status, profile]) => {
+      try {
+        validateStatus(status);
+        next[status] = validateProfile(profile, next[status]);
+      } catch (error) {
+        logger.warn(`Skipping invalid status profile "${status}": ${error.message}`);
+      }
+    });
+  } catch (error) {
+    logger.error(`Error loading status profiles: ${error.message}`);
+  }
+
+  profiles = next;
+  return getProfiles();
+}
+
+/**
+ * Returns all status profiles.
+ *
+ * @function getProfiles
+ * @returns {object} A copy of the status-to-profile mapping.
+ */
+function getProfiles() {
+  return cloneProfiles(profiles);
+}
+
+/**
+ * Checks whether a status (or the status it is an alias of) has a profile.
+ *
+ * @function hasProfile
+ * @param {string} status - The status name.
+ * @returns {boolean} True if `getProfile` would not fall back to offline.
+ */
+function hasProfile(status) {
+  return Boolean(profiles[status] || profiles[STATUS_ALIASES[status]]);
+}
+
+/**
+ * Returns the profile for a status, falling back to its alias and then to
+ * the offline profile.
+ *
+ * @function getProfile
+ * @param {string} status - The status name.
+ * @returns {object} A copy of the profile.
+ */
+function getProfile(status) {
+  return cloneProfiles(
+    profiles[status] || profiles[STATUS_ALIASES[status]] || profiles.offline
+  );
+}
+
+/**
+ * Returns the color of every status, in the `{ status: { r, g, b } }` shape
+ * used by the team wall.
+ *
+ * @function getStatusColors
+ * @returns {object} Status-to-RGB mapping.
+ */
+function getStatusColors() {
+  return Object.fromEntries(
+    Object.entries(profiles).map(([status, profile]) => [status, { ...profile.color }])
+  );
+}
+
+/**
+ * Creates or updates the profile for a status and persists the store.
+ *
+ * @async
+ * @function saveProfile
+ * @param {string} status - The status name.
+ * @param {object} changes - The fields to change (color, effectId, paletteId, speed, intensity, brightness).
+ * @returns {Promise<object>} The saved profile.
+ * @throws {Error} If the status name or any field is invalid.
+ */
+async function saveProfile(status, changes) {
+  validateStatus(status);
+  const profile = validateProfile(changes || {}, profiles[status]);
+
+  profiles = { ...profiles, [status]: profile };
+  await writeJsonFile(config.profilesFile, profiles);
+  logger.info(`Status profile "${status}" saved: ${JSON.stringify(profile)}`);
+
+  return getProfile(status);
+}
+
+/**
+ * Deletes a custom status profile, or resets a built-in one to its default.
+ *
+ * @async
+ * @function deleteProfile
+ * @param {string} status - The status name.
+ * @returns {Promise<object|null|false>} The default profile if a built-in status was reset,
+ *   null if a custom status was deleted, or false if there was no such profile.
+ */
+async function deleteProfile(status) {
+  if (!profiles[status]) {
+    return false;
+  }
+
+  const next = { ...profiles };
+  if (BUILT_IN_PROFILES[status]) {
+    next[status] = cloneProfiles(BUILT_IN_PROFILES[status]);
+  } else {
+    delete next[status];
+  }
+
+  profiles = next;
+  await writeJsonFile(config.profilesFile, profiles);
+  logger.info(`Status profile "${status}" ${BUILT_IN_PROFILES[status] ? 'reset' : 'deleted'}`);
+
+  return BUILT_IN_PROFILES[status] ? getProfile(status) : null;
+}
+
+/**
+ * Builds the WLED JSON API state that shows a profile in a single call.
+ *
+ * @function buildWLEDState
+ * @param {object} profile - The status profile.
+ * @param {object} defaults - Fallback light settings.
+ * @param {number} defaults.brightness - Brightness used when the profile has none (0-255).
+ * @param {number} defaults.transition - Transition time in milliseconds.
+ * @returns {object} The WLED state payload.
+ */
+function buildWLEDState(profile, defaults) {
+  const { r, g, b } = profile.color;
+
+  return {
+    on: true,
+    bri: profile.brightness === null ? defaults.brightness : profile.brightness,
+    transition: defaults.transition / 1000, // WLED uses seconds
+    seg: [
+      {
+        col: [[r, g, b]],
+        fx: profile.effectId,
+        pal: profile.paletteId,
+        sx: profile.speed,
+        ix: profile.intensity,
+      },
+    ],
+  };
+}
+
+module.exports = {
+  BUILT_IN_STATUSES: Object.keys(BUILT_IN_PROFILES),
+  STATUS_ALIASES,
+  loadProfiles,
+  getProfiles,
+  hasProfile,
+  getProfile,
+  getStatusColors,
+  saveProfile,
+  deleteProfile,
+  solidProfile,
+  buildWLEDState,
+  config,
+};
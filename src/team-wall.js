@@ -0,0 +1,316 @@
+/**
+ * Team Wall Module
+ *
+ * Renders the whole team's status on a single WLED strip by giving every agent
+ * in `teamStatus` its own segment. Agents can be ordered by extension, grouped
+ * by queue, or placed in a manual order. Segments are either the ones already
+ * defined on the WLED device (`segments` layout) or LED ranges computed from
+ * a fixed number of LEDs per agent (`ranges` layout).
+ */
+
+require('dotenv').config();
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./json-file-store');
+const { updateWLEDSegments, resetWLEDSegments } = require('./wled-controller');
+const { STATUS_ALIASES } = require('./status-profiles');
+
+const ORDERS = ['extension', 'queue', 'manual'];
+const LAYOUTS = ['segments', 'ranges'];
+
+// Configuration from environment variables
+const config = {
+  settingsFile: process.env.WLED_TEAM_WALL_FILE || 'team-wall.json',
+  defaults: {
+    order: process.env.WLED_TEAM_WALL_ORDER || 'extension',
+    manualOrder: (process.env.WLED_TEAM_WALL_MANUAL_ORDER || '')
+      .split(',')
+      .map((extension) => extension.trim())
+      .filter(Boolean),
+    layout: process.env.WLED_TEAM_WALL_LAYOUT || 'ranges',
+    ledsPerAgent: parseInt(process.env.WLED_TEAM_WALL_LEDS_PER_AGENT || '10', 10),
+    gap: parseInt(process.env.WLED_TEAM_WALL_GAP || '1', 10),
+  },
+};
+
+let settings = { ...config.defaults };
+
+// Number of segments written by the last render, so stale ones can be removed
+let lastSegmentCount = 0;
+
+// Agent-to-segment mapping from the last render
+let lastLayout = [];
+
+/**
+ * Validates team wall settings, merging them over the current settings.
+ *
+ * @function validateSettings
+ * @param {object} changes - The settings to change.
+ * @returns {object} The complete, validated settings.
+ * @throws {Error} If any setting is invalid.
+ */
+function validateSettings(changes) {
+  const next = { ...settings, ...changes };
+
+  if (!ORDERS.includes(next.order)) {
+    throw new Error(`Order must be one of: ${ORDERS.join(', ')}`);
+  }
+  if (!LAYOUTS.includes(next.layout)) {
+    throw new Error(`Layout must be one of: ${LAYOUTS.join(', ')}`);
+  }
+
+  if (typeof next.manualOrder === 'string') {
+    next.manualOrder = next.manualOrder.split(',');
+  }
+  if (!Array.isArray(next.manualOrder)) {
+    throw new Error('Manual order must be a list of extensions');
+  }
+  next.manualOrder = next.manualOrder
+    .map((extension) => String(extension).trim())
+    .filter(Boolean);
+
+  next.ledsPerAgent = parseInt(next.ledsPerAgent, 10);
+  if (!Number.isInteger(next.ledsPerAgent) || next.ledsPerAgent < 1) {
+    throw new Error('LEDs per agent must be a positive whole number');
+  }
+  next.gap = parseInt(next.gap, 10);
+  if (!Number.isInteger(next.gap) || next.gap < 0) {
+    throw new Error('Gap must be zero or a positive whole number');
+  }
+
+  return next;
+}
+
+/**
+ * Loads the team wall settings from disk, falling back to the environment defaults.
+ *
+ * @function loadSettings
+ * @returns {object} The loaded settings.
+ */
+function loadSettings() {
+  try {
+    settings = validateSettings(readJsonFile(config.settingsFile, {}));
+  } catch (error) {
+    logger.error(`Error loading team wall settings: ${error.message}`);
+    settings = { ...config.defaults };
+  }
+
+  return getSettings();
+}
+
+/**
+ * Returns the current team wall settings.
+ *
+ * @function getSettings
+ * @returns {object} A copy of the current settings.
+ */
+function getSettings() {
+  return { ...settings, manualOrder: [...settings.manualOrder] };
+}
+
+/**
+ * Validates and persists new team wall settings.
+ *
+ * @async
+ * @function updateSettings
+ * @param {object} changes - The settings to change (order, manualOrder, layout, ledsPerAgent, gap).
+ * @returns {Promise<object>} The updated settings.
+ * @throws {Error} If any setting is invalid.
+ */
+async function updateSettings(changes) {
+  settings = validateSettings(changes || {});
+  await writeJsonFile(config.settingsFile, settings);
+  logger.info(`Team wall settings updated: ${JSON.stringify(settings)}`);
+
+  return getSettings();
+}
+
+/**
+ * Compares two agents by numeric extension.
+ *
+ * @function compareByExtension
+ * @param {object} a - The first agent.
+ * @param {object} b - The second agent.
+ * @returns {number} The sort order.
+ */
+function compareByExtension(a, b) {
+  return (parseInt(a.extension, 10) || 0) - (parseInt(b.extension, 10) || 0);
+}
+
+/**
+ * Returns the first queue an agent belongs to, or null if none.
+ *
+ * @function getPrimaryQueue
+ * @param {object} agent - The agent.
+ * @returns {string|null} The queue name.
+ */
+function getPrimaryQueue(agent) {
+  const queues = (agent.queues || '')
+    .split(',')
+    .map((queue) => queue.trim())
+    .filter(Boolean);
+
+  return queues.length > 0 ? queues[0] : null;
+}
+
+/**
+ * Orders agents for display on the wall according to the settings.
+ * In manual order only the listed extensions are shown.
+ *
+ * @function orderAgents
+ * @param {Array<object>} agents - The team status entries.
+ * @param {object} [options=settings] - The team wall settings to apply.
+ * @returns {Array<object>} The ordered agents.
+ */
+function orderAgents(agents, options = settings) {
+  const valid = (agents || []).filter((agent) => agent && agent.extension);
+
+  if (options.order === 'manual') {
+    return options.manualOrder
+      .map((extension) =>
+        valid.find((agent) => String(agent.extension) === extension)
+      )
+      .filter(Boolean);
+  }
+
+  const sorted = [...valid].sort(compareByExtension);
+  if (options.order === 'queue') {
+    // Group by primary queue (alphabetically), agents without a queue last
+    return sorted.sort((a, b) => {
+      const queueA = getPrimaryQueue(a);
+      const queueB = getPrimaryQueue(b);
+      if (queueA === queueB) return compareByExtension(a, b);
+      if (queueA === null) return 1;
+      if (queueB === null) return -1;
+      return queueA.localeCompare(queueB);
+    });
+  }
+
+  return sorted;
+}
+
+/**
+ * Builds the WLED segment objects for the team wall.
+ *
+ * @function buildSegments
+ * @param {Array<object>} agents - The team status entries.
+ * @param {object} statusColors - Status-to-RGB mapping (from `statusProfiles.getStatusColors()`).
+ * @param {object} [options=settings] - The team wall settings to apply.
+ * @returns {{segments: Array<object>, layout: Array<object>}} The WLED segments and the agent each one shows.
+ */
+function buildSegments(agents, statusColors, options = settings) {
+  const segments = [];
+  const layout = [];
+
+  orderAgents(agents, options).forEach((agent, index) => {
+    const color =
+      statusColors[agent.status] ||
+      statusColors[STATUS_ALIASES[agent.status]] ||
+      statusColors.offline;
+    const segment = {
+      id: index,
+      on: true,
+      col: [[color.r, color.g, color.b]],
+      fx: 0, // Solid color effect
+    };
+
+    if (options.layout === 'ranges') {
+      segment.start = index * (options.ledsPerAgent + options.gap);
+      segment.stop = segment.start + options.ledsPerAgent;
+    }
+
+    segments.push(segment);
+    layout.push({
+      segment: index,
+      extension: agent.extension,
+      name: agent.name,
+      status: agent.status,
+      start: segment.start,
+      stop: segment.stop,
+    });
+  });
+
+  return { segments, layout };
+}
+
+/**
+ * Renders the team's status onto the WLED strip.
+ *
+ * @async
+ * @function updateTeamWall
+ * @param {Array<object>} agents - The team status entries.
+ * @param {object} statusColors - Status-to-RGB mapping (from `statusProfiles.getStatusColors()`).
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to update instead of the configured one.
+ * @returns {Promise<boolean>} True if the strip accepted the update.
+ */
+async function updateTeamWall(agents, statusColors, options = {}) {
+  const { segments, layout } = buildSegments(agents, statusColors);
+  if (segments.length === 0) {
+    logger.debug('No agents to show on the team wall');
+    return false;
+  }
+
+  // Remove segments left over from a larger team (a stop of 0 deletes a segment)
+  const payload = [...segments];
+  if (settings.layout === 'ranges') {
+    for (let id = segments.length; id < lastSegmentCount; id++) {
+      payload.push({ id, stop: 0 });
+    }
+  }
+
+  const success = await updateWLEDSegments(payload, options);
+  if (success) {
+    lastSegmentCount = segments.length;
+    lastLayout = layout;
+  }
+
+  return success;
+}
+
+/**
+ * Restores a single full-length segment after the team wall has split the
+ * strip into LED ranges, so the status light can use the whole strip again.
+ *
+ * @async
+ * @function resetTeamWall
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to reset instead of the configured one.
+ * @returns {Promise<boolean>} True if the strip was reset (or did not need resetting).
+ */
+async function resetTeamWall(options = {}) {
+  lastLayout = [];
+  if (settings.layout !== 'ranges' || lastSegmentCount === 0) {
+    return true;
+  }
+
+  const success = await resetWLEDSegments(options);
+  if (success) {
+    lastSegmentCount = 0;
+  }
+
+  return success;
+}
+
+/**
+ * Returns the agent-to-segment mapping from the last render.
+ *
+ * @function getLayout
+ * @returns {Array<object>} The segments with the extension, name and status each one shows.
+ */
+function getLayout() {
+  return lastLayout;
+}
+
+module.exports = {
+  ORDERS,
+  LAYOUTS,
+  loadSettings,
+  getSettings,
+  updateSettings,
+  orderAgents,
+  buildSegments,
+  updateTeamWall,
+  resetTeamWall,
+  getLayout,
+  config,
+};
@@ -0,0 +1,675 @@
+/**
+ * 3CX Call Control API Client
+ *
+ * Reads presence, agent and queue information from the official 3CX v20 REST
+ * APIs instead of scraping the web client: user presence and queue membership
+ * come from the Configuration API (XAPI), live call state from the Call
+ * Control API, and queue statistics from the active calls list. The client
+ * authenticates with an OAuth client-credentials API key, listens on the Call
+ * Control WebSocket for real-time events and polls as a fallback.
+ *
+ * It exports the same functions as `threecx-web-client-fixed.js` and calls
+ * back with the same `{ status, callStats, agentStatuses }` shape, so
+ * `src/app.js` can use either. The base URL is configurable so the client can
+ * be pointed at a local mock 3CX server.
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const WebSocket = require('ws');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Configuration from environment variables
+const config = {
+  baseUrl: (process.env.THREECX_API_URL || process.env.THREECX_WEB_URL || '').replace(/\/+$/, ''),
+  clientId: process.env.THREECX_API_CLIENT_ID,
+  clientSecret: process.env.THREECX_API_CLIENT_SECRET,
+  // The extension whose presence is shown as your own status
+  extension: process.env.THREECX_API_EXTENSION,
+  refreshInterval: parseInt(process.env.THREECX_REFRESH_INTERVAL || '10000', 10),
+  requestTimeout: 10000,
+  // Delay before reconnecting a dropped Call Control WebSocket
+  reconnectDelay: 5000,
+  // Delay that batches bursts of Call Control events into one refresh
+  eventDebounce: 500,
+};
+
+// 3CX presence profile names (lowercased) and the statuses they map to
+const PROFILE_STATUSES = {
+  available: 'available',
+  away: 'away',
+  'out of office': 'dnd',
+  'do not disturb': 'dnd',
+  dnd: 'dnd',
+  'custom 1': 'lunch',
+  lunch: 'lunch',
+  'custom 2': 'business-trip',
+  'business trip': 'business-trip',
+};
+
+// Colors the dashboard uses for each agent status
+const STATUS_COLORS = {
+  available: 'green',
+  onCall: 'red',
+  ringing: 'yellow',
+  dnd: 'purple',
+  away: 'orange',
+};
+
+// Global variables
+let accessToken = null;
+let tokenExpiresAt = 0;
+let tokenRequest = null;
+let statusCallback = null;
+let refreshIntervalId = null;
+let eventSocket = null;
+// Set while a connection waits for its access token, so only one is opened
+let connectingEventSocket = false;
+let reconnectTimer = null;
+let debounceTimer = null;
+let monitoring = false;
+let lastStatusData = null;
+
+// Health tracking: last successful status collection and when monitoring started
+let lastScrapeAt = null;
+let monitoringSince = null;
+
+// Queue calls seen in the active calls list, for serviced/abandoned counting
+const queueCalls = new Map();
+let dailyStats = newDailyStats();
+
+/**
+ * Creates empty counters for one day of queue statistics.
+ *
+ * @function newDailyStats
+ * @returns {object} The counters.
+ */
+function newDailyStats() {
+  return {
+    date: new Date().toDateString(),
+    servicedCalls: 0,
+    abandonedCalls: 0,
+    totalWaitSeconds: 0,
+    totalTalkSeconds: 0,
+    talkedCalls: 0,
+  };
+}
+
+/**
+ * Formats seconds as the "HH:MM:SS" durations the 3CX web client shows.
+ *
+ * @function formatDuration
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+}
+
+/**
+ * Returns a valid OAuth access token, requesting a new one with the client
+ * credentials when there is none or it is about to expire. Concurrent
+ * callers share one token request.
+ *
+ * @async
+ * @function getAccessToken
+ * @returns {Promise<string>} The access token.
+ * @throws {Error} If the API key is not configured or the token request fails.
+ */
+async function getAccessToken() {
+  if (accessToken && Date.now() < tokenExpiresAt) {
+    return accessToken;
+  }
+  if (!tokenRequest) {
+    tokenRequest = requestAccessToken().finally(() => {
+      tokenRequest = null;
+    });
+  }
+  return tokenRequest;
+}
+
+/**
+ * Requests a new OAuth access token with the client credentials.
+ *
+ * @async
+ * @function requestAccessToken
+ * @returns {Promise<string>} The access token.
+ * @throws {Error} If the API key is not configured or the token request fails.
+ */
+async function requestAccessToken() {
+  if (!config.baseUrl || !config.clientId || !config.clientSecret) {
+    throw new Error(
+      'THREECX_API_URL (or THREECX_WEB_URL), THREECX_API_CLIENT_ID and THREECX_API_CLIENT_SECRET must be set'
+    );
+  }
+
+  const response = await axios.post(
+    `${config.baseUrl}/connect/token`,
+    new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+    }).toString(),
+    {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: config.requestTimeout,
+    }
+  );
+
+  accessToken = response.data.access_token;
+  // Renew a minute early so requests never race the expiry
+  tokenExpiresAt = Date.now() + Math.max(0, (response.data.expires_in || 3600) - 60) * 1000;
+  logger.debug('Obtained 3CX API access token');
+
+  return accessToken;
+}
+
+/**
+ * Sends an authenticated GET request to the 3CX API. A 401 response discards
+ * the cached token and retries once with a new one.
+ *
+ * @async
+ * @function apiGet
+ * @param {string} path - The API path (e.g., '/xapi/v1/Users').
+ * @param {object} [params] - Query parameters.
+ * @param {boolean} [retry=true] - Whether to retry once after a 401.
+ * @returns {Promise<*>} The response body.
+ * @throws {Error} If the request fails.
+ */
+async function apiGet(path, params, retry = true) {
+  const token = await getAccessToken();
+
+  try {
+    const response = await axios.get(`${config.baseUrl}${path}`, {
+      params,
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: config.requestTimeout,
+    });
+    return response.data;
+  } catch (error) {
+    if (retry && error.response && error.response.status === 401) {
+      // Concurrent requests may have renewed the token already
+      if (accessToken === token) {
+        accessToken = null;
+      }
+      return apiGet(path, params, false);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Maps a 3CX presence profile name to a status.
+ *
+ * @function mapProfileStatus
+ * @param {string} profileName - The user's `CurrentProfileName`.
+ * @returns {string} The status (e.g., 'available', 'dnd', 'lunch').
+ */
+function mapProfileStatus(profileName) {
+  return PROFILE_STATUSES[String(profileName || '').trim().toLowerCase()] || 'available';
+}
+
+/**
+ * Works out the call state of each extension from the Call Control API.
+ *
+ * @async
+ * @function fetchCallStates
+ * @returns {Promise<Map<string, string>>} Extension to 'onCall' or 'ringing', for extensions with a call.
+ */
+async function fetchCallStates() {
+  const entities = await apiGet('/callcontrol');
+  const states = new Map();
+
+  (Array.isArray(entities) ? entities : []).forEach((entity) => {
+    const participants = entity.participants || [];
+    if (participants.some((p) => p.status === 'Connected' || p.status === 'Dialing')) {
+      states.set(String(entity.dn), 'onCall');
+    } else if (participants.some((p) => p.status === 'Ringing')) {
+      states.set(String(entity.dn), 'ringing');
+    }
+  });
+
+  return states;
+}
+
+/**
+ * Fetches every user's status and queue membership. A call in progress takes
+ * precedence over the user's presence profile.
+ *
+ * @async
+ * @function fetchAllAgentStatuses
+ * @returns {Promise<Array<object>>} Agents in the shape the scraper returns
+ *   (`{ id, extension, name, status, queues, color }`).
+ * @throws {Error} If the API could not be read.
+ */
+async function fetchAllAgentStatuses() {
+  const [users, queues, callStates] = await Promise.all([
+    apiGet('/xapi/v1/Users', {
+      $select: 'Number,FirstName,LastName,DisplayName,CurrentProfileName,IsRegistered',
+    }),
+    apiGet('/xapi/v1/Queues', { $select: 'Number,Name', $expand: 'Agents($select=Number)' }),
+    fetchCallStates(),
+  ]);
+
+  const queuesByAgent = new Map();
+  (queues.value || []).forEach((queue) => {
+    (queue.Agents || []).forEach((agent) => {
+      const names = queuesByAgent.get(String(agent.Number)) || [];
+      names.push(queue.Name || queue.Number);
+      queuesByAgent.set(String(agent.Number), names);
+    });
+  });
+
+  return (users.value || []).map((user) => {
+    const extension = String(user.Number);
+    let status = user.IsRegistered === false ? 'offline' : mapProfileStatus(user.CurrentProfileName);
+    if (callStates.has(extension)) {
+      status = callStates.get(extension);
+    }
+
+    return {
+      id: extension,
+      extension,
+      name: user.DisplayName || [user.FirstName, user.LastName].filter(Boolean).join(' ') || extension,
+      status,
+      queues: (queuesByAgent.get(extension) || []).join(', '),
+      color: STATUS_COLORS[status] || 'gray',
+    };
+  });
+}
+
+/**
+ * Returns your own status: the status of `THREECX_API_EXTENSION`.
+ *
+ * @async
+ * @function getStatus
+ * @param {Array<object>} [agentStatuses] - Agent statuses already fetched in this refresh; fetched if omitted.
+ * @returns {Promise<object>} The status in the shape the scraper returns (`{ status, source }`).
+ * @throws {Error} If the agent statuses had to be fetched and the API could not be read.
+ */
+async function getStatus(agentStatuses) {
+  if (!config.extension) {
+    return { status: 'offline', source: 'call-control', error: 'THREECX_API_EXTENSION is not set' };
+  }
+
+  const agents = agentStatuses === undefined ? await fetchAllAgentStatuses() : agentStatuses;
+  const self = (agents || []).find((agent) => agent.extension === String(config.extension));
+  if (!self) {
+    return { status: 'offline', source: 'call-control', error: `Extension ${config.extension} not found` };
+  }
+
+  return { status: self.status, source: 'call-control' };
+}
+
+/**
+ * Works out the queue statistics from the active calls list. Calls routed to
+ * a queue count as waiting until answered; answered calls count as serviced
+ * and calls that end unanswered as abandoned. Counters reset at midnight.
+ *
+ * @async
+ * @function fetchCallStats
+ * @returns {Promise<object>} The call statistics in the shape the scraper returns.
+ * @throws {Error} If the API could not be read.
+ */
+async function fetchCallStats() {
+  const [activeCalls, queues] = await Promise.all([
+    apiGet('/xapi/v1/ActiveCalls'),
+    apiGet('/xapi/v1/Queues', { $select: 'Number' }),
+  ]);
+  const calls = activeCalls.value || [];
+  const queueNumbers = (queues.value || []).map((queue) => String(queue.Number));
+  const now = Date.now();
+
+  if (dailyStats.date !== new Date().toDateString()) {
+    dailyStats = newDailyStats();
+  }
+
+  let waitingCalls = 0;
+  let longestWaitSeconds = 0;
+  const seen = new Set();
+
+  calls.forEach((call) => {
+    const id = String(call.Id);
+    const callee = String(call.Callee || '');
+    const tracked = queueCalls.get(id);
+    if (!tracked && !queueNumbers.some((number) => callee.split(' ')[0] === number)) {
+      return;
+    }
+    seen.add(id);
+
+    const startedAt = call.EstablishedAt ? new Date(call.EstablishedAt).getTime() : now;
+    const entry = tracked || { startedAt, answeredAt: null };
+    queueCalls.set(id, entry);
+
+    if (call.Status === 'Talking') {
+      if (!entry.answeredAt) {
+        entry.answeredAt = now;
+        dailyStats.servicedCalls += 1;
+        dailyStats.totalWaitSeconds += (now - entry.startedAt) / 1000;
+      }
+    } else if (!entry.answeredAt) {
+      waitingCalls += 1;
+      longestWaitSeconds = Math.max(longestWaitSeconds, (now - entry.startedAt) / 1000);
+    }
+  });
+
+  // Queue calls that are gone were either talked and hung up, or abandoned
+  queueCalls.forEach((entry, id) => {
+    if (seen.has(id)) {
+      return;
+    }
+    if (entry.answeredAt) {
+      dailyStats.totalTalkSeconds += (now - entry.answeredAt) / 1000;
+      dailyStats.talkedCalls += 1;
+    } else {
+      dailyStats.abandonedCalls += 1;
+    }
+    queueCalls.delete(id);
+  });
+
+  return {
+    waitingCalls,
+    activeCalls: calls.filter((call) => call.Status === 'Talking').length,
+    totalCalls: calls.length,
+    servicedCalls: dailyStats.servicedCalls,
+    abandonedCalls: dailyStats.abandonedCalls,
+    longestWaiting: formatDuration(longestWaitSeconds),
+    averageWaiting: formatDuration(
+      dailyStats.servicedCalls ? dailyStats.totalWaitSeconds / dailyStats.servicedCalls : 0
+    ),
+    averageTalking: formatDuration(
+      dailyStats.talkedCalls ? dailyStats.totalTalkSeconds / dailyStats.talkedCalls : 0
+    ),
+    lastUpdated: new Date().toISOString(),
+    source: 'call-control',
+  };
+}
+
+/**
+ * Fetches status, call statistics and agent statuses and passes them to the
+ * callback when anything changed, or on every interval refresh. If the API
+ * cannot be read, the error is passed to the callback instead and the
+ * collection counts as failed.
+ *
+ * @async
+ * @function collectAndSendStatusData
+ * @param {string} [source='interval'] - What triggered the refresh ('interval', 'event' or 'initial').
+ */
+async function collectAndSendStatusData(source = 'interval') {
+  const endScrape = metrics.startScrape('call-control');
+  try {
+    const agentStatuses = await fetchAllAgentStatuses();
+    const [status, callStats] = await Promise.all([getStatus(agentStatuses), fetchCallStats()]);
+    const statusData = { status, callStats, agentStatuses };
+
+    // lastUpdated always differs, so compare without it
+    const comparable = JSON.stringify({ ...statusData, callStats: { ...callStats, lastUpdated: null } });
+    const hasChanged = comparable !== lastStatusData;
+    lastStatusData = comparable;
+    endScrape(true);
+    lastScrapeAt = Date.now();
+
+    if ((hasChanged || source === 'interval') && statusCallback) {
+      if (hasChanged) {
+        logger.info(`Status update detected (source: ${source})`);
+      }
+      statusCallback(null, statusData);
+    }
+  } catch (error) {
+    endScrape(false);
+    // Report the next successful collection even if nothing changed since the last one
+    lastStatusData = null;
+    logger.error(`Error collecting status data from the 3CX API (${source}): ${error.message}`);
+    if (statusCallback) {
+      statusCallback(error, null);
+    }
+  }
+}
+
+/**
+ * Connects to the Call Control WebSocket, refreshing on every call event and
+ * reconnecting while monitoring if the connection drops. Events of a
+ * connection that was replaced are ignored.
+ *
+ * @async
+ * @function connectEventSocket
+ */
+async function connectEventSocket() {
+  if (!monitoring || eventSocket || connectingEventSocket) {
+    return;
+  }
+
+  connectingEventSocket = true;
+  try {
+    const token = await getAccessToken();
+    // Monitoring may have stopped while the token was requested
+    if (!monitoring) {
+      return;
+    }
+
+    const url = `${config.baseUrl.replace(/^http/, 'ws')}/callcontrol/ws`;
+    const connection = new WebSocket(url, { headers: { Authorization: `Bearer ${token}` } });
+    eventSocket = connection;
+
+    connection.on('open', () => {
+      logger.info('Connected to the 3CX Call Control WebSocket');
+    });
+
+    connection.on('message', () => {
+      if (eventSocket !== connection) {
+        return;
+      }
+      // Events only say which entity changed; batch them into one refresh
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => collectAndSendStatusData('event'), config.eventDebounce);
+    });
+
+    connection.on('error', (error) => {
+      logger.warn(`3CX Call Control WebSocket error: ${error.message}`);
+    });
+
+    connection.on('close', () => {
+      // A connection closed by stopMonitoring() may close after a new one opened
+      if (eventSocket !== connection) {
+        return;
+      }
+      eventSocket = null;
+      scheduleReconnect();
+    });
+  } catch (error) {
+    logger.error(`Error connecting to the 3CX Call Control WebSocket: ${error.message}`);
+    scheduleReconnect();
+  } finally {
+    connectingEventSocket = false;
+  }
+}
+
+/**
+ * Reconnects the Call Control WebSocket after a delay, while monitoring.
+ *
+ * @function scheduleReconnect
+ */
+function scheduleReconnect() {
+  if (!monitoring || reconnectTimer) {
+    return;
+  }
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connectEventSocket();
+  }, config.reconnectDelay);
+}
+
+/**
+ * Authenticates with the 3CX API, sends the first status update and starts monitoring.
+ *
+ * @async
+ * @function initialize
+ * @param {Function} callback - The function to call with status updates. It receives:
+ *                              (error, { status, callStats, agentStatuses }).
+ * @returns {Promise<boolean>} True if the API could be reached with the configured credentials.
+ */
+async function initialize(callback) {
+  statusCallback = callback;
+
+  try {
+    await getAccessToken();
+    logger.info(`Authenticated with the 3CX API at ${config.baseUrl}`);
+  } catch (error) {
+    logger.error(`Error authenticating with the 3CX API: ${error.message}`);
+    return false;
+  }
+
+  await collectAndSendStatusData('initial');
+  startMonitoring();
+
+  return true;
+}
+
+/**
+ * Starts polling and listening for Call Control events.
+ *
+ * @function startMonitoring
+ * @param {Function} [callback] - Optional function to call with status updates. If provided, it updates the internal `statusCallback`.
+ */
+function startMonitoring(callback) {
+  if (callback) {
+    statusCallback = callback;
+  }
+
+  monitoring = true;
+  monitoringSince = monitoringSince || Date.now();
+  if (!refreshIntervalId) {
+    refreshIntervalId = setInterval(() => collectAndSendStatusData('interval'), config.refreshInterval);
+    logger.info(`Started 3CX API polling (${config.refreshInterval}ms) with Call Control events`);
+  }
+  connectEventSocket();
+}
+
+/**
+ * Stops polling and closes the Call Control WebSocket.
+ *
+ * @function stopMonitoring
+ */
+function stopMonitoring() {
+  monitoring = false;
+  monitoringSince = null;
+  clearInterval(refreshIntervalId);
+  refreshIntervalId = null;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  clearTimeout(debounceTimer);
+
+  if (eventSocket) {
+    eventSocket.close();
+    eventSocket = null;
+  }
+  logger.info('Stopped 3CX API monitoring');
+}
+
+/**
+ * Stops monitoring. There is no browser to close.
+ *
+ * @async
+ * @function close
+ * @returns {Promise<void>}
+ */
+async function close() {
+  stopMonitoring();
+}
+
+/**
+ * Discards the access token and requests a new one.
+ *
+ * @async
+ * @function resetAuthentication
+ * @returns {Promise<boolean>} True if a new token was obtained.
+ */
+async function resetAuthentication() {
+  accessToken = null;
+  tokenExpiresAt = 0;
+
+  try {
+    await getAccessToken();
+    return true;
+  } catch (error) {
+    logger.error(`Error re-authenticating with the 3CX API: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Checks how long ago status was last collected, the Call Control event
+ * connection and, optionally, whether the API still issues an access token.
+ *
+ * @async
+ * @function getHealth
+ * @param {object} [options] - Options.
+ * @param {number} [options.maxScrapeAge=120000] - Longest time (ms) without a successful collection while monitoring.
+ * @param {boolean} [options.checkSession=false] - Also check the access token (requests one if it expired).
+ * @returns {Promise<object>} A result (`{ status: 'ok'|'warn'|'fail', ... }`) per check: `lastScrape`,
+ *   `events` and, if asked for, `session`.
+ */
+async function getHealth({ maxScrapeAge = 120000, checkSession = false } = {}) {
+  const checks = {};
+
+  // Paused or stopped monitoring is not a stall; before the first collection, count from the start
+  const lastSuccessAt = lastScrapeAt ? new Date(lastScrapeAt).toISOString() : null;
+  if (!monitoringSince) {
+    checks.lastScrape = { status: 'ok', monitoring: false, lastSuccessAt };
+  } else {
+    const age = Date.now() - (lastScrapeAt || monitoringSince);
+    checks.lastScrape = {
+      status: age <= maxScrapeAge ? 'ok' : 'fail',
+      monitoring: true,
+      lastSuccessAt,
+      ageSeconds: Math.round(age / 1000),
+    };
+  }
+
+  // Polling carries on while the event connection reconnects, so a lost one only warns
+  checks.events =
+    !monitoring || (eventSocket && eventSocket.readyState === WebSocket.OPEN)
+      ? { status: 'ok' }
+      : { status: 'warn', error: 'The Call Control WebSocket is not connected' };
+
+  if (checkSession) {
+    try {
+      await getAccessToken();
+      checks.session = { status: 'ok' };
+    } catch (error) {
+      checks.session = { status: 'fail', error: `No 3CX API access token: ${error.message}` };
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Screenshots only exist for the browser-based client.
+ *
+ * @async
+ * @function takeScreenshot
+ * @returns {Promise<null>} Always null.
+ */
+async function takeScreenshot() {
+  logger.info('Screenshots are not available with the 3CX Call Control API client');
+  return null;
+}
+
+module.exports = {
+  initialize,
+  getStatus,
+  getCallStats: fetchCallStats,
+  getHealth,
+  close,
+  resetAuthentication,
+  startMonitoring,
+  stopMonitoring,
+  takeScreenshot,
+  fetchAllAgentStatuses,
+  config,
+};
@@ -12,19 +12,13 @@ const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
-const logger = require('pino')({
-  level: process.env.LOG_LEVEL || 'info',
-  transport: {
-    target: 'pino-pretty',
-    options: {
-      colorize: true,
-      translateTime: 'SYS:yyyy-mm-dd HH:MM:ss',
-      ignore: 'pid,hostname',
-    },
-  },
-});
+const logger = require('./logger');
+const metrics = require('./metrics');
+const autoLogin = require('./auto-login');
+const secretsVault = require('./secrets-vault');
+const remoteLogin = require('./remote-login');
+const selectorProfiles = require('./selector-profiles');
 const writeFileAsync = promisify(fs.writeFile);
-const readFileAsync = promisify(fs.readFile);
 const mkdirAsync = promisify(fs.mkdir);
 
 // Configuration from environment variables
@@ -43,6 +37,12 @@ const config = {
     // Limit total number of screenshots
     maxPerSession: parseInt(process.env.SCREENSHOT_MAX_PER_SESSION || '20', 10), // Default: 20 screenshots
   },
+  // Health checks look for the login page at most this often (in milliseconds)
+  sessionCheckInterval: 60000,
+  // Longest the supervisor waits for the page to answer (in milliseconds)
+  pageResponseTimeout: 10000,
+  // How often the session cookies are compared with the saved ones while monitoring (in milliseconds)
+  cookieRotationInterval: 5 * 60 * 1000,
 };
 
 // Global variables
@@ -54,6 +54,17 @@ let observerActive = false;
 let debounceTimer = null;
 let lastStatusData = null;
 
+// Health tracking: last successful status collection, when monitoring started, and the latest login check
+let lastScrapeAt = null;
+let monitoringSince = null;
+let sessionCheck = { at: 0, loginRequired: null };
+
+// Status collections in a row that found nothing, for the supervisor
+let emptyScrapes = 0;
+
+// When the session cookies were last saved or compared with the saved ones
+let lastCookieSave = 0;
+
 // Screenshot tracking
 let lastScreenshotTime = 0;
 let screenshotCount = 0;
@@ -61,7 +72,8 @@ let screenshotCount = 0;
 /**
  * Initializes the Puppeteer browser instance, logs into the 3CX web client,
  * navigates to the necessary page (switchboard), and starts the status refresh interval.
- * Handles initial manual login and subsequent automatic login using saved cookies.
+ * Handles initial manual login and subsequent automatic login using the cookies saved
+ * in the secrets vault, or the stored credentials when `THREECX_AUTO_LOGIN` is enabled.
  *
  * @async
  * @function initialize
@@ -75,31 +87,22 @@ async function initialize(callback) {
     browser = null;
 
     // First, check if we have saved cookies
-    let hasSavedCookies = false;
+    let savedCookies = [];
     try {
-      const cookiesString = await readFileAsync(
-        path.join(__dirname, '..', 'cookies.json'),
-        'utf8'
-      );
-      logger.info(`Attempting to parse ${cookiesString.length} bytes from cookies.json`);
-      const cookies = JSON.parse(cookiesString);
-      logger.info(`Successfully parsed ${cookies.length} cookies from file.`);
-      if (cookies && cookies.length > 0) {
-        hasSavedCookies = true;
-        logger.info('Found saved cookies, will try to use them');
+      savedCookies = await secretsVault.getCookies();
+      if (savedCookies.length > 0) {
+        logger.info(`Found ${savedCookies.length} saved cookies, will try to use them`);
       }
     } catch (cookieError) {
-      logger.error('Error loading/setting cookies:', cookieError.message);
-      if (cookieError instanceof SyntaxError) {
-        logger.error('cookies.json appears to be corrupted or not valid JSON.');
-      }
-      // Optionally, delete the corrupted file?
-      // fs.unlinkSync(path.join(__dirname, '..', 'cookies.json'));
+      // A vault that cannot be decrypted is left alone; saving new cookies will fail too
+      logger.error(`Error loading saved cookies: ${cookieError.message}`);
     }
+    let hasSavedCookies = savedCookies.length > 0;
 
     // Initial launch options - start with user's preference
     const initialLaunchOptions = {
-      headless: hasSavedCookies ? config.headless : false, // Force non-headless if no cookies
+      // Force non-headless if no cookies, unless the login can happen without a visible browser
+      headless: hasSavedCookies || autoLogin.isEnabled() || remoteLogin.isEnabled() ? config.headless : false,
       args: ['--no-sandbox', '--disable-setuid-sandbox'],
     };
 
@@ -128,20 +131,12 @@ async function initialize(callback) {
     if (hasSavedCookies) {
       logger.info('Loading saved cookies...');
       try {
-        const cookiesString = await readFileAsync(
-          path.join(__dirname, '..', 'cookies.json'),
-          'utf8'
-        );
-        logger.info(`Attempting to parse ${cookiesString.length} bytes from cookies.json`);
-        const cookies = JSON.parse(cookiesString);
-        logger.info(`Successfully parsed ${cookies.length} cookies from file.`);
-        
         // Check for expired cookies
         const now = Date.now() / 1000; // Current time in seconds
-        const validCookies = cookies.filter(cookie => !cookie.expires || cookie.expires > now);
+        const validCookies = savedCookies.filter(cookie => !cookie.expires || cookie.expires > now);
         
-        if (validCookies.length < cookies.length) {
-          logger.warn(`Filtered out ${cookies.length - validCookies.length} expired cookies`);
+        if (validCookies.length < savedCookies.length) {
+          logger.warn(`Filtered out ${savedCookies.length - validCookies.length} expired cookies`);
         }
         
         if (validCookies.length > 0) {
@@ -152,20 +147,7 @@ async function initialize(callback) {
           hasSavedCookies = false;
         }
       } catch (cookieError) {
-        logger.error('Error loading/setting cookies:', cookieError.message);
-        if (cookieError instanceof SyntaxError) {
-          logger.error('cookies.json appears to be corrupted or not valid JSON.');
-          
-          // Backup the corrupted file and create a new one
-          try {
-            const cookiePath = path.join(__dirname, '..', 'cookies.json');
-            const backupPath = path.join(__dirname, '..', `cookies.corrupted.${Date.now()}.json`);
-            fs.renameSync(cookiePath, backupPath);
-            logger.info(`Backed up corrupted cookies file to ${backupPath}`);
-          } catch (backupError) {
-            logger.error('Error backing up corrupted cookies file:', backupError.message);
-          }
-        }
+        logger.error('Error setting cookies:', cookieError.message);
         hasSavedCookies = false;
       }
     }
@@ -178,7 +160,23 @@ async function initialize(callback) {
     });
 
     // Check if login is required
-    const loginRequired = await checkIfLoginRequired();
+    let loginRequired = await checkIfLoginRequired();
+
+    // Log in with the stored credentials first, so a headless browser can stay headless
+    if (loginRequired && autoLogin.isEnabled()) {
+      loginRequired = !(await autoLogin.login(page, checkIfLoginRequired));
+      if (!loginRequired) {
+        await saveCookies();
+      }
+    }
+
+    // On a server nobody can see, an admin logs in through the control panel's screencast
+    if (loginRequired && headlessMode && remoteLogin.isEnabled()) {
+      loginRequired = !(await waitForRemoteLogin());
+      if (!loginRequired) {
+        await saveCookies();
+      }
+    }
 
     // If login is required but we're in headless mode, restart in non-headless mode
     if (loginRequired && headlessMode) {
@@ -223,30 +221,7 @@ The application will wait until you finish logging in.
       await waitForLogin();
 
       // Save cookies for future use
-      const cookies = await page.cookies();
-      logger.info(`Attempting to save ${cookies.length} cookies.`);
-      const cookiePath = path.join(__dirname, '..', 'cookies.json');
-      
-      // Make sure we have meaningful cookies before saving
-      if (cookies && cookies.length > 0) {
-        // Filter out cookies that might be about to expire
-        const validCookies = cookies.filter(cookie => {
-          // If cookie has no expiration or expires in more than a day, keep it
-          if (!cookie.expires) return true;
-          const expiryDate = new Date(cookie.expires * 1000); // Convert to milliseconds
-          const oneDayFromNow = new Date(Date.now() + 24 * 60 * 60 * 1000);
-          return expiryDate > oneDayFromNow;
-        });
-        
-        if (validCookies.length > 0) {
-          await writeFileAsync(cookiePath, JSON.stringify(validCookies, null, 2));
-          logger.info(`${validCookies.length} cookies saved successfully to ${cookiePath}`);
-        } else {
-          logger.warn('No valid non-expiring cookies found to save');
-        }
-      } else {
-        logger.warn('No cookies available to save');
-      }
+      await saveCookies();
     }
 
     // Navigate to switchboard
@@ -255,6 +230,13 @@ The application will wait until you finish logging in.
       logger.warn('Failed to navigate to switchboard');
     }
 
+    // Find out which 3CX UI this is, so its selectors are tried first
+    try {
+      await selectorProfiles.detectProfile(page);
+    } catch (detectError) {
+      logger.error(`Error detecting the selector profile: ${detectError.message}`);
+    }
+
     // Start refresh interval
     startRefreshInterval();
 
@@ -265,28 +247,76 @@ The application will wait until you finish logging in.
   }
 }
 
+/**
+ * Saves the page's cookies in the secrets vault for the next start, leaving
+ * out cookies that expire within a day. The saved cookies are only replaced
+ * if they changed.
+ *
+ * @async
+ * @function saveCookies
+ * @returns {Promise<void>}
+ */
+async function saveCookies() {
+  lastCookieSave = Date.now();
+  const cookies = await page.cookies();
+  logger.debug(`Attempting to save ${cookies.length} cookies.`);
+
+  // Make sure we have meaningful cookies before saving
+  if (cookies && cookies.length > 0) {
+    // Filter out cookies that might be about to expire
+    const validCookies = cookies.filter(cookie => {
+      // If cookie has no expiration or expires in more than a day, keep it
+      if (!cookie.expires) return true;
+      const expiryDate = new Date(cookie.expires * 1000); // Convert to milliseconds
+      const oneDayFromNow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      return expiryDate > oneDayFromNow;
+    });
+
+    if (validCookies.length > 0) {
+      try {
+        if (await secretsVault.saveCookies(validCookies)) {
+          logger.info(`${validCookies.length} cookies saved to the secrets vault`);
+        } else {
+          logger.debug('Cookies unchanged since they were last saved');
+        }
+      } catch (vaultError) {
+        // Monitoring goes on; the session just has to be logged in again after a restart
+        logger.error(`Cookies not saved: ${vaultError.message}`);
+      }
+    } else {
+      logger.warn('No valid non-expiring cookies found to save');
+    }
+  } else {
+    logger.warn('No cookies available to save');
+  }
+}
+
 /**
  * Checks if the 3CX login page is currently displayed or if logged-in elements are missing.
  * This helps determine if a manual login is required.
  *
  * @async
  * @function checkIfLoginRequired
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.screenshot=true] - Take a screenshot of the page for debugging first.
  * @returns {Promise<boolean>} A promise that resolves to true if login is required, false otherwise.
  */
-async function checkIfLoginRequired() {
+async function checkIfLoginRequired({ screenshot = true } = {}) {
   try {
     // Take a screenshot for login check - this is important for debugging
-    try {
-      await takeScreenshot('login-check', true);
-    } catch (screenshotError) {
-      logger.warn(
-        'Could not take login check screenshot:',
-        screenshotError.message
-      );
+    if (screenshot) {
+      try {
+        await takeScreenshot('login-check', true);
+      } catch (screenshotError) {
+        logger.warn(
+          'Could not take login check screenshot:',
+          screenshotError.message
+        );
+      }
     }
     
     // Wait a bit for the page to fully load and stabilize
-    await page.waitForTimeout(2000);
+    await new Promise((resolve) => setTimeout(resolve, 2000));
 
     // Check if login form exists
     const loginFormExists = await page.evaluate(() => {
@@ -327,7 +357,7 @@ async function checkIfLoginRequired() {
 /**
  * Waits for the user to manually complete the login process in the visible browser window.
  * Monitors the page state for indicators of successful login (e.g., presence of dashboard elements).
- * Saves cookies upon successful login.
+ * The caller saves the cookies afterwards.
  *
  * @async
  * @function waitForLogin
@@ -345,7 +375,7 @@ async function waitForLogin() {
     // Check login status every 5 seconds and provide feedback
     while (Date.now() - startTime < maxWaitTime && !loginSuccessful) {
       try {
-        const pageInfo = await page.evaluate(() => {
+        const pageInfo = await page.evaluate((switchboardSelector) => {
           // Collect all available information about the page
           const info = {
             url: window.location.href,
@@ -367,7 +397,7 @@ async function waitForLogin() {
             '.user-menu, .user-profile, .logout-button, .user-info'
           );
           info.elements.switchboard = !!document.querySelector(
-            '.switchboard-container, queue-stat, .queue-stats, .queue-container'
+            `.switchboard-container, .queue-stats, .queue-container, ${switchboardSelector}`
           );
           info.elements.presenceIndicator = !!document.querySelector(
             '.presence-indicator, .status-indicator'
@@ -408,13 +438,13 @@ async function waitForLogin() {
           // info.angularElementCount = angularElements.length;
 
           // Check if we're on the switchboard specifically
-          info.queueStatElement = !!document.querySelector('queue-stat');
-          info.queueStatContent = document.querySelector('queue-stat')
-            ? document.querySelector('queue-stat').textContent.substring(0, 100)
+          info.queueStatElement = !!document.querySelector(switchboardSelector);
+          info.queueStatContent = document.querySelector(switchboardSelector)
+            ? document.querySelector(switchboardSelector).textContent.substring(0, 100)
             : 'not-found';
 
           return info;
-        });
+        }, selectorProfiles.getSwitchboardSelector());
 
         // Log detailed page information
         logger.debug('\n--- DETAILED PAGE ANALYSIS ---');
@@ -451,7 +481,7 @@ async function waitForLogin() {
           logger.info(
             'You have successfully logged in to the 3CX web interface.'
           );
-          logger.info('Your session has been saved for future use.');
+          logger.info('Your session will be saved for future use.');
           if (isSwitchboard) {
             logger.info('You are on the switchboard page - perfect!');
           } else {
@@ -461,13 +491,6 @@ async function waitForLogin() {
             '===========================================================\n'
           );
 
-          // Save cookies for future use
-          const cookies = await page.cookies();
-          logger.info(`Attempting to save ${cookies.length} cookies.`);
-          const cookiePath = path.join(__dirname, '..', 'cookies.json');
-          await writeFileAsync(cookiePath, JSON.stringify(cookies, null, 2));
-          logger.info(`Cookies saved successfully to ${cookiePath}`);
-
           // Save local storage for debugging
           const localStorageData = await page.evaluate(() => {
             const data = {};
@@ -536,6 +559,40 @@ async function waitForLogin() {
   }
 }
 
+/**
+ * Offers the headless page for an admin to log in from the control panel,
+ * and checks every few seconds whether the login is done.
+ *
+ * @async
+ * @function waitForRemoteLogin
+ * @returns {Promise<boolean>} True if the page is logged in within `THREECX_REMOTE_LOGIN_TIMEOUT`.
+ */
+async function waitForRemoteLogin() {
+  const startTime = Date.now();
+  const loginPage = page;
+  let loginSuccessful = false;
+
+  await remoteLogin.beginLogin(loginPage);
+  try {
+    // Stop waiting if the browser is closed or replaced (reset, recovery) in the meantime
+    while (!loginSuccessful && page === loginPage && Date.now() - startTime < remoteLogin.config.timeout) {
+      await new Promise((resolve) => setTimeout(resolve, 5000));
+      loginSuccessful = page === loginPage && !(await checkIfLoginRequired({ screenshot: false }));
+    }
+  } finally {
+    await remoteLogin.endLogin(loginPage, loginSuccessful);
+  }
+
+  if (loginSuccessful) {
+    logger.info('Remote login successful');
+  } else if (page !== loginPage) {
+    logger.info('Remote login abandoned: the browser was closed');
+  } else {
+    logger.error(`Remote login timed out after ${Math.round(remoteLogin.config.timeout / 60000)} minutes`);
+  }
+  return loginSuccessful;
+}
+
 /**
  * Attempts to navigate to the 3CX switchboard/dashboard page.
  * Tries various methods like checking current state, clicking links/icons, or direct URL navigation.
@@ -556,8 +613,8 @@ async function navigateToSwitchboard() {
     // Take a screenshot before navigation attempt
     await takeScreenshot('pre-navigation');
 
-    // Check if already on switchboard page by looking for queue-stat element
-    const alreadyOnSwitchboard = await page.evaluate(async () => {
+    // Check if already on switchboard page by looking for the queue statistics element (queue-stat)
+    const alreadyOnSwitchboard = await page.evaluate(async (switchboardSelector) => {
       // Wait a brief moment for the page to potentially settle
       await new Promise(resolve => setTimeout(resolve, 500));
 
@@ -571,7 +628,7 @@ async function navigateToSwitchboard() {
         return false;
       };
 
-      const queueStatVisible = await waitForElement('queue-stat');
+      const queueStatVisible = await waitForElement(switchboardSelector);
 
       // Look for queue-stat element which is specific to the switchboard
       // const queueStatElement = document.querySelector('queue-stat'); // Already checked with waitForElement
@@ -596,7 +653,7 @@ async function navigateToSwitchboard() {
       }
 
       return urlOrTitleMatch; // Return based on URL/Title if queue-stat wasn't found
-    });
+    }, selectorProfiles.getSwitchboardSelector());
 
     if (alreadyOnSwitchboard) {
       logger.info('Already on switchboard/dashboard page');
@@ -675,13 +732,13 @@ async function navigateToSwitchboard() {
       await takeScreenshot('post-click-navigation', true);
 
       // Verify we're on the switchboard page
-      const verifyResult = await page.evaluate(() => {
+      const verifyResult = await page.evaluate((switchboardSelector) => {
         return {
           url: window.location.href,
           title: document.title,
-          hasQueueStat: !!document.querySelector('queue-stat'),
+          hasQueueStat: !!document.querySelector(switchboardSelector),
         };
-      });
+      }, selectorProfiles.getSwitchboardSelector());
 
       logger.info('Navigation verification:', verifyResult);
 
@@ -708,7 +765,7 @@ async function navigateToSwitchboard() {
 
 /**
  * Scrapes the 3CX web UI to determine the current user status (e.g., Available, On Call).
- * Relies on specific CSS selectors and element content which might change with 3CX updates.
+ * Relies on the `status` selectors of the selector profiles and on element content which might change with 3CX updates.
  *
  * @async
  * @function getStatus
@@ -731,7 +788,7 @@ async function getStatus() {
 
     try {
       // Enhanced status detection with multiple methods and detailed debugging
-      const statusResult = await page.evaluate(() => {
+      const scrapeStatus = (profile) => page.evaluate((statusSelectors) => {
         // Debug information to collect
         const debugInfo = {
           title: document.title,
@@ -805,39 +862,6 @@ async function getStatus() {
 
         // Method 1: Try to get status from specific status indicator elements
         debugInfo.methodsAttempted.push('status-indicators');
-        const statusSelectors = [
-          // Common status indicators
-          '.status-indicator',
-          '.user-status',
-          '.status-icon',
-          '[data-status]',
-          // 3CX specific selectors
-          '.presence-status',
-          '.agent-status',
-          '.user-presence',
-          '.status-display',
-          // General status classes
-          '.status',
-          '.presence',
-          '.availability',
-          '.user-availability',
-          // Status with specific states
-          '.status-available',
-          '.status-away',
-          '.status-busy',
-          '.status-offline',
-          '.status-dnd',
-          // Any element with status in the class name
-          '[class*="status"]',
-          '[class*="presence"]',
-          '[id*="status"]',
-          '[id*="presence"]',
-          // Data attributes
-          '[data-presence]',
-          '[data-availability]',
-          '[data-user-status]',
-        ];
-
         for (const selector of statusSelectors) {
           try {
             const elements = document.querySelectorAll(selector);
@@ -921,6 +945,13 @@ async function getStatus() {
           source: 'none',
           debugInfo,
         };
+      }, profile.status);
+
+      // Try the selector profiles in order until one finds the status
+      let statusResult = { status: null, source: 'none' };
+      await selectorProfiles.withProfiles(async (profile) => {
+        statusResult = await scrapeStatus(profile);
+        return statusResult.status ? statusResult : null;
       });
 
       // Log detailed debug info
@@ -953,7 +984,7 @@ async function getStatus() {
 /**
  * Scrapes the 3CX web UI (specifically looking for switchboard elements like 'queue-stat')
  * to fetch call statistics like waiting calls, active calls, etc.
- * Relies on specific CSS selectors which might change with 3CX updates.
+ * Relies on the `queueStats` selectors of the selector profiles.
  *
  * @async
  * @function fetchCallStats
@@ -994,7 +1025,7 @@ async function fetchCallStats() {
     // Try multiple methods to extract call statistics
     try {
       // Method 1: Specifically target the queue-stat element structure from 3CX switchboard
-      const statsResult = await page.evaluate(() => {
+      const scrapeStats = (profile) => page.evaluate((selectors) => {
         const stats = {
           waitingCalls: 0,
           activeCalls: 0,
@@ -1007,18 +1038,18 @@ async function fetchCallStats() {
 
         // Look specifically for the queue-stat element
         try {
-          const queueStatElement = document.querySelector('queue-stat');
+          const queueStatElement = document.querySelector(selectors.container);
           if (queueStatElement) {
             console.log('Found queue-stat element!');
 
             // Look for the table rows within the queue-stat element
-            const headerRow = queueStatElement.querySelector('.qst-l-td');
-            const dataRow = queueStatElement.querySelector('.qst-d-td');
+            const headerRow = queueStatElement.querySelector(selectors.headerRow);
+            const dataRow = queueStatElement.querySelector(selectors.dataRow);
 
             if (headerRow && dataRow) {
               // Get all header cells and data cells
-              const headers = headerRow.querySelectorAll('td');
-              const data = dataRow.querySelectorAll('td');
+              const headers = headerRow.querySelectorAll(selectors.cell);
+              const data = dataRow.querySelectorAll(selectors.cell);
 
               // Create a mapping of header text to data value
               const statsMap = {};
@@ -1089,6 +1120,13 @@ async function fetchCallStats() {
             url: window.location.href,
           },
         };
+      }, profile.queueStats);
+
+      // Try the selector profiles in order until one finds the statistics
+      let statsResult = null;
+      await selectorProfiles.withProfiles(async (profile) => {
+        statsResult = await scrapeStats(profile);
+        return statsResult.foundStats ? statsResult : null;
       });
 
       // Log debug info
@@ -1134,7 +1172,7 @@ async function fetchCallStats() {
 
 /**
  * Scrapes the 3CX web UI (switchboard) to get the status of all listed agents.
- * Relies on specific CSS selectors within the `<app-all-queue-agents>` component.
+ * Relies on the `agents` selectors of the selector profiles (the `<app-all-queue-agents>` component in 3CX v20).
  *
  * @async
  * @function fetchAllAgentStatuses
@@ -1150,31 +1188,30 @@ async function fetchAllAgentStatuses() {
 
   try {
     await takeScreenshot('all-agents-status-detection');
-    const agentStatuses = await page.evaluate(() => {
+    const scrapeAgents = (profile) => page.evaluate((selectors) => {
       const agents = [];
-      const agentContainer = document.querySelector('app-all-queue-agents');
+      const agentContainer = document.querySelector(selectors.container);
       if (!agentContainer) {
-        console.warn('Agent container <app-all-queue-agents> not found.');
+        console.warn(`Agent container ${selectors.container} not found.`);
         return null; // Indicate container not found
       }
 
-      const agentItems = agentContainer.querySelectorAll('div[data-qa="agent-item"]');
+      const agentItems = agentContainer.querySelectorAll(selectors.item);
       if (agentItems.length === 0) {
         console.warn('No agent items found within the container.');
         return []; // Return empty array if no agents listed
       }
 
       agentItems.forEach((item) => {
-        const numberEl = item.querySelector('div[data-qa="number"]');
-        const nameEl = item.querySelector('div[data-qa="name"]');
-        const queuesEl = item.querySelector('div[data-qa="queues"]');
+        const numberEl = item.querySelector(selectors.number);
+        const nameEl = item.querySelector(selectors.name);
+        const queuesEl = item.querySelector(selectors.queues);
         
         // Look for status indicator in different formats
         let statusIndicator = null;
         if (numberEl) {
-          // Try both formats: <span class="status-indicator available"> and <span class="available status-indicator">
-          statusIndicator = numberEl.querySelector('span.status-indicator') || 
-                           numberEl.querySelector('span[class*="status-indicator"]');
+          // e.g. <span class="status-indicator available"> or <span class="available status-indicator">
+          statusIndicator = numberEl.querySelector(selectors.statusIndicator);
         }
 
         if (numberEl && nameEl) {
@@ -1230,7 +1267,10 @@ async function fetchAllAgentStatuses() {
 
       console.log(`Extracted ${agents.length} agent statuses.`);
       return agents;
-    });
+    }, profile.agents);
+
+    // Try the selector profiles in order until one finds the agent list
+    const agentStatuses = await selectorProfiles.withProfiles(scrapeAgents);
 
     if (agentStatuses === null) {
         logger.warn('Could not find agent container to extract statuses.');
@@ -1262,6 +1302,7 @@ async function close() {
       clearInterval(refreshIntervalId);
       refreshIntervalId = null;
     }
+    monitoringSince = null;
 
     if (browser) {
       logger.info('Closing browser...');
@@ -1276,7 +1317,7 @@ async function close() {
 }
 
 /**
- * Resets the 3CX authentication by closing the browser, deleting the saved cookies file (`cookies.json`),
+ * Resets the 3CX authentication by closing the browser, removing the saved cookies from the secrets vault,
  * and re-initializing the client (which will likely trigger a manual login prompt).
  *
  * @async
@@ -1294,26 +1335,12 @@ async function resetAuthentication() {
       page = null;
     }
 
-    // Delete the cookies file if it exists
-    const cookiesPath = path.join(__dirname, '..', 'cookies.json');
+    // Forget the saved session
     try {
-      if (fs.existsSync(cookiesPath)) {
-        // Rename the old cookies file instead of deleting it (for backup purposes)
-        const backupPath = path.join(__dirname, '..', `cookies.backup.${Date.now()}.json`);
-        fs.renameSync(cookiesPath, backupPath);
-        logger.info(`Backed up cookies file to ${backupPath}`);
-      }
+      await secretsVault.clearCookies();
+      logger.info('Removed the saved cookies');
     } catch (error) {
-      logger.error('Error backing up cookies file:', error);
-      // If rename fails, try to delete as fallback
-      try {
-        if (fs.existsSync(cookiesPath)) {
-          fs.unlinkSync(cookiesPath);
-          logger.info('Deleted cookies file');
-        }
-      } catch (deleteError) {
-        logger.error('Error deleting cookies file:', deleteError);
-      }
+      logger.error(`Error removing the saved cookies: ${error.message}`);
     }
 
     // Reinitialize
@@ -1339,12 +1366,14 @@ async function collectAndSendStatusData(source = 'interval') {
   }
   
   debounceTimer = setTimeout(async () => {
+    const endScrape = metrics.startScrape('web-client');
     try {
       // Check if browser and page are initialized
       if (!browser || !page) {
         logger.warn(
           'Browser or page not initialized, skipping status collection'
         );
+        endScrape(false);
         return;
       }
 
@@ -1397,6 +1426,22 @@ async function collectAndSendStatusData(source = 'interval') {
         callStats,
         agentStatuses,
       };
+
+      // The collection failed if the user's status could not be read
+      const collected = status.source !== 'error';
+      endScrape(collected);
+      if (collected) {
+        lastScrapeAt = Date.now();
+
+        // 3CX renews the session cookies while signed in; keep the saved ones current
+        if (lastScrapeAt - lastCookieSave >= config.cookieRotationInterval) {
+          saveCookies().catch((error) => logger.error(`Error saving cookies: ${error.message}`));
+        }
+      }
+
+      // Empty when neither the status nor the queue and agents could be read
+      const empty = !collected || (callStats.source === 'error' && !(agentStatuses && agentStatuses.length));
+      emptyScrapes = empty ? emptyScrapes + 1 : 0;
       
       // Check if the data has actually changed
       const hasChanged = !lastStatusData || 
@@ -1425,6 +1470,7 @@ async function collectAndSendStatusData(source = 'interval') {
         setupMutationObserver();
       }
     } catch (error) {
+      endScrape(false);
       logger.error(`Error collecting status data (${source}):`, error);
       if (statusCallback) {
         statusCallback(error, null);
@@ -1433,6 +1479,135 @@ async function collectAndSendStatusData(source = 'interval') {
   }, source === 'observer' ? 500 : 0); // Debounce observer events by 500ms
 }
 
+/**
+ * Checks the browser, the 3CX page, how long ago status was last collected
+ * and, optionally, whether 3CX is asking for a login.
+ *
+ * @async
+ * @function getHealth
+ * @param {object} [options] - Options.
+ * @param {number} [options.maxScrapeAge=120000] - Longest time (ms) without a successful collection while monitoring.
+ * @param {boolean} [options.checkSession=false] - Also look for the login page (at most once a minute; the result is reused).
+ * @returns {Promise<object>} A result (`{ status: 'ok'|'fail', ... }`) per check: `browser`, `page`,
+ *   `lastScrape` and, if asked for, `session`.
+ */
+async function getHealth({ maxScrapeAge = 120000, checkSession = false } = {}) {
+  const now = Date.now();
+  const pageOpen = Boolean(page && !page.isClosed());
+  const checks = {
+    browser:
+      browser && browser.connected
+        ? { status: 'ok' }
+        : { status: 'fail', error: 'Browser is not running' },
+    page: pageOpen ? { status: 'ok' } : { status: 'fail', error: 'The 3CX page is closed' },
+  };
+
+  // Paused or stopped monitoring is not a stall; before the first collection, count from the start
+  const lastSuccessAt = lastScrapeAt ? new Date(lastScrapeAt).toISOString() : null;
+  if (!monitoringSince) {
+    checks.lastScrape = { status: 'ok', monitoring: false, lastSuccessAt };
+  } else {
+    const age = now - (lastScrapeAt || monitoringSince);
+    checks.lastScrape = {
+      status: age <= maxScrapeAge ? 'ok' : 'fail',
+      monitoring: true,
+      lastSuccessAt,
+      ageSeconds: Math.round(age / 1000),
+    };
+  }
+
+  if (checkSession) {
+    if (!pageOpen) {
+      checks.session = { status: 'fail', error: 'The 3CX page is closed' };
+    } else {
+      if (now - sessionCheck.at > config.sessionCheckInterval) {
+        sessionCheck = { at: now, loginRequired: checkIfLoginRequired({ screenshot: false }) };
+      }
+      const loginRequired = await sessionCheck.loginRequired;
+      checks.session = loginRequired
+        ? { status: 'fail', error: '3CX login required', checkedAt: new Date(sessionCheck.at).toISOString() }
+        : { status: 'ok', checkedAt: new Date(sessionCheck.at).toISOString() };
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Describes the browser, the 3CX page and recent status collections for the
+ * scraper supervisor.
+ *
+ * @async
+ * @function getSupervisionState
+ * @returns {Promise<object>} `{ browserConnected, pageOpen, pageResponsive, onLoginPage, emptyScrapes }`.
+ */
+async function getSupervisionState() {
+  const state = {
+    browserConnected: Boolean(browser && browser.connected),
+    pageOpen: Boolean(page && !page.isClosed()),
+    pageResponsive: false,
+    onLoginPage: false,
+    emptyScrapes,
+  };
+  if (!state.browserConnected || !state.pageOpen) {
+    return state;
+  }
+
+  // A crashed or hung page never answers, so give up after a while
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Page did not respond')), config.pageResponseTimeout);
+    });
+    state.onLoginPage = await Promise.race([
+      page.evaluate(() => {
+        const loginForm = document.querySelector(
+          'form[action*="login"], .login-form, #loginForm, input[name="username"], input[name="password"]'
+        );
+        return Boolean(loginForm) || /\/login\b/i.test(window.location.href);
+      }),
+      timeout,
+    ]);
+    state.pageResponsive = true;
+  } catch (error) {
+    logger.warn(`3CX page check failed: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return state;
+}
+
+/**
+ * Closes the browser, killing it if it does not close, and initializes the
+ * client again: the saved cookies are restored and the switchboard opened.
+ *
+ * @async
+ * @function recover
+ * @returns {Promise<boolean>} True if the client initialized again.
+ */
+async function recover() {
+  stopMonitoring();
+
+  if (browser) {
+    try {
+      await browser.close();
+    } catch (error) {
+      logger.warn(`Could not close the browser, killing it: ${error.message}`);
+      const browserProcess = browser.process();
+      if (browserProcess) {
+        browserProcess.kill('SIGKILL');
+      }
+    }
+  }
+  browser = null;
+  page = null;
+  lastStatusData = null;
+  emptyScrapes = 0;
+
+  return initialize(statusCallback);
+}
+
 /**
  * Sets up a Mutation Observer to watch for DOM changes in the 3CX interface
  * that might indicate status changes.
@@ -1526,6 +1701,7 @@ function startRefreshInterval() {
   logger.info(
     `Starting status refresh interval (every ${config.refreshInterval}ms) with real-time updates`
   );
+  monitoringSince = Date.now();
   
   // Initial data collection
   collectAndSendStatusData('initial');
@@ -1588,6 +1764,7 @@ function stopMonitoring() {
     refreshIntervalId = null;
     logger.info('Stopped status monitoring interval');
   }
+  monitoringSince = null;
   
   // Disconnect the mutation observer if it exists
   if (page && observerActive) {
@@ -1678,6 +1855,9 @@ module.exports = {
   initialize,
   getStatus,
   getCallStats: fetchCallStats, // Export with a different name to avoid conflicts
+  getHealth,
+  getSupervisionState,
+  recover,
   close,
   resetAuthentication,
   startMonitoring,
@@ -0,0 +1,458 @@
+/**
+ * Outbound Webhooks Module
+ *
+ * Lets other tools on the network react to status and queue events. Each
+ * webhook has a URL, a secret and a filter of the events it wants. Events are
+ * posted as JSON, signed with an HMAC-SHA256 of the timestamp and body, and
+ * retried with exponential backoff when the receiver is down or answers with
+ * a server error. The latest deliveries are kept in memory as a delivery log.
+ * Webhooks are persisted to a JSON file (`webhooks.json` by default).
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./json-file-store');
+
+// Events a webhook can subscribe to; '*' subscribes to all of them
+const EVENTS = [
+  'user.status', // Your own status changed
+  'agent.status', // An agent's status changed (e.g., to ringing)
+  'queue.waiting', // Waiting calls went above zero
+  'queue.cleared', // Waiting calls went back to zero
+  'callStats.updated', // Every call statistics update
+];
+
+// Configuration from environment variables
+const config = {
+  webhooksFile: process.env.WEBHOOKS_FILE || 'webhooks.json',
+  // Attempts per delivery, the first included
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+  // Delay before the first retry; each further retry waits twice as long
+  retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY || '5000', 10),
+  requestTimeout: 10000,
+  // Deliveries kept in the delivery log
+  logSize: parseInt(process.env.WEBHOOK_LOG_SIZE || '200', 10),
+};
+
+// Registered webhooks, keyed by webhook ID
+const webhooks = new Map();
+
+// Latest deliveries, newest last
+const deliveries = [];
+
+// Last status per agent extension and whether calls were waiting, to detect changes
+const agentStatuses = new Map();
+let callsWaiting = null;
+
+/**
+ * Returns a webhook with its secret masked, for listing.
+ *
+ * @function publicWebhook
+ * @param {object} webhook - The stored webhook.
+ * @returns {object} The webhook without the full secret.
+ */
+function publicWebhook(webhook) {
+  return { ...webhook, secret: `${webhook.secret.slice(0, 4)}…` };
+}
+
+/**
+ * Loads the webhooks from disk, replacing any already in memory.
+ *
+ * @function loadWebhooks
+ * @returns {Array<object>} The loaded webhooks, with secrets masked.
+ */
+function loadWebhooks() {
+  webhooks.clear();
+
+  try {
+    const stored = readJsonFile(config.webhooksFile, []);
+    if (!Array.isArray(stored)) {
+      throw new Error('Webhooks file does not contain an array');
+    }
+    stored.forEach((webhook) => {
+      if (webhook && webhook.id && webhook.url && webhook.secret) {
+        webhooks.set(webhook.id, webhook);
+      }
+    });
+    logger.info(`Loaded ${webhooks.size} webhooks from ${config.webhooksFile}`);
+  } catch (error) {
+    logger.error(`Error loading webhooks: ${error.message}`);
+  }
+
+  return listWebhooks();
+}
+
+/**
+ * Writes the webhooks to disk.
+ *
+ * @async
+ * @function saveWebhooks
+ * @returns {Promise<void>}
+ */
+async function saveWebhooks() {
+  await writeJsonFile(config.webhooksFile, Array.from(webhooks.values()));
+}
+
+/**
+ * Returns every webhook.
+ *
+ * @function listWebhooks
+ * @returns {Array<object>} The webhooks, with secrets masked.
+ */
+function listWebhooks() {
+  return Array.from(webhooks.values()).map(publicWebhook);
+}
+
+/**
+ * Validates webhook fields, filling in defaults for a new webhook.
+ *
+ * @function validateWebhook
+ * @param {object} fields - The fields to check.
+ * @param {object} [current] - The webhook being changed, if any.
+ * @returns {object} The validated `{ name, url, secret, events, enabled }`.
+ * @throws {Error} If a field is invalid.
+ */
+function validateWebhook(fields, current = {}) {
+  const next = { ...current, ...fields };
+
+  let url;
+  try {
+    url = new URL(next.url);
+  } catch (_error) {
+    throw new Error('URL must be a valid http:// or https:// address');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('URL must be a valid http:// or https:// address');
+  }
+
+  const events = Array.isArray(next.events) ? next.events : ['*'];
+  const unknown = events.filter((event) => event !== '*' && !EVENTS.includes(event));
+  if (events.length === 0 || unknown.length > 0) {
+    throw new Error(`Events must be '*' or any of: ${EVENTS.join(', ')}`);
+  }
+  if (next.secret !== undefined && (typeof next.secret !== 'string' || next.secret.length < 16)) {
+    throw new Error('Secret must be at least 16 characters');
+  }
+
+  return {
+    name: next.name ? String(next.name).trim() : url.host,
+    url: url.toString(),
+    secret: next.secret || crypto.randomBytes(24).toString('hex'),
+    events,
+    enabled: next.enabled !== false,
+  };
+}
+
+/**
+ * Registers a webhook.
+ *
+ * @async
+ * @function addWebhook
+ * @param {object} fields - The webhook.
+ * @param {string} fields.url - Where events are posted.
+ * @param {Array<string>} [fields.events] - Events to send (defaults to `['*']`, all of them).
+ * @param {string} [fields.name] - A friendly name (defaults to the URL's host).
+ * @param {string} [fields.secret] - The signing secret (generated if not given).
+ * @param {boolean} [fields.enabled=true] - Whether events are sent.
+ * @returns {Promise<object>} The new webhook, with its full secret.
+ * @throws {Error} If a field is invalid.
+ */
+async function addWebhook(fields = {}) {
+  const webhook = {
+    id: crypto.randomBytes(4).toString('hex'),
+    ...validateWebhook(fields),
+    createdAt: new Date().toISOString(),
+  };
+
+  webhooks.set(webhook.id, webhook);
+  await saveWebhooks();
+  logger.info(`Added webhook ${webhook.id} (${webhook.url}) for ${webhook.events.join(', ')}`);
+
+  return { ...webhook };
+}
+
+/**
+ * Changes a webhook.
+ *
+ * @async
+ * @function updateWebhook
+ * @param {string} id - The webhook ID.
+ * @param {object} changes - Any of `name`, `url`, `secret`, `events` and `enabled`.
+ * @returns {Promise<object|null>} The webhook with its secret masked, or null if there is no such webhook.
+ * @throws {Error} If a field is invalid.
+ */
+async function updateWebhook(id, changes = {}) {
+  const current = webhooks.get(id);
+  if (!current) {
+    return null;
+  }
+
+  const webhook = { ...current, ...validateWebhook(changes, current) };
+  webhooks.set(id, webhook);
+  await saveWebhooks();
+  logger.info(`Updated webhook ${id}`);
+
+  return publicWebhook(webhook);
+}
+
+/**
+ * Removes a webhook.
+ *
+ * @async
+ * @function removeWebhook
+ * @param {string} id - The webhook ID.
+ * @returns {Promise<boolean>} True if the webhook was removed, false if there is no such webhook.
+ */
+async function removeWebhook(id) {
+  if (!webhooks.delete(id)) {
+    return false;
+  }
+
+  await saveWebhooks();
+  logger.info(`Removed webhook ${id}`);
+  return true;
+}
+
+/**
+ * Signs a delivery. Receivers check it by computing the same HMAC over the
+ * `X-Webhook-Timestamp` header, a dot and the raw request body.
+ *
+ * @function sign
+ * @param {string} secret - The webhook's secret.
+ * @param {string} timestamp - The delivery timestamp.
+ * @param {string} body - The JSON body.
+ * @returns {string} `sha256=<hex digest>`.
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Adds a delivery to the delivery log, dropping the oldest beyond `WEBHOOK_LOG_SIZE`.
+ *
+ * @function logDelivery
+ * @param {object} delivery - The delivery.
+ */
+function logDelivery(delivery) {
+  deliveries.push(delivery);
+  if (deliveries.length > config.logSize) {
+    deliveries.splice(0, deliveries.length - config.logSize);
+  }
+}
+
+/**
+ * Makes one attempt at a delivery and schedules a retry if it failed in a way
+ * that may pass later (no answer, 429 or a 5xx status).
+ *
+ * @async
+ * @function attemptDelivery
+ * @param {object} webhook - The webhook.
+ * @param {object} delivery - The delivery log entry, updated in place.
+ * @param {string} body - The JSON body.
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(webhook, delivery, body) {
+  const timestamp = new Date().toISOString();
+  const attempt = { at: timestamp, statusCode: null, error: null };
+  delivery.attempts.push(attempt);
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'wled-3cx-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': sign(webhook.secret, timestamp, body),
+      },
+      timeout: config.requestTimeout,
+      // Every answer is judged below, not by axios
+      validateStatus: () => true,
+    });
+    attempt.statusCode = response.status;
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  const { statusCode } = attempt;
+  if (statusCode >= 200 && statusCode < 300) {
+    delivery.status = 'delivered';
+    return;
+  }
+
+  const retryable = statusCode === null || statusCode === 429 || statusCode >= 500;
+  if (!retryable || delivery.attempts.length >= config.maxAttempts) {
+    delivery.status = 'failed';
+    logger.warn(
+      `Webhook ${webhook.id} gave up on ${delivery.event} after ${delivery.attempts.length} attempts: ${attempt.error || `HTTP ${statusCode}`}`
+    );
+    return;
+  }
+
+  const delay = config.retryDelay * 2 ** (delivery.attempts.length - 1);
+  delivery.status = 'retrying';
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  setTimeout(() => {
+    delivery.nextAttemptAt = null;
+    // A webhook removed or disabled in the meantime gets no more attempts
+    const current = webhooks.get(webhook.id);
+    if (!current || !current.enabled) {
+      delivery.status = 'failed';
+      return;
+    }
+    attemptDelivery(current, delivery, body);
+  }, delay);
+}
+
+/**
+ * Sends an event to one webhook.
+ *
+ * @function deliver
+ * @param {object} webhook - The webhook.
+ * @param {string} event - The event name.
+ * @param {object} data - The event data.
+ * @returns {object} The delivery log entry.
+ */
+function deliver(webhook, event, data) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    event,
+    createdAt: new Date().toISOString(),
+    status: 'pending',
+    nextAttemptAt: null,
+    attempts: [],
+  };
+  const body = JSON.stringify({ id: delivery.id, event, timestamp: delivery.createdAt, data });
+
+  logDelivery(delivery);
+  attemptDelivery(webhook, delivery, body);
+
+  return delivery;
+}
+
+/**
+ * Sends an event to every enabled webhook that subscribes to it.
+ *
+ * @function emit
+ * @param {string} event - One of `EVENTS`.
+ * @param {object} data - The event data.
+ * @returns {number} The number of webhooks the event was sent to.
+ */
+function emit(event, data) {
+  const targets = Array.from(webhooks.values()).filter(
+    (webhook) => webhook.enabled && (webhook.events.includes('*') || webhook.events.includes(event))
+  );
+  targets.forEach((webhook) => deliver(webhook, event, data));
+
+  return targets.length;
+}
+
+/**
+ * Sends a `ping` event to one webhook, whatever its filter, to test it.
+ *
+ * @function testWebhook
+ * @param {string} id - The webhook ID.
+ * @returns {object|null} The delivery log entry, or null if there is no such webhook.
+ */
+function testWebhook(id) {
+  const webhook = webhooks.get(id);
+  return webhook ? deliver(webhook, 'ping', { message: 'Test delivery' }) : null;
+}
+
+/**
+ * Returns the delivery log.
+ *
+ * @function getDeliveries
+ * @param {object} [query] - Query parameters.
+ * @param {string} [query.webhookId] - Only this webhook's deliveries.
+ * @param {string} [query.status] - Only deliveries with this status ('pending', 'retrying', 'delivered' or 'failed').
+ * @returns {Array<object>} The deliveries, newest first.
+ */
+function getDeliveries({ webhookId, status } = {}) {
+  return deliveries
+    .filter((delivery) => (!webhookId || delivery.webhookId === webhookId) && (!status || delivery.status === status))
+    .reverse();
+}
+
+/**
+ * Sends `user.status` for a change of your own status.
+ *
+ * @function notifyUserStatus
+ * @param {string} status - The new status.
+ * @param {string|null} previousStatus - The status before.
+ * @param {string} source - Where the change came from.
+ */
+function notifyUserStatus(status, previousStatus, source) {
+  if (status !== previousStatus) {
+    emit('user.status', { status, previousStatus, source });
+  }
+}
+
+/**
+ * Sends `agent.status` for every agent whose status changed since the last
+ * list. Agents seen for the first time only set the baseline, so a restart
+ * does not send an event for every agent.
+ *
+ * @function notifyAgentStatuses
+ * @param {Array<object>} agents - Agent statuses (`{ extension, name, status }`).
+ */
+function notifyAgentStatuses(agents) {
+  (agents || []).forEach(({ extension, name, status }) => {
+    if (!extension || !status) {
+      return;
+    }
+    const key = String(extension);
+    const previousStatus = agentStatuses.get(key);
+    agentStatuses.set(key, status);
+
+    if (previousStatus !== undefined && previousStatus !== status) {
+      emit('agent.status', { extension: key, name: name || null, status, previousStatus });
+    }
+  });
+}
+
+/**
+ * Sends `callStats.updated` for every call statistics update, and
+ * `queue.waiting` or `queue.cleared` when waiting calls go above or back to zero.
+ *
+ * @function notifyCallStats
+ * @param {object} callStats - The call statistics.
+ */
+function notifyCallStats(callStats) {
+  if (!callStats) {
+    return;
+  }
+  emit('callStats.updated', callStats);
+
+  const waitingCalls = Number(callStats.waitingCalls) || 0;
+  const waiting = waitingCalls > 0;
+  if (callsWaiting !== null && waiting !== callsWaiting) {
+    emit(waiting ? 'queue.waiting' : 'queue.cleared', {
+      waitingCalls,
+      longestWaiting: callStats.longestWaiting || null,
+    });
+  }
+  callsWaiting = waiting;
+}
+
+module.exports = {
+  EVENTS,
+  loadWebhooks,
+  listWebhooks,
+  addWebhook,
+  updateWebhook,
+  removeWebhook,
+  testWebhook,
+  getDeliveries,
+  emit,
+  sign,
+  notifyUserStatus,
+  notifyAgentStatuses,
+  notifyCallStats,
+  config,
+};
@@ -1,24 +1,18 @@
 /**
  * WLED Controller Module
  *
- * Handles communication with a WLED device using its JSON HTTP API.
- * Reads configuration like IP address, default brightness, transition time,
- * and status-to-color mappings from environment variables.
+ * Handles communication with WLED devices using their JSON HTTP API.
+ * Reads configuration like IP address, default brightness and transition time
+ * from environment variables; how each status looks comes from the status
+ * profiles. Every command targets the configured device unless
+ * `options.ipAddress` names another one.
  */
 
 require('dotenv').config();
 const axios = require('axios');
-const logger = require('pino')({
-  level: process.env.LOG_LEVEL || 'info',
-  transport: {
-    target: 'pino-pretty',
-    options: {
-      colorize: true,
-      translateTime: 'SYS:yyyy-mm-dd HH:MM:ss',
-      ignore: 'pid,hostname',
-    },
-  },
-});
+const { buildWLEDState, solidProfile } = require('./status-profiles');
+const { observeWLEDRequests } = require('./metrics');
+const logger = require('./logger');
 
 // Configuration from environment variables
 const config = {
@@ -27,20 +21,36 @@ const config = {
     ipAddress: process.env.WLED_IP_ADDRESS,
     brightness: parseInt(process.env.WLED_BRIGHTNESS || '128', 10),
     transition: parseInt(process.env.WLED_TRANSITION || '1000', 10),
-    statusColors: {
-      available: { r: 0, g: 255, b: 0 }, // Green for available
-      ringing: { r: 255, g: 255, b: 0 }, // Yellow for ringing
-      onCall: { r: 255, g: 0, b: 0 }, // Red for on a call
-      dnd: { r: 128, g: 0, b: 128 }, // Purple for do not disturb
-      away: { r: 255, g: 165, b: 0 }, // Orange for away
-      offline: { r: 0, g: 0, b: 255 }, // Blue for offline
-    },
+    // Request timeout so one unreachable device cannot stall the others
+    requestTimeout: parseInt(process.env.WLED_REQUEST_TIMEOUT || '5000', 10),
   },
 };
 
+// Every request to a WLED device goes through this instance so it shows up in the metrics
+const wledHttp = observeWLEDRequests(axios.create());
+
+/**
+ * Builds the JSON API URL for the target WLED device.
+ *
+ * @function getWLEDUrl
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to address instead of the configured one.
+ * @returns {string} The `/json` endpoint URL of the device.
+ * @throws {Error} If no IP address is given and none is configured.
+ */
+function getWLEDUrl(options = {}) {
+  const ipAddress = options.ipAddress || config.wled.ipAddress;
+  if (!ipAddress) {
+    throw new Error('WLED IP address is not configured');
+  }
+
+  return `http://${ipAddress}/json`;
+}
+
 /**
  * Updates the WLED device with a specific solid color.
  * Turns the light on and sets the brightness and transition according to config.
+ * Status colors should go through `applyWLEDProfile` so their effects are kept.
  *
  * @async
  * @function updateWLED
@@ -48,15 +58,15 @@ const config = {
  * @param {number} color.r - Red component (0-255).
  * @param {number} color.g - Green component (0-255).
  * @param {number} color.b - Blue component (0-255).
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to update instead of the configured one.
  * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
  * @throws {Error} If WLED IP address is not configured or color object is invalid.
  */
-async function updateWLED(color) {
+async function updateWLED(color, options = {}) {
   try {
     // Validate required configuration
-    if (!config.wled.ipAddress) {
-      throw new Error('WLED IP address is not configured');
-    }
+    const url = getWLEDUrl(options);
 
     // Validate color values
     if (!color || typeof color !== 'object') {
@@ -68,27 +78,16 @@ async function updateWLED(color) {
     const g = Math.min(255, Math.max(0, parseInt(color.g) || 0));
     const b = Math.min(255, Math.max(0, parseInt(color.b) || 0));
 
-    logger.info(`Setting WLED color to RGB(${r},${g},${b})`);
+    logger.info(
+      `Setting WLED color to RGB(${r},${g},${b}) on ${options.ipAddress || config.wled.ipAddress}`
+    );
 
-    const url = `http://${config.wled.ipAddress}/json`;
-    const payload = {
-      on: true,
-      bri: config.wled.brightness,
-      transition: config.wled.transition / 1000, // WLED uses seconds
-      seg: [
-        {
-          col: [[r, g, b]],
-          fx: 0, // Solid color effect
-          sx: 128, // Effect speed (not needed for solid)
-          ix: 128, // Effect intensity (not needed for solid)
-        },
-      ],
-    };
+    const payload = buildWLEDState(solidProfile({ r, g, b }), config.wled);
 
     logger.debug('WLED payload:', JSON.stringify(payload));
 
     try {
-      await axios.post(url, payload);
+      await wledHttp.post(url, payload, { timeout: config.wled.requestTimeout });
       logger.info('WLED updated successfully');
       return true;
     } catch (axiosError) {
@@ -105,23 +104,136 @@ async function updateWLED(color) {
   }
 }
 
+/**
+ * Shows a status profile on the WLED device: color, effect, palette, speed,
+ * intensity and brightness are sent in a single JSON API call.
+ *
+ * @async
+ * @function applyWLEDProfile
+ * @param {object} profile - The status profile (see `status-profiles.js`).
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to update instead of the configured one.
+ * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
+ */
+async function applyWLEDProfile(profile, options = {}) {
+  try {
+    // Validate required configuration
+    const url = getWLEDUrl(options);
+
+    if (!profile || !profile.color) {
+      throw new Error('Invalid status profile provided');
+    }
+
+    const payload = buildWLEDState(profile, config.wled);
+    logger.info(
+      `Applying WLED profile RGB(${profile.color.r},${profile.color.g},${profile.color.b}) fx ${profile.effectId} on ${options.ipAddress || config.wled.ipAddress}`
+    );
+    logger.debug('WLED payload:', JSON.stringify(payload));
+
+    await wledHttp.post(url, payload, { timeout: config.wled.requestTimeout });
+    logger.info('WLED updated successfully');
+    return true;
+  } catch (error) {
+    logger.error('Error applying WLED profile:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Writes several segments to the WLED device in a single JSON API call.
+ * Turns the light on and sets the brightness and transition according to config.
+ *
+ * @async
+ * @function updateWLEDSegments
+ * @param {Array<object>} segments - WLED segment objects (e.g., `{ id: 0, start: 0, stop: 10, col: [[0, 255, 0]] }`).
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to update instead of the configured one.
+ * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
+ */
+async function updateWLEDSegments(segments, options = {}) {
+  try {
+    // Validate required configuration
+    const url = getWLEDUrl(options);
+
+    if (!Array.isArray(segments) || segments.length === 0) {
+      throw new Error('No WLED segments provided');
+    }
+
+    logger.info(`Updating ${segments.length} WLED segments`);
+
+    const payload = {
+      on: true,
+      bri: config.wled.brightness,
+      transition: config.wled.transition / 1000, // WLED uses seconds
+      seg: segments,
+    };
+
+    logger.debug('WLED segment payload:', JSON.stringify(payload));
+
+    await wledHttp.post(url, payload, { timeout: config.wled.requestTimeout });
+    logger.info('WLED segments updated successfully');
+    return true;
+  } catch (error) {
+    logger.error('Error updating WLED segments:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Restores a single full-length segment on the WLED device, deleting any
+ * other segments. Used when leaving a mode that splits the strip.
+ *
+ * @async
+ * @function resetWLEDSegments
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to reset instead of the configured one.
+ * @returns {Promise<boolean>} A promise that resolves to true if the segments were reset, false otherwise.
+ */
+async function resetWLEDSegments(options = {}) {
+  try {
+    const wledStatus = await getWLEDStatus(options);
+    if (!wledStatus || !wledStatus.info || !wledStatus.info.leds) {
+      throw new Error('Could not read the LED count from the WLED device');
+    }
+
+    // A stop of 0 deletes a segment
+    const segments = [{ id: 0, start: 0, stop: wledStatus.info.leds.count }];
+    ((wledStatus.state && wledStatus.state.seg) || [])
+      .filter((segment) => segment.id > 0)
+      .forEach((segment) => segments.push({ id: segment.id, stop: 0 }));
+
+    logger.info(`Resetting WLED to a single segment of ${segments[0].stop} LEDs`);
+
+    await wledHttp.post(
+      getWLEDUrl(options),
+      { seg: segments },
+      { timeout: config.wled.requestTimeout }
+    );
+    return true;
+  } catch (error) {
+    logger.error('Error resetting WLED segments:', error.message);
+    return false;
+  }
+}
+
 /**
  * Retrieves the current status of the WLED device.
  *
  * @async
  * @function getWLEDStatus
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to query instead of the configured one.
  * @returns {Promise<object|null>} A promise that resolves to the WLED status object (from the WLED JSON API /json endpoint) or null if an error occurred.
  * @throws {Error} If WLED IP address is not configured.
  */
-async function getWLEDStatus() {
+async function getWLEDStatus(options = {}) {
   try {
     // Validate required configuration
-    if (!config.wled.ipAddress) {
-      throw new Error('WLED IP address is not configured');
-    }
+    const url = getWLEDUrl(options);
 
-    const url = `http://${config.wled.ipAddress}/json`;
-    const response = await axios.get(url);
+    const response = await wledHttp.get(url, {
+      timeout: config.wled.requestTimeout,
+    });
     return response.data;
   } catch (error) {
     logger.error('Error getting WLED status:', error.message);
@@ -134,24 +246,23 @@ async function getWLEDStatus() {
  *
  * @async
  * @function turnOffWLED
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to turn off instead of the configured one.
  * @returns {Promise<boolean>} A promise that resolves to true if the command was sent successfully, false otherwise.
  * @throws {Error} If WLED IP address is not configured.
  */
-async function turnOffWLED() {
+async function turnOffWLED(options = {}) {
   try {
     // Validate required configuration
-    if (!config.wled.ipAddress) {
-      throw new Error('WLED IP address is not configured');
-    }
+    const url = getWLEDUrl(options);
 
     logger.info('Turning off WLED');
 
-    const url = `http://${config.wled.ipAddress}/json`;
     const payload = {
       on: false,
     };
 
-    await axios.post(url, payload);
+    await wledHttp.post(url, payload, { timeout: config.wled.requestTimeout });
     logger.info('WLED turned off successfully');
     return true;
   } catch (error) {
@@ -166,31 +277,32 @@ async function turnOffWLED() {
  * @async
  * @function setWLEDBrightness
  * @param {number} brightness - The desired brightness level (0-255). Values outside this range will be clamped.
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to update instead of the configured one.
  * @returns {Promise<boolean>} A promise that resolves to true if the brightness was set successfully, false otherwise.
  * @throws {Error} If WLED IP address is not configured.
  */
-async function setWLEDBrightness(brightness) {
+async function setWLEDBrightness(brightness, options = {}) {
   try {
     // Validate required configuration
-    if (!config.wled.ipAddress) {
-      throw new Error('WLED IP address is not configured');
-    }
+    const url = getWLEDUrl(options);
 
     // Validate brightness value
     const validBrightness = Math.max(0, Math.min(255, brightness));
 
     logger.info(`Setting WLED brightness to ${validBrightness}`);
 
-    const url = `http://${config.wled.ipAddress}/json`;
     const payload = {
       bri: validBrightness,
     };
 
-    await axios.post(url, payload);
+    await wledHttp.post(url, payload, { timeout: config.wled.requestTimeout });
     logger.info('WLED brightness updated successfully');
 
-    // Update local config
-    config.wled.brightness = validBrightness;
+    // Update local config (only the configured device's defaults)
+    if (!options.ipAddress) {
+      config.wled.brightness = validBrightness;
+    }
 
     return true;
   } catch (error) {
@@ -205,31 +317,32 @@ async function setWLEDBrightness(brightness) {
  * @async
  * @function setWLEDTransition
  * @param {number} transitionMs - The desired transition time in milliseconds (0-65535). Values outside this range will be clamped.
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to update instead of the configured one.
  * @returns {Promise<boolean>} A promise that resolves to true if the transition time was set successfully, false otherwise.
  * @throws {Error} If WLED IP address is not configured.
  */
-async function setWLEDTransition(transitionMs) {
+async function setWLEDTransition(transitionMs, options = {}) {
   try {
     // Validate required configuration
-    if (!config.wled.ipAddress) {
-      throw new Error('WLED IP address is not configured');
-    }
+    const url = getWLEDUrl(options);
 
     // Validate transition value
     const validTransition = Math.max(0, Math.min(65535, transitionMs));
 
     logger.info(`Setting WLED transition time to ${validTransition}ms`);
 
-    const url = `http://${config.wled.ipAddress}/json`;
     const payload = {
       transition: validTransition / 1000, // WLED uses seconds
     };
 
-    await axios.post(url, payload);
+    await wledHttp.post(url, payload, { timeout: config.wled.requestTimeout });
     logger.info('WLED transition time updated successfully');
 
-    // Update local config
-    config.wled.transition = validTransition;
+    // Update local config (only the configured device's defaults)
+    if (!options.ipAddress) {
+      config.wled.transition = validTransition;
+    }
 
     return true;
   } catch (error) {
@@ -239,33 +352,44 @@ async function setWLEDTransition(transitionMs) {
 }
 
 /**
- * Sets a specific effect on the WLED device.
+ * Sets a specific effect on the WLED device, leaving its color unchanged.
+ * The effect ID, palette, speed and intensity are sent in a single call.
  *
  * @async
  * @function setWLEDEffect
- * @param {number} effectId - The ID of the WLED effect to set.
+ * @param {number|object} effect - The WLED effect ID, or an object with the effect settings.
+ * @param {number} effect.effectId - The ID of the WLED effect to set.
+ * @param {number} [effect.paletteId] - The ID of the WLED palette to use.
+ * @param {number} [effect.speed] - The effect speed (0-255).
+ * @param {number} [effect.intensity] - The effect intensity (0-255).
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to update instead of the configured one.
  * @returns {Promise<boolean>} A promise that resolves to true if the effect was set successfully, false otherwise.
  * @throws {Error} If WLED IP address is not configured.
  */
-async function setWLEDEffect(effectId) {
+async function setWLEDEffect(effect, options = {}) {
   try {
     // Validate required configuration
-    if (!config.wled.ipAddress) {
-      throw new Error('WLED IP address is not configured');
-    }
+    const url = getWLEDUrl(options);
+
+    const { effectId, paletteId, speed, intensity } =
+      typeof effect === 'object' ? effect : { effectId: effect };
 
     logger.info(`Setting WLED effect to ID ${effectId}`);
 
-    const url = `http://${config.wled.ipAddress}/json`;
+    // Only send the fields that were given (undefined values are dropped by JSON)
     const payload = {
       seg: [
         {
           fx: effectId,
+          pal: paletteId,
+          sx: speed,
+          ix: intensity,
         },
       ],
     };
 
-    await axios.post(url, payload);
+    await wledHttp.post(url, payload, { timeout: config.wled.requestTimeout });
     logger.info(`WLED effect set to ${effectId} successfully`);
     return true;
   } catch (error) {
@@ -274,12 +398,75 @@ async function setWLEDEffect(effectId) {
   }
 }
 
+/**
+ * Reads a name list (effects or palettes) from the WLED device.
+ *
+ * @async
+ * @function getWLEDNameList
+ * @param {string} endpoint - The JSON API endpoint (`effs` or `pals`).
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to query instead of the configured one.
+ * @returns {Promise<Array<{id: number, name: string}>|null>} The entries with their IDs, or null if an error occurred.
+ */
+async function getWLEDNameList(endpoint, options = {}) {
+  try {
+    // Validate required configuration
+    const url = `${getWLEDUrl(options)}/${endpoint}`;
+
+    const response = await wledHttp.get(url, {
+      timeout: config.wled.requestTimeout,
+    });
+    if (!Array.isArray(response.data)) {
+      throw new Error(`Unexpected response from /json/${endpoint}`);
+    }
+
+    // The ID is the position in the list; reserved slots are named "RSVD" or "-"
+    return response.data
+      .map((name, id) => ({ id, name }))
+      .filter((entry) => entry.name !== 'RSVD' && entry.name !== '-');
+  } catch (error) {
+    logger.error(`Error getting WLED /json/${endpoint}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Retrieves the effects the WLED device supports.
+ *
+ * @async
+ * @function getWLEDEffects
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to query instead of the configured one.
+ * @returns {Promise<Array<{id: number, name: string}>|null>} The effects, or null if an error occurred.
+ */
+async function getWLEDEffects(options = {}) {
+  return getWLEDNameList('effs', options);
+}
+
+/**
+ * Retrieves the color palettes the WLED device supports.
+ *
+ * @async
+ * @function getWLEDPalettes
+ * @param {object} [options] - Optional target device.
+ * @param {string} [options.ipAddress] - The device to query instead of the configured one.
+ * @returns {Promise<Array<{id: number, name: string}>|null>} The palettes, or null if an error occurred.
+ */
+async function getWLEDPalettes(options = {}) {
+  return getWLEDNameList('pals', options);
+}
+
 module.exports = {
   updateWLED,
+  applyWLEDProfile,
+  updateWLEDSegments,
+  resetWLEDSegments,
   getWLEDStatus,
   turnOffWLED,
   setWLEDBrightness,
   setWLEDTransition,
   setWLEDEffect,
+  getWLEDEffects,
+  getWLEDPalettes,
   config,
 };
@@ -0,0 +1,214 @@
+/**
+ * WLED Device Registry
+ *
+ * Keeps track of the WLED controllers in the fleet and the 3CX extension each
+ * one is bound to, so every agent's light can follow their own presence.
+ * The registry is persisted to a JSON file (`wled-devices.json` by default);
+ * device health is kept in memory only.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./json-file-store');
+
+// Configuration from environment variables
+const config = {
+  devicesFile: process.env.WLED_DEVICES_FILE || 'wled-devices.json',
+};
+
+// Hostname or IPv4 address with an optional port
+const ADDRESS_PATTERN = /^[a-zA-Z0-9.-]+(:\d{1,5})?$/;
+
+// Registered devices, keyed by device ID
+const devices = new Map();
+
+// Health of each device, keyed by device ID
+const deviceHealth = new Map();
+
+/**
+ * Loads the device registry from disk, replacing any devices already in memory.
+ *
+ * @function loadDevices
+ * @returns {Array<object>} The list of loaded devices.
+ */
+function loadDevices() {
+  devices.clear();
+
+  try {
+    const stored = readJsonFile(config.devicesFile, []);
+    if (!Array.isArray(stored)) {
+      throw new Error('Device registry file does not contain an array');
+    }
+
+    stored.forEach((device) => {
+      if (device && device.id && device.ipAddress) {
+        devices.set(device.id, device);
+      }
+    });
+    logger.info(`Loaded ${devices.size} WLED devices from ${config.devicesFile}`);
+  } catch (error) {
+    logger.error(`Error loading WLED device registry: ${error.message}`);
+  }
+
+  return listDevices();
+}
+
+/**
+ * Writes the current device registry to disk.
+ *
+ * @async
+ * @function saveDevices
+ * @returns {Promise<void>}
+ */
+async function saveDevices() {
+  await writeJsonFile(config.devicesFile, Array.from(devices.values()));
+}
+
+/**
+ * Returns all registered devices.
+ *
+ * @function listDevices
+ * @returns {Array<object>} The registered devices.
+ */
+function listDevices() {
+  return Array.from(devices.values());
+}
+
+/**
+ * Returns a single device by ID.
+ *
+ * @function getDevice
+ * @param {string} id - The device ID.
+ * @returns {object|null} The device, or null if it is not registered.
+ */
+function getDevice(id) {
+  return devices.get(id) || null;
+}
+
+/**
+ * Returns all devices bound to a 3CX extension.
+ *
+ * @function getDevicesForExtension
+ * @param {string} extension - The 3CX extension number.
+ * @returns {Array<object>} The devices bound to the extension.
+ */
+function getDevicesForExtension(extension) {
+  return listDevices().filter(
+    (device) => device.extension === String(extension)
+  );
+}
+
+/**
+ * Registers a new WLED device and persists the registry.
+ *
+ * @async
+ * @function addDevice
+ * @param {object} deviceInfo - The device to add.
+ * @param {string} deviceInfo.ipAddress - The device's IP address or hostname (optionally with a port).
+ * @param {string} deviceInfo.extension - The 3CX extension the device follows.
+ * @param {string} [deviceInfo.name] - A friendly name for the device.
+ * @returns {Promise<object>} The newly registered device.
+ * @throws {Error} If the IP address or extension is missing or invalid, or the address is already registered.
+ */
+async function addDevice({ ipAddress, extension, name } = {}) {
+  const address = typeof ipAddress === 'string' ? ipAddress.trim() : '';
+  if (!address || !ADDRESS_PATTERN.test(address)) {
+    throw new Error('A valid WLED IP address is required');
+  }
+
+  const ext = extension !== undefined ? String(extension).trim() : '';
+  if (!/^\d+$/.test(ext)) {
+    throw new Error('A numeric 3CX extension is required');
+  }
+
+  if (listDevices().some((device) => device.ipAddress === address)) {
+    throw new Error(`A WLED device at ${address} is already registered`);
+  }
+
+  const device = {
+    id: crypto.randomBytes(4).toString('hex'),
+    name: name ? String(name).trim() : `WLED ${address}`,
+    ipAddress: address,
+    extension: ext,
+    createdAt: new Date().toISOString(),
+  };
+
+  devices.set(device.id, device);
+  await saveDevices();
+  logger.info(
+    `Registered WLED device ${device.id} (${device.ipAddress}) for extension ${device.extension}`
+  );
+
+  return device;
+}
+
+/**
+ * Removes a WLED device from the registry and persists the change.
+ *
+ * @async
+ * @function removeDevice
+ * @param {string} id - The device ID.
+ * @returns {Promise<boolean>} True if the device was removed, false if it was not registered.
+ */
+async function removeDevice(id) {
+  if (!devices.has(id)) {
+    return false;
+  }
+
+  devices.delete(id);
+  deviceHealth.delete(id);
+  await saveDevices();
+  logger.info(`Removed WLED device ${id}`);
+
+  return true;
+}
+
+/**
+ * Records the outcome of the latest command sent to a device.
+ *
+ * @function setDeviceHealth
+ * @param {string} id - The device ID.
+ * @param {object} health - The health details.
+ * @param {boolean} health.connected - Whether the device responded.
+ * @param {string} [health.status] - The status the device is now showing.
+ * @param {string|null} [health.error] - The error message if the device did not respond.
+ */
+function setDeviceHealth(id, { connected, status, error = null }) {
+  const previous = deviceHealth.get(id) || {};
+  deviceHealth.set(id, {
+    connected,
+    status: status !== undefined ? status : previous.status || null,
+    error,
+    lastUpdated: new Date().toISOString(),
+  });
+}
+
+/**
+ * Returns the registered devices together with their latest health.
+ *
+ * @function getDeviceHealth
+ * @returns {Array<object>} Devices with `connected`, `status`, `error` and `lastUpdated` fields.
+ */
+function getDeviceHealth() {
+  return listDevices().map((device) => ({
+    ...device,
+    connected: null,
+    status: null,
+    error: null,
+    lastUpdated: null,
+    ...deviceHealth.get(device.id),
+  }));
+}
+
+module.exports = {
+  loadDevices,
+  listDevices,
+  getDevice,
+  getDevicesForExtension,
+  addDevice,
+  removeDevice,
+  setDeviceHealth,
+  getDeviceHealth,
+  config,
+};
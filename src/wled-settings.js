@@ -0,0 +1,110 @@
+/**
+ * WLED Settings Module
+ *
+ * Persists the brightness and transition time of the main WLED strip, so
+ * changes made from the control panel survive a restart. The values live in
+ * the WLED controller's config; this module validates changes, sends them to
+ * the device through the controller, and saves them to disk.
+ */
+
+require('dotenv').config();
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./json-file-store');
+const wledController = require('./wled-controller');
+
+// Configuration from environment variables
+const config = {
+  settingsFile: process.env.WLED_SETTINGS_FILE || 'wled-settings.json',
+};
+
+/**
+ * Returns the current brightness and transition time.
+ *
+ * @function getSettings
+ * @returns {{brightness: number, transition: number}} The current settings.
+ */
+function getSettings() {
+  return {
+    brightness: wledController.config.wled.brightness,
+    transition: wledController.config.wled.transition,
+  };
+}
+
+/**
+ * Validates WLED settings, merging them over the current settings.
+ *
+ * @function validateSettings
+ * @param {object} changes - The settings to change.
+ * @returns {{brightness: number, transition: number}} The complete, validated settings.
+ * @throws {Error} If any setting is invalid.
+ */
+function validateSettings(changes) {
+  const next = { ...getSettings(), ...changes };
+
+  next.brightness = Number(next.brightness);
+  if (!Number.isInteger(next.brightness) || next.brightness < 0 || next.brightness > 255) {
+    throw new Error('Brightness must be a whole number from 0 to 255');
+  }
+  next.transition = Number(next.transition);
+  if (!Number.isInteger(next.transition) || next.transition < 0 || next.transition > 65535) {
+    throw new Error('Transition must be a whole number of milliseconds from 0 to 65535');
+  }
+
+  return { brightness: next.brightness, transition: next.transition };
+}
+
+/**
+ * Loads the saved settings into the WLED controller's config, keeping the
+ * environment defaults if nothing was saved. Does not contact the device.
+ *
+ * @function loadSettings
+ * @returns {{brightness: number, transition: number}} The loaded settings.
+ */
+function loadSettings() {
+  try {
+    const settings = validateSettings(readJsonFile(config.settingsFile, {}));
+    wledController.config.wled.brightness = settings.brightness;
+    wledController.config.wled.transition = settings.transition;
+  } catch (error) {
+    logger.error(`Error loading WLED settings: ${error.message}`);
+  }
+
+  return getSettings();
+}
+
+/**
+ * Validates new settings, sends them to the main WLED strip and saves them
+ * once the device has accepted them.
+ *
+ * @async
+ * @function updateSettings
+ * @param {object} changes - The settings to change (brightness 0-255, transition in ms).
+ * @returns {Promise<{applied: boolean, settings: object}>} Whether the device accepted
+ *   the settings, and the settings now in effect.
+ * @throws {Error} If any setting is invalid.
+ */
+async function updateSettings(changes) {
+  const next = validateSettings(changes || {});
+
+  const results = await Promise.all([
+    wledController.setWLEDBrightness(next.brightness),
+    wledController.setWLEDTransition(next.transition),
+  ]);
+  const applied = results.every(Boolean);
+
+  if (applied) {
+    await writeJsonFile(config.settingsFile, next);
+    logger.info(`WLED settings updated: ${JSON.stringify(next)}`);
+  } else {
+    logger.warn('WLED device did not accept the new settings; not saving them');
+  }
+
+  return { applied, settings: getSettings() };
+}
+
+module.exports = {
+  getSettings,
+  loadSettings,
+  updateSettings,
+  config,
+};
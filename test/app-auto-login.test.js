@@ -0,0 +1,91 @@
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepareApp, startApp, stopApp } = require('./app-harness');
+const { openPage } = require('./jsdom-page');
+
+const dataDir = prepareApp('app-auto-login', {
+  STATUS_PROVIDERS: 'web-client',
+  SECRETS_KEY: 'app-auto-login-test-key',
+  THREECX_AUTO_LOGIN: 'true',
+  THREECX_MFA: 'dashboard',
+});
+
+const autoLogin = require('../src/auto-login');
+// The app drops the web client from the require cache when loaded, so it is loaded first
+require('../src/app');
+const webClient = require('../src/threecx-web-client-fixed');
+
+const LOGIN_PAGE = path.join(__dirname, 'fixtures', '3cx-login.html');
+
+let baseUrl = null;
+let providersStarted = null;
+let page = null;
+let loginResult = null;
+
+// The web client's startup up to its automatic login, with the login fixture instead of Chrome
+webClient.initialize = async () => {
+  page = openPage(LOGIN_PAGE);
+  page.window.loginFixture = { username: '100', password: 's3cret', codes: ['135790'] };
+  loginResult = autoLogin.login(page, async () => !page.document.querySelector('[data-qa="dashboard"]'));
+  return loginResult;
+};
+
+/**
+ * Calls the application's API.
+ *
+ * @async
+ * @function api
+ * @param {string} method - The HTTP method.
+ * @param {string} route - The route, e.g. '/api/auto-login'.
+ * @param {object} [body] - The JSON body.
+ * @returns {Promise<object>} `{ status, body }`.
+ */
+async function api(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// The server must not wait for the providers, which wait for the code
+before(
+  async () => {
+    autoLogin.config.stepTimeout = 1000;
+    autoLogin.config.mfaFieldTimeout = 200;
+    await autoLogin.saveCredentials({ username: '100', password: 's3cret' });
+    ({ baseUrl, providersStarted } = await startApp());
+  },
+  { timeout: 10000 }
+);
+
+after(async () => {
+  page.close();
+  await stopApp(dataDir, providersStarted);
+});
+
+test('the dashboard code is entered through the API while the web client starts', async () => {
+  // The server answers while the providers are still initializing
+  assert.ok(loginResult, 'the web client is initializing');
+  let prompt = null;
+  for (let attempt = 0; attempt < 100 && !prompt; attempt += 1) {
+    ({ prompt } = (await api('GET', '/api/auto-login')).body);
+    if (!prompt) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  }
+  assert.ok(prompt, 'the login asks the dashboard for a code');
+
+  const { status, body } = await api('POST', '/api/auto-login/mfa', { code: '135790' });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(await loginResult, true);
+  assert.strictEqual(await providersStarted, 1);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(page.window.submissions)), [
+    { username: '100', password: 's3cret' },
+    { code: '135790' },
+  ]);
+});
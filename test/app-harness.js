@@ -0,0 +1,101 @@
+/**
+ * App Harness
+ *
+ * Runs the application in a test: every data file goes to a temporary
+ * directory, the server listens on a free port, and everything `main()`
+ * starts is stopped again afterwards. Call `prepareApp()` before requiring
+ * any module of the application, since they read their configuration when
+ * loaded.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Data files of the application, by environment variable
+const DATA_FILES = {
+  WLED_SETTINGS_FILE: 'wled-settings.json',
+  WLED_DEVICES_FILE: 'wled-devices.json',
+  WLED_TEAM_WALL_FILE: 'team-wall.json',
+  WLED_QUEUE_PRESSURE_FILE: 'queue-pressure.json',
+  STATUS_PROFILES_FILE: 'status-profiles.json',
+  STATUS_OVERRIDE_FILE: 'status-override.json',
+  STATUS_HISTORY_FILE: 'status-history.jsonl',
+  CALL_STATS_HISTORY_FILE: 'call-stats-history.json',
+  OFFICE_HOURS_FILE: 'office-hours.json',
+  AUTH_USERS_FILE: 'users.json',
+  WEBHOOKS_FILE: 'webhooks.json',
+  AUDIT_LOG_FILE: 'audit-log.jsonl',
+  SECRETS_FILE: 'secrets.enc.json',
+  SECRETS_KEY_FILE: 'secrets.key',
+};
+
+/**
+ * Points the application at a new temporary directory and a free port.
+ *
+ * @function prepareApp
+ * @param {string} name - Prefix of the temporary directory.
+ * @param {object} [env={}] - Further environment variables for the test.
+ * @returns {string} The temporary directory.
+ */
+function prepareApp(name, env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+
+  Object.entries(DATA_FILES).forEach(([variable, file]) => {
+    process.env[variable] = path.join(dataDir, file);
+  });
+  Object.assign(process.env, {
+    LOG_LEVEL: 'silent',
+    SERVER_PORT: '0',
+    AUTH_MODE: 'none',
+    WLED_IP_ADDRESS: '',
+    MQTT_URL: '',
+    ...env,
+  });
+
+  return dataDir;
+}
+
+/**
+ * Starts the application.
+ *
+ * @async
+ * @function startApp
+ * @returns {Promise<object>} `{ baseUrl, providersStarted }`: the server's URL (e.g., 'http://127.0.0.1:41234')
+ *   and the promise from `main()` that resolves once the providers are initialized.
+ */
+async function startApp() {
+  const { main, server } = require('../src/app');
+  const { providersStarted } = await main();
+  return { baseUrl: `http://127.0.0.1:${server.address().port}`, providersStarted };
+}
+
+/**
+ * Stops what `startApp()` started, once the providers are initialized, and
+ * removes the temporary directory.
+ *
+ * @async
+ * @function stopApp
+ * @param {string} dataDir - The directory from `prepareApp()`.
+ * @param {Promise<number>} providersStarted - The promise from `startApp()`.
+ */
+async function stopApp(dataDir, providersStarted) {
+  const { server } = require('../src/app');
+  const statusProviders = require('../src/providers');
+  const officeHours = require('../src/office-hours');
+  const statusHistory = require('../src/status-history');
+
+  await providersStarted;
+  officeHours.stopSchedule();
+  await statusProviders.stopProviders();
+  await statusHistory.stopHistory();
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  prepareApp,
+  startApp,
+  stopApp,
+};
@@ -0,0 +1,132 @@
+const EventEmitter = require('events');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { prepareApp, startApp, stopApp } = require('./app-harness');
+
+const dataDir = prepareApp('app-remote-login', {
+  STATUS_PROVIDERS: 'web-client',
+  THREECX_REMOTE_LOGIN: 'true',
+});
+
+const remoteLogin = require('../src/remote-login');
+// The app drops the web client from the require cache when loaded, so it is loaded first
+require('../src/app');
+const webClient = require('../src/threecx-web-client-fixed');
+
+/**
+ * Creates a stand-in for the headless login page: its screencast sends one
+ * frame, and typing the password logs it in.
+ *
+ * @function fakeLoginPage
+ * @returns {object} The page, with `sent` listing the CDP commands and `typed` the text typed.
+ */
+function fakeLoginPage() {
+  let loggedIn = null;
+  const page = {
+    sent: [],
+    typed: [],
+    loggedIn: new Promise((resolve) => {
+      loggedIn = resolve;
+    }),
+    createCDPSession: async () => {
+      const session = new EventEmitter();
+      session.send = async (method) => {
+        page.sent.push(method);
+        if (method === 'Page.startScreencast') {
+          setImmediate(() =>
+            session.emit('Page.screencastFrame', { data: 'frame-1', metadata: { deviceWidth: 1280 }, sessionId: 1 })
+          );
+        }
+      };
+      session.detach = async () => {};
+      return session;
+    },
+    keyboard: {
+      type: async (text) => {
+        page.typed.push(text);
+        if (text === 's3cret') {
+          loggedIn(true);
+        }
+      },
+    },
+  };
+  return page;
+}
+
+const loginPage = fakeLoginPage();
+let initializing = false;
+
+// The web client's startup when its saved session expired: it waits for the remote login
+webClient.initialize = async () => {
+  initializing = true;
+  await remoteLogin.beginLogin(loginPage);
+  const success = await loginPage.loggedIn;
+  await remoteLogin.endLogin(loginPage, success);
+  return success;
+};
+
+let baseUrl = null;
+let providersStarted = null;
+let socket = null;
+const messages = [];
+
+/**
+ * Waits for a WebSocket message from the app.
+ *
+ * @async
+ * @function waitForMessage
+ * @param {function(object): boolean} predicate - Selects the message.
+ * @returns {Promise<object>} The first message, received so far or later, that matches.
+ */
+async function waitForMessage(predicate) {
+  for (let attempt = 0; attempt < 200; attempt += 1) {
+    const message = messages.find(predicate);
+    if (message) {
+      return message;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('No matching WebSocket message');
+}
+
+// The server must not wait for the providers, which wait for the login
+before(
+  async () => {
+    ({ baseUrl, providersStarted } = await startApp());
+    socket = new WebSocket(baseUrl.replace('http', 'ws'));
+    socket.on('message', (data) => messages.push(JSON.parse(data)));
+    await new Promise((resolve) => socket.once('open', resolve));
+  },
+  { timeout: 10000 }
+);
+
+after(async () => {
+  socket.close();
+  await stopApp(dataDir, providersStarted);
+});
+
+test('an admin watches and finishes the login while the web client initializes', async () => {
+  assert.ok(initializing, 'the web client is initializing');
+  await waitForMessage((message) => message.type === 'remoteLogin' && message.event === 'waiting');
+
+  socket.send(JSON.stringify({ type: 'remoteLoginWatch', watch: true }));
+  const frame = await waitForMessage((message) => message.type === 'remoteLoginFrame');
+  assert.strictEqual(frame.data, 'frame-1');
+  assert.strictEqual(remoteLogin.getRemoteLoginState().viewers, 1);
+
+  socket.send(JSON.stringify({ type: 'remoteLoginInput', input: { type: 'text', text: 's3cret' } }));
+
+  const completed = await waitForMessage((message) => message.type === 'remoteLogin' && message.event === 'completed');
+  assert.strictEqual(completed.waiting, false);
+  assert.strictEqual(await providersStarted, 1);
+  assert.deepStrictEqual(loginPage.typed, ['s3cret']);
+  assert.deepStrictEqual(loginPage.sent, ['Page.startScreencast', 'Page.screencastFrameAck', 'Page.stopScreencast']);
+});
+
+test('input is refused once no login is waiting', async () => {
+  socket.send(JSON.stringify({ type: 'remoteLoginInput', input: { type: 'key', key: 'Enter' } }));
+
+  const refused = await waitForMessage((message) => message.type === 'remoteLogin' && message.event === 'error');
+  assert.strictEqual(refused.error, 'No 3CX login is waiting');
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepareApp } = require('./app-harness');
+
+const dataDir = prepareApp('audit-log', {
+  AUTH_MODE: 'local',
+  AUTH_ADMIN_USERNAME: 'admin',
+  AUTH_ADMIN_PASSWORD: 'first-admin-password',
+});
+
+const { app } = require('../src/app');
+const auth = require('../src/auth');
+const auditLog = require('../src/audit-log');
+
+let server = null;
+let baseUrl = null;
+let cookie = null;
+
+/**
+ * Calls the application's API, signed in once `cookie` is set.
+ *
+ * @async
+ * @function api
+ * @param {string} method - The HTTP method.
+ * @param {string} route - The route, e.g. '/api/audit'.
+ * @param {object} [body] - The JSON body.
+ * @returns {Promise<object>} `{ status, body }`, with the body as text unless it is JSON.
+ */
+async function api(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(cookie && { Cookie: cookie }) },
+    body: body && JSON.stringify(body),
+  });
+  const json = (response.headers.get('content-type') || '').includes('json');
+  return { status: response.status, body: json ? await response.json() : await response.text() };
+}
+
+/**
+ * Waits until the audit log has a number of entries; they are written once the response is sent.
+ *
+ * @async
+ * @function waitForEntries
+ * @param {number} count - The number of entries.
+ * @returns {Promise<Array<object>>} The entries.
+ */
+async function waitForEntries(count) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const entries = await auditLog.queryAudit();
+    if (entries.length >= count) {
+      return entries;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`The audit log does not have ${count} entries`);
+}
+
+before(async () => {
+  await auth.loadUsers();
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('sign-ins and changes are recorded with who made them, without secrets', async () => {
+  assert.strictEqual((await api('POST', '/api/login', { username: 'admin', password: 'guess' })).status, 401);
+  const response = await fetch(`${baseUrl}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'first-admin-password' }),
+  });
+  [cookie] = response.headers.get('set-cookie').split(';');
+  assert.strictEqual((await api('POST', '/api/wled/settings', { brightness: 999 })).status, 400);
+
+  const entries = await waitForEntries(3);
+
+  assert.deepStrictEqual(
+    entries.map(({ action, actor, role, ip, channel, payload, outcome, statusCode }) => ({
+      action,
+      actor,
+      role,
+      ip,
+      channel,
+      payload,
+      outcome,
+      statusCode,
+    })),
+    [
+      {
+        action: 'user.login',
+        actor: 'admin',
+        role: null,
+        ip: '127.0.0.1',
+        channel: 'http',
+        payload: { username: 'admin', password: '[redacted]' },
+        outcome: 'failure',
+        statusCode: 401,
+      },
+      {
+        action: 'user.login',
+        actor: 'admin',
+        role: null,
+        ip: '127.0.0.1',
+        channel: 'http',
+        payload: { username: 'admin', password: '[redacted]' },
+        outcome: 'success',
+        statusCode: 200,
+      },
+      {
+        action: 'wled.settings',
+        actor: 'admin',
+        role: 'admin',
+        ip: '127.0.0.1',
+        channel: 'http',
+        payload: { brightness: 999 },
+        outcome: 'failure',
+        statusCode: 400,
+      },
+    ]
+  );
+  assert.ok(!fs.readFileSync(process.env.AUDIT_LOG_FILE, 'utf8').includes('first-admin-password'));
+});
+
+test('secret fields are redacted at any depth', () => {
+  assert.deepStrictEqual(
+    auditLog.redact({ credentials: { username: '100', password: 'x' }, webhooks: [{ secret: 'y' }], code: '123456' }),
+    { credentials: { username: '100', password: '[redacted]' }, webhooks: [{ secret: '[redacted]' }], code: '[redacted]' }
+  );
+});
+
+test('admins query the log by action and export it as CSV', async () => {
+  await auditLog.recordAction({ action: 'teamMember.status', actor: 'admin', target: '=HYPERLINK("x")' });
+
+  const logins = await api('GET', '/api/audit?action=user');
+  assert.deepStrictEqual(
+    logins.body.entries.map(({ outcome }) => outcome),
+    ['failure', 'success']
+  );
+  assert.strictEqual((await api('GET', '/api/audit?from=yesterday')).status, 400);
+
+  const csv = await api('GET', '/api/audit?format=csv&action=teamMember&limit=1');
+  const [header, row] = csv.body.trim().split('\r\n');
+  assert.strictEqual(header, auditLog.CSV_COLUMNS.join(','));
+  assert.match(row, /,teamMember\.status,admin,,,http,"'=HYPERLINK\(""x""\)",success,,$/);
+
+  cookie = null;
+  assert.strictEqual((await api('GET', '/api/audit')).status, 401);
+});
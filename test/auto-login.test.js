@@ -0,0 +1,156 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, afterEach, after } = require('node:test');
+const assert = require('node:assert');
+const { openPage } = require('./jsdom-page');
+
+const LOGIN_PAGE = path.join(__dirname, 'fixtures', '3cx-login.html');
+const TOTP_SECRET = 'JBSWY3DPEHPK3PXP';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-login-'));
+process.env.SECRETS_FILE = path.join(dataDir, 'secrets.enc.json');
+process.env.SECRETS_KEY = 'auto-login-test-key';
+process.env.THREECX_AUTO_LOGIN = 'true';
+delete process.env.THREECX_MFA;
+
+const autoLogin = require('../src/auto-login');
+
+let page = null;
+// Code the dashboard "user" enters when a prompt appears, or null to let it expire
+let dashboardCode = null;
+const promptEvents = [];
+
+/**
+ * Opens the login fixture, accepting the given credentials and codes.
+ *
+ * @function openLoginPage
+ * @param {object} fixture - `{ username, password, codes }` for the page.
+ * @param {string} [hash=''] - '#two-step' to ask for the password on its own page.
+ * @returns {object} The page.
+ */
+function openLoginPage(fixture, hash = '') {
+  page = openPage(LOGIN_PAGE, { url: `https://3cx.example/${hash}` });
+  page.window.loginFixture = fixture;
+  return page;
+}
+
+/**
+ * Lists the steps the fixture received, copied out of the page's window.
+ *
+ * @function submissions
+ * @returns {Array<object>} The submitted values per step.
+ */
+function submissions() {
+  return JSON.parse(JSON.stringify(page.window.submissions));
+}
+
+/**
+ * The web client's login check, for the fixture: logged in once the dashboard shows.
+ *
+ * @async
+ * @function checkIfLoginRequired
+ * @returns {Promise<boolean>} True while the page is not signed in.
+ */
+async function checkIfLoginRequired() {
+  return !page.document.querySelector('[data-qa="dashboard"]');
+}
+
+before(() => {
+  autoLogin.config.stepTimeout = 1000;
+  autoLogin.config.mfaFieldTimeout = 200;
+  autoLogin.onMfaPrompt(({ event }) => {
+    promptEvents.push(event);
+    if (event === 'requested' && dashboardCode) {
+      setImmediate(() => autoLogin.submitMfaCode(dashboardCode));
+    }
+  });
+});
+
+afterEach(() => {
+  page.close();
+  promptEvents.length = 0;
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('logs in with the stored credentials and a TOTP code', async () => {
+  await autoLogin.saveCredentials({ username: '100', password: 's3cret', totpSecret: TOTP_SECRET });
+  const now = Date.now();
+  const codes = [now - 30000, now, now + 30000].map((time) => autoLogin.generateTotp(TOTP_SECRET, time));
+  openLoginPage({ username: '100', password: 's3cret', codes });
+
+  assert.strictEqual(await autoLogin.login(page, checkIfLoginRequired), true);
+
+  const [credentials, mfa] = submissions();
+  assert.deepStrictEqual(credentials, { username: '100', password: 's3cret' });
+  assert.ok(codes.includes(mfa.code), `${mfa.code} is a current TOTP code`);
+  assert.deepStrictEqual(promptEvents, [], 'the dashboard is not asked for a code');
+  const { lastAttempt } = await autoLogin.getAutoLoginState();
+  assert.strictEqual(lastAttempt.success, true);
+  assert.strictEqual(lastAttempt.error, null);
+});
+
+test('asks for the password on a second page and for the code on the dashboard', async () => {
+  await autoLogin.saveCredentials({ username: 'ada@example.com', password: 's3cret' });
+  dashboardCode = '246810';
+  openLoginPage({ username: 'ada@example.com', password: 's3cret', codes: ['246810'] }, '#two-step');
+
+  assert.strictEqual(await autoLogin.login(page, checkIfLoginRequired), true);
+
+  assert.deepStrictEqual(submissions(), [
+    { loginfmt: 'ada@example.com' },
+    { passwd: 's3cret' },
+    { code: '246810' },
+  ]);
+  assert.deepStrictEqual(promptEvents, ['requested', 'answered']);
+  assert.strictEqual(autoLogin.getMfaPrompt(), null);
+});
+
+test('logs in without a second factor when none is asked for', async () => {
+  openLoginPage({ username: 'ada@example.com', password: 's3cret' });
+
+  assert.strictEqual(await autoLogin.login(page, checkIfLoginRequired), true);
+  assert.strictEqual(submissions().length, 1);
+  assert.deepStrictEqual(promptEvents, []);
+});
+
+test('fails when the page refuses the password', async () => {
+  openLoginPage({ username: 'ada@example.com', password: 'changed' });
+
+  assert.strictEqual(await autoLogin.login(page, checkIfLoginRequired), false);
+
+  assert.match(page.document.querySelector('[role="alert"]').textContent, /Invalid username or password/);
+  const { lastAttempt } = await autoLogin.getAutoLoginState();
+  assert.strictEqual(lastAttempt.success, false);
+  assert.strictEqual(lastAttempt.error, 'Still on the login page after submitting the credentials');
+});
+
+test('fails when no code is entered on the dashboard in time', async () => {
+  const { mfaTimeout } = autoLogin.config;
+  autoLogin.config.mfaTimeout = 100;
+  dashboardCode = null;
+  openLoginPage({ username: 'ada@example.com', password: 's3cret', codes: ['246810'] });
+
+  try {
+    assert.strictEqual(await autoLogin.login(page, checkIfLoginRequired), false);
+  } finally {
+    autoLogin.config.mfaTimeout = mfaTimeout;
+  }
+
+  assert.deepStrictEqual(promptEvents, ['requested', 'expired']);
+  assert.match((await autoLogin.getAutoLoginState()).lastAttempt.error, /No code was entered on the dashboard/);
+});
+
+test('fails without stored credentials', async () => {
+  await autoLogin.removeCredentials();
+  openLoginPage({ username: 'ada@example.com', password: 's3cret' });
+
+  assert.strictEqual(await autoLogin.login(page, checkIfLoginRequired), false);
+  assert.deepStrictEqual(submissions(), []);
+  assert.strictEqual((await autoLogin.getAutoLoginState()).lastAttempt.error, 'No 3CX credentials are stored');
+});
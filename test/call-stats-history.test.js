@@ -0,0 +1,86 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-stats-history-'));
+process.env.CALL_STATS_HISTORY_FILE = path.join(dataDir, 'call-stats-history.json');
+
+const callStatsHistory = require('../src/call-stats-history');
+
+// A local day two days ago, so every sample is inside the retention windows
+const today = new Date();
+const DAY_START = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 2).getTime();
+const MINUTE = 60 * 1000;
+
+/**
+ * Returns a time on the test day.
+ *
+ * @function at
+ * @param {number} hours - Hour of the day.
+ * @param {number} minutes - Minute of the hour.
+ * @param {number} [seconds=0] - Second of the minute.
+ * @returns {number} The time in milliseconds.
+ */
+function at(hours, minutes, seconds = 0) {
+  return DAY_START + (hours * 60 + minutes) * MINUTE + seconds * 1000;
+}
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('samples are averaged per minute, hour and day, with the maximum of each', () => {
+  // Minute buckets of the test day are kept until the next test
+  callStatsHistory.config.retention.minute = 3 * 24 * 60 * MINUTE;
+  callStatsHistory.loadHistory();
+  callStatsHistory.recordCallStats({ waitingCalls: 2, servicedCalls: 10, averageWaiting: '00:30' }, at(9, 0, 10));
+  callStatsHistory.recordCallStats({ waitingCalls: 4, servicedCalls: 11, averageWaiting: '00:50' }, at(9, 0, 40));
+  callStatsHistory.recordCallStats({ waitingCalls: 0, servicedCalls: 12, averageWaiting: '01:10' }, at(9, 1));
+  callStatsHistory.recordCallStats({ waitingCalls: 1, servicedCalls: 20, abandonedCalls: 'n/a' }, at(10, 5));
+
+  const range = { from: new Date(at(0, 0)).toISOString(), to: new Date(at(23, 59)).toISOString() };
+  const points = (resolution) =>
+    callStatsHistory
+      .getSeries({ ...range, resolution })
+      .map(({ timestamp, samples, average, max }) => ({
+        start: new Date(timestamp).getTime(),
+        samples,
+        waiting: average.waitingCalls,
+        maxWaiting: max.waitingCalls,
+        averageWaitingSeconds: average.averageWaitingSeconds,
+      }));
+
+  assert.deepStrictEqual(points('minute'), [
+    { start: at(9, 0), samples: 2, waiting: 3, maxWaiting: 4, averageWaitingSeconds: 40 },
+    { start: at(9, 1), samples: 1, waiting: 0, maxWaiting: 0, averageWaitingSeconds: 70 },
+    { start: at(10, 5), samples: 1, waiting: 1, maxWaiting: 1, averageWaitingSeconds: 0 },
+  ]);
+  assert.deepStrictEqual(points('hour'), [
+    { start: at(9, 0), samples: 3, waiting: 2, maxWaiting: 4, averageWaitingSeconds: 50 },
+    { start: at(10, 0), samples: 1, waiting: 1, maxWaiting: 1, averageWaitingSeconds: 0 },
+  ]);
+  assert.deepStrictEqual(points('day'), [
+    { start: at(0, 0), samples: 4, waiting: 1.8, maxWaiting: 4, averageWaitingSeconds: 37.5 },
+  ]);
+});
+
+test('the series survives a restart, without buckets past their retention', async () => {
+  callStatsHistory.recordCallStats({ waitingCalls: 3 }, Date.now() - 60 * MINUTE);
+  assert.strictEqual(await callStatsHistory.saveHistory(), true);
+  callStatsHistory.config.retention.minute = 24 * 60 * MINUTE;
+
+  assert.strictEqual(callStatsHistory.loadHistory(), 1, 'minute buckets older than a day are dropped');
+  assert.deepStrictEqual(
+    callStatsHistory.getSeries({ resolution: 'hour' }).map(({ samples }) => samples),
+    [3, 1, 1]
+  );
+});
+
+test('queries with an unknown resolution or invalid dates are refused', () => {
+  assert.throws(() => callStatsHistory.getSeries({ resolution: 'week' }), /Resolution must be one of: minute, hour, day/);
+  assert.throws(() => callStatsHistory.getSeries({ from: 'yesterday' }), /"from" and "to" must be valid dates/);
+});
@@ -0,0 +1,80 @@
+/**
+ * Fake WLED Device
+ *
+ * Answers the parts of the WLED JSON API the app uses: `GET /json` returns
+ * the device info and segments, `GET /json/effs` and `GET /json/pals` its
+ * effect and palette names, and `POST /json` records the state sent to it.
+ * Setting `down` makes the device answer every request with 503.
+ */
+
+const http = require('http');
+
+/**
+ * Starts a fake WLED device on a free port.
+ *
+ * @async
+ * @function startFakeWled
+ * @param {object} [options] - Options.
+ * @param {number} [options.leds=30] - The number of LEDs on the strip.
+ * @returns {Promise<object>} `{ address, posts, device, close }`: the `host:port` to use as the
+ *   device's IP address, the bodies posted so far (oldest first), the mutable device (`down`, `seg`,
+ *   `effects`, `palettes`), and a function that stops the server.
+ */
+async function startFakeWled({ leds = 30 } = {}) {
+  const posts = [];
+  const device = {
+    down: false,
+    seg: [{ id: 0, start: 0, stop: leds }],
+    effects: ['Solid', 'Blink', 'Breathe', 'RSVD', 'Wipe'],
+    palettes: ['Default', '-', 'Party'],
+  };
+  const lists = { '/json/effs': 'effects', '/json/pals': 'palettes' };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (device.down) {
+        res.statusCode = 503;
+        res.end('{}');
+        return;
+      }
+      if (lists[req.url]) {
+        res.end(JSON.stringify(device[lists[req.url]]));
+        return;
+      }
+      if (req.url !== '/json') {
+        res.statusCode = 404;
+        res.end('{}');
+        return;
+      }
+
+      if (req.method === 'POST') {
+        posts.push(JSON.parse(body));
+        res.end(JSON.stringify({ success: true }));
+        return;
+      }
+      res.end(
+        JSON.stringify({
+          state: { on: true, seg: device.seg },
+          info: { ver: '0.14.4', leds: { count: leds } },
+        })
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    address: `127.0.0.1:${server.address().port}`,
+    posts,
+    device,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  startFakeWled,
+};
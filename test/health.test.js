@@ -0,0 +1,117 @@
+process.env.LOG_LEVEL = 'silent';
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startMock3cxServer } = require('./mock-3cx-server');
+
+let mock;
+let wled;
+let wledUp = true;
+let health;
+let statusProviders;
+
+/**
+ * Checks readiness until a report matches.
+ *
+ * @async
+ * @function waitForReadiness
+ * @param {function(object): boolean} predicate - Called with each readiness report.
+ * @returns {Promise<object>} The first matching report.
+ */
+async function waitForReadiness(predicate) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const report = await health.checkReadiness();
+    if (predicate(report)) {
+      return report;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('No matching readiness report');
+}
+
+before(async () => {
+  mock = await startMock3cxServer();
+  wled = http.createServer((req, res) => {
+    res.statusCode = wledUp ? 200 : 503;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ info: { ver: '0.14.4' } }));
+  });
+  await new Promise((resolve) => wled.listen(0, '127.0.0.1', resolve));
+
+  Object.assign(process.env, {
+    THREECX_API_URL: mock.url,
+    THREECX_API_CLIENT_ID: mock.clientId,
+    THREECX_API_CLIENT_SECRET: mock.clientSecret,
+    THREECX_API_EXTENSION: '100',
+    THREECX_REFRESH_INTERVAL: '3600000',
+    WLED_IP_ADDRESS: `127.0.0.1:${wled.address().port}`,
+  });
+  health = require('../src/health');
+  statusProviders = require('../src/providers');
+  require('../src/threecx-call-control-client').config.eventDebounce = 10;
+
+  statusProviders.loadProviders(['call-control']);
+  const connected = new Promise((resolve) => mock.wss.once('connection', resolve));
+  assert.strictEqual(await statusProviders.startProviders(() => {}), 1);
+  // Refreshes are triggered with Call Control events
+  await connected;
+});
+
+after(async () => {
+  await statusProviders.stopProviders();
+  await mock.close();
+  await new Promise((resolve) => wled.close(resolve));
+});
+
+test('ready once the providers collected a status and the strip answers', async () => {
+  const report = await waitForReadiness(({ status }) => status === 'ok');
+
+  assert.deepStrictEqual(Object.keys(report.components).sort(), [
+    'call-control',
+    'call-control.events',
+    'call-control.lastScrape',
+    'call-control.session',
+    'wled',
+  ]);
+  assert.ok(report.components['call-control.lastScrape'].lastSuccessAt);
+  assert.strictEqual(report.components.wled.version, '0.14.4');
+});
+
+test('status collections that keep failing make the app unready and not alive until one succeeds', async () => {
+  const { lastSuccessAt } = (await health.checkReadiness()).components['call-control.lastScrape'];
+  health.config.maxScrapeAge = 0.2;
+  mock.state.down = true;
+  mock.sendEvent({ event: { entity: '/callcontrol/100', event_type: 0 } });
+
+  try {
+    const stale = await waitForReadiness(({ status }) => status === 'fail');
+
+    assert.strictEqual(stale.components['call-control.lastScrape'].status, 'fail');
+    assert.strictEqual(stale.components['call-control.lastScrape'].lastSuccessAt, lastSuccessAt);
+    assert.strictEqual(stale.components['call-control.session'].status, 'ok');
+    assert.strictEqual(stale.components.wled.status, 'ok');
+    assert.strictEqual((await health.checkLiveness()).status, 'fail');
+
+    mock.state.down = false;
+    mock.sendEvent({ event: { entity: '/callcontrol/100', event_type: 0 } });
+    const recovered = await waitForReadiness(({ status }) => status === 'ok');
+    assert.notStrictEqual(recovered.components['call-control.lastScrape'].lastSuccessAt, lastSuccessAt);
+  } finally {
+    mock.state.down = false;
+    health.config.maxScrapeAge = 120;
+  }
+});
+
+test('an unreachable strip makes the app unready but not dead', async () => {
+  wledUp = false;
+  try {
+    const report = await health.checkReadiness();
+
+    assert.strictEqual(report.status, 'fail');
+    assert.deepStrictEqual(report.components.wled, { status: 'fail', error: 'WLED device did not answer' });
+    assert.strictEqual((await health.checkLiveness()).status, 'ok');
+  } finally {
+    wledUp = true;
+  }
+});
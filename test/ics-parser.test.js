@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseIcs, expandEvents, findBusyEvents } = require('../src/ics-parser');
+
+/**
+ * Wraps VEVENT lines into a calendar and parses it.
+ *
+ * @function calendar
+ * @param {...Array<string>} events - The lines of each event, without BEGIN/END:VEVENT.
+ * @returns {Array<object>} The events from `parseIcs()`.
+ */
+function calendar(...events) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0'];
+  events.forEach((event) => lines.push('BEGIN:VEVENT', ...event, 'END:VEVENT'));
+  lines.push('END:VCALENDAR');
+  return parseIcs(lines.join('\r\n'));
+}
+
+/**
+ * Lists the start days of the occurrences in a range.
+ *
+ * @function startDays
+ * @param {Array<object>} events - Events from `parseIcs()`.
+ * @param {string} from - Start of the range (ISO 8601).
+ * @param {string} to - End of the range (ISO 8601).
+ * @returns {Array<string>} `YYYY-MM-DD` per occurrence.
+ */
+function startDays(events, from, to) {
+  return expandEvents(events, new Date(from), new Date(to)).map((occurrence) =>
+    occurrence.start.toISOString().slice(0, 10)
+  );
+}
+
+test('weekly rules take each listed weekday, every INTERVAL weeks from the week of DTSTART', () => {
+  const events = calendar([
+    'UID:standup',
+    'DTSTART:20260803T090000Z',
+    'DURATION:PT15M',
+    'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=5',
+  ]);
+
+  assert.deepStrictEqual(startDays(events, '2026-08-01', '2026-12-31'), [
+    '2026-08-03',
+    '2026-08-06',
+    '2026-08-17',
+    '2026-08-20',
+    '2026-08-31',
+  ]);
+});
+
+test('monthly ordinal weekdays land on the right day of each month', () => {
+  const events = calendar([
+    'UID:review',
+    'DTSTART:20260811T140000Z',
+    'DTEND:20260811T150000Z',
+    'RRULE:FREQ=MONTHLY;BYDAY=2TU',
+  ]);
+
+  assert.deepStrictEqual(startDays(events, '2026-08-01', '2026-12-31'), [
+    '2026-08-11',
+    '2026-09-08',
+    '2026-10-13',
+    '2026-11-10',
+    '2026-12-08',
+  ]);
+  assert.strictEqual(findBusyEvents(events, new Date('2026-09-08T14:30:00Z')).length, 1);
+  assert.strictEqual(findBusyEvents(events, new Date('2026-09-13T14:30:00Z')).length, 0);
+});
+
+test('last weekdays, month days from the end and BYSETPOS are expanded', () => {
+  const lastFriday = calendar(['UID:a', 'DTSTART:20260828T100000Z', 'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3']);
+  const lastWorkday = calendar([
+    'UID:b',
+    'DTSTART:20260831T100000Z',
+    'RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3',
+  ]);
+  const payday = calendar(['UID:c', 'DTSTART:20260815T100000Z', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=15,-1;COUNT=4']);
+  const thanksgiving = calendar(['UID:d', 'DTSTART:20261126T100000Z', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=4TH']);
+
+  assert.deepStrictEqual(startDays(lastFriday, '2026-08-01', '2027-01-01'), ['2026-08-28', '2026-09-25', '2026-10-30']);
+  assert.deepStrictEqual(startDays(lastWorkday, '2026-08-01', '2027-01-01'), ['2026-08-31', '2026-09-30', '2026-10-30']);
+  assert.deepStrictEqual(startDays(payday, '2026-08-01', '2027-01-01'), ['2026-08-15', '2026-08-31', '2026-09-15', '2026-09-30']);
+  assert.deepStrictEqual(startDays(thanksgiving, '2026-01-01', '2028-01-01'), ['2026-11-26', '2027-11-25']);
+});
+
+test('a monthly rule without BYDAY skips months without the day', () => {
+  const events = calendar(['UID:e', 'DTSTART:20260131T100000Z', 'RRULE:FREQ=MONTHLY;COUNT=4']);
+
+  assert.deepStrictEqual(startDays(events, '2026-01-01', '2027-01-01'), ['2026-01-31', '2026-03-31', '2026-05-31', '2026-07-31']);
+});
+
+test('EXDATE removes occurrences, also with a TZID', () => {
+  const events = calendar([
+    'UID:daily',
+    'DTSTART;TZID=Europe/Berlin:20260707T090000',
+    'DURATION:PT30M',
+    'RRULE:FREQ=DAILY;COUNT=5',
+    'EXDATE;TZID=Europe/Berlin:20260708T090000,20260710T090000',
+  ]);
+
+  const occurrences = expandEvents(events, new Date('2026-07-01'), new Date('2026-08-01'));
+  assert.deepStrictEqual(
+    occurrences.map((occurrence) => occurrence.start.toISOString()),
+    ['2026-07-07T07:00:00.000Z', '2026-07-09T07:00:00.000Z', '2026-07-11T07:00:00.000Z']
+  );
+});
+
+test('RECURRENCE-ID events replace the occurrence they move or cancel', () => {
+  const events = calendar(
+    ['UID:weekly', 'SUMMARY:Planning', 'DTSTART:20260803T100000Z', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;COUNT=3'],
+    [
+      'UID:weekly',
+      'SUMMARY:Planning (moved)',
+      'RECURRENCE-ID:20260810T100000Z',
+      'DTSTART:20260811T150000Z',
+      'DURATION:PT1H',
+    ],
+    ['UID:weekly', 'SUMMARY:Planning', 'RECURRENCE-ID:20260817T100000Z', 'DTSTART:20260817T100000Z', 'STATUS:CANCELLED']
+  );
+
+  const occurrences = expandEvents(events, new Date('2026-08-01'), new Date('2026-09-01'));
+  assert.deepStrictEqual(
+    occurrences.map((occurrence) => [occurrence.start.toISOString(), occurrence.summary, occurrence.busy]),
+    [
+      ['2026-08-03T10:00:00.000Z', 'Planning', true],
+      ['2026-08-11T15:00:00.000Z', 'Planning (moved)', true],
+      ['2026-08-17T10:00:00.000Z', 'Planning', false],
+    ]
+  );
+  assert.strictEqual(findBusyEvents(events, new Date('2026-08-10T10:30:00Z')).length, 0);
+});
+
+test('unsupported rules are kept as the first occurrence and reported', () => {
+  const [hourly, byWeekNo] = calendar(
+    ['UID:f', 'DTSTART:20260803T100000Z', 'RRULE:FREQ=HOURLY;COUNT=3'],
+    ['UID:g', 'DTSTART:20260803T100000Z', 'RRULE:FREQ=YEARLY;BYWEEKNO=20;BYDAY=MO']
+  );
+
+  assert.strictEqual(hourly.rule, null);
+  assert.strictEqual(hourly.unsupportedRule, 'FREQ=HOURLY;COUNT=3');
+  assert.strictEqual(byWeekNo.unsupportedRule, 'FREQ=YEARLY;BYWEEKNO=20;BYDAY=MO');
+  assert.deepStrictEqual(startDays([hourly, byWeekNo], '2026-08-01', '2027-01-01'), ['2026-08-03', '2026-08-03']);
+});
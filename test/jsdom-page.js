@@ -0,0 +1,121 @@
+/**
+ * jsdom Page
+ *
+ * A stand-in for the parts of a Puppeteer page the auto login uses
+ * (`waitForSelector`, `$`, `waitForNetworkIdle` and element handles with
+ * `click`, `type` and `press`), backed by jsdom, so the login can be driven
+ * against a static HTML page where Chrome cannot run. Like Puppeteer,
+ * typing after a triple click replaces the field's value, and clicking or
+ * typing into an element that is no longer on the page fails.
+ */
+
+const fs = require('fs');
+const { JSDOM } = require('jsdom');
+
+/**
+ * Checks whether an element is on the page and not hidden.
+ *
+ * @function isVisible
+ * @param {Element} element - The element.
+ * @returns {boolean} True if it is visible.
+ */
+function isVisible(element) {
+  if (!element.isConnected) {
+    return false;
+  }
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.hidden || node.ownerDocument.defaultView.getComputedStyle(node).display === 'none') {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Wraps an element like a Puppeteer element handle.
+ *
+ * @function createHandle
+ * @param {Element} element - The element.
+ * @returns {object} `{ element, click, type, press }`.
+ */
+function createHandle(element) {
+  const { defaultView: window } = element.ownerDocument;
+  let selectAll = false;
+
+  const assertAttached = () => {
+    if (!element.isConnected) {
+      throw new Error('Node is detached from document');
+    }
+  };
+
+  return {
+    element,
+    click: async ({ clickCount = 1 } = {}) => {
+      assertAttached();
+      element.focus();
+      selectAll = clickCount >= 3;
+      element.click();
+    },
+    type: async (text) => {
+      assertAttached();
+      if (selectAll) {
+        element.value = '';
+        selectAll = false;
+      }
+      for (const char of text) {
+        element.value += char;
+        element.dispatchEvent(new window.Event('input', { bubbles: true }));
+      }
+    },
+    press: async (key) => {
+      assertAttached();
+      element.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+      if (key === 'Enter' && element.form) {
+        element.form.requestSubmit();
+      }
+    },
+  };
+}
+
+/**
+ * Opens an HTML file in jsdom, with its scripts running.
+ *
+ * @function openPage
+ * @param {string} file - The HTML file.
+ * @param {object} [options] - Options.
+ * @param {string} [options.url='https://3cx.example/#/login'] - The page's URL.
+ * @returns {object} The page: `{ window, document, waitForSelector, $, waitForNetworkIdle, close }`.
+ */
+function openPage(file, { url = 'https://3cx.example/#/login' } = {}) {
+  const dom = new JSDOM(fs.readFileSync(file, 'utf8'), { runScripts: 'dangerously', url });
+  const { document } = dom.window;
+
+  return {
+    window: dom.window,
+    document,
+    waitForSelector: async (selector, { visible = false, timeout = 30000 } = {}) => {
+      const deadline = Date.now() + timeout;
+      for (;;) {
+        const element = [...document.querySelectorAll(selector)].find((candidate) => !visible || isVisible(candidate));
+        if (element) {
+          return createHandle(element);
+        }
+        if (Date.now() >= deadline) {
+          throw new Error(`Waiting for selector \`${selector}\` failed: ${timeout}ms exceeded`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    },
+    $: async (selector) => {
+      const element = document.querySelector(selector);
+      return element ? createHandle(element) : null;
+    },
+    // The fixture answers synchronously, so the network is idle right away
+    waitForNetworkIdle: () => new Promise((resolve) => setTimeout(resolve, 10)),
+    close: () => dom.window.close(),
+  };
+}
+
+module.exports = {
+  openPage,
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { readJsonFile, writeJsonFile } = require('../src/json-file-store');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-store-'));
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a missing file reads as the fallback', () => {
+  assert.deepStrictEqual(readJsonFile(path.join(dataDir, 'missing.json'), []), []);
+});
+
+test('concurrent writes of a file all succeed and leave no temporary files', async () => {
+  const file = path.join(dataDir, 'nested', 'devices.json');
+
+  await Promise.all([1, 2, 3].map((version) => writeJsonFile(file, { version })));
+
+  assert.ok([1, 2, 3].includes(readJsonFile(file, null).version));
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['devices.json']);
+});
+
+test('a mode is applied to the written file', async () => {
+  const file = path.join(dataDir, 'secrets.json');
+
+  await writeJsonFile(file, { secret: true }, { mode: 0o600 });
+
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+});
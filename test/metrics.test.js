@@ -0,0 +1,97 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeWled } = require('./fake-wled');
+
+const metrics = require('../src/metrics');
+const wledController = require('../src/wled-controller');
+
+let wled = null;
+
+/**
+ * Reads the values of a metric, keyed by their labels.
+ *
+ * @async
+ * @function valuesOf
+ * @param {string} name - The metric name without the prefix.
+ * @returns {Promise<object>} Each value by its labels as JSON, with `__name__` for histogram parts.
+ */
+async function valuesOf(name) {
+  const { values } = await metrics.register.getSingleMetric(`wled3cx_${name}`).get();
+  return Object.fromEntries(
+    values.map(({ labels, value, metricName }) => [
+      JSON.stringify(metricName ? { ...labels, __name__: metricName.replace(/^wled3cx_/, '') } : labels),
+      value,
+    ])
+  );
+}
+
+before(async () => {
+  wled = await startFakeWled();
+});
+
+after(async () => {
+  await wled.close();
+});
+
+test('each status collection is timed, and counted as a success or a failure once', async () => {
+  const startedAt = Date.now() / 1000;
+  metrics.startScrape('web-client')(true);
+  const endScrape = metrics.startScrape('call-control');
+  endScrape(false);
+  endScrape(true);
+
+  const lastSuccess = await valuesOf('scrape_last_success_timestamp_seconds');
+  assert.deepStrictEqual(Object.keys(lastSuccess), ['{"client":"web-client"}']);
+  assert.ok(lastSuccess['{"client":"web-client"}'] >= startedAt);
+  assert.deepStrictEqual(await valuesOf('scrape_failures_total'), { '{"client":"call-control"}': 1 });
+
+  const durations = await valuesOf('scrape_duration_seconds');
+  assert.strictEqual(durations['{"client":"web-client","__name__":"scrape_duration_seconds_count"}'], 1);
+  assert.strictEqual(durations['{"client":"call-control","__name__":"scrape_duration_seconds_count"}'], 1);
+});
+
+test('requests to WLED devices are timed per device and endpoint, with the failures counted', async () => {
+  const options = { ipAddress: wled.address };
+  await wledController.getWLEDEffects(options);
+  wled.device.down = true;
+  try {
+    await wledController.getWLEDEffects(options);
+  } finally {
+    wled.device.down = false;
+  }
+
+  const labels = { device: wled.address, endpoint: '/json/effs' };
+  const durations = await valuesOf('wled_request_duration_seconds');
+  assert.strictEqual(durations[JSON.stringify({ ...labels, __name__: 'wled_request_duration_seconds_count' })], 2);
+  assert.deepStrictEqual(await valuesOf('wled_request_errors_total'), { [JSON.stringify(labels)]: 1 });
+});
+
+test('the gauges read the current state when scraped', async () => {
+  metrics.setSources({
+    getClientCount: () => 3,
+    getCallStats: () => ({ waitingCalls: '2', abandonedCalls: 'n/a' }),
+    getAgentStatuses: () => [
+      { extension: 101, name: 'Ann', status: 'available' },
+      { extension: '102', status: 'dnd' },
+      { name: 'No extension', status: 'away' },
+    ],
+  });
+
+  assert.deepStrictEqual(await valuesOf('websocket_clients'), { '{}': 3 });
+  assert.deepStrictEqual(await valuesOf('waiting_calls'), { '{}': 2 });
+  assert.deepStrictEqual(await valuesOf('abandoned_calls'), { '{}': 0 });
+  assert.deepStrictEqual(await valuesOf('agent_status'), {
+    '{"extension":"101","name":"Ann","status":"available"}': 1,
+    '{"extension":"102","name":"","status":"dnd"}': 1,
+  });
+  assert.deepStrictEqual(await valuesOf('user_status'), {});
+
+  // Agents who left and a status you are no longer in disappear
+  metrics.setSources({ getAgentStatuses: () => [], getUserStatus: () => 'away' });
+
+  assert.deepStrictEqual(await valuesOf('agent_status'), {});
+  assert.deepStrictEqual(await valuesOf('user_status'), { '{"status":"away"}': 1 });
+  assert.match(await metrics.register.metrics(), /^wled3cx_user_status\{status="away"\} 1$/m);
+});
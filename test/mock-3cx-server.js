@@ -0,0 +1,162 @@
+/**
+ * Mock 3CX Server
+ *
+ * A small stand-in for the 3CX v20 APIs the call control client uses:
+ * OAuth client credentials (`/connect/token`), the Configuration API
+ * (`/xapi/v1/Users`, `/xapi/v1/Queues`, `/xapi/v1/ActiveCalls`), the Call
+ * Control API (`/callcontrol`) and its WebSocket (`/callcontrol/ws`). The
+ * tests change its state and inspect the requests it received. Run it on its
+ * own (`node test/mock-3cx-server.js`) and point `THREECX_API_URL` at it to
+ * try the `call-control` provider without a 3CX system.
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+
+const CLIENT_ID = 'mock-client';
+const CLIENT_SECRET = 'mock-secret';
+
+/**
+ * Creates the data a fresh mock serves: three users, one queue and no calls.
+ *
+ * @function defaultState
+ * @returns {object} `{ down, users, queues, activeCalls, callControl }` in the 3CX API shapes; with
+ *   `down` set, every API request except token requests is answered with 503.
+ */
+function defaultState() {
+  return {
+    down: false,
+    users: [
+      { Number: '100', FirstName: 'Ada', LastName: 'Lovelace', DisplayName: 'Ada Lovelace', CurrentProfileName: 'Available', IsRegistered: true },
+      { Number: '101', FirstName: 'Alan', LastName: 'Turing', DisplayName: '', CurrentProfileName: 'Out of office', IsRegistered: true },
+      { Number: '102', FirstName: 'Grace', LastName: 'Hopper', DisplayName: 'Grace Hopper', CurrentProfileName: 'Available', IsRegistered: false },
+    ],
+    queues: [{ Number: '800', Name: 'Support', Agents: [{ Number: '100' }, { Number: '101' }] }],
+    activeCalls: [],
+    callControl: [],
+  };
+}
+
+/**
+ * Starts the mock server on a free local port.
+ *
+ * @async
+ * @function startMock3cxServer
+ * @param {object} [options] - Options.
+ * @param {number} [options.port=0] - The port; 0 picks a free one.
+ * @returns {Promise<object>} `{ url, clientId, clientSecret, state, requests, revokeTokens, sendEvent, close }`:
+ *   `state` can be changed between requests, `requests` lists `{ method, path }` of every request,
+ *   `revokeTokens()` makes the issued tokens answer 401, and `sendEvent(event)` sends a Call Control event.
+ */
+async function startMock3cxServer({ port = 0 } = {}) {
+  const state = defaultState();
+  const requests = [];
+  const validTokens = new Set();
+  let issued = 0;
+
+  const isAuthorized = (req) => validTokens.has(String(req.headers.authorization || '').replace(/^Bearer /, ''));
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: pathname });
+
+    const send = (statusCode, body) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'POST' && pathname === '/connect/token') {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const form = new URLSearchParams(body);
+        if (
+          form.get('grant_type') !== 'client_credentials' ||
+          form.get('client_id') !== CLIENT_ID ||
+          form.get('client_secret') !== CLIENT_SECRET
+        ) {
+          send(401, { error: 'invalid_client' });
+          return;
+        }
+        issued += 1;
+        const token = `mock-token-${issued}`;
+        validTokens.add(token);
+        send(200, { access_token: token, token_type: 'Bearer', expires_in: 3600 });
+      });
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      send(405, { error: 'Method not allowed' });
+      return;
+    }
+    if (!isAuthorized(req)) {
+      send(401, { error: 'Unauthorized' });
+      return;
+    }
+    if (state.down) {
+      send(503, { error: 'Service unavailable' });
+      return;
+    }
+
+    const routes = {
+      '/xapi/v1/Users': () => ({ value: state.users }),
+      '/xapi/v1/Queues': () => ({ value: state.queues }),
+      '/xapi/v1/ActiveCalls': () => ({ value: state.activeCalls }),
+      '/callcontrol': () => state.callControl,
+    };
+    if (!routes[pathname]) {
+      send(404, { error: 'Not found' });
+      return;
+    }
+    send(200, routes[pathname]());
+  });
+
+  const wss = new WebSocket.Server({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== '/callcontrol/ws' || !isAuthorized(req)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    state,
+    requests,
+    wss,
+    revokeTokens: () => validTokens.clear(),
+    sendEvent: (event) => {
+      wss.clients.forEach((client) => {
+        if (client.readyState === WebSocket.OPEN) {
+          client.send(JSON.stringify(event));
+        }
+      });
+    },
+    close: () =>
+      new Promise((resolve) => {
+        wss.clients.forEach((client) => client.terminate());
+        wss.close();
+        server.close(resolve);
+      }),
+  };
+}
+
+if (require.main === module) {
+  startMock3cxServer({ port: parseInt(process.env.PORT || '5080', 10) }).then((mock) => {
+    console.log(`Mock 3CX server at ${mock.url} (client ID ${mock.clientId}, secret ${mock.clientSecret})`);
+  });
+}
+
+module.exports = {
+  startMock3cxServer,
+  defaultState,
+};
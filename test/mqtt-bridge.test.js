@@ -0,0 +1,245 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const Aedes = require('aedes');
+
+const auditFile = path.join(os.tmpdir(), `mqtt-bridge-audit-${process.pid}.jsonl`);
+
+let broker;
+let server;
+let bridge;
+// Messages the bridge published, by topic
+const published = new Map();
+// Calls of the command handlers, in order
+const calls = [];
+
+/**
+ * Waits until a condition holds, checking every 10 ms for up to 2 seconds.
+ *
+ * @async
+ * @function waitFor
+ * @param {function(): boolean} condition - The condition.
+ * @param {string} description - What is waited for, for the failure message.
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, description) {
+  const deadline = Date.now() + 2000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${description}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Sends a command to the bridge through the broker.
+ *
+ * @function sendCommand
+ * @param {string} name - The topic.
+ * @param {string} payload - The payload.
+ * @returns {Promise<void>}
+ */
+function sendCommand(name, payload) {
+  return new Promise((resolve, reject) => {
+    broker.publish({ cmd: 'publish', topic: name, payload: Buffer.from(payload), qos: 0, retain: false }, (error) =>
+      error ? reject(error) : resolve()
+    );
+  });
+}
+
+/**
+ * Reads the audit log entries the bridge recorded.
+ *
+ * @function auditEntries
+ * @returns {Array<object>} The entries.
+ */
+function auditEntries() {
+  if (!fs.existsSync(auditFile)) {
+    return [];
+  }
+  return fs
+    .readFileSync(auditFile, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+before(async () => {
+  broker = new Aedes();
+  broker.on('publish', (packet, client) => {
+    if (client) {
+      published.set(packet.topic, packet.payload.toString());
+    }
+  });
+  server = net.createServer(broker.handle);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.MQTT_URL = `mqtt://127.0.0.1:${server.address().port}`;
+  process.env.MQTT_BASE_TOPIC = 'test-wled/';
+  process.env.AUDIT_LOG_FILE = auditFile;
+  bridge = require('../src/mqtt-bridge');
+
+  // States published before the connection are sent once connected
+  bridge.publishUserStatus('available', { source: 'call-control' });
+  bridge.publishAgentStatuses([
+    { extension: '100', name: 'Ada Lovelace', status: 'onCall' },
+    { extension: '1 01', status: 'away' },
+    { extension: '', status: 'away' },
+  ]);
+
+  const subscribed = new Promise((resolve) => broker.once('subscribe', resolve));
+  assert.strictEqual(
+    bridge.startBridge({
+      setStatus: async (request) => {
+        calls.push(['setStatus', request]);
+        if (request.status === 'unknown') {
+          throw new Error('Unknown status');
+        }
+      },
+      clearStatus: async () => calls.push(['clearStatus']),
+      setLight: async (command) => calls.push(['setLight', command]),
+      setMode: async (mode) => calls.push(['setMode', mode]),
+      getStatuses: () => ['available', 'dnd'],
+      getModes: () => ['status', 'team'],
+    }),
+    true
+  );
+  await subscribed;
+});
+
+after(async () => {
+  await bridge.stopBridge();
+  await new Promise((resolve) => broker.close(resolve));
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(auditFile, { force: true });
+});
+
+test('connecting publishes availability and the states recorded before the connection', async () => {
+  await waitFor(() => published.has('test-wled/agents/1_01/status'), 'the agent states');
+
+  assert.strictEqual(bridge.isConnected(), true);
+  assert.strictEqual(published.get('test-wled/availability'), 'online');
+  assert.strictEqual(published.get('test-wled/status'), 'available');
+  assert.deepStrictEqual(JSON.parse(published.get('test-wled/status/attributes')), { source: 'call-control', override: null });
+  assert.strictEqual(published.get('test-wled/agents/100/status'), 'onCall');
+  assert.deepStrictEqual(JSON.parse(published.get('test-wled/agents/1_01/attributes')), { extension: '1 01', name: null });
+  assert.ok(![...published.keys()].some((name) => name === 'test-wled/agents//status'), 'agents without an extension are skipped');
+});
+
+test('Home Assistant discovery payloads describe one device and its entities', async () => {
+  await waitFor(() => published.has('homeassistant/sensor/wled_3cx/agent_1_01/config'), 'the discovery payloads');
+  const discovery = (component, objectId) => JSON.parse(published.get(`homeassistant/${component}/wled_3cx/${objectId}/config`));
+
+  const status = discovery('sensor', 'status');
+  assert.strictEqual(status.unique_id, 'wled_3cx_status');
+  assert.strictEqual(status.state_topic, 'test-wled/status');
+  assert.strictEqual(status.json_attributes_topic, 'test-wled/status/attributes');
+  assert.strictEqual(status.availability_topic, 'test-wled/availability');
+  assert.deepStrictEqual(status.device.identifiers, ['wled_3cx']);
+
+  assert.deepStrictEqual(discovery('select', 'manual_status').options, ['available', 'dnd']);
+  assert.strictEqual(discovery('select', 'manual_status').command_topic, 'test-wled/status/set');
+  assert.strictEqual(discovery('button', 'clear_override').payload_press, 'clear');
+  assert.deepStrictEqual(discovery('select', 'display_mode').options, ['status', 'team']);
+
+  const light = discovery('light', 'light');
+  assert.strictEqual(light.schema, 'json');
+  assert.strictEqual(light.command_topic, 'test-wled/light/set');
+
+  const waiting = discovery('sensor', 'waiting_calls');
+  assert.strictEqual(waiting.state_topic, 'test-wled/call_stats');
+  assert.strictEqual(waiting.value_template, '{{ value_json.waitingCalls | default(0) }}');
+
+  assert.strictEqual(discovery('sensor', 'agent_100').name, 'Agent Ada Lovelace');
+  assert.strictEqual(discovery('sensor', 'agent_100').state_topic, 'test-wled/agents/100/status');
+  assert.strictEqual(discovery('sensor', 'agent_1_01').name, 'Agent 1_01');
+});
+
+test('a new agent gets a discovery payload and unchanged states are not published again', async () => {
+  let statusPublishes = 0;
+  const countStatus = (packet, client) => {
+    if (client && packet.topic === 'test-wled/status') {
+      statusPublishes += 1;
+    }
+  };
+  broker.on('publish', countStatus);
+
+  bridge.publishUserStatus('dnd');
+  bridge.publishUserStatus('dnd');
+  bridge.publishAgentStatuses([{ extension: '102', name: 'Grace Hopper', status: 'available' }]);
+  bridge.publishCallStats({ waitingCalls: 2 });
+  bridge.publishLight({ on: false, brightness: 128 });
+  bridge.publishMode('team');
+
+  await waitFor(() => published.get('test-wled/mode') === 'team', 'the display mode');
+  broker.removeListener('publish', countStatus);
+  assert.strictEqual(statusPublishes, 1);
+  assert.strictEqual(JSON.parse(published.get('homeassistant/sensor/wled_3cx/agent_102/config')).name, 'Agent Grace Hopper');
+  assert.deepStrictEqual(JSON.parse(published.get('test-wled/call_stats')), { waitingCalls: 2 });
+  assert.deepStrictEqual(JSON.parse(published.get('test-wled/light/state')), { state: 'OFF', brightness: 128 });
+});
+
+test('commands run the handlers and are recorded in the audit log', async () => {
+  await sendCommand('test-wled/status/set', 'dnd');
+  await sendCommand('test-wled/status/set', '{"status":"away","durationMinutes":30}');
+  await sendCommand('test-wled/status/set', 'clear');
+  await sendCommand('test-wled/light/set', 'off');
+  await sendCommand('test-wled/light/set', '{"brightness":64}');
+  await sendCommand('test-wled/mode/set', 'team');
+  await waitFor(() => auditEntries().length === 6, 'the audit entries');
+
+  assert.deepStrictEqual(calls, [
+    ['setStatus', { status: 'dnd' }],
+    ['setStatus', { status: 'away', durationMinutes: 30 }],
+    ['clearStatus'],
+    ['setLight', { state: 'OFF', brightness: undefined }],
+    ['setLight', { state: undefined, brightness: 64 }],
+    ['setMode', 'team'],
+  ]);
+  const entries = auditEntries();
+  assert.deepStrictEqual(
+    entries.map((entry) => entry.action),
+    ['override.set', 'override.set', 'override.clear', 'wled.off', 'wled.settings', 'wled.mode']
+  );
+  entries.forEach((entry) => {
+    assert.strictEqual(entry.channel, 'mqtt');
+    assert.strictEqual(entry.outcome, 'success');
+  });
+  assert.deepStrictEqual(entries[0].payload, { topic: 'test-wled/status/set', payload: 'dnd' });
+});
+
+test('invalid commands are rejected and recorded as failures', async () => {
+  calls.length = 0;
+  fs.rmSync(auditFile, { force: true });
+
+  await sendCommand('test-wled/light/set', 'dim');
+  await sendCommand('test-wled/light/set', '{}');
+  await sendCommand('test-wled/status/set', 'unknown');
+  await sendCommand('test-wled/status/set', '{not json');
+  await waitFor(() => auditEntries().length === 4, 'the audit entries');
+
+  assert.deepStrictEqual(calls, [['setStatus', { status: 'unknown' }]]);
+  const entries = auditEntries();
+  assert.deepStrictEqual(
+    entries.map((entry) => [entry.action, entry.outcome]),
+    [
+      ['mqtt.command', 'failure'],
+      ['mqtt.command', 'failure'],
+      ['override.set', 'failure'],
+      ['mqtt.command', 'failure'],
+    ]
+  );
+});
+
+test('stopping the bridge publishes it as offline', async () => {
+  await bridge.stopBridge();
+
+  await waitFor(() => published.get('test-wled/availability') === 'offline', 'the offline availability');
+  assert.strictEqual(bridge.isConnected(), false);
+});
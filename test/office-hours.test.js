@@ -0,0 +1,101 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'office-hours-'));
+process.env.OFFICE_HOURS_FILE = path.join(dataDir, 'office-hours.json');
+process.env.OFFICE_HOURS_HOLIDAYS_FILE = path.join(dataDir, 'holidays.ics');
+fs.writeFileSync(
+  process.env.OFFICE_HOURS_HOLIDAYS_FILE,
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:founders-day',
+    'SUMMARY:Founders Day',
+    'DTSTART;VALUE=DATE:20260304',
+    'DTEND;VALUE=DATE:20260305',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n')
+);
+
+const officeHours = require('../src/office-hours');
+
+/**
+ * Describes the office at a moment.
+ *
+ * @function stateAt
+ * @param {string} time - The moment (ISO 8601, UTC).
+ * @returns {string} The reason, with the holiday if there is one.
+ */
+function stateAt(time) {
+  const { reason, holiday } = officeHours.getState(new Date(time).getTime());
+  return holiday ? `${reason}: ${holiday}` : reason;
+}
+
+after(() => {
+  officeHours.stopSchedule();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('office hours are parsed into day and minute windows', () => {
+  assert.deepStrictEqual(officeHours.parseHours('mon-fri 08:00-17:30; sat-sun 22:00-02:00'), [
+    { days: [1, 2, 3, 4, 5], start: 480, end: 1050 },
+    { days: [6, 0], start: 1320, end: 120 },
+  ]);
+  assert.throws(() => officeHours.parseHours('weekdays 08:00-17:00'), /"weekdays" is not a day or range of days/);
+  assert.throws(() => officeHours.parseHours('mon 8-17'), /must look like "mon-fri 08:00-17:00"/);
+  assert.throws(() => officeHours.parseHours('mon 08:00-24:30'), /"24:30" is not a valid time/);
+  assert.throws(() => officeHours.parseHours(' ; '), /At least one office hours window is required/);
+});
+
+test('the office is open inside the windows in its own time zone, and closed on holidays', async () => {
+  assert.strictEqual(stateAt('2026-03-02T05:00:00Z'), 'disabled');
+
+  await officeHours.updateSettings({
+    enabled: true,
+    hours: 'mon-fri 08:00-17:00; sat 22:00-02:00',
+    timeZone: 'Pacific/Auckland',
+  });
+
+  assert.deepStrictEqual(
+    [
+      '2026-03-01T20:00:00Z', // Monday 09:00 in Auckland
+      '2026-03-02T05:00:00Z', // Monday 18:00
+      '2026-03-07T10:00:00Z', // Saturday 23:00
+      '2026-03-07T12:30:00Z', // Sunday 01:30, in Saturday's window
+      '2026-03-07T14:00:00Z', // Sunday 03:00
+      '2026-03-03T21:00:00Z', // Wednesday 10:00, a holiday
+    ].map(stateAt),
+    ['hours', 'closed', 'hours', 'hours', 'closed', 'holiday: Founders Day']
+  );
+});
+
+test('invalid settings are refused and valid ones are saved', async () => {
+  await assert.rejects(officeHours.updateSettings({ timeZone: 'Mars/Olympus' }), /Unknown time zone "Mars\/Olympus"/);
+  await assert.rejects(officeHours.updateSettings({ closedAction: 'blink' }), /Closed action must be one of: off, preset/);
+
+  await officeHours.updateSettings({ closedAction: 'preset', pauseMonitoring: 'true' });
+
+  const saved = JSON.parse(fs.readFileSync(process.env.OFFICE_HOURS_FILE, 'utf8'));
+  assert.strictEqual(saved.closedAction, 'preset');
+  assert.strictEqual(saved.pauseMonitoring, true);
+  assert.strictEqual(saved.timeZone, 'Pacific/Auckland');
+});
+
+test('the listener hears the initial state and every time the office opens or closes', async () => {
+  await officeHours.updateSettings({ hours: 'sun-sat 00:00-24:00' });
+  const changes = [];
+  officeHours.startSchedule((state, previous) => changes.push(`${previous ? previous.reason : null}->${state.reason}`));
+
+  // Still open, for another reason
+  await officeHours.updateSettings({ enabled: false });
+  await officeHours.updateSettings({ enabled: true, hours: 'mon 00:00-00:01' });
+
+  assert.deepStrictEqual(changes, ['null->hours', 'disabled->closed']);
+});
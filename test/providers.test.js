@@ -0,0 +1,94 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startMock3cxServer } = require('./mock-3cx-server');
+
+let mock;
+let statusProviders;
+const reports = [];
+
+/**
+ * Waits for the pipeline to receive a report or error that matches.
+ *
+ * @async
+ * @function waitForReport
+ * @param {number} since - Only reports received after this many are considered.
+ * @param {function(object): boolean} predicate - Called with `{ error, report }`.
+ * @returns {Promise<object>} The first matching `{ error, report }`.
+ */
+async function waitForReport(since, predicate) {
+  for (let attempt = 0; attempt < 200; attempt += 1) {
+    const match = reports.slice(since).find(predicate);
+    if (match) {
+      return match;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('No matching report');
+}
+
+/**
+ * Describes each provider's status and whether it is in use.
+ *
+ * @function providerStatuses
+ * @returns {Array<string>} `name:status` per provider, with ' (active)' for the one in use.
+ */
+function providerStatuses() {
+  return statusProviders
+    .getProviderStates()
+    .map(({ name, status, active }) => `${name}:${status}${active ? ' (active)' : ''}`);
+}
+
+before(async () => {
+  mock = await startMock3cxServer();
+  Object.assign(process.env, {
+    THREECX_API_URL: mock.url,
+    THREECX_API_CLIENT_ID: mock.clientId,
+    THREECX_API_CLIENT_SECRET: mock.clientSecret,
+    THREECX_API_EXTENSION: '100',
+    THREECX_REFRESH_INTERVAL: '3600000',
+  });
+  statusProviders = require('../src/providers');
+  require('../src/threecx-call-control-client').config.eventDebounce = 10;
+
+  statusProviders.loadProviders(['call-control', 'push']);
+  const connected = new Promise((resolve) => mock.wss.once('connection', resolve));
+  const started = await statusProviders.startProviders((error, report) => reports.push({ error, report }));
+  assert.strictEqual(started, 2);
+  // Refreshes are triggered with Call Control events
+  await connected;
+});
+
+after(async () => {
+  await statusProviders.stopProviders();
+  await mock.close();
+});
+
+test('the highest-priority provider with a status decides it', async () => {
+  statusProviders.getProvider('push').report({ status: 'dnd', source: 'desk-client' });
+
+  const { report } = reports[reports.length - 1];
+  assert.deepStrictEqual(report.status, { status: 'available', source: 'call-control', provider: 'call-control' });
+  assert.deepStrictEqual(providerStatuses(), ['call-control:available (active)', 'push:dnd']);
+});
+
+test('a failing provider stops counting until it reports again', async () => {
+  const failedAt = reports.length;
+  mock.state.down = true;
+  mock.sendEvent({ event: { entity: '/callcontrol/100', event_type: 0 } });
+
+  const { error } = await waitForReport(failedAt, ({ error }) => error);
+  assert.match(error.message, /^call-control: .*503/);
+  const { report } = await waitForReport(failedAt, ({ report }) => report);
+  assert.deepStrictEqual(report.status, { status: 'dnd', source: 'desk-client', provider: 'push' });
+  assert.deepStrictEqual(providerStatuses(), ['call-control:null', 'push:dnd (active)']);
+
+  const recoveredAt = reports.length;
+  mock.state.down = false;
+  mock.sendEvent({ event: { entity: '/callcontrol/100', event_type: 0 } });
+
+  const recovered = await waitForReport(recoveredAt, ({ report }) => report && report.status.provider === 'call-control');
+  assert.strictEqual(recovered.report.status.status, 'available');
+  assert.deepStrictEqual(providerStatuses(), ['call-control:available (active)', 'push:dnd']);
+});
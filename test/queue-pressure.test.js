@@ -0,0 +1,75 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeWled } = require('./fake-wled');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-pressure-'));
+process.env.WLED_QUEUE_PRESSURE_FILE = path.join(dataDir, 'queue-pressure.json');
+
+const queuePressure = require('../src/queue-pressure');
+
+let wled = null;
+
+before(async () => {
+  wled = await startFakeWled({ leds: 40 });
+  await queuePressure.updateSettings({ maxWaitingCalls: 4, warningSeconds: 60, criticalSeconds: 180, ledCount: 0 });
+});
+
+after(async () => {
+  await wled.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('3CX waiting times are read as seconds', () => {
+  assert.deepStrictEqual(
+    ['00:02:15', '02:15', '45', 90, '', 'n/a', undefined].map(queuePressure.parseDuration),
+    [135, 135, 45, 90, 0, 0, 0]
+  );
+});
+
+test('the level follows the waiting calls and the longest wait', () => {
+  const level = (waitingCalls, longestWaiting) => {
+    const { level: result, fill } = queuePressure.evaluatePressure({ waitingCalls, longestWaiting });
+    return `${result} ${fill}`;
+  };
+
+  assert.deepStrictEqual(
+    [level(0, '05:00'), level(1, '00:59'), level(2, '01:00'), level(3, '03:00'), level(9, '00:10')],
+    ['clear 0', 'waiting 0.25', 'warning 0.5', 'critical 0.75', 'waiting 1']
+  );
+});
+
+test('the bar is drawn in proportion on the strip, and only when it changes', async () => {
+  const options = { ipAddress: wled.address };
+
+  assert.strictEqual(await queuePressure.updateQueuePressure({ waitingCalls: 1, longestWaiting: '01:30' }, options), true);
+  assert.strictEqual(await queuePressure.updateQueuePressure({ waitingCalls: 1, longestWaiting: '01:45' }, options), true);
+  assert.strictEqual(await queuePressure.updateQueuePressure({ waitingCalls: 0, longestWaiting: '' }, options), true);
+
+  assert.deepStrictEqual(
+    wled.posts.map(({ seg }) => seg),
+    [
+      [
+        { id: 0, start: 0, stop: 10, on: true, col: [[255, 100, 0]], fx: 2, sx: 128 },
+        { id: 1, start: 10, stop: 40, on: true, col: [[0, 0, 0]], fx: 0 },
+      ],
+      [
+        { id: 0, start: 0, stop: 40, on: true, col: [[0, 255, 0]], fx: 0, sx: 128 },
+        { id: 1, stop: 0 },
+      ],
+    ]
+  );
+  assert.strictEqual(queuePressure.getPressure().level, 'clear');
+});
+
+test('the critical threshold must come after the warning threshold', async () => {
+  await assert.rejects(
+    queuePressure.updateSettings({ warningSeconds: 120, criticalSeconds: 120 }),
+    /Critical threshold must be longer than the warning threshold/
+  );
+  assert.strictEqual(queuePressure.getSettings().criticalSeconds, 180);
+});
@@ -0,0 +1,142 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { test, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const supervisor = require('../src/scraper-supervisor');
+
+const events = [];
+
+/**
+ * Creates a stand-in for the web client.
+ *
+ * @function fakeClient
+ * @param {object} [state] - Supervision state to report instead of a healthy one.
+ * @param {Array<boolean|Error>} [outcomes] - What each `recover()` call does in turn: resolve
+ *   to the boolean or reject with the error. Later calls succeed.
+ * @returns {object} The client, with `recoveries` counting its `recover()` calls.
+ */
+function fakeClient(state = {}, outcomes = []) {
+  const client = {
+    state: {
+      browserConnected: true,
+      pageOpen: true,
+      pageResponsive: true,
+      onLoginPage: false,
+      emptyScrapes: 0,
+      ...state,
+    },
+    recoveries: 0,
+    getSupervisionState: async () => client.state,
+    recover: async () => {
+      client.recoveries += 1;
+      const outcome = outcomes.length ? outcomes.shift() : true;
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      if (outcome) {
+        client.state = { ...client.state, onLoginPage: false, emptyScrapes: 0 };
+      }
+      return outcome;
+    },
+  };
+  return client;
+}
+
+/**
+ * Waits for a supervisor event.
+ *
+ * @async
+ * @function waitForEvent
+ * @param {string} event - 'detected', 'failed' or 'recovered'.
+ * @returns {Promise<object>} The first such event received so far or later.
+ */
+async function waitForEvent(event) {
+  for (let attempt = 0; attempt < 200; attempt += 1) {
+    const match = events.find((entry) => entry.event === event);
+    if (match) {
+      return match;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`No ${event} event`);
+}
+
+before(() => {
+  Object.assign(supervisor.config, { checkInterval: 20, retryDelay: 10, maxRetryDelay: 40 });
+  supervisor.onRecovery((entry) => events.push(entry));
+});
+
+afterEach(() => {
+  supervisor.stopSupervisor();
+  events.length = 0;
+});
+
+test('a healthy scraper is left alone', async () => {
+  const client = fakeClient({ emptyScrapes: supervisor.config.maxEmptyScrapes - 1 });
+  assert.strictEqual(supervisor.startSupervisor(client), true);
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.strictEqual(client.recoveries, 0);
+  assert.deepStrictEqual(events, []);
+  assert.strictEqual(supervisor.getSupervisorState().supervising, true);
+});
+
+test('a check that finds a problem recovers the scraper once', async () => {
+  const client = fakeClient({ emptyScrapes: supervisor.config.maxEmptyScrapes });
+  supervisor.startSupervisor(client);
+
+  const recovered = await waitForEvent('recovered');
+
+  assert.deepStrictEqual(
+    events.map(({ event, reason, message }) => ({ event, reason, message })),
+    ['detected', 'recovered'].map((event) => ({
+      event,
+      reason: 'emptyScrapes',
+      message: 'Status collections keep coming back empty',
+    }))
+  );
+  assert.strictEqual(recovered.attempt, 1);
+  assert.strictEqual(client.recoveries, 1);
+  assert.strictEqual(supervisor.getSupervisorState().recovery, null);
+});
+
+test('failed recoveries are retried with a doubling delay up to the maximum', async () => {
+  const client = fakeClient({ onLoginPage: true }, [false, new Error('Chrome did not start'), false, false]);
+  supervisor.startSupervisor(client);
+
+  const recovered = await waitForEvent('recovered');
+
+  const failed = events.filter(({ event }) => event === 'failed');
+  assert.deepStrictEqual(
+    failed.map(({ attempt, retryInMs }) => ({ attempt, retryInMs })),
+    [
+      { attempt: 1, retryInMs: 10 },
+      { attempt: 2, retryInMs: 20 },
+      { attempt: 3, retryInMs: 40 },
+      { attempt: 4, retryInMs: 40 },
+    ]
+  );
+  assert.strictEqual(failed[1].error, 'Chrome did not start');
+  assert.strictEqual(recovered.attempt, 5);
+  assert.ok(recovered.durationMs >= 10 + 20 + 40 + 40);
+  assert.strictEqual(client.recoveries, 5, 'checks during the recovery start no other');
+});
+
+test('a recovery runs one at a time and stops with the supervisor', async () => {
+  const client = fakeClient({}, [false, false, false, false, false, false]);
+  supervisor.startSupervisor(client);
+
+  assert.strictEqual(supervisor.recover('browserDisconnected'), true);
+  assert.strictEqual(supervisor.recover('pageClosed'), false);
+  await waitForEvent('failed');
+  assert.strictEqual(supervisor.getSupervisorState().recovery.reason, 'browserDisconnected');
+
+  supervisor.stopSupervisor();
+  const { recoveries } = client;
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.strictEqual(client.recoveries, recoveries);
+  assert.strictEqual(supervisor.getSupervisorState().recovery, null);
+  assert.strictEqual(supervisor.recover('pageClosed'), false);
+});
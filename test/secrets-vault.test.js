@@ -0,0 +1,62 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-vault-'));
+process.env.SECRETS_FILE = path.join(dataDir, 'secrets.enc.json');
+process.env.SECRETS_KEY_FILE = path.join(dataDir, 'secrets.key');
+delete process.env.SECRETS_KEY;
+
+const secretsVault = require('../src/secrets-vault');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('concurrent updates are all kept', async () => {
+  await Promise.all(
+    Array.from({ length: 10 }, (_, index) => secretsVault.setSecret(`token.${index}`, `value-${index}`))
+  );
+
+  for (let index = 0; index < 10; index += 1) {
+    assert.strictEqual(await secretsVault.getSecret(`token.${index}`), `value-${index}`);
+  }
+  assert.deepStrictEqual(
+    fs.readdirSync(dataDir).sort(),
+    ['secrets.enc.json', 'secrets.key'],
+    'no temporary file is left behind'
+  );
+});
+
+test('the vault and its key file are readable only by the owner', { skip: process.platform === 'win32' }, () => {
+  assert.strictEqual(fs.statSync(process.env.SECRETS_FILE).mode & 0o777, 0o600);
+  assert.strictEqual(fs.statSync(process.env.SECRETS_KEY_FILE).mode & 0o777, 0o600);
+});
+
+test('secrets are encrypted and removing one keeps the others', async () => {
+  await secretsVault.setSecret('threecx', { username: 'ada', password: 'hunter2' });
+  await secretsVault.setSecret('token.0', null);
+
+  assert.ok(!fs.readFileSync(process.env.SECRETS_FILE, 'utf8').includes('hunter2'));
+  assert.strictEqual(await secretsVault.getSecret('token.0'), null);
+  assert.deepStrictEqual(await secretsVault.getSecret('threecx'), { username: 'ada', password: 'hunter2' });
+});
+
+test('a vault that cannot be decrypted is refused and not overwritten', async () => {
+  const original = fs.readFileSync(process.env.SECRETS_FILE, 'utf8');
+  const file = JSON.parse(original);
+  file.data = Buffer.from('tampered').toString('base64');
+  fs.writeFileSync(process.env.SECRETS_FILE, JSON.stringify(file));
+
+  await assert.rejects(secretsVault.setSecret('token.1', 'new'), /cannot be decrypted/);
+  assert.strictEqual(JSON.parse(fs.readFileSync(process.env.SECRETS_FILE, 'utf8')).data, file.data);
+
+  // The failed update does not block the next one
+  fs.writeFileSync(process.env.SECRETS_FILE, original);
+  await secretsVault.setSecret('token.1', 'new');
+  assert.strictEqual(await secretsVault.getSecret('token.1'), 'new');
+});
@@ -0,0 +1,113 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const selectorProfiles = require('../src/selector-profiles');
+
+const shippedDirectory = selectorProfiles.config.directory;
+const tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-profiles-'));
+
+/**
+ * Creates a stand-in for a Puppeteer page whose document contains the given
+ * selectors, for the `page.evaluate()` calls of profile detection.
+ *
+ * @function fakePage
+ * @param {Array<string>} present - Selectors that match an element.
+ * @returns {object} The page, with `evaluations` counting the evaluate calls.
+ */
+function fakePage(present) {
+  const page = {
+    evaluations: 0,
+    evaluate: async (fn, arg) => {
+      page.evaluations += 1;
+      global.document = { querySelector: (selector) => (present.includes(selector) ? {} : null) };
+      try {
+        return fn(arg);
+      } finally {
+        delete global.document;
+      }
+    },
+  };
+  return page;
+}
+
+beforeEach(() => {
+  selectorProfiles.config.directory = shippedDirectory;
+  selectorProfiles.config.pinned = '';
+  selectorProfiles.loadProfiles();
+});
+
+after(() => {
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+test('the shipped profiles are valid and tried newest version first', () => {
+  const ids = selectorProfiles.loadProfiles().map((profile) => profile.id);
+
+  assert.deepStrictEqual(ids, ['3cx-v20', '3cx-v18']);
+  assert.strictEqual(
+    selectorProfiles.getSwitchboardSelector(),
+    '.switchboard-container, queue-stat, .queue-stats, .queue-container'
+  );
+});
+
+test('detection picks the profile whose detect selectors are all on the page', async () => {
+  const v18 = await selectorProfiles.detectProfile(fakePage(['[ng-app]', '.switchboard-container']));
+  assert.strictEqual(v18.id, '3cx-v18');
+
+  const v20 = await selectorProfiles.detectProfile(fakePage(['[ng-version]', 'queue-stat']));
+  assert.strictEqual(v20.id, '3cx-v20');
+
+  // A page with only some of a profile's detect selectors does not match it
+  assert.strictEqual(await selectorProfiles.detectProfile(fakePage(['[ng-version]', '.switchboard-container'])), null);
+});
+
+test('scrapes fall back through the profiles in order and keep the first that finds something', async () => {
+  await selectorProfiles.detectProfile(fakePage(['[ng-version]', 'queue-stat']));
+  const tried = [];
+
+  const result = await selectorProfiles.withProfiles(async (profile) => {
+    tried.push(profile.id);
+    return profile.id === '3cx-v18' ? { waitingCalls: 1 } : null;
+  });
+
+  assert.deepStrictEqual(result, { waitingCalls: 1 });
+  assert.deepStrictEqual(tried, ['3cx-v20', '3cx-v18']);
+  assert.strictEqual(selectorProfiles.getSelectorProfileState().active, '3cx-v18');
+
+  // The profile that worked is tried first from then on
+  tried.length = 0;
+  assert.strictEqual(await selectorProfiles.withProfiles(async (profile) => tried.push(profile.id) && null), null);
+  assert.deepStrictEqual(tried, ['3cx-v18', '3cx-v20']);
+});
+
+test('a pinned profile is used without detection and tried before the others', async () => {
+  selectorProfiles.config.pinned = '3cx-v18';
+  const page = fakePage(['[ng-version]', 'queue-stat']);
+
+  const profile = await selectorProfiles.detectProfile(page);
+
+  assert.strictEqual(profile.id, '3cx-v18');
+  assert.strictEqual(page.evaluations, 0);
+  assert.deepStrictEqual(
+    selectorProfiles.getSelectorProfileState().profiles.map(({ id }) => id),
+    ['3cx-v18', '3cx-v20']
+  );
+});
+
+test('invalid profile files are skipped', () => {
+  const shipped = JSON.parse(fs.readFileSync(path.join(shippedDirectory, '3cx-v20.json'), 'utf8'));
+  fs.writeFileSync(path.join(tempDirectory, 'next.json'), JSON.stringify({ ...shipped, name: '3CX next', version: '21.0' }));
+  fs.writeFileSync(path.join(tempDirectory, 'broken.json'), JSON.stringify({ ...shipped, version: 'latest' }));
+  fs.writeFileSync(path.join(tempDirectory, 'truncated.json'), '{ "name": ');
+  selectorProfiles.config.directory = tempDirectory;
+
+  assert.deepStrictEqual(
+    selectorProfiles.loadProfiles().map((profile) => profile.id),
+    ['next']
+  );
+});
@@ -0,0 +1,156 @@
+process.env.LOG_LEVEL = 'silent';
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+
+let server;
+let wss;
+let slackClient;
+let slackProvider;
+const requests = [];
+
+// What the fake Slack Web API answers, per method
+const state = {
+  presence: { ok: true, presence: 'active' },
+  dnd: { ok: true, dnd_enabled: false, snooze_enabled: false },
+  profile: { ok: true, profile: { status_text: '', status_emoji: '' } },
+};
+
+before(async () => {
+  wss = new WebSocket.Server({ noServer: true });
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const method = url.pathname.replace(/^\/api\//, '');
+    requests.push({ httpMethod: req.method, method, user: url.searchParams.get('user'), authorization: req.headers.authorization });
+
+    const bodies = {
+      'users.getPresence': state.presence,
+      'dnd.info': state.dnd,
+      'users.profile.get': state.profile,
+      'apps.connections.open': { ok: true, url: `ws://127.0.0.1:${server.address().port}/socket` },
+    };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(bodies[method] || { ok: false, error: 'unknown_method' }));
+  });
+  server.on('upgrade', (req, socket, head) => {
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.SLACK_API_URL = `http://127.0.0.1:${server.address().port}/api/`;
+  process.env.SLACK_TOKEN = 'xoxb-test';
+  process.env.SLACK_APP_TOKEN = 'xapp-test';
+  process.env.SLACK_USER_ID = 'U123';
+  slackClient = require('../src/slack-client');
+  slackProvider = require('../src/providers/slack');
+  slackClient.config.reconnectDelay = 10;
+  slackProvider.config.eventDebounce = 10;
+});
+
+after(async () => {
+  slackClient.stopSocketMode();
+  wss.clients.forEach((client) => client.terminate());
+  wss.close();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test('the API URL comes from SLACK_API_URL without its trailing slash', () => {
+  assert.strictEqual(slackClient.config.apiUrl, `http://127.0.0.1:${server.address().port}/api`);
+});
+
+test('getUserState reads presence, DND and profile for the configured user', async () => {
+  const now = Date.now() / 1000;
+  state.presence = { ok: true, presence: 'away' };
+  state.dnd = { ok: true, dnd_enabled: true, snooze_enabled: false, next_dnd_start_ts: now - 60, next_dnd_end_ts: now + 60 };
+  state.profile = { ok: true, profile: { status_text: 'Lunch', status_emoji: ':sandwich:', huddle_state: 'in_a_huddle' } };
+  requests.length = 0;
+
+  const userState = await slackClient.getUserState();
+
+  assert.deepStrictEqual(userState, {
+    presence: 'away',
+    dnd: true,
+    statusText: 'Lunch',
+    statusEmoji: ':sandwich:',
+    inHuddle: true,
+  });
+  assert.deepStrictEqual(requests.map((request) => request.method).sort(), ['dnd.info', 'users.getPresence', 'users.profile.get']);
+  requests.forEach((request) => {
+    assert.strictEqual(request.user, 'U123');
+    assert.strictEqual(request.authorization, 'Bearer xoxb-test');
+  });
+});
+
+test('an expired profile status and a DND window that has not started are ignored', async () => {
+  const now = Date.now() / 1000;
+  state.dnd = { ok: true, dnd_enabled: true, snooze_enabled: false, next_dnd_start_ts: now + 600, next_dnd_end_ts: now + 1200 };
+  state.profile = { ok: true, profile: { status_text: 'Vacation', status_emoji: ':palm_tree:', status_expiration: now - 1 } };
+
+  const userState = await slackClient.getUserState();
+
+  assert.strictEqual(userState.dnd, false);
+  assert.strictEqual(userState.statusText, '');
+  assert.strictEqual(userState.statusEmoji, '');
+  assert.strictEqual(userState.inHuddle, false);
+});
+
+test('an ok: false answer is an error naming the method', async () => {
+  state.presence = { ok: false, error: 'user_not_found' };
+
+  await assert.rejects(slackClient.getUserState(), /Slack users\.getPresence failed: user_not_found/);
+  state.presence = { ok: true, presence: 'active' };
+});
+
+test('status rules are applied in order and the first match decides', async () => {
+  const provider = slackProvider.createSlackProvider();
+  const reports = [];
+  provider.onStatus((error, report) => reports.push(error || report));
+  state.presence = { ok: true, presence: 'away' };
+  state.dnd = { ok: true, dnd_enabled: false, snooze_enabled: true };
+  state.profile = { ok: true, profile: { status_text: '', status_emoji: '', huddle_state: 'in_a_huddle' } };
+
+  // Socket Mode is started too; check the poll result before stopping it
+  const connected = new Promise((resolve) => wss.once('connection', resolve));
+  await provider.start();
+  await connected;
+  await provider.stop();
+
+  assert.deepStrictEqual(reports[0], { status: { status: 'onCall', source: 'slack:huddle' } });
+});
+
+test('parseRules rejects malformed rules and unknown conditions', () => {
+  assert.deepStrictEqual(slackProvider.parseRules('emoji::palm_tree:=away, text:lunch=away'), [
+    { condition: 'emoji::palm_tree:', status: 'away' },
+    { condition: 'text:lunch', status: 'away' },
+  ]);
+  assert.throws(() => slackProvider.parseRules('huddle'), /must look like condition=status/);
+  assert.throws(() => slackProvider.parseRules('meeting=dnd'), /unknown condition/);
+});
+
+test('Socket Mode acknowledges envelopes, passes events on and reconnects when asked', async () => {
+  const opened = () => requests.filter((request) => request.method === 'apps.connections.open');
+  requests.length = 0;
+  const firstConnection = new Promise((resolve) => wss.once('connection', resolve));
+  const events = [];
+
+  assert.strictEqual(await slackClient.startSocketMode((event) => events.push(event)), true);
+  const ws = await firstConnection;
+  assert.strictEqual(opened()[0].httpMethod, 'POST');
+  assert.strictEqual(opened()[0].authorization, 'Bearer xapp-test');
+
+  const ack = new Promise((resolve) => ws.once('message', (data) => resolve(JSON.parse(data))));
+  ws.send(JSON.stringify({ type: 'hello' }));
+  ws.send(JSON.stringify({ envelope_id: 'env-1', type: 'events_api', payload: { event: { type: 'user_change', user: 'U123' } } }));
+  assert.deepStrictEqual(await ack, { envelope_id: 'env-1' });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepStrictEqual(events, [{ type: 'user_change', user: 'U123' }]);
+
+  const secondConnection = new Promise((resolve) => wss.once('connection', resolve));
+  ws.send(JSON.stringify({ type: 'disconnect', reason: 'refresh_requested' }));
+  await secondConnection;
+  assert.strictEqual(opened().length, 2);
+
+  slackClient.stopSocketMode();
+});
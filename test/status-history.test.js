@@ -0,0 +1,107 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-history-'));
+process.env.STATUS_HISTORY_FILE = path.join(dataDir, 'status-history.jsonl');
+
+const statusHistory = require('../src/status-history');
+
+/**
+ * Returns a local time a number of days before today.
+ *
+ * @function daysAgo
+ * @param {number} days - Days before today.
+ * @param {number} [hours=0] - Hour of that day.
+ * @param {number} [minutes=0] - Minute of that hour.
+ * @returns {Date} The time.
+ */
+function daysAgo(days, hours = 0, minutes = 0) {
+  const today = new Date();
+  return new Date(today.getFullYear(), today.getMonth(), today.getDate() - days, hours, minutes);
+}
+
+/**
+ * Writes a history file.
+ *
+ * @function writeHistory
+ * @param {string} file - The file name in the test directory.
+ * @param {Array<object>} entries - The entries, with `timestamp` as a Date.
+ */
+function writeHistory(file, entries) {
+  statusHistory.config.historyFile = path.join(dataDir, file);
+  fs.writeFileSync(
+    statusHistory.config.historyFile,
+    entries.map((entry) => `${JSON.stringify({ ...entry, timestamp: entry.timestamp.toISOString() })}\n`).join('')
+  );
+}
+
+/**
+ * Reads the history file back.
+ *
+ * @function readHistory
+ * @returns {Array<object>} The entries.
+ */
+function readHistory() {
+  return fs
+    .readFileSync(statusHistory.config.historyFile, 'utf8')
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+}
+
+after(async () => {
+  await statusHistory.stopHistory();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('time in state stops at the last marker of a run that ended without one, but not in the current run', async () => {
+  writeHistory('summary.jsonl', [
+    { timestamp: daysAgo(2, 9, 59), type: 'service', status: 'started' },
+    { timestamp: daysAgo(2, 10), type: 'user', status: 'available', previousStatus: null },
+    { timestamp: daysAgo(2, 10, 30), type: 'user', status: 'onCall', previousStatus: 'available' },
+    // The application crashed after this heartbeat
+    { timestamp: daysAgo(2, 11), type: 'service', status: 'running' },
+  ]);
+
+  await statusHistory.loadHistory();
+  const recorded = await statusHistory.recordStatus({ type: 'user', status: 'dnd', source: 'test' });
+  assert.strictEqual(recorded.previousStatus, 'onCall');
+
+  // A heartbeat of the current run does not end its statuses
+  fs.appendFileSync(
+    statusHistory.config.historyFile,
+    `${JSON.stringify({ timestamp: new Date().toISOString(), type: 'service', status: 'running' })}\n`
+  );
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+
+  const summary = await statusHistory.summarizeTimeInState({ type: 'user', from: daysAgo(2).toISOString() });
+
+  assert.deepStrictEqual(
+    summary.map(({ date }) => date),
+    [daysAgo(2), daysAgo(0)].map((day) => day.toLocaleDateString('sv'))
+  );
+  assert.deepStrictEqual(summary[0].durations, { available: 1800, onCall: 1800 });
+  assert.ok(summary[1].durations.dnd >= 1, `dnd lasted ${summary[1].durations.dnd}s`);
+  assert.deepStrictEqual(Object.keys(summary[1].durations), ['dnd']);
+});
+
+test('pruning keeps the last entry before the retention period of each subject', async () => {
+  writeHistory('prune.jsonl', [
+    { timestamp: daysAgo(100), type: 'user', status: 'available' },
+    { timestamp: daysAgo(99), type: 'agent', extension: '101', status: 'away' },
+    { timestamp: daysAgo(95), type: 'user', status: 'dnd' },
+    { timestamp: daysAgo(1), type: 'user', status: 'onCall' },
+  ]);
+
+  assert.strictEqual(await statusHistory.pruneHistory(), 1);
+
+  assert.deepStrictEqual(
+    readHistory().map(({ type, status }) => `${type}:${status}`),
+    ['agent:away', 'user:dnd', 'user:onCall']
+  );
+});
@@ -0,0 +1,50 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-override-'));
+process.env.STATUS_OVERRIDE_FILE = path.join(dataDir, 'status-override.json');
+process.env.STATUS_PROFILES_FILE = path.join(dataDir, 'status-profiles.json');
+
+const statusProfiles = require('../src/status-profiles');
+const statusOverride = require('../src/status-override');
+
+before(() => {
+  statusProfiles.loadProfiles();
+});
+
+after(async () => {
+  statusOverride.clearOverride();
+  // Let the last save finish before removing its directory
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('an override can be set to a status with a profile or an alias of one', () => {
+  const override = statusOverride.setOverride({ status: 'meeting', reason: 'Standup', durationMinutes: 1 });
+
+  assert.strictEqual(override.status, 'meeting');
+  assert.strictEqual(override.reason, 'Standup');
+  assert.ok(override.remainingSeconds > 0 && override.remainingSeconds <= 60);
+  assert.strictEqual(statusOverride.setOverride({ status: 'lunch', untilCleared: true }).expiresAt, null);
+});
+
+test('statuses without a profile are refused', () => {
+  assert.throws(() => statusOverride.setOverride({ status: 'vacation' }), /Unknown status "vacation"/);
+  assert.strictEqual(statusOverride.getOverride().status, 'lunch');
+});
+
+test('durations must be from 1 minute to one week', () => {
+  [0.01, 0, -5, 'soon', statusOverride.config.maxDuration + 1].forEach((durationMinutes) => {
+    assert.throws(
+      () => statusOverride.setOverride({ status: 'dnd', durationMinutes }),
+      /Duration must be a number of minutes from 1 to/,
+      `duration ${durationMinutes}`
+    );
+  });
+  assert.ok(statusOverride.setOverride({ status: 'dnd', durationMinutes: '90' }).expiresAt);
+});
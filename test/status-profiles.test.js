@@ -0,0 +1,92 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-profiles-'));
+process.env.STATUS_PROFILES_FILE = path.join(dataDir, 'status-profiles.json');
+process.env.COLOR_AVAILABLE = '10, 300, -5';
+process.env.COLOR_AWAY = 'orange';
+
+const statusProfiles = require('../src/status-profiles');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('built-in colors come from the environment, clamped, or their defaults', () => {
+  const profiles = statusProfiles.loadProfiles();
+
+  assert.deepStrictEqual(profiles.available.color, { r: 10, g: 255, b: 0 });
+  assert.deepStrictEqual(profiles.away.color, { r: 255, g: 165, b: 0 });
+});
+
+test('saved profiles apply over the built-ins, and invalid ones are skipped', () => {
+  fs.writeFileSync(
+    process.env.STATUS_PROFILES_FILE,
+    JSON.stringify({
+      onCall: { color: { r: 200, g: 0, b: 0 }, brightness: 40 },
+      'focus-time': { color: { r: 0, g: 128, b: 128 } },
+      lunch: { color: { r: 300, g: 0, b: 0 } },
+      'not a status': { color: { r: 0, g: 0, b: 0 } },
+    })
+  );
+
+  const profiles = statusProfiles.loadProfiles();
+
+  assert.deepStrictEqual(profiles.onCall.color, { r: 200, g: 0, b: 0 });
+  assert.strictEqual(profiles.onCall.brightness, 40);
+  assert.ok(profiles['focus-time']);
+  assert.strictEqual(profiles.lunch, undefined);
+  assert.strictEqual(profiles['not a status'], undefined);
+});
+
+test('statuses without a profile use their alias, then offline', () => {
+  assert.deepStrictEqual(statusProfiles.getProfile('lunch'), statusProfiles.getProfile('away'));
+  assert.strictEqual(statusProfiles.hasProfile('business-trip'), true);
+  assert.strictEqual(statusProfiles.hasProfile('holiday'), false);
+  assert.deepStrictEqual(statusProfiles.getProfile('holiday'), statusProfiles.getProfile('offline'));
+  assert.deepStrictEqual(statusProfiles.getStatusColors().onCall, { r: 200, g: 0, b: 0 });
+});
+
+test('profiles are validated, saved, and reset or deleted', async () => {
+  await assert.rejects(
+    statusProfiles.saveProfile('lunch', { color: { r: 0, g: 0, b: 256 } }),
+    /Blue must be a whole number from 0 to 255/
+  );
+  await assert.rejects(statusProfiles.saveProfile('on call', { color: { r: 0, g: 0, b: 0 } }), /Status must start/);
+
+  const lunch = await statusProfiles.saveProfile('lunch', { color: { r: 255, g: 200, b: 0 }, speed: '200' });
+  assert.deepStrictEqual(lunch, {
+    color: { r: 255, g: 200, b: 0 },
+    effectId: 0,
+    paletteId: 0,
+    speed: 200,
+    intensity: 128,
+    brightness: null,
+  });
+  const saved = JSON.parse(fs.readFileSync(process.env.STATUS_PROFILES_FILE, 'utf8'));
+  assert.deepStrictEqual(saved.lunch, lunch);
+
+  assert.strictEqual(await statusProfiles.deleteProfile('lunch'), null);
+  assert.deepStrictEqual(statusProfiles.getProfile('lunch'), statusProfiles.getProfile('away'));
+  const reset = await statusProfiles.deleteProfile('onCall');
+  assert.deepStrictEqual(reset.color, { r: 255, g: 0, b: 0 });
+  assert.strictEqual(reset.brightness, null);
+  assert.strictEqual(await statusProfiles.deleteProfile('lunch'), false);
+});
+
+test('a profile is sent to WLED as a single state', () => {
+  const defaults = { brightness: 128, transition: 700 };
+
+  assert.deepStrictEqual(statusProfiles.buildWLEDState(statusProfiles.getProfile('offline'), defaults), {
+    on: true,
+    bri: 128,
+    transition: 0.7,
+    seg: [{ col: [[0, 0, 255]], fx: 0, pal: 0, sx: 128, ix: 128 }],
+  });
+  assert.strictEqual(statusProfiles.buildWLEDState(statusProfiles.getProfile('closed'), defaults).bri, 16);
+});
@@ -0,0 +1,107 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeWled } = require('./fake-wled');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-wall-'));
+process.env.WLED_TEAM_WALL_FILE = path.join(dataDir, 'team-wall.json');
+
+const teamWall = require('../src/team-wall');
+const statusProfiles = require('../src/status-profiles');
+
+const AGENTS = [
+  { extension: '103', name: 'Linus', status: 'lunch', queues: '' },
+  { extension: '101', name: 'Ada', status: 'available', queues: 'Support, Sales' },
+  { extension: '110', name: 'Grace', status: 'onCall', queues: 'Sales' },
+  { extension: '102', name: 'Alan', status: 'unknown-status', queues: 'Support' },
+];
+
+let wled = null;
+
+before(async () => {
+  wled = await startFakeWled({ leds: 60 });
+});
+
+after(async () => {
+  await wled.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('agents are ordered by extension, grouped by queue, or listed by hand', () => {
+  const order = (options) =>
+    teamWall.orderAgents(AGENTS, { ...teamWall.getSettings(), ...options }).map(({ extension }) => extension);
+
+  assert.deepStrictEqual(order({ order: 'extension' }), ['101', '102', '103', '110']);
+  assert.deepStrictEqual(order({ order: 'queue' }), ['110', '101', '102', '103']);
+  assert.deepStrictEqual(order({ order: 'manual', manualOrder: ['110', '999', '101'] }), ['110', '101']);
+});
+
+test('each agent gets a range of LEDs in the color of their status', () => {
+  const colors = statusProfiles.getStatusColors();
+  const { segments, layout } = teamWall.buildSegments(AGENTS, colors, {
+    ...teamWall.getSettings(),
+    order: 'extension',
+    layout: 'ranges',
+    ledsPerAgent: 4,
+    gap: 2,
+  });
+
+  const rgb = ({ r, g, b }) => [[r, g, b]];
+  assert.deepStrictEqual(
+    segments.map(({ id, start, stop, col }) => ({ id, start, stop, col })),
+    [
+      { id: 0, start: 0, stop: 4, col: rgb(colors.available) },
+      { id: 1, start: 6, stop: 10, col: rgb(colors.offline) },
+      { id: 2, start: 12, stop: 16, col: rgb(colors.away) },
+      { id: 3, start: 18, stop: 22, col: rgb(colors.onCall) },
+    ]
+  );
+  assert.deepStrictEqual(
+    layout.map(({ segment, name }) => `${segment}:${name}`),
+    ['0:Ada', '1:Alan', '2:Linus', '3:Grace']
+  );
+});
+
+test('settings are checked before they are saved', async () => {
+  await assert.rejects(teamWall.updateSettings({ order: 'alphabetical' }), /Order must be one of/);
+  await assert.rejects(teamWall.updateSettings({ ledsPerAgent: 0 }), /LEDs per agent must be a positive whole number/);
+
+  const settings = await teamWall.updateSettings({ order: 'manual', manualOrder: '110, 101,', ledsPerAgent: '5', gap: 0 });
+
+  assert.deepStrictEqual(settings.manualOrder, ['110', '101']);
+  assert.strictEqual(settings.ledsPerAgent, 5);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(process.env.WLED_TEAM_WALL_FILE, 'utf8')), settings);
+});
+
+test('a smaller team removes the segments it no longer needs, and a reset restores one segment', async () => {
+  await teamWall.updateSettings({ order: 'extension', layout: 'ranges', ledsPerAgent: 5, gap: 0 });
+  const colors = statusProfiles.getStatusColors();
+  const options = { ipAddress: wled.address };
+
+  assert.strictEqual(await teamWall.updateTeamWall(AGENTS, colors, options), true);
+  assert.strictEqual(await teamWall.updateTeamWall(AGENTS.slice(0, 2), colors, options), true);
+
+  const [, shrunk] = wled.posts;
+  assert.deepStrictEqual(
+    shrunk.seg.map(({ id, start, stop }) => ({ id, start, stop })),
+    [
+      { id: 0, start: 0, stop: 5 },
+      { id: 1, start: 5, stop: 10 },
+      { id: 2, start: undefined, stop: 0 },
+      { id: 3, start: undefined, stop: 0 },
+    ]
+  );
+  assert.deepStrictEqual(
+    teamWall.getLayout().map(({ extension }) => extension),
+    ['101', '103']
+  );
+
+  wled.device.seg = shrunk.seg.filter(({ stop }) => stop > 0);
+  assert.strictEqual(await teamWall.resetTeamWall(options), true);
+  assert.deepStrictEqual(wled.posts[2], { seg: [{ id: 0, start: 0, stop: 60 }, { id: 1, stop: 0 }] });
+  assert.deepStrictEqual(teamWall.getLayout(), []);
+});
@@ -0,0 +1,185 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startMock3cxServer } = require('./mock-3cx-server');
+const metrics = require('../src/metrics');
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMock3cxServer();
+  process.env.THREECX_API_URL = mock.url;
+  process.env.THREECX_API_CLIENT_ID = mock.clientId;
+  process.env.THREECX_API_CLIENT_SECRET = mock.clientSecret;
+  process.env.THREECX_API_EXTENSION = '100';
+  process.env.THREECX_REFRESH_INTERVAL = '3600000';
+  client = require('../src/threecx-call-control-client');
+  client.config.eventDebounce = 10;
+});
+
+after(async () => {
+  await client.close();
+  await mock.close();
+});
+
+/**
+ * Waits for the next status update the client passes to its callback.
+ *
+ * @function nextUpdate
+ * @returns {Promise<object>} The status data.
+ */
+function nextUpdate() {
+  return new Promise((resolve, reject) => {
+    client.startMonitoring((error, data) => (error ? reject(error) : resolve(data)));
+  });
+}
+
+/**
+ * Reads the failed status collections counted in the metrics.
+ *
+ * @async
+ * @function scrapeFailures
+ * @returns {Promise<number>} The value of `wled3cx_scrape_failures_total`.
+ */
+async function scrapeFailures() {
+  const { values } = await metrics.register.getSingleMetric('wled3cx_scrape_failures_total').get();
+  return values.reduce((total, { value }) => total + value, 0);
+}
+
+test('initialize authenticates with client credentials and reports the status data shape', async () => {
+  mock.state.callControl = [{ dn: '101', participants: [{ status: 'Ringing' }] }];
+
+  let update;
+  const initialized = await client.initialize((error, data) => {
+    update = update || data;
+  });
+
+  assert.strictEqual(initialized, true);
+  assert.ok(mock.requests.some((request) => request.method === 'POST' && request.path === '/connect/token'));
+  assert.deepStrictEqual(Object.keys(update).sort(), ['agentStatuses', 'callStats', 'status']);
+  assert.deepStrictEqual(update.status, { status: 'available', source: 'call-control' });
+  assert.deepStrictEqual(update.agentStatuses, [
+    { id: '100', extension: '100', name: 'Ada Lovelace', status: 'available', queues: 'Support', color: 'green' },
+    { id: '101', extension: '101', name: 'Alan Turing', status: 'ringing', queues: 'Support', color: 'yellow' },
+    { id: '102', extension: '102', name: 'Grace Hopper', status: 'offline', queues: '', color: 'gray' },
+  ]);
+  assert.strictEqual(update.callStats.waitingCalls, 0);
+  assert.strictEqual(update.callStats.source, 'call-control');
+  ['/xapi/v1/Users', '/xapi/v1/Queues', '/xapi/v1/ActiveCalls', '/callcontrol'].forEach((path) => {
+    assert.ok(mock.requests.some((request) => request.path === path), `${path} was requested`);
+  });
+});
+
+test('a call in progress takes precedence over the presence profile', async () => {
+  mock.state.callControl = [{ dn: '100', participants: [{ status: 'Connected' }] }];
+
+  const agents = await client.fetchAllAgentStatuses();
+  const status = await client.getStatus(agents);
+
+  assert.strictEqual(agents[0].status, 'onCall');
+  assert.strictEqual(agents[0].color, 'red');
+  assert.deepStrictEqual(status, { status: 'onCall', source: 'call-control' });
+  mock.state.callControl = [];
+});
+
+test('queue calls count as waiting, then serviced once answered', async () => {
+  mock.state.activeCalls = [
+    { Id: 1, Caller: '0123456', Callee: '800 Support', Status: 'Routing', EstablishedAt: new Date(Date.now() - 30000).toISOString() },
+    { Id: 2, Caller: '100', Callee: '101', Status: 'Talking', EstablishedAt: new Date().toISOString() },
+  ];
+  const waiting = await client.getCallStats();
+  assert.strictEqual(waiting.waitingCalls, 1);
+  assert.strictEqual(waiting.totalCalls, 2);
+  assert.strictEqual(waiting.activeCalls, 1);
+  assert.match(waiting.longestWaiting, /^00:00:(29|30|31)$/);
+
+  mock.state.activeCalls[0].Status = 'Talking';
+  const answered = await client.getCallStats();
+  assert.strictEqual(answered.waitingCalls, 0);
+  assert.strictEqual(answered.servicedCalls, 1);
+
+  mock.state.activeCalls = [];
+  mock.state.activeCalls.push({ Id: 3, Callee: '800 Support', Status: 'Routing' });
+  await client.getCallStats();
+  mock.state.activeCalls.length = 0;
+  const abandoned = await client.getCallStats();
+  assert.strictEqual(abandoned.abandonedCalls, 1);
+});
+
+test('a rejected token is renewed and the request retried once', async () => {
+  const tokenRequests = () => mock.requests.filter((request) => request.path === '/connect/token').length;
+  const before401 = tokenRequests();
+  mock.revokeTokens();
+
+  const agents = await client.fetchAllAgentStatuses();
+
+  assert.strictEqual(agents.length, 3);
+  assert.strictEqual(tokenRequests(), before401 + 1);
+});
+
+test('a Call Control event triggers a refresh', async () => {
+  // Reconnect the WebSocket with a valid token after the revocation above
+  client.stopMonitoring();
+  const connected = new Promise((resolve) => mock.wss.once('connection', resolve));
+  const update = nextUpdate();
+  await connected;
+
+  mock.state.users[0].CurrentProfileName = 'Do not disturb';
+  mock.sendEvent({ event: { entity: '/callcontrol/100', event_type: 0 } });
+
+  assert.deepStrictEqual((await update).status, { status: 'dnd', source: 'call-control' });
+});
+
+test('a refresh while the API is down fails instead of reporting the extension offline', async () => {
+  const failuresBefore = await scrapeFailures();
+  const { lastSuccessAt } = (await client.getHealth()).lastScrape;
+  mock.state.down = true;
+
+  const failed = new Promise((resolve) => client.startMonitoring((error, data) => resolve({ error, data })));
+  mock.sendEvent({ event: { entity: '/callcontrol/100', event_type: 0 } });
+  const { error, data } = await failed;
+
+  assert.match(error.message, /503/);
+  assert.strictEqual(data, null);
+  assert.strictEqual(await scrapeFailures(), failuresBefore + 1);
+  assert.strictEqual((await client.getHealth()).lastScrape.lastSuccessAt, lastSuccessAt);
+  await assert.rejects(client.getStatus(), /503/);
+
+  // Once the API is back, the unchanged status is reported again
+  mock.state.down = false;
+  const update = nextUpdate();
+  mock.sendEvent({ event: { entity: '/callcontrol/100', event_type: 0 } });
+  assert.deepStrictEqual((await update).status, { status: 'dnd', source: 'call-control' });
+});
+
+test('pausing and resuming keeps one Call Control connection', async () => {
+  const { reconnectDelay } = client.config;
+  client.config.reconnectDelay = 20;
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+  try {
+    client.stopMonitoring();
+    client.startMonitoring();
+    await settle();
+    assert.strictEqual(mock.wss.clients.size, 1, 'the closed connection does not replace the new one');
+
+    // A second start while the first waits for its access token opens no second connection
+    mock.revokeTokens();
+    await client.resetAuthentication();
+    client.stopMonitoring();
+    client.startMonitoring();
+    client.stopMonitoring();
+    client.startMonitoring();
+    await settle();
+    assert.strictEqual(mock.wss.clients.size, 1);
+
+    // Stopped, nothing reconnects
+    client.stopMonitoring();
+    await settle();
+    assert.strictEqual(mock.wss.clients.size, 0);
+  } finally {
+    client.config.reconnectDelay = reconnectDelay;
+  }
+});
@@ -0,0 +1,154 @@
+process.env.LOG_LEVEL = 'silent';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+process.env.WEBHOOKS_FILE = path.join(dataDir, 'webhooks.json');
+
+const webhooks = require('../src/webhooks');
+
+// Requests the receiver got, and the status codes it answers with in turn (then 200)
+let received = [];
+let answers = [];
+let receiver = null;
+let receiverUrl = null;
+
+/**
+ * Waits until a delivery has a final status.
+ *
+ * @async
+ * @function settled
+ * @param {object} delivery - The delivery log entry.
+ * @returns {Promise<object>} The delivery.
+ */
+async function settled(delivery) {
+  for (let attempt = 0; attempt < 200; attempt += 1) {
+    if (['delivered', 'failed'].includes(delivery.status)) {
+      return delivery;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Delivery still ${delivery.status}`);
+}
+
+before(async () => {
+  webhooks.config.maxAttempts = 3;
+  webhooks.config.retryDelay = 20;
+  webhooks.loadWebhooks();
+
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ at: Date.now(), url: req.url, headers: req.headers, body });
+      res.statusCode = answers.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+beforeEach(async () => {
+  for (const { id } of webhooks.listWebhooks()) {
+    await webhooks.removeWebhook(id);
+  }
+  received = [];
+  answers = [];
+});
+
+after(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('events are posted to subscribed webhooks with a signature the receiver can check', async () => {
+  const { id, secret } = await webhooks.addWebhook({ url: `${receiverUrl}/all`, secret: 'receiver-shared-secret' });
+  await webhooks.addWebhook({ url: `${receiverUrl}/agents`, events: ['agent.status'] });
+
+  assert.strictEqual(webhooks.emit('user.status', { status: 'dnd' }), 1);
+  const delivery = await settled(webhooks.getDeliveries({ webhookId: id })[0]);
+
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.deepStrictEqual(
+    received.map(({ url }) => url),
+    ['/all']
+  );
+  const [{ headers, body }] = received;
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex');
+  assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.strictEqual(headers['x-webhook-event'], 'user.status');
+  assert.strictEqual(headers['x-webhook-id'], delivery.id);
+  assert.deepStrictEqual(JSON.parse(body), {
+    id: delivery.id,
+    event: 'user.status',
+    timestamp: delivery.createdAt,
+    data: { status: 'dnd' },
+  });
+});
+
+test('server errors and rate limits are retried with a doubling delay', async () => {
+  const { id } = await webhooks.addWebhook({ url: receiverUrl });
+  answers = [503, 429];
+
+  const delivery = await settled(webhooks.testWebhook(id));
+
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.deepStrictEqual(
+    delivery.attempts.map(({ statusCode }) => statusCode),
+    [503, 429, 200]
+  );
+  assert.ok(received[1].at - received[0].at >= 20, 'the first retry waits the retry delay');
+  assert.ok(received[2].at - received[1].at >= 40, 'the second retry waits twice as long');
+  assert.deepStrictEqual(
+    received.map(({ headers }) => headers['x-webhook-id']),
+    [delivery.id, delivery.id, delivery.id],
+    'retries keep the delivery ID'
+  );
+});
+
+test('client errors are not retried, and server errors only up to the maximum attempts', async () => {
+  const { id } = await webhooks.addWebhook({ url: receiverUrl });
+
+  answers = [404];
+  const rejected = await settled(webhooks.testWebhook(id));
+  assert.strictEqual(rejected.status, 'failed');
+  assert.strictEqual(rejected.attempts.length, 1);
+
+  answers = [500, 500, 500, 500];
+  const broken = await settled(webhooks.testWebhook(id));
+  assert.strictEqual(broken.status, 'failed');
+  assert.deepStrictEqual(
+    broken.attempts.map(({ statusCode }) => statusCode),
+    [500, 500, 500]
+  );
+});
+
+test('an unreachable receiver is retried, unless the webhook is disabled meanwhile', async () => {
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+  const { id } = await webhooks.addWebhook({ url: `http://127.0.0.1:${port}` });
+
+  const unreachable = await settled(webhooks.testWebhook(id));
+  assert.strictEqual(unreachable.status, 'failed');
+  assert.strictEqual(unreachable.attempts.length, 3);
+  assert.ok(unreachable.attempts.every(({ statusCode, error }) => statusCode === null && error));
+
+  const disabled = webhooks.testWebhook(id);
+  await webhooks.updateWebhook(id, { enabled: false });
+  await settled(disabled);
+  assert.strictEqual(disabled.attempts.length, 1);
+});
@@ -0,0 +1,67 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeWled } = require('./fake-wled');
+
+const wledController = require('../src/wled-controller');
+const statusProfiles = require('../src/status-profiles');
+
+let wled = null;
+let options = null;
+
+before(async () => {
+  wled = await startFakeWled();
+  options = { ipAddress: wled.address };
+});
+
+after(async () => {
+  await wled.close();
+});
+
+test('a status with an effect is sent with its effect in the same call', async () => {
+  assert.strictEqual(await wledController.applyWLEDProfile(statusProfiles.getProfile('ringing'), options), true);
+
+  assert.strictEqual(wled.posts.length, 1);
+  assert.deepStrictEqual(wled.posts[0].seg, [{ col: [[255, 255, 0]], fx: 1, pal: 0, sx: 200, ix: 128 }]);
+  assert.strictEqual(wled.posts[0].on, true);
+});
+
+test('a plain color is sent as a solid effect', async () => {
+  assert.strictEqual(await wledController.updateWLED({ r: 1, g: 2, b: 3 }, options), true);
+
+  const [segment] = wled.posts[wled.posts.length - 1].seg;
+  assert.deepStrictEqual(segment.col, [[1, 2, 3]]);
+  assert.strictEqual(segment.fx, 0);
+});
+
+test('an effect change sends only the fields given, keeping the color', async () => {
+  assert.strictEqual(await wledController.setWLEDEffect({ effectId: 2, speed: 64 }, options), true);
+  assert.strictEqual(await wledController.setWLEDEffect(4, options), true);
+
+  assert.deepStrictEqual(
+    wled.posts.slice(-2).map(({ seg }) => seg),
+    [[{ fx: 2, sx: 64 }], [{ fx: 4 }]]
+  );
+});
+
+test('effect and palette names keep their WLED IDs, without reserved slots', async () => {
+  assert.deepStrictEqual(await wledController.getWLEDEffects(options), [
+    { id: 0, name: 'Solid' },
+    { id: 1, name: 'Blink' },
+    { id: 2, name: 'Breathe' },
+    { id: 4, name: 'Wipe' },
+  ]);
+  assert.deepStrictEqual(await wledController.getWLEDPalettes(options), [
+    { id: 0, name: 'Default' },
+    { id: 2, name: 'Party' },
+  ]);
+
+  wled.device.down = true;
+  try {
+    assert.strictEqual(await wledController.getWLEDEffects(options), null);
+    assert.strictEqual(await wledController.applyWLEDProfile(statusProfiles.getProfile('dnd'), options), false);
+  } finally {
+    wled.device.down = false;
+  }
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepareApp } = require('./app-harness');
+const { startFakeWled } = require('./fake-wled');
+
+const dataDir = prepareApp('wled-devices');
+
+const { app, handleStatusChange } = require('../src/app');
+
+let server = null;
+let baseUrl = null;
+let first = null;
+let second = null;
+
+/**
+ * Calls the application's API.
+ *
+ * @async
+ * @function api
+ * @param {string} method - The HTTP method.
+ * @param {string} route - The route, e.g. '/api/wled/devices'.
+ * @param {object} [body] - The JSON body.
+ * @returns {Promise<object>} `{ status, body }`.
+ */
+async function api(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Waits until the registered devices' health matches.
+ *
+ * @async
+ * @function waitForDevices
+ * @param {function(Array<object>): boolean} predicate - Called with the devices from the API.
+ * @returns {Promise<Array<object>>} The devices.
+ */
+async function waitForDevices(predicate) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const { devices } = (await api('GET', '/api/wled/devices')).body;
+    if (predicate(devices)) {
+      return devices;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('The WLED devices did not update');
+}
+
+/**
+ * Summarizes what each device shows.
+ *
+ * @function shown
+ * @param {Array<object>} devices - The devices from the API.
+ * @returns {Array<string>} `extension:status` per device, with ' (unreachable)' if it did not answer.
+ */
+function shown(devices) {
+  return devices.map(
+    ({ extension, status, connected }) => `${extension}:${status}${connected === false ? ' (unreachable)' : ''}`
+  );
+}
+
+before(async () => {
+  [first, second] = await Promise.all([startFakeWled(), startFakeWled()]);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await Promise.all([first.close(), second.close()]);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('devices are registered with a valid address and extension, once per address', async () => {
+  const added = await api('POST', '/api/wled/devices', { ipAddress: first.address, extension: '101', name: 'Desk 1' });
+  assert.strictEqual(added.status, 201);
+  assert.strictEqual(added.body.device.name, 'Desk 1');
+  assert.strictEqual((await api('POST', '/api/wled/devices', { ipAddress: second.address, extension: 102 })).status, 201);
+
+  const rejected = await Promise.all([
+    api('POST', '/api/wled/devices', { ipAddress: 'http://wled.local', extension: '103' }),
+    api('POST', '/api/wled/devices', { ipAddress: '192.0.2.50', extension: 'reception' }),
+    api('POST', '/api/wled/devices', { ipAddress: first.address, extension: '103' }),
+  ]);
+  assert.deepStrictEqual(
+    rejected.map(({ status, body }) => `${status} ${body.error}`),
+    [
+      '400 A valid WLED IP address is required',
+      '400 A numeric 3CX extension is required',
+      `400 A WLED device at ${first.address} is already registered`,
+    ]
+  );
+
+  const stored = JSON.parse(fs.readFileSync(process.env.WLED_DEVICES_FILE, 'utf8'));
+  assert.deepStrictEqual(
+    stored.map(({ ipAddress, extension }) => `${ipAddress}=${extension}`),
+    [`${first.address}=101`, `${second.address}=102`]
+  );
+});
+
+test("each device shows its own agent's status, and only when it changes", async () => {
+  handleStatusChange(null, {
+    agentStatuses: [
+      { extension: '101', name: 'Ada', status: 'available' },
+      { extension: '102', name: 'Grace', status: 'dnd' },
+      { extension: '103', name: 'Linus', status: 'away' },
+    ],
+  });
+
+  const devices = await waitForDevices((list) => list.every(({ status }) => status));
+  assert.deepStrictEqual(shown(devices), ['101:available', '102:dnd']);
+  assert.strictEqual(first.posts.length, 1);
+  assert.strictEqual(second.posts.length, 1);
+  assert.notDeepStrictEqual(first.posts[0].seg[0].col, second.posts[0].seg[0].col);
+
+  handleStatusChange(null, {
+    agentStatuses: [
+      { extension: '101', name: 'Ada', status: 'available' },
+      { extension: '102', name: 'Grace', status: 'away' },
+    ],
+  });
+
+  await waitForDevices((list) => list[1].status === 'away');
+  assert.strictEqual(first.posts.length, 1, 'an unchanged status is not sent again');
+  assert.strictEqual(second.posts.length, 2);
+});
+
+test('an unreachable device is marked and retried with the next statuses', async () => {
+  first.device.down = true;
+  handleStatusChange(null, { agentStatuses: [{ extension: '101', name: 'Ada', status: 'onCall' }] });
+
+  const unreachable = await waitForDevices((list) => list[0].connected === false);
+  assert.deepStrictEqual(shown(unreachable), ['101:available (unreachable)', '102:away']);
+  assert.match(unreachable[0].error, /Could not reach WLED device/);
+
+  first.device.down = false;
+  handleStatusChange(null, { agentStatuses: [{ extension: '101', name: 'Ada', status: 'onCall' }] });
+
+  const recovered = await waitForDevices((list) => list[0].connected === true && list[0].status === 'onCall');
+  assert.deepStrictEqual(shown(recovered), ['101:onCall', '102:away']);
+});
+
+test('a removed device no longer follows its agent', async () => {
+  const [device] = (await api('GET', '/api/wled/devices')).body.devices;
+  assert.strictEqual((await api('DELETE', `/api/wled/devices/${device.id}`)).status, 200);
+  assert.strictEqual((await api('DELETE', `/api/wled/devices/${device.id}`)).status, 404);
+
+  const posts = first.posts.length;
+  handleStatusChange(null, {
+    agentStatuses: [
+      { extension: '101', name: 'Ada', status: 'dnd' },
+      { extension: '102', name: 'Grace', status: 'available' },
+    ],
+  });
+
+  await waitForDevices((list) => list.length === 1 && list[0].status === 'available');
+  assert.strictEqual(first.posts.length, posts);
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepareApp } = require('./app-harness');
+const { startFakeWled } = require('./fake-wled');
+
+const dataDir = prepareApp('wled-settings');
+
+const { app } = require('../src/app');
+const wledController = require('../src/wled-controller');
+
+let server = null;
+let baseUrl = null;
+let wled = null;
+
+/**
+ * Calls the application's API.
+ *
+ * @async
+ * @function api
+ * @param {string} method - The HTTP method.
+ * @param {string} route - The route, e.g. '/api/wled/settings'.
+ * @param {object} [body] - The JSON body.
+ * @returns {Promise<object>} `{ status, body }`.
+ */
+async function api(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Reads the saved WLED settings.
+ *
+ * @function savedSettings
+ * @returns {object|null} The settings file's contents, or null if nothing was saved.
+ */
+function savedSettings() {
+  return fs.existsSync(process.env.WLED_SETTINGS_FILE)
+    ? JSON.parse(fs.readFileSync(process.env.WLED_SETTINGS_FILE, 'utf8'))
+    : null;
+}
+
+before(async () => {
+  wled = await startFakeWled();
+  wledController.config.wled.ipAddress = wled.address;
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await wled.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('settings are checked, sent to the strip and saved', async () => {
+  const rejected = await Promise.all([
+    api('POST', '/api/wled/settings', { brightness: 256 }),
+    api('POST', '/api/wled/settings', { transition: -1 }),
+  ]);
+  assert.deepStrictEqual(
+    rejected.map(({ status, body }) => `${status} ${body.error}`),
+    [
+      '400 Brightness must be a whole number from 0 to 255',
+      '400 Transition must be a whole number of milliseconds from 0 to 65535',
+    ]
+  );
+  assert.strictEqual(wled.posts.length, 0);
+
+  const { status, body } = await api('POST', '/api/wled/settings', { brightness: 80, transition: 1500 });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body, { success: true, settings: { brightness: 80, transition: 1500 } });
+  assert.ok(wled.posts.some((post) => post.bri === 80));
+  assert.ok(wled.posts.some((post) => post.transition === 1.5), 'WLED takes the transition in seconds');
+  assert.deepStrictEqual(savedSettings(), { brightness: 80, transition: 1500 });
+});
+
+test('settings the strip did not take are reported and not saved', async () => {
+  wled.device.down = true;
+  try {
+    const { status, body } = await api('POST', '/api/wled/settings', { brightness: 20 });
+
+    assert.strictEqual(status, 502);
+    assert.strictEqual(body.error, 'WLED device did not accept the new settings');
+    assert.deepStrictEqual(savedSettings(), { brightness: 80, transition: 1500 });
+  } finally {
+    wled.device.down = false;
+  }
+});
+
+test('the strip stays off until the settings are applied again', async () => {
+  wled.device.down = true;
+  const failed = await api('POST', '/api/wled/off');
+  wled.device.down = false;
+  assert.deepStrictEqual(failed, {
+    status: 502,
+    body: { success: false, error: 'Could not turn off the WLED device' },
+  });
+  assert.strictEqual((await api('GET', '/api/status')).body.wledConfig.poweredOff, false);
+
+  assert.deepStrictEqual(await api('POST', '/api/wled/off'), { status: 200, body: { success: true } });
+  assert.strictEqual(wled.posts[wled.posts.length - 1].on, false);
+  assert.strictEqual((await api('GET', '/api/status')).body.wledConfig.poweredOff, true);
+
+  assert.strictEqual((await api('POST', '/api/wled/settings', { brightness: 120 })).status, 200);
+  assert.strictEqual((await api('GET', '/api/status')).body.wledConfig.poweredOff, false);
+});
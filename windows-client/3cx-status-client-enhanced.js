@@ -17,6 +17,7 @@ const config = {
     ipAddress: process.env.WLED_IP_ADDRESS || '192.168.111.50',
     brightness: parseInt(process.env.WLED_BRIGHTNESS || '128', 10),
     transition: parseInt(process.env.WLED_TRANSITION || '1000', 10),
+    // Fallback colors, used only when the server's status profiles cannot be fetched
     statusColors: {
       available: { r: 0, g: 255, b: 0 },      // Green for available
       ringing: { r: 255, g: 255, b: 0 },      // Yellow for ringing
@@ -26,6 +27,14 @@ const config = {
       offline: { r: 0, g: 0, b: 255 },        // Blue for offline
     },
   },
+  // WLED-3CX server the status profiles are read from (e.g. http://192.168.111.10:1550)
+  server: {
+    url: process.env.WLED_3CX_SERVER_URL,
+    // Send statuses to the server's push provider instead of updating WLED directly
+    pushStatus: process.env.WLED_3CX_PUSH_STATUS === 'true',
+    // API token for servers that require sign-in (an agent token from the server's AUTH_API_TOKENS)
+    token: process.env.WLED_3CX_SERVER_TOKEN,
+  },
   // Check interval in milliseconds
   checkInterval: parseInt(process.env.CHECK_INTERVAL || '5000', 10),
   // Debug mode
@@ -35,6 +44,9 @@ const config = {
 // Last known status to prevent unnecessary updates
 let lastStatus = null;
 
+// Status profiles last fetched from the server
+let cachedProfiles = null;
+
 /**
  * Run a PowerShell command and return the output
  * @param {string} command - PowerShell command to run
@@ -215,31 +227,91 @@ async function check3CXStatus() {
 }
 
 /**
- * Update WLED with new color
+ * Build a solid color status profile
  * @param {Object} color - RGB color object {r, g, b}
+ * @returns {Object} Status profile
+ */
+function solidProfile(color) {
+  return { color, effectId: 0, paletteId: 0, speed: 128, intensity: 128, brightness: null };
+}
+
+/**
+ * Build the headers for requests to the WLED-3CX server
+ * @returns {Object} Headers, with the API token if one is set
+ */
+function serverHeaders() {
+  return config.server.token ? { Authorization: `Bearer ${config.server.token}` } : {};
+}
+
+/**
+ * Get the profile for a status from the WLED-3CX server's `/api/profiles`,
+ * falling back to the last fetched profiles and then to the built-in colors
+ * @param {string} status - The profile's status name (e.g. 'onCall')
+ * @returns {Object} Status profile
+ */
+async function getStatusProfile(status) {
+  if (config.server.url) {
+    try {
+      const response = await axios.get(`${config.server.url}/api/profiles`, {
+        headers: serverHeaders(),
+        timeout: 5000,
+      });
+      cachedProfiles = response.data.profiles;
+    } catch (error) {
+      console.error(`Could not fetch status profiles from ${config.server.url}: ${error.message}`);
+    }
+  }
+
+  if (cachedProfiles && cachedProfiles[status]) {
+    return cachedProfiles[status];
+  }
+  return solidProfile(config.wled.statusColors[status] || config.wled.statusColors.offline);
+}
+
+/**
+ * Push a status to the WLED-3CX server's push status provider
+ * @param {string} status - The detected status
+ */
+async function pushStatus(status) {
+  try {
+    await axios.post(
+      `${config.server.url}/api/providers/push/status`,
+      { status, source: 'windows-client' },
+      { headers: serverHeaders(), timeout: 5000 }
+    );
+  } catch (error) {
+    console.error(`Could not push status to ${config.server.url}: ${error.message}`);
+  }
+}
+
+/**
+ * Update WLED with a status profile
+ * @param {Object} profile - Status profile (color, effect, palette, speed, intensity, brightness)
  */
-async function updateWLED(color) {
+async function updateWLED(profile) {
   try {
     // Validate required configuration
     if (!config.wled.ipAddress) {
       throw new Error('WLED IP address is not configured');
     }
     
-    console.log(`Setting WLED color to RGB(${color.r},${color.g},${color.b})`);
+    const { color } = profile;
+    console.log(`Setting WLED color to RGB(${color.r},${color.g},${color.b}), effect ${profile.effectId}`);
     
     const url = `http://${config.wled.ipAddress}/json`;
     const payload = {
       on: true,
-      bri: config.wled.brightness,
+      bri: profile.brightness === null ? config.wled.brightness : profile.brightness,
       transition: config.wled.transition / 1000, // WLED uses seconds
       seg: [
         {
           col: [
             [color.r, color.g, color.b]
           ],
-          fx: 0, // Solid color effect
-          sx: 128, // Effect speed (not needed for solid)
-          ix: 128, // Effect intensity (not needed for solid)
+          fx: profile.effectId,
+          pal: profile.paletteId,
+          sx: profile.speed,
+          ix: profile.intensity,
         }
       ]
     };
@@ -258,38 +330,44 @@ async function updateWLED(color) {
 async function handleStatusChange(status) {
   console.log(`3CX status detected: ${status}`);
   
+  // Let the server decide the lights; push every check so the status does not go stale
+  if (config.server.url && config.server.pushStatus) {
+    await pushStatus(status);
+    return;
+  }
+  
   // Don't update if status hasn't changed
   if (status === lastStatus) return;
   lastStatus = status;
   
-  // Map 3CX status to WLED colors
-  let color;
+  // Map 3CX status to a status profile
+  let profileStatus;
   switch (status) {
     case 'available':
-      color = config.wled.statusColors.available;
+      profileStatus = 'available';
       break;
     case 'ringing':
-      color = config.wled.statusColors.ringing;
+      profileStatus = 'ringing';
       break;
     case 'onCall':
     case 'busy':
     case 'on-call':
-      color = config.wled.statusColors.onCall;
+      profileStatus = 'onCall';
       break;
     case 'dnd':
-      color = config.wled.statusColors.dnd;
+      profileStatus = 'dnd';
       break;
     case 'away':
-      color = config.wled.statusColors.away;
+      profileStatus = 'away';
       break;
     case 'offline':
     default:
-      color = config.wled.statusColors.offline;
+      profileStatus = 'offline';
       break;
   }
   
   // Update WLED
-  await updateWLED(color);
+  await updateWLED(await getStatusProfile(profileStatus));
 }
 
 /**
@@ -347,7 +425,7 @@ function setupManualOverride() {
       case '\u0003': // Ctrl+C
         console.log('Shutting down...');
         // Turn off WLED or set to default color on exit
-        await updateWLED({r: 0, g: 0, b: 0});
+        await updateWLED(solidProfile({r: 0, g: 0, b: 0}));
         process.exit(0);
         break;
     }
@@ -390,7 +468,7 @@ async function main() {
       console.log('Shutting down...');
       
       // Turn off WLED or set to default color on exit
-      await updateWLED({r: 0, g: 0, b: 0});
+      await updateWLED(solidProfile({r: 0, g: 0, b: 0}));
       
       process.exit(0);
     });